@@ -15,10 +15,14 @@ define([
     'math/geometry',
     'math/poly',
     'math/complex',
+    'math/implicitplot',
+    'math/linearalgebra',
     'renderer/abstract',
     'renderer/no',
     'reader/file',
     'parser/geonext',
+    'base/history',
+    'base/timeline',
     'base/board',
     'options',
     'jsxgraph',
@@ -39,6 +43,7 @@ define([
     'base/text',
     'base/image',
     'element/slider',
+    'element/slider2d',
     'element/measure',
     'base/chart',
     'base/transformation',
@@ -48,21 +53,33 @@ define([
     'utils/zip',
     'utils/base64',
     'utils/uuid',
+    'utils/virtualdom',
     'utils/encoding',
     'server/server',
     'element/locus',
     'parser/datasource',
     'parser/jessiecode',
     'utils/dump',
+    'utils/tikz',
+    'utils/aria',
+    'utils/gif',
+    'utils/recorder',
     'renderer/svg',
     'renderer/vml',
     'renderer/canvas',
+    'renderer/pdf',
     'renderer/no',
     'element/comb',
     'element/slopetriangle',
+    'element/domaincoloring',
     'element/checkbox',
     'element/input',
-    'element/button'
+    'element/button',
+    'element/select',
+    'element/radiogroup',
+    'element/textarea',
+    'element/view3d',
+    'element/element3d'
 ], function (JXG) {
     "use strict";
 
@@ -49,6 +49,10 @@
  utils/type
  utils/event
  utils/env
+ base/history
+ base/timeline
+ utils/dump
+ utils/aria
   elements:
    transform
    point
@@ -66,9 +70,10 @@ define([
     'jxg', 'base/constants', 'base/coords', 'options', 'math/numerics', 'math/math', 'math/geometry', 'math/complex',
     'math/statistics',
     'parser/jessiecode', 'parser/geonext', 'utils/color', 'utils/type', 'utils/event', 'utils/env', 'base/transformation',
-    'base/point', 'base/line', 'base/text', 'element/composition', 'base/composition'
+    'base/point', 'base/line', 'base/text', 'element/composition', 'base/composition', 'base/history', 'base/timeline',
+    'utils/dump', 'utils/aria'
 ], function (JXG, Const, Coords, Options, Numerics, Mat, Geometry, Complex, Statistics, JessieCode, GeonextParser, Color, Type,
-                EventEmitter, Env, Transform, Point, Line, Text, Composition, EComposition) {
+                EventEmitter, Env, Transform, Point, Line, Text, Composition, EComposition, History, Timeline, Dump, Aria) {
 
     'use strict';
 
@@ -508,6 +513,43 @@ define([
          */
         this.hasPointerUp = false;
 
+        /**
+         * A flag which tells if the board registers keyboard events.
+         * @type Boolean
+         * @default false
+         */
+        this.hasKeyboardHandlers = false;
+
+        /**
+         * The element having the keyboard focus, see {@link JXG.Board#keyboard}.
+         * @type JXG.GeometryElement
+         * @default null
+         */
+        this.focusObject = null;
+
+        /**
+         * Time stamp of the last update of the ARIA labels, see {@link JXG.Board#updateAria}.
+         * @type Number
+         * @private
+         * @default 0
+         */
+        this.ariaUpdateTime = 0;
+
+        /**
+         * Timer of a pending update of the ARIA labels, see {@link JXG.Board#updateAria}.
+         * @type Number
+         * @private
+         * @default null
+         */
+        this.ariaTimer = null;
+
+        /**
+         * Data sources which update this board if their data changes, see {@link JXG.DataSource#registerBoard}.
+         * @type Array
+         * @default []
+         */
+        this.dataSources = [];
+
         /**
          * Offset for large coords elements like images
          * @type {Array}
@@ -539,6 +581,37 @@ define([
          */
         this.selectingBox = [[0, 0], [0, 0]];
 
+        /**
+         * Undo/redo history of the user actions on this board.
+         * @type JXG.History
+         * @see JXG.Board#undo
+         * @see JXG.Board#redo
+         * @see JXG.Board#history
+         */
+        this.history = new History(this, Type.copyAttributes(this.attr, Options, 'board', 'history'));
+
+        /**
+         * The timeline of the board, which animates elements and attributes by tweens.
+         * @type JXG.Timeline
+         * @see JXG.Timeline
+         */
+        this.timeline = new Timeline(this);
+
+        /**
+         * Nesting depth of {@link JXG.Board#create} calls. Only elements created with depth 0
+         * get a creation record.
+         * @type Number
+         * @private
+         */
+        this._creationDepth = 0;
+
+        /**
+         * Counts the creation records, used to sort elements by their creation order.
+         * @type Number
+         * @private
+         */
+        this._creationCounter = 0;
+
         if (this.attr.registerevents) {
             this.addEventHandlers();
         }
@@ -565,7 +638,9 @@ define([
             zoom100: 'zoom100',
             zoomElements: 'zoomElements',
             remove: 'removeObject',
-            removeObject: 'removeObject'
+            removeObject: 'removeObject',
+            undo: 'undo',
+            redo: 'redo'
         };
     };
 
@@ -1344,6 +1419,8 @@ define([
                 targets.Xstart.push(xy[i][1]);
                 targets.Ystart.push(xy[i][2]);
             }
+
+            this.history.startMove();
         },
 
         mouseOriginMoveStart: function (evt) {
@@ -1436,6 +1513,7 @@ define([
                 this.addMouseEventHandlers();
                 this.addTouchEventHandlers();
             }
+            this.addKeyboardEventHandlers();
             //if (Env.isBrowser) {
             //Env.addEvent(window, 'resize', this.update, this);
             //}
@@ -1518,6 +1596,19 @@ define([
             }
         },
 
+        /**
+         * Registers the keyboard event handlers, see {@link JXG.Board#keyboard}.
+         */
+        addKeyboardEventHandlers: function () {
+            if (!this.hasKeyboardHandlers && Env.isBrowser && Type.exists(this.attr.keyboard) && this.attr.keyboard.enabled) {
+                Env.addEvent(this.containerObj, 'keydown', this.keyDownListener, this);
+                Env.addEvent(this.containerObj, 'focusin', this.keyFocusInListener, this);
+                Env.addEvent(this.containerObj, 'focusout', this.keyFocusOutListener, this);
+
+                this.hasKeyboardHandlers = true;
+            }
+        },
+
         /**
          * Add fullscreen events which update the CSS transformation matrix to correct
          * the mouse/touch/pointer positions in case of CSS transformations.
@@ -1613,6 +1704,19 @@ define([
             }
         },
 
+        /**
+         * Remove all registered keyboard event handlers.
+         */
+        removeKeyboardEventHandlers: function () {
+            if (this.hasKeyboardHandlers && Env.isBrowser) {
+                Env.removeEvent(this.containerObj, 'keydown', this.keyDownListener, this);
+                Env.removeEvent(this.containerObj, 'focusin', this.keyFocusInListener, this);
+                Env.removeEvent(this.containerObj, 'focusout', this.keyFocusOutListener, this);
+
+                this.hasKeyboardHandlers = false;
+            }
+        },
+
         /**
          * Remove all event handlers from the board object
          */
@@ -1620,6 +1724,7 @@ define([
             this.removeMouseEventHandlers();
             this.removeTouchEventHandlers();
             this.removePointerEventHandlers();
+            this.removeKeyboardEventHandlers();
 
             this.removeFullscreenEventHandlers();
 
@@ -2202,6 +2307,7 @@ define([
 
                 this.originMoveEnd();
                 this.update();
+                this.history.endMove();
             }
 
             return true;
@@ -2643,6 +2749,7 @@ define([
 
                 this.originMoveEnd();
                 this.update();
+                this.history.endMove();
             }
 
             return true;
@@ -2791,6 +2898,7 @@ define([
             this.originMoveEnd();
             this.dehighlightAll();
             this.update();
+            this.history.endMove();
 
             // selection
             if (this.selectingMode) {
@@ -2813,6 +2921,159 @@ define([
             this.mouse = null;
         },
 
+        /**
+         * Returns the element whose rendering node has the keyboard focus.
+         * @param {Event} evt Browser event object
+         * @returns {JXG.GeometryElement} The element or null.
+         * @private
+         */
+        _getKeyboardTarget: function (evt) {
+            var i,
+                len = this.objectsList.length;
+
+            for (i = 0; i < len; i++) {
+                if (Type.exists(this.objectsList[i].rendNode) && this.objectsList[i].rendNode === evt.target) {
+                    return this.objectsList[i];
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Called if an element of the board gets the keyboard focus. The element is highlighted and
+         * the start of a move is recorded.
+         * @param {Event} evt Browser event object
+         * @returns {Boolean}
+         */
+        keyFocusInListener: function (evt) {
+            var el = this._getKeyboardTarget(evt);
+
+            if (el === null) {
+                return true;
+            }
+
+            this.focusObject = el;
+            this._focusStart = Type.exists(el.coords) ? el.coords.usrCoords.slice(0) : null;
+            this.history.startMove();
+
+            el.highlight(true);
+            this.updateInfobox(el);
+
+            return true;
+        },
+
+        /**
+         * Called if an element of the board loses the keyboard focus. A move with the arrow keys is finished.
+         * @param {Event} evt Browser event object
+         * @returns {Boolean}
+         */
+        keyFocusOutListener: function (evt) {
+            var el = this.focusObject;
+
+            if (el === null || el.rendNode !== evt.target) {
+                return true;
+            }
+
+            this.focusObject = null;
+            this._focusStart = null;
+            this.history.endMove();
+
+            el.noHighlight();
+            this.showInfobox(false);
+
+            return true;
+        },
+
+        /**
+         * Handles the keys of {@link JXG.Board#keyboard}: The arrow keys move the element having the focus,
+         * Enter finishes the move and Escape resets the element to its position at the time it was focused.
+         * @param {Event} evt Browser event object
+         * @returns {Boolean}
+         */
+        keyDownListener: function (evt) {
+            var dir, sizes, dx, dy, sw, len, i, gliders, values,
+                el = this.focusObject,
+                // left, up, right, down
+                arrows = {37: [-1, 0], 38: [0, 1], 39: [1, 0], 40: [0, -1]},
+                key = evt.keyCode;
+
+            if (el === null || el.rendNode !== evt.target) {
+                return true;
+            }
+
+            if (key === 13) {
+                // Enter: accept the current position as start of the next move
+                this.history.endMove();
+                this._focusStart = Type.exists(el.coords) ? el.coords.usrCoords.slice(0) : null;
+                this.history.startMove();
+                el.triggerEventHandlers(['keyup', 'up'], [evt]);
+            } else if (key === 27) {
+                // Escape: reset the position and remove the focus
+                if (Type.exists(this._focusStart) && !Type.evaluate(el.visProp.fixed)) {
+                    el.setPositionDirectly(Const.COORDS_BY_USER, this._focusStart);
+                    this.update();
+                }
+                if (Type.exists(el.rendNode.blur)) {
+                    el.rendNode.blur();
+                }
+            } else if (arrows.hasOwnProperty(key)) {
+                if (!el.isDraggable || Type.evaluate(el.visProp.fixed) || !Type.exists(el.coords)) {
+                    return true;
+                }
+                dir = arrows[key];
+
+                if (el.elType === 'slider') {
+                    // Sliders are changed by their value. Left and down decrease the value.
+                    sw = Type.evaluate(el.visProp.snapwidth);
+                    if (sw <= 0) {
+                        len = el.point1.coords.distance(Const.COORDS_BY_SCREEN, el.point2.coords);
+                        sw = (len > 0) ? (el._smax - el._smin) * this.attr.keyboard.dx / len : 0;
+                    }
+                    el.setValue(el.Value() + (dir[0] + dir[1]) * sw);
+                } else if (el.elType === 'slider2d') {
+                    // Parameter pads are changed by their values, one step per arrow key
+                    // in the direction of the arrow.
+                    gliders = [el.gliderX, el.gliderY];
+                    values = el.Value();
+                    for (i = 0; i < 2; i++) {
+                        sw = Type.evaluate(gliders[i].visProp.snapwidth);
+                        if (sw <= 0) {
+                            len = gliders[i].slideObject.point1.coords.distance(Const.COORDS_BY_SCREEN,
+                                gliders[i].slideObject.point2.coords);
+                            sw = (len > 0) ? Math.abs(gliders[i]._smax - gliders[i]._smin) * this.attr.keyboard.dx / len : 0;
+                        }
+                        values[i] += dir[i] * sw;
+                    }
+                    el.setValue(values);
+                } else {
+                    if (Type.evaluate(el.visProp.snaptogrid)) {
+                        sizes = el.getSnapSizes();
+                        dx = sizes[0];
+                        dy = sizes[1];
+                    } else {
+                        dx = this.attr.keyboard.dx / this.unitX;
+                        dy = this.attr.keyboard.dy / this.unitY;
+                    }
+                    el.setPositionDirectly(Const.COORDS_BY_USER, [el.X() + dir[0] * dx, el.Y() + dir[1] * dy]);
+                }
+
+                el.triggerEventHandlers(['keydrag', 'drag'], [evt]);
+                this.update();
+                this.updateInfobox(el);
+                el.highlight(true);
+                el.lastDragTime = new Date();
+            } else {
+                return true;
+            }
+
+            if (evt.preventDefault) {
+                evt.preventDefault();
+            }
+
+            return false;
+        },
+
         /**
          * Handler for mouse wheel events. Used to zoom in and out of the board.
          * @param {Event} evt
@@ -2960,6 +3221,11 @@ define([
                 if (this.highlightedObjects.hasOwnProperty(el)) {
                     pEl = this.highlightedObjects[el];
 
+                    // The element having the keyboard focus stays highlighted
+                    if (pEl === this.focusObject) {
+                        continue;
+                    }
+
                     if (this.hasMouseHandlers || this.hasPointerHandlers) {
                         pEl.noHighlight();
                     }
@@ -2974,6 +3240,9 @@ define([
             }
 
             this.highlightedObjects = {};
+            if (this.focusObject !== null) {
+                this.highlightedObjects[this.focusObject.id] = this.focusObject;
+            }
 
             // We do not need to redraw during dehighlighting in CanvasRenderer
             // because we are redrawing anyhow
@@ -3513,6 +3782,11 @@ define([
                 return this;
             }
 
+            if (this.history.isRecording()) {
+                this.history.recordRemove(object);
+            }
+            this.history.suspend();
+
             try {
                 // // remove all children.
                 for (el in object.childElements) {
@@ -3580,6 +3854,7 @@ define([
                 JXG.debug(object.id + ': Could not be removed: ' + e);
             }
 
+            this.history.resume();
             this.update();
 
             return this;
@@ -3837,6 +4112,68 @@ define([
             return this;
         },
 
+        /**
+         * Sets the ARIA labels of the rendering nodes of all elements and puts the description of the
+         * element which is dragged or has the keyboard focus into the ARIA live region, see {@link JXG.Board#aria}.
+         * The labels are updated at most once in {@link JXG.Board#aria}.delay milliseconds. Calls in between
+         * are collected into a single update at the end of the delay.
+         * @returns {JXG.Board} Reference to the board
+         */
+        updateAria: function () {
+            var el, i, obj, now, wait,
+                that = this,
+                labels = {},
+                len = this.objectsList.length;
+
+            if (!Type.exists(this.attr.aria) || !this.attr.aria.enabled) {
+                return this;
+            }
+
+            if (this.ariaTimer !== null) {
+                return this;
+            }
+
+            now = new Date().getTime();
+            wait = this.ariaUpdateTime + Type.evaluate(this.attr.aria.delay) - now;
+            if (wait > 0) {
+                this.ariaTimer = setTimeout(function () {
+                    that.ariaTimer = null;
+                    that.updateAria();
+                }, wait);
+                return this;
+            }
+            this.ariaUpdateTime = now;
+
+            // Labels are part of the description of their element, e.g. the value text of a slider
+            for (i = 0; i < len; i++) {
+                el = this.objectsList[i];
+                if (Type.exists(el.label) && Type.exists(el.label.id)) {
+                    labels[el.label.id] = true;
+                }
+            }
+
+            for (i = 0; i < len; i++) {
+                el = this.objectsList[i];
+                if (Type.exists(el.rendNode)) {
+                    this.renderer.setAriaLabel(el, (el.visPropCalc.visible && !labels[el.id]) ? Aria.describe(el) : '');
+                }
+            }
+
+            if (Type.exists(this.focusObject)) {
+                obj = this.focusObject;
+            } else if (Type.exists(this.mouse) && Type.exists(this.mouse.obj)) {
+                obj = this.mouse.obj;
+            } else if (this.touches.length > 0) {
+                obj = this.touches[0].obj;
+            }
+
+            if (Type.exists(obj)) {
+                this.renderer.updateLiveRegion(Aria.describe(obj));
+            }
+
+            return this;
+        },
+
         /**
          * Runs through all elements and calls their update() method.
          * This is a special version for the CanvasRenderer.
@@ -3991,6 +4328,7 @@ define([
             this.renderer.suspendRedraw(this);
             this.updateRenderer();
             this.renderer.unsuspendRedraw();
+            this.updateAria();
             this.triggerEventHandlers(['update'], []);
 
             if (insert) {
@@ -4069,7 +4407,8 @@ define([
          * two or more elements.
          */
         create: function (elementType, parents, attributes) {
-            var el, i;
+            var el, i, record, start,
+                recording = this.history.isRecording();
 
             elementType = elementType.toLowerCase();
 
@@ -4084,19 +4423,40 @@ define([
             for (i = 0; i < parents.length; i++) {
                 if (Type.isString(parents[i]) &&
                     !(elementType === 'text' && i === 2) &&
-                    !((elementType === 'input' || elementType === 'checkbox' || elementType === 'button') &&
+                    !((elementType === 'input' || elementType === 'checkbox' || elementType === 'button' ||
+                       elementType === 'select' || elementType === 'radiogroup' || elementType === 'textarea') &&
                       (i === 2 || i === 3))
                 ) {
                     parents[i] = this.select(parents[i]);
                 }
             }
 
-            if (Type.isFunction(JXG.elements[elementType])) {
-                el = JXG.elements[elementType](this, parents, attributes);
-            } else {
+            if (!Type.isFunction(JXG.elements[elementType])) {
                 throw new Error("JSXGraph: create: Unknown element type given: " + elementType);
             }
 
+            // The creation record is used by the undo history and by toJSON().
+            // Element creators may change the parents array, so we copy it in advance.
+            if (this._creationDepth === 0) {
+                record = {
+                    elementType: elementType,
+                    parents: parents.slice(),
+                    attributes: Type.deepCopy(attributes),
+                    order: this._creationCounter++
+                };
+                start = this.objectsList.length;
+            }
+
+            // Actions of the element creator are part of this creation
+            this.history.suspend();
+            this._creationDepth++;
+            try {
+                el = JXG.elements[elementType](this, parents, attributes);
+            } finally {
+                this._creationDepth--;
+                this.history.resume();
+            }
+
             if (!Type.exists(el)) {
                 JXG.debug("JSXGraph: create: failure creating " + elementType);
                 return el;
@@ -4105,9 +4465,59 @@ define([
             if (el.prepareUpdate && el.update && el.updateRenderer) {
                 el.fullUpdate();
             }
+
+            // Creators which return an array of elements are not recorded, see JXG.History.
+            if (Type.exists(record) && !Type.isArray(el)) {
+                // All objects which have been added to the board by the creator, e.g. the sub-elements.
+                record.created = this.objectsList.slice(start);
+                el._creation = record;
+
+                if (recording) {
+                    this.history.recordCreate(el);
+                }
+            }
+
             return el;
         },
 
+        /**
+         * Undo the last recorded user action, see {@link JXG.Board#history}.
+         * Only available if the board attribute <tt>history.enabled</tt> is true.
+         * @returns {JXG.Board} Reference to the board
+         */
+        undo: function () {
+            this.history.undo();
+            return this;
+        },
+
+        /**
+         * Redo the last undone user action, see {@link JXG.Board#history}.
+         * @returns {JXG.Board} Reference to the board
+         */
+        redo: function () {
+            this.history.redo();
+            return this;
+        },
+
+        /**
+         * Saves the construction such that it can be restored with {@link JXG.Board.fromJSON}.
+         * All elements created with {@link JXG.Board#create} are saved, including their parent relations,
+         * transformations and groups, as well as the positions of points and gliders, slider values,
+         * changed attributes and the bounding box. See {@link JXG.Dump.serialize} for the limitations
+         * regarding JavaScript functions.
+         * <p>
+         * This method is called by <tt>JSON.stringify(board)</tt>.
+         *
+         * @returns {Object} Object which can be converted to a string with JSON.stringify().
+         * @example
+         * var json = JSON.stringify(board);
+         * // ... later
+         * var board2 = JXG.Board.fromJSON('jxgbox2', json);
+         */
+        toJSON: function () {
+            return Dump.serialize(this);
+        },
+
         /**
          * Deprecated name for {@link JXG.Board.create}.
          * @deprecated
@@ -4211,6 +4621,8 @@ define([
         /**
          * Adds an animation. Animations are controlled by the boards, so the boards need to be aware of the
          * animated elements. This function tells the board about new elements to animate.
+         * Outside of browsers, no timer is started. There, the animations are advanced by calls of
+         * {@link JXG.Board#animate}, e.g. by a {@link JXG.Recorder}.
          * @param {JXG.GeometryElement} element The element which is to be animated.
          * @returns {JXG.Board} Reference to the board
          */
@@ -4219,7 +4631,7 @@ define([
 
             this.animationObjects[element.id] = element;
 
-            if (!this.animationIntervalCode) {
+            if (!this.animationIntervalCode && Env.isBrowser) {
                 this.animationIntervalCode = window.setInterval(function () {
                     that.animate();
                 }, element.board.attr.animationdelay);
@@ -4242,8 +4654,12 @@ define([
                 }
             }
 
-            window.clearInterval(this.animationIntervalCode);
-            delete this.animationIntervalCode;
+            if (Type.exists(this.animationIntervalCode)) {
+                window.clearInterval(this.animationIntervalCode);
+                delete this.animationIntervalCode;
+            }
+
+            this.timeline.pause();
 
             return this;
         },
@@ -4315,8 +4731,10 @@ define([
             }
 
             if (count === 0) {
-                window.clearInterval(this.animationIntervalCode);
-                delete this.animationIntervalCode;
+                if (Type.exists(this.animationIntervalCode)) {
+                    window.clearInterval(this.animationIntervalCode);
+                    delete this.animationIntervalCode;
+                }
             } else {
                 this.update(obj);
             }
@@ -4960,6 +5378,32 @@ define([
          */
         __evt__boundingbox: function () { },
 
+        /**
+         * @event
+         * @description An action has been undone by {@link JXG.Board#undo}.
+         * @name JXG.Board#undo
+         * @param {Object} entry The undone history entry.
+         */
+        __evt__undo: function (entry) { },
+
+        /**
+         * @event
+         * @description An action has been redone by {@link JXG.Board#redo}.
+         * @name JXG.Board#redo
+         * @param {Object} entry The redone history entry.
+         */
+        __evt__redo: function (entry) { },
+
+        /**
+         * @event
+         * @description The undo/redo history of the board has changed. Use this event to
+         * enable or disable undo and redo buttons.
+         * @name JXG.Board#historychange
+         * @param {Boolean} canUndo True, if there is an action which can be undone.
+         * @param {Boolean} canRedo True, if there is an action which can be redone.
+         */
+        __evt__historychange: function (canUndo, canRedo) { },
+
         /**
          * @event
          * @description Select a region is started during a down event or by calling
@@ -5333,5 +5777,40 @@ define([
         }
     });
 
+    /**
+     * Creates a new board from a construction saved with {@link JXG.Board#toJSON}.
+     * @param {String} box Html-ID to the Html-element in which the board is painted.
+     * @param {Object|String} data The return value of {@link JXG.Board#toJSON} or its JSON string.
+     * @param {Object} [attributes] Additional board attributes, see {@link JXG.JSXGraph.initBoard}.
+     * @param {Object} [options] Options for restoring the construction. If <tt>options.allowFunctions</tt> is true,
+     * JavaScript functions saved as source code are evaluated. This must not be used for data from untrusted sources.
+     * See {@link JXG.Dump.deserialize}.
+     * @returns {JXG.Board} Reference to the created board.
+     */
+    JXG.Board.fromJSON = function (box, data, attributes, options) {
+        var board, attr;
+
+        if (Type.isString(data)) {
+            data = JSON.parse(data);
+        }
+
+        attr = {
+            boundingbox: data.board.boundingBox,
+            keepaspectratio: data.board.keepAspectRatio,
+            axis: data.board.axis,
+            grid: data.board.grid
+        };
+        board = JXG.JSXGraph.initBoard(box, Type.deepCopy(attr, attributes, true));
+
+        board.history.suspend();
+        try {
+            Dump.deserialize(board, data, options);
+        } finally {
+            board.history.resume();
+        }
+
+        return board;
+    };
+
     return JXG.Board;
 });
@@ -67,13 +67,80 @@ define([
 
     "use strict";
 
+    /**
+     * Evaluates the data of a chart, which may be an array of numbers or functions, or a function
+     * returning an array, e.g. a column of a {@link JXG.DataSource}.
+     * @param {Array|Function} data
+     * @returns {Array} Array of numbers
+     * @private
+     */
+    var evaluateData = function (data) {
+        var i,
+            res = [];
+
+        if (Type.isFunction(data)) {
+            data = data();
+        }
+
+        for (i = 0; i < data.length; i++) {
+            res[i] = parseFloat(Type.evaluate(data[i]));
+        }
+
+        return res;
+    };
+
+    /**
+     * Creates the regression function of a chart, see {@link Chart#regression}.
+     * @param {Number|Boolean|String|Array} model The value of the attribute regression
+     * @param {Array} xs Array of the x values. Its content may be changed later.
+     * @param {Array} ys Array of the y values. Its content may be changed later.
+     * @returns {Function} The function returned by {@link JXG.Math.Numerics.regression} or null, if there is no regression.
+     * @private
+     */
+    var createRegression = function (model, xs, ys) {
+        if (model === true) {
+            model = 'linear';
+        }
+
+        if (Type.isNumber(model) && model > 0) {
+            return Numerics.regression('polynomial', xs, ys, {degree: model});
+        }
+        if (Type.isArray(model)) {
+            // General model [f, p0]
+            return Numerics.regression(model[0], xs, ys, {p0: model[1]});
+        }
+        if (Type.isString(model)) {
+            return Numerics.regression(model, xs, ys);
+        }
+
+        return null;
+    };
+
     /**
      * Chart plotting
      */
     JXG.Chart = function (board, parents, attributes) {
         this.constructor(board, attributes);
 
-        var x, y, i, c, style, len;
+        var x, y, i, c, style, len, ds,
+            that = this,
+            makeIndices = function (data) {
+                return function () {
+                    var k,
+                        res = [],
+                        n = evaluateData(data).length;
+
+                    for (k = 0; k < n; k++) {
+                        res[k] = k + 1;
+                    }
+                    return res;
+                };
+            },
+            getColumns = function () {
+                var cols = Type.evaluate(that.visProp.columns);
+
+                return (Type.isArray(cols) && cols.length > 0) ? cols : [0];
+            };
 
         if (!Type.isArray(parents) || parents.length === 0) {
             throw new Error('JSXGraph: Can\'t create a chart without data');
@@ -84,7 +151,28 @@ define([
          */
         this.elements = [];
 
-        if (Type.isNumber(parents[0])) {
+        if (parents[0] instanceof DataSource) {
+            // The columns are read at each update, the chart follows changes of the data source
+            // and of the attribute columns
+            ds = parents[0];
+            ds.registerBoard(board);
+            y = function () {
+                var cols = getColumns();
+                return ds.getColumn(cols[cols.length - 1]);
+            };
+            x = function () {
+                var cols = getColumns();
+                return (cols.length > 1) ? ds.getColumn(cols[0]) : makeIndices(y)();
+            };
+        } else if (parents.length === 1 && Type.isFunction(parents[0])) {
+            // parents looks like [f], f returns the array of values
+            y = parents[0];
+            x = makeIndices(y);
+        } else if (parents.length === 2 && Type.isFunction(parents[0]) && Type.isFunction(parents[1])) {
+            // parents looks like [fx, fy]
+            x = parents[0];
+            y = parents[1];
+        } else if (Type.isNumber(parents[0])) {
             // parents looks like [a,b,c,..]
             // x has to be filled
 
@@ -141,6 +229,15 @@ define([
             case 'radar':
                 c = this.drawRadar(board, parents, attributes);
                 break;
+            case 'histogram':
+                c = this.drawHistogram(board, x, y, attributes);
+                break;
+            case 'boxplot':
+                c = this.drawBoxplot(board, x, y, attributes);
+                break;
+            case 'scatter':
+                c = this.drawScatter(board, x, y, attributes);
+                break;
             }
             this.elements.push(c);
         }
@@ -168,7 +265,11 @@ define([
         },
 
         drawFit: function (board, x, y, attributes) {
-            var deg = attributes.degree;
+            var fit,
+                deg = attributes.degree,
+                // The data arrays are changed in place, if the data are given by functions
+                xs = Type.isFunction(x) ? [] : x,
+                ys = Type.isFunction(y) ? [] : y;
 
             deg = Math.max(parseInt(deg, 10), 1) || 1;
 
@@ -176,7 +277,31 @@ define([
             attributes.fillcolor = 'none';
             attributes.highlightfillcolor = 'none';
 
-            return board.create('functiongraph', [Numerics.regressionPolynomial(deg, x, y)], attributes);
+            if (attributes.regression) {
+                fit = createRegression(attributes.regression, xs, ys);
+            } else {
+                fit = Numerics.regressionPolynomial(deg, xs, ys);
+            }
+
+            if (xs === x && ys === y) {
+                return board.create('functiongraph', [fit], attributes);
+            }
+
+            return board.create('functiongraph', [function (t, suspendedUpdate) {
+                var i, dx, dy;
+
+                if (!suspendedUpdate) {
+                    dx = evaluateData(x);
+                    dy = evaluateData(y);
+                    xs.length = 0;
+                    ys.length = 0;
+                    for (i = 0; i < Math.min(dx.length, dy.length); i++) {
+                        xs.push(dx[i]);
+                        ys.push(dy[i]);
+                    }
+                }
+                return fit(t, suspendedUpdate);
+            }], attributes);
         },
 
         drawBar: function (board, x, y, attributes) {
@@ -439,6 +564,314 @@ define([
          * paramArray=[ paramx, paramy, paramz ]
          * parents=[[x1, y1, z1], [x2, y2, z2], [x3, y3, z3]]
          */
+        /**
+         * Histogram of the values y. The bins are determined by the attribute {@link Chart#bins}.
+         * Values which are not finite, e.g. empty cells of a data source, are ignored.
+         * The bars are a single curve, which is recomputed at each update.
+         * @param {JXG.Board} board
+         * @param {Array|Function} x Not used
+         * @param {Array|Function} y The values
+         * @param {Object} attributes
+         * @returns {JXG.Curve} The curve has the additional properties <tt>bins</tt> (the borders of the bins)
+         * and <tt>counts</tt>.
+         */
+        drawHistogram: function (board, x, y, attributes) {
+            var el,
+                attr = Type.copyAttributes(attributes, board.options, 'chart');
+
+            if (!Type.exists(attr.fillcolor)) {
+                attr.fillcolor = attr.colors[0];
+            }
+
+            el = board.create('curve', [[], []], attr);
+            el.bins = [];
+            el.counts = [];
+
+            /**
+             * @ignore
+             */
+            el.updateDataArray = function () {
+                var i, h, res,
+                    data = evaluateData(y).filter(isFinite),
+                    density = Type.evaluate(attr.density);
+
+                this.dataX = [];
+                this.dataY = [];
+                if (data.length === 0) {
+                    this.bins = [];
+                    this.counts = [];
+                    this.annotationCoords = [NaN, NaN];
+                    this.annotationText = 'n = 0';
+                    return;
+                }
+
+                res = Statistics.histogram(data, Type.evaluate(attr.bins));
+                this.bins = res[0];
+                this.counts = res[1];
+
+                for (i = 0; i < this.counts.length; i++) {
+                    h = this.counts[i];
+                    if (density) {
+                        h /= data.length * (this.bins[i + 1] - this.bins[i]);
+                    }
+                    this.dataX.push(this.bins[i], this.bins[i], this.bins[i + 1], this.bins[i + 1], this.bins[i], NaN);
+                    this.dataY.push(0, h, h, 0, 0, NaN);
+                }
+
+                this.annotationCoords = [this.bins[0], Math.max.apply(Math, this.dataY.filter(isFinite))];
+                this.annotationText = 'n = ' + data.length +
+                    ', mean = ' + Type.toFixed(Statistics.mean(data), 2) +
+                    ', sd = ' + Type.toFixed(Statistics.sd(data), 2);
+            };
+
+            el.fullUpdate();
+            this.drawAnnotation(board, el, attributes);
+
+            return el;
+        },
+
+        /**
+         * Box plot of the values y: the box spans from the lower to the upper quartile and contains a line at the median.
+         * The whiskers extend to the most extreme values within {@link Chart#whiskerFactor} times the interquartile
+         * range from the box. Values beyond the whiskers are outliers and are marked by crosses.
+         * The box plot is a single curve, which is recomputed at each update.
+         * @param {JXG.Board} board
+         * @param {Array|Function} x Not used
+         * @param {Array|Function} y The values
+         * @param {Object} attributes
+         * @returns {JXG.Curve} The curve has the additional properties <tt>quartiles</tt>, <tt>whiskers</tt> and
+         * <tt>outliers</tt>.
+         */
+        drawBoxplot: function (board, x, y, attributes) {
+            var el,
+                attr = Type.copyAttributes(attributes, board.options, 'chart');
+
+            if (!Type.exists(attr.fillcolor)) {
+                attr.fillcolor = attr.colors[0];
+            }
+
+            el = board.create('curve', [[], []], attr);
+            el.quartiles = [];
+            el.whiskers = [];
+            el.outliers = [];
+
+            /**
+             * @ignore
+             */
+            el.updateDataArray = function () {
+                var i, q, iqr, lo, hi, du, dv, u, v,
+                    data = evaluateData(y).filter(isFinite),
+                    pos = Type.evaluate(attr.position),
+                    w = Type.evaluate(attr.width) || 0.5,
+                    k = Type.evaluate(attr.whiskerfactor),
+                    size = Type.evaluate(attr.size),
+                    horizontal = (attr.dir === 'horizontal'),
+                    pu = [],
+                    pv = [],
+                    add = function (a, b) {
+                        pu.push(a);
+                        pv.push(b);
+                    };
+
+                this.dataX = [];
+                this.dataY = [];
+                if (data.length === 0) {
+                    this.quartiles = [];
+                    this.whiskers = [];
+                    this.outliers = [];
+                    this.annotationCoords = [NaN, NaN];
+                    this.annotationText = 'n = 0';
+                    return;
+                }
+
+                q = Statistics.quantile(data, [0.25, 0.5, 0.75]);
+                iqr = q[2] - q[0];
+                lo = q[0];
+                hi = q[2];
+                this.outliers = [];
+                for (i = 0; i < data.length; i++) {
+                    if (data[i] < q[0] - k * iqr || data[i] > q[2] + k * iqr) {
+                        this.outliers.push(data[i]);
+                    } else {
+                        lo = Math.min(lo, data[i]);
+                        hi = Math.max(hi, data[i]);
+                    }
+                }
+                this.quartiles = q;
+                this.whiskers = [lo, hi];
+
+                // Box and median
+                add(pos - w * 0.5, q[0]);
+                add(pos + w * 0.5, q[0]);
+                add(pos + w * 0.5, q[2]);
+                add(pos - w * 0.5, q[2]);
+                add(pos - w * 0.5, q[0]);
+                add(NaN, NaN);
+                add(pos - w * 0.5, q[1]);
+                add(pos + w * 0.5, q[1]);
+                add(NaN, NaN);
+
+                // Whiskers
+                add(pos, q[0]);
+                add(pos, lo);
+                add(NaN, NaN);
+                add(pos - w * 0.25, lo);
+                add(pos + w * 0.25, lo);
+                add(NaN, NaN);
+                add(pos, q[2]);
+                add(pos, hi);
+                add(NaN, NaN);
+                add(pos - w * 0.25, hi);
+                add(pos + w * 0.25, hi);
+                add(NaN, NaN);
+
+                // Outliers, the size of the crosses is given in pixels
+                du = size / (horizontal ? this.board.unitY : this.board.unitX);
+                dv = size / (horizontal ? this.board.unitX : this.board.unitY);
+                for (i = 0; i < this.outliers.length; i++) {
+                    u = pos;
+                    v = this.outliers[i];
+                    add(u - du, v - dv);
+                    add(u + du, v + dv);
+                    add(NaN, NaN);
+                    add(u - du, v + dv);
+                    add(u + du, v - dv);
+                    add(NaN, NaN);
+                }
+
+                this.dataX = horizontal ? pv : pu;
+                this.dataY = horizontal ? pu : pv;
+
+                this.annotationCoords = horizontal ? [q[2], pos + w * 0.5] : [pos + w * 0.5, q[2]];
+                this.annotationText = 'Q1 = ' + Type.toFixed(q[0], 2) +
+                    ', median = ' + Type.toFixed(q[1], 2) +
+                    ', Q3 = ' + Type.toFixed(q[2], 2) +
+                    ', IQR = ' + Type.toFixed(iqr, 2);
+            };
+
+            el.fullUpdate();
+            this.drawAnnotation(board, el, attributes);
+
+            return el;
+        },
+
+        /**
+         * Scatter plot of the pairs (x, y), optionally with a regression curve, see {@link Chart#regression}.
+         * The markers are small filled circles of radius {@link Chart#size} pixels. All markers are a single curve,
+         * so the number of data points may change at each update.
+         * @param {JXG.Board} board
+         * @param {Array|Function} x The x values
+         * @param {Array|Function} y The y values
+         * @param {Object} attributes
+         * @returns {JXG.Curve} The curve has the additional property <tt>regression</tt>, the graph of the
+         * regression function, if it is enabled.
+         */
+        drawScatter: function (board, x, y, attributes) {
+            var el,
+                fit = null,
+                attr = Type.copyAttributes(attributes, board.options, 'chart'),
+                // The data arrays are changed in place, such that the regression curve follows the data
+                xs = [],
+                ys = [];
+
+            if (!Type.exists(attr.fillcolor)) {
+                attr.fillcolor = attr.colors[0];
+            }
+            attr.fillopacity = 1;
+
+            el = board.create('curve', [[], []], attr);
+
+            /**
+             * @ignore
+             */
+            el.updateDataArray = function () {
+                var i, k, len, r,
+                    dx = evaluateData(x),
+                    dy = evaluateData(y),
+                    rx = Type.evaluate(attr.size) / this.board.unitX,
+                    ry = Type.evaluate(attr.size) / this.board.unitY;
+
+                xs.length = 0;
+                ys.length = 0;
+                this.dataX = [];
+                this.dataY = [];
+
+                len = Math.min(dx.length, dy.length);
+                for (i = 0; i < len; i++) {
+                    if (!isFinite(dx[i]) || !isFinite(dy[i])) {
+                        continue;
+                    }
+                    xs.push(dx[i]);
+                    ys.push(dy[i]);
+                    for (k = 0; k <= 8; k++) {
+                        this.dataX.push(dx[i] + rx * Math.cos(k * Math.PI / 4));
+                        this.dataY.push(dy[i] + ry * Math.sin(k * Math.PI / 4));
+                    }
+                    this.dataX.push(NaN);
+                    this.dataY.push(NaN);
+                }
+
+                r = (xs.length > 1) ? Statistics.correlation(xs, ys) : NaN;
+                this.annotationCoords = (xs.length > 0) ? [Statistics.min(xs), Statistics.max(ys)] : [NaN, NaN];
+                this.annotationText = 'n = ' + xs.length + ', r = ' + Type.toFixed(r, 3);
+                if (fit !== null) {
+                    // Compute the parameters. They are used by the regression curve, too.
+                    fit(0);
+                    if (isFinite(fit.rSquared)) {
+                        this.annotationText += ', R<sup>2</sup> = ' + Type.toFixed(fit.rSquared, 3);
+                    }
+                    if (fit.getTerm() !== '') {
+                        this.annotationText = 'y = ' + fit.getTerm() + ', ' + this.annotationText;
+                    }
+                }
+            };
+
+            fit = createRegression(attr.regression, xs, ys);
+            if (fit !== null) {
+                // The regression curve is updated after the chart curve, which already did the fit
+                el.regression = board.create('functiongraph', [
+                    function (t) {
+                        return fit(t, true);
+                    }
+                ], Type.copyAttributes(attributes, board.options, 'chart', 'regressioncurve'));
+            }
+
+            el.fullUpdate();
+            this.drawAnnotation(board, el, attributes);
+
+            return el;
+        },
+
+        /**
+         * Creates a text showing statistics of the data of a histogram, box plot or scatter chart,
+         * if the attribute {@link Chart#annotate} is true. The position and the content of the text
+         * are given by the properties <tt>annotationCoords</tt> and <tt>annotationText</tt> of the chart curve,
+         * which are set in its updateDataArray method. Therefore, the curve has to be updated before.
+         * @param {JXG.Board} board
+         * @param {JXG.Curve} el The chart curve
+         * @param {Object} attributes
+         * @returns {JXG.Text} The text is also stored in the property <tt>annotation</tt> of the curve.
+         */
+        drawAnnotation: function (board, el, attributes) {
+            if (!Type.evaluate(attributes.annotate)) {
+                return null;
+            }
+
+            el.annotation = board.create('text', [
+                function () {
+                    return el.annotationCoords[0];
+                },
+                function () {
+                    return el.annotationCoords[1];
+                },
+                function () {
+                    return el.annotationText;
+                }
+            ], Type.copyAttributes(attributes, board.options, 'chart', 'annotation'));
+
+            return el.annotation;
+        },
+
         drawRadar: function (board, parents, attributes) {
             var i, j, paramArray, numofparams, maxes, mins,
                 la, pdata, ssa, esa, ssratio, esratio,
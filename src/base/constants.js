@@ -99,6 +99,10 @@ define(['jxg'], function (JXG) {
         OBJECT_TYPE_INPUT: 28,
         OBJECT_TYPE_BUTTON: 29,
         OBJECT_TYPE_TRANSFORMATION: 30,
+        OBJECT_TYPE_VIEW3D: 31,
+        OBJECT_TYPE_SELECT: 32,
+        OBJECT_TYPE_RADIOGROUP: 33,
+        OBJECT_TYPE_TEXTAREA: 34,
 
         // object classes
         OBJECT_CLASS_POINT: 1,
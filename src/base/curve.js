@@ -42,6 +42,7 @@
  math/geometry
  math/statistics
  math/numerics
+ math/implicitplot
  parser/geonext
  utils/type
   elements:
@@ -54,8 +55,9 @@
 
 define([
     'jxg', 'base/constants', 'base/coords', 'base/element', 'math/math', 'math/statistics', 'math/numerics',
-    'math/geometry', 'parser/geonext', 'utils/type', 'base/transformation', 'math/qdt'
-], function (JXG, Const, Coords, GeometryElement, Mat, Statistics, Numerics, Geometry, GeonextParser, Type, Transform, QDT) {
+    'math/geometry', 'parser/geonext', 'utils/type', 'base/transformation', 'math/qdt', 'math/implicitplot'
+], function (JXG, Const, Coords, GeometryElement, Mat, Statistics, Numerics, Geometry, GeonextParser, Type, Transform, QDT,
+                ImplicitPlot) {
 
     "use strict";
 
@@ -2692,6 +2694,856 @@ define([
 
     JXG.registerElement('derivative', JXG.createDerivative);
 
+    /**
+     * @class This element is used to plot the implicit curve f(x, y) = 0 in the visible area of the board.
+     * The curve is computed by adaptive marching squares, see {@link JXG.Math.ImplicitPlot}: cells of
+     * the size {@link Implicitcurve#resolutionOuter} in which f changes its sign are refined to
+     * the size {@link Implicitcurve#resolutionInner}. Near singular points, e.g. at self intersections of the curve,
+     * the cells are refined {@link Implicitcurve#singularRefinement} times more.
+     * <p>
+     * The curve is recomputed on every update of the board. Therefore, it follows
+     * sliders and points used in the definition of f.
+     *
+     * @pseudo
+     * @description
+     * @name Implicitcurve
+     * @augments JXG.Curve
+     * @constructor
+     * @type JXG.Curve
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {Function|String} f A function f(x, y) or a JessieCode term in the variables x and y.
+     * @see JXG.Curve
+     * @example
+     * var a = board.create('slider', [[-3, -3], [1, -3], [-2, 0, 2]], {name: 'a'}),
+     *     // Folium of Descartes
+     *     c1 = board.create('implicitcurve', ['x^3 + y^3 - 3 * a * x * y']),
+     *     c2 = board.create('implicitcurve', [function (x, y) { return x * x + y * y - 4; }], {strokeColor: 'red'});
+     *
+     */
+    JXG.createImplicitcurve = function (board, parents, attributes) {
+        var c, f, attr;
+
+        if (parents.length === 1) {
+            f = Type.createFunction(parents[0], board, 'x, y');
+        }
+        if (!Type.isFunction(f)) {
+            throw new Error("JSXGraph: Can't create implicitcurve with parent types '" +
+                (typeof parents[0]) + "'." +
+                "\nPossible parent types: [function], [term]");
+        }
+
+        attr = Type.copyAttributes(attributes, board.options, 'implicitcurve');
+        c = board.create('curve', [[], []], attr);
+        c.elType = 'implicitcurve';
+
+        /**
+         * The function f(x, y) of the implicit curve f(x, y) = 0.
+         * @name implicitFunction
+         * @memberOf Implicitcurve.prototype
+         * @function
+         * @param {Number} x
+         * @param {Number} y
+         * @returns {Number}
+         */
+        c.implicitFunction = f;
+
+        /**
+         * @class
+         * @ignore
+         */
+        c.updateDataArray = function () {
+            var data,
+                outer = Type.evaluate(this.visProp.resolutionouter),
+                inner = Type.evaluate(this.visProp.resolutioninner),
+                singular = Type.evaluate(this.visProp.singularrefinement);
+
+            // Skip the refinement near singular points while dragging
+            if (this.board.updateQuality === this.board.BOARD_QUALITY_LOW) {
+                singular = 0;
+            }
+
+            data = ImplicitPlot.plot(this.implicitFunction, this.board.getBoundingBox(), {
+                cellsX: Math.ceil(this.board.canvasWidth / outer),
+                cellsY: Math.ceil(this.board.canvasHeight / outer),
+                levels: Math.max(0, Math.ceil(Math.log(outer / inner) / Math.LN2)),
+                singularLevels: singular,
+                tolerance: Type.evaluate(this.visProp.tolerance)
+            });
+
+            this.dataX = data[0];
+            this.dataY = data[1];
+        };
+
+        return c;
+    };
+
+    JXG.registerElement('implicitcurve', JXG.createImplicitcurve);
+
+    /**
+     * Computes the arrows of a vector field on a grid in the visible area of the board,
+     * see {@link Vectorfield}.
+     * @param {JXG.Curve} curve The vector field
+     * @private
+     */
+    var updateVectorfield = function (curve) {
+        var x, y, i, v, px, py, len, s, sx, sy, tx, ty, dx, dy, co, si,
+            cos = Math.cos(Math.PI / 8),
+            sin = Math.sin(Math.PI / 8),
+            board = curve.board,
+            bb = board.getBoundingBox(),
+            ux = board.unitX,
+            uy = board.unitY,
+            res = Type.evaluate(curve.visProp.resolution),
+            scale = Type.evaluate(curve.visProp.scale),
+            normalize = Type.evaluate(curve.visProp.normalize),
+            anchor = Type.evaluate(curve.visProp.anchor),
+            head = Type.evaluate(curve.visProp.arrowhead.enabled),
+            size = Type.evaluate(curve.visProp.arrowhead.size),
+            // Grid size in user units. The grid is aligned to the origin, such that it does not move while panning.
+            hx = res / ux,
+            hy = res / uy,
+            vecs = [],
+            max = 0;
+
+        curve.dataX = [];
+        curve.dataY = [];
+
+        for (x = Math.ceil(bb[0] / hx) * hx; x <= bb[2]; x += hx) {
+            for (y = Math.ceil(bb[3] / hy) * hy; y <= bb[1]; y += hy) {
+                v = curve.F(x, y);
+                // Vector in pixels, y upwards
+                px = v[0] * ux;
+                py = v[1] * uy;
+                len = Math.sqrt(px * px + py * py);
+                if (isFinite(len) && len > Mat.eps) {
+                    vecs.push([x, y, px, py, len]);
+                    max = Math.max(max, len);
+                }
+            }
+        }
+
+        for (i = 0; i < vecs.length; i++) {
+            v = vecs[i];
+            if (normalize) {
+                s = Type.evaluate(curve.visProp.length) * res / v[4];
+            } else if (scale === 'auto') {
+                s = Type.evaluate(curve.visProp.length) * res / max;
+            } else {
+                s = scale;
+            }
+            // Arrow in user units
+            dx = v[2] * s / ux;
+            dy = v[3] * s / uy;
+
+            if (anchor === 'middle') {
+                sx = v[0] - dx * 0.5;
+                sy = v[1] - dy * 0.5;
+            } else {
+                sx = v[0];
+                sy = v[1];
+            }
+            tx = sx + dx;
+            ty = sy + dy;
+            curve.dataX.push(sx, tx);
+            curve.dataY.push(sy, ty);
+
+            if (head) {
+                // Two strokes of the given size in pixels with the angle pi / 8 to the arrow
+                co = v[2] / v[4];
+                si = v[3] / v[4];
+                curve.dataX.push(NaN, tx - size * (co * cos - si * sin) / ux, tx, tx - size * (co * cos + si * sin) / ux);
+                curve.dataY.push(NaN, ty - size * (si * cos + co * sin) / uy, ty, ty - size * (si * cos - co * sin) / uy);
+            }
+            curve.dataX.push(NaN);
+            curve.dataY.push(NaN);
+        }
+    };
+
+    /**
+     * @class A vector field is a grid of arrows showing the vectors of a function f(x, y) = [u, v].
+     * The arrows are drawn at the points of a grid with mesh size {@link Vectorfield#resolution} pixels in the
+     * visible area of the board. The grid is recomputed on zooming and panning.
+     * By default, the arrows are scaled such that the longest arrow has the length of
+     * {@link Vectorfield#length} times the mesh size.
+     * <p>
+     * All arrows together are a single curve.
+     *
+     * @pseudo
+     * @description
+     * @name Vectorfield
+     * @augments JXG.Curve
+     * @constructor
+     * @type JXG.Curve
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {Function|Array} f A function f(x, y) returning an array [u, v], or an array [u, v] of two functions
+     * or JessieCode terms in x and y.
+     * @see Slopefield
+     * @example
+     * var field = board.create('vectorfield', [function (x, y) { return [-y, x]; }]),
+     *     field2 = board.create('vectorfield', [['sin(y)', 'cos(x)']], {strokeColor: 'red', normalize: true});
+     *
+     */
+    JXG.createVectorfield = function (board, parents, attributes) {
+        var el, attr, fx, fy, f;
+
+        if (parents.length === 1 && Type.isArray(parents[0]) && parents[0].length === 2) {
+            fx = Type.createFunction(parents[0][0], board, 'x, y');
+            fy = Type.createFunction(parents[0][1], board, 'x, y');
+            if (Type.isFunction(fx) && Type.isFunction(fy)) {
+                f = function (x, y) {
+                    return [fx(x, y), fy(x, y)];
+                };
+            }
+        } else if (parents.length === 1 && Type.isFunction(parents[0])) {
+            f = parents[0];
+        }
+
+        if (!Type.exists(f)) {
+            throw new Error("JSXGraph: Can't create vectorfield with parent types '" +
+                (typeof parents[0]) + "'." +
+                "\nPossible parent types: [function], [[function, function]], [[term, term]]");
+        }
+
+        attr = Type.copyAttributes(attributes, board.options, 'vectorfield');
+        el = board.create('curve', [[], []], attr);
+        el.elType = 'vectorfield';
+
+        /**
+         * The function f(x, y) of the vector field, returning the vector [u, v].
+         * @name F
+         * @memberOf Vectorfield.prototype
+         * @function
+         * @param {Number} x
+         * @param {Number} y
+         * @returns {Array}
+         */
+        el.F = f;
+
+        /**
+         * @class
+         * @ignore
+         */
+        el.updateDataArray = function () {
+            updateVectorfield(this);
+        };
+
+        return el;
+    };
+
+    JXG.registerElement('vectorfield', JXG.createVectorfield);
+
+    /**
+     * @class A slope field (direction field) of the differential equation dy/dx = f(x, y).
+     * At the points of a grid, short line segments with slope f(x, y) are drawn. The slope field is a
+     * {@link Vectorfield} of the normalized vectors [1, f(x, y)] without arrow heads.
+     *
+     * @pseudo
+     * @description
+     * @name Slopefield
+     * @augments Vectorfield
+     * @constructor
+     * @type JXG.Curve
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {Function|String} f The right hand side f(x, y) of the differential equation, given as function
+     * or JessieCode term in x and y.
+     * @see Vectorfield
+     * @example
+     * var field = board.create('slopefield', [function (x, y) { return x - y; }]);
+     *
+     */
+    JXG.createSlopefield = function (board, parents, attributes) {
+        var el, attr, f;
+
+        if (parents.length === 1) {
+            f = Type.createFunction(parents[0], board, 'x, y');
+        }
+        if (!Type.isFunction(f)) {
+            throw new Error("JSXGraph: Can't create slopefield with parent types '" +
+                (typeof parents[0]) + "'." +
+                "\nPossible parent types: [function], [term]");
+        }
+
+        attr = Type.copyAttributes(attributes, board.options, 'slopefield');
+        el = board.create('vectorfield', [function (x, y) {
+            var m = f(x, y);
+
+            // Vertical slope
+            if (m === Infinity || m === -Infinity) {
+                return [0, 1];
+            }
+            return [1, m];
+        }], attr);
+        el.elType = 'slopefield';
+
+        return el;
+    };
+
+    JXG.registerElement('slopefield', JXG.createSlopefield);
+
+    /**
+     * @class The solution curve of an ordinary differential equation through a draggable initial point.
+     * The differential equation may be
+     * <ul>
+     * <li> a scalar equation dy/dx = f(x, y). Then the graph of the solution y(x) with y(x<sub>0</sub>) = y<sub>0</sub>
+     * is plotted, where (x<sub>0</sub>, y<sub>0</sub>) are the coordinates of the initial point.
+     * <li> an autonomous system dx/dt = u(x, y), dy/dt = v(x, y), given as array [u, v] like in {@link Vectorfield}, or
+     * a system dX/dt = f(t, X) with a function f returning the array [dx/dt, dy/dt]. Then the solution is plotted in the phase plane,
+     * i.e. the curve (x(t), y(t)) with (x(0), y(0)) being the coordinates of the initial point.
+     * </ul>
+     * A function f(a, b) is taken as scalar equation if f(0, [x<sub>0</sub>, y<sub>0</sub>]) returns a number, and as system
+     * if it returns an array.
+     * <p>
+     * Starting at the initial point, the equation is solved forwards and backwards with the adaptive
+     * Dormand-Prince method, see {@link JXG.Math.Numerics.rungeKuttaAdaptive}. For stiff equations, the
+     * Rosenbrock method can be chosen by the attribute {@link Odesolution#method}.
+     * The integration stops at the end of the time span or if the solution ceases to exist.
+     *
+     * @pseudo
+     * @description
+     * @name Odesolution
+     * @augments JXG.Curve
+     * @constructor
+     * @type JXG.Curve
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {Function|String|Array_JXG.Point|Array_Array} f,p,span The right hand side of the differential equation:
+     * a function or JessieCode term in x and y for the scalar equation dy/dx = f(x, y), an array [u, v] of functions or
+     * JessieCode terms in x and y for an autonomous system, or a function f(t, X) for a system.
+     * The initial point p is given as point or as array of coordinates, in which case a point is created.
+     * The optional time span [t1, t2] is an array of two numbers or functions.
+     * Its default value is the visible range of the x-axis for scalar equations and [-10, 10] for systems.
+     * @see Slopefield
+     * @see Vectorfield
+     * @example
+     * var p = board.create('point', [0, 1]),
+     *     sol = board.create('odesolution', ['x - y', p]);
+     *
+     * @example
+     * // Phase plane of the pendulum
+     * var p = board.create('point', [1, 0]),
+     *     field = board.create('vectorfield', [['y', '-sin(x)']]),
+     *     sol = board.create('odesolution', [['y', '-sin(x)'], p, [-20, 20]]);
+     *
+     */
+    JXG.createOdesolution = function (board, parents, attributes) {
+        var el, attr, p, f, fx, fy, F, span, isScalar;
+
+        if (parents.length >= 2) {
+            if (Type.isArray(parents[0]) && parents[0].length === 2) {
+                fx = Type.createFunction(parents[0][0], board, 'x, y');
+                fy = Type.createFunction(parents[0][1], board, 'x, y');
+                if (Type.isFunction(fx) && Type.isFunction(fy)) {
+                    F = function (t, x) {
+                        return [fx(x[0], x[1]), fy(x[0], x[1])];
+                    };
+                    isScalar = false;
+                }
+            } else {
+                f = Type.createFunction(parents[0], board, 'x, y');
+            }
+        }
+
+        if (parents.length >= 2) {
+            p = Type.providePoints(board, [parents[1]], attributes, 'odesolution', ['point'])[0];
+        }
+
+        if (Type.isFunction(f) && Type.isPoint(p)) {
+            isScalar = Type.isString(parents[0]) || !Type.isArray(f(0, [p.X(), p.Y()]));
+            if (isScalar) {
+                F = function (t, x) {
+                    return [f(t, x[0])];
+                };
+            } else {
+                F = f;
+            }
+        }
+
+        if (!Type.exists(F) || !Type.isPoint(p)) {
+            throw new Error("JSXGraph: Can't create odesolution with parent types '" +
+                (typeof parents[0]) + "' and '" + (typeof parents[1]) + "'." +
+                "\nPossible parent types: [function|term, point|array], [[function|term, function|term], point|array]," +
+                " [function, point|array, array]");
+        }
+
+        span = parents[2];
+
+        attr = Type.copyAttributes(attributes, board.options, 'odesolution');
+        el = board.create('curve', [[], []], attr);
+        el.elType = 'odesolution';
+
+        /**
+         * The right hand side F(t, X) of the differential equation as system dX/dt = F(t, X).
+         * @name F
+         * @memberOf Odesolution.prototype
+         * @function
+         * @param {Number} t
+         * @param {Array} X
+         * @returns {Array}
+         */
+        el.F = F;
+
+        /**
+         * The initial point.
+         * @name point
+         * @memberOf Odesolution.prototype
+         * @type JXG.Point
+         */
+        el.point = p;
+
+        /**
+         * Times and solution vectors at the points of the curve, an object of the form
+         * <tt>{t: [...], x: [...]}</tt>. The points are sampled from the dense output of the solver,
+         * see {@link JXG.Math.Numerics.rungeKuttaAdaptive}.
+         * @name solution
+         * @memberOf Odesolution.prototype
+         * @type Object
+         */
+        el.solution = {t: [], x: []};
+
+        el.addParents([p]);
+        p.addChild(el);
+
+        /**
+         * @class
+         * @ignore
+         */
+        el.updateDataArray = function () {
+            var i, t0, x0, a, b, n, opt, back, fwd, bbox,
+                that = this,
+                method = Type.evaluate(this.visProp.method),
+                // Integrates from t0 to t1 and samples the dense output of the solver.
+                // The number of sample points is proportional to the length of the time interval.
+                sample = function (t1) {
+                    var k, m, t, sol, tEnd,
+                        res = {t: [], x: []};
+
+                    if (method === 'rosenbrock') {
+                        sol = Numerics.rosenbrock(x0, [t0, t1], that.F, opt);
+                    } else {
+                        sol = Numerics.rungeKuttaAdaptive(method, x0, [t0, t1], that.F, opt);
+                    }
+
+                    // The integration may have stopped before t1
+                    tEnd = sol.t[sol.t.length - 1];
+                    m = Math.ceil(n * Math.abs(tEnd - t0) / Math.max(Math.abs(b - a), Math.abs(tEnd - t0)));
+                    for (k = 1; k <= m; k++) {
+                        t = t0 + (tEnd - t0) * k / m;
+                        res.t.push(t);
+                        res.x.push(sol.evaluate(t));
+                    }
+
+                    return res;
+                };
+
+            if (Type.exists(span)) {
+                a = Type.evaluate(span[0]);
+                b = Type.evaluate(span[1]);
+            } else if (isScalar) {
+                bbox = this.board.getBoundingBox();
+                a = bbox[0];
+                b = bbox[2];
+            } else {
+                a = -10;
+                b = 10;
+            }
+
+            if (isScalar) {
+                t0 = this.point.X();
+                x0 = [this.point.Y()];
+            } else {
+                t0 = 0;
+                x0 = [this.point.X(), this.point.Y()];
+            }
+
+            n = Type.evaluate(this.board.updateQuality === this.board.BOARD_QUALITY_LOW ?
+                    this.visProp.numberpointslow : this.visProp.numberpointshigh);
+            opt = {
+                rtol: Type.evaluate(this.visProp.rtol),
+                atol: Type.evaluate(this.visProp.atol),
+                maxSteps: Type.evaluate(this.visProp.maxsteps)
+            };
+
+            back = (a < t0) ? sample(a) : {t: [], x: []};
+            fwd = (b > t0) ? sample(b) : {t: [], x: []};
+
+            this.solution = {
+                t: back.t.reverse().concat([t0], fwd.t),
+                x: back.x.reverse().concat([x0], fwd.x)
+            };
+
+            this.dataX = [];
+            this.dataY = [];
+            for (i = 0; i < this.solution.t.length; i++) {
+                if (isScalar) {
+                    this.dataX.push(this.solution.t[i]);
+                    this.dataY.push(this.solution.x[i][0]);
+                } else {
+                    this.dataX.push(this.solution.x[i][0]);
+                    this.dataY.push(this.solution.x[i][1]);
+                }
+            }
+        };
+
+        return el;
+    };
+
+    JXG.registerElement('odesolution', JXG.createOdesolution);
+
+    /**
+     * @class Points at the real zeros and at the local extrema of the graph of a polynomial. The zeros and the
+     * zeros of the derivative are computed by {@link JXG.Math.Numerics.polynomialRoots}.
+     * The polynomial is given by its coefficients, or by a function or a function graph. In the latter case,
+     * the polynomial is recovered by interpolation at Chebyshev nodes in the visible x-range, where
+     * the degree is increased up to {@link Polynomialpoints#maxDegree} until the interpolating polynomial agrees with the function.
+     * For functions which are not polynomials of at most this degree, no points are shown.
+     * <p>
+     * The element itself is an invisible curve. The points are created when they are needed, such that their
+     * number follows changes of the polynomial, e.g. by sliders. Points which are not needed have the coordinates NaN.
+     * @pseudo
+     * @name Polynomialpoints
+     * @augments JXG.Curve
+     * @constructor
+     * @type JXG.Curve
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {Array|Function|JXG.Curve} p The coefficients of the polynomial, where the position i belongs to x^i
+     * (numbers or functions), a function returning the array of coefficients, a function f(x) or a function graph.
+     * @example
+     * var a = board.create('slider', [[-4, 3], [0, 3], [-2, 1, 2]]),
+     *     f = board.create('functiongraph', [function (x) { return x * x * x - 3 * x + a.Value(); }]),
+     *     pp = board.create('polynomialpoints', [f]);
+     *
+     * </pre><div class="jxgbox" id="JXG7c1e93d4-5a2b-4c8e-9f0a-3b6d2e1f4a5c" style="width: 300px; height: 300px;"></div>
+     * <script type="text/javascript">
+     * (function () {
+     *   var board = JXG.JSXGraph.initBoard('JXG7c1e93d4-5a2b-4c8e-9f0a-3b6d2e1f4a5c', {boundingbox: [-5, 5, 5, -5], axis: true, showcopyright: false, shownavigation: false}),
+     *     a = board.create('slider', [[-4, 3], [0, 3], [-2, 1, 2]]),
+     *     f = board.create('functiongraph', [function (x) { return x * x * x - 3 * x + a.Value(); }]),
+     *     pp = board.create('polynomialpoints', [f]);
+     * })();
+     * </script><pre>
+     *
+     * @example
+     * // Coefficients of x^4 - 4x^2 + 1
+     * var pp = board.create('polynomialpoints', [[1, 0, -4, 0, 1]], {extrema: false});
+     */
+    JXG.createPolynomialpoints = function (board, parents, attributes) {
+        var el, attr, coeffs, f,
+            p = parents[0],
+            zeros = [],
+            extrema = [],
+
+            horner = function (a, t) {
+                var i,
+                    v = 0;
+
+                for (i = a.length - 1; i >= 0; i--) {
+                    v = v * t + a[i];
+                }
+                return v;
+            },
+
+            // Coefficients of the interpolating polynomial in the variable t = (x - center) / scale
+            interpolate = function (center, scale) {
+                var i, j, n, t, a, ymax, ok,
+                    V, y,
+                    maxDeg = Type.evaluate(el.visProp.maxdegree),
+                    tests = [-0.8314, 0.1273, 0.6931];
+
+                for (n = 0; n <= maxDeg; n++) {
+                    V = [];
+                    y = [];
+                    ymax = 0;
+                    for (i = 0; i <= n; i++) {
+                        t = Math.cos((2 * i + 1) * Math.PI / (2 * n + 2));
+                        y[i] = f(center + scale * t);
+                        if (!isFinite(y[i])) {
+                            return null;
+                        }
+                        ymax = Math.max(ymax, Math.abs(y[i]));
+                        V[i] = [1];
+                        for (j = 1; j <= n; j++) {
+                            V[i][j] = V[i][j - 1] * t;
+                        }
+                    }
+
+                    try {
+                        a = Numerics.Gauss(V, y);
+                    } catch (e) {
+                        continue;
+                    }
+
+                    ok = true;
+                    for (i = 0; i < tests.length; i++) {
+                        if (Math.abs(horner(a, tests[i]) - f(center + scale * tests[i])) > 1.0e-9 * (1 + ymax)) {
+                            ok = false;
+                            break;
+                        }
+                    }
+                    if (ok) {
+                        return a;
+                    }
+                }
+
+                return null;
+            },
+
+            // Value of the k-th derivative of the polynomial with coefficients a at t, divided by k!
+            derivative = function (a, t, k) {
+                var i,
+                    c = 1,
+                    pw = 1,
+                    v = 0;
+
+                for (i = k; i < a.length; i++) {
+                    // c = binomial(i, k)
+                    v += c * a[i] * pw;
+                    pw *= t;
+                    c = c * (i + 1) / (i + 1 - k);
+                }
+                return v;
+            },
+
+            // Distinct real roots [x, multiplicity] of the polynomial with coefficients a, whose simple roots are
+            // accurate up to eps. The computed roots of a root of multiplicity m are spread around it with a distance
+            // of the order eps^(1/m). Therefore, m roots closer than 4 eps^(1/m) to their center are taken as a
+            // cluster, starting with the largest multiplicity. The real clusters are polished by Newton's method
+            // applied to the (m-1)-th derivative, which has a simple root there.
+            realRoots = function (a, eps) {
+                var i, j, k, m, u, v, d, tol, q, near, ok,
+                    z = Numerics.polynomialRoots(a),
+                    used = [],
+                    dist = function (w, re, im) {
+                        return Math.sqrt((w.real - re) * (w.real - re) + (w.imaginary - im) * (w.imaginary - im));
+                    },
+                    compare = function (p1, p2) {
+                        return p1[0] - p2[0];
+                    },
+                    clusters = [],
+                    res = [];
+
+                for (m = z.length; m > 0; m--) {
+                    for (i = 0; i < z.length; i++) {
+                        if (used[i]) {
+                            continue;
+                        }
+
+                        // The m unused roots nearest to z[i] as pairs [distance, index]
+                        near = [];
+                        for (j = 0; j < z.length; j++) {
+                            if (!used[j]) {
+                                near.push([dist(z[j], z[i].real, z[i].imaginary), j]);
+                            }
+                        }
+                        if (near.length < m) {
+                            break;
+                        }
+                        near.sort(compare);
+                        near.length = m;
+
+                        u = 0;
+                        v = 0;
+                        for (k = 0; k < m; k++) {
+                            u += z[near[k][1]].real / m;
+                            v += z[near[k][1]].imaginary / m;
+                        }
+                        tol = 4 * Math.pow(eps, 1 / m) * Math.max(1, Math.sqrt(u * u + v * v));
+                        ok = true;
+                        for (k = 0; k < m && ok; k++) {
+                            ok = dist(z[near[k][1]], u, v) <= tol;
+                        }
+                        if (ok) {
+                            for (k = 0; k < m; k++) {
+                                used[near[k][1]] = true;
+                            }
+                            clusters.push([u, v, m, tol]);
+                        }
+                    }
+                }
+
+                for (i = 0; i < clusters.length; i++) {
+                    u = clusters[i][0];
+                    m = clusters[i][2];
+                    tol = clusters[i][3];
+                    if (Math.abs(clusters[i][1]) > tol) {
+                        continue;
+                    }
+
+                    for (k = 0; k < 8; k++) {
+                        q = derivative(a, u, m);
+                        if (q === 0) {
+                            break;
+                        }
+                        d = derivative(a, u, m - 1) / (m * q);
+                        if (!isFinite(d) || Math.abs(u - d - clusters[i][0]) > tol) {
+                            break;
+                        }
+                        u -= d;
+                        if (Math.abs(d) <= Mat.eps * Math.max(1, Math.abs(u))) {
+                            break;
+                        }
+                    }
+                    res.push([u, m]);
+                }
+
+                res.sort(compare);
+                return res;
+            },
+
+            createPoints = function (list, arr, key) {
+                var pt,
+                    i = list.length;
+
+                pt = board.create('point', [
+                    function () {
+                        return (i < arr.length) ? arr[i][0] : NaN;
+                    },
+                    function () {
+                        return (i < arr.length) ? arr[i][1] : NaN;
+                    }
+                ], Type.copyAttributes(attributes, board.options, 'polynomialpoints', key));
+                el.addChild(pt);
+                list.push(pt);
+            };
+
+        if (Type.isArray(p)) {
+            coeffs = function () {
+                return p;
+            };
+        } else if (Type.isFunction(p)) {
+            if (Type.isArray(p(0))) {
+                coeffs = p;
+            } else {
+                f = p;
+            }
+        } else if (Type.exists(p) && p.elementClass === Const.OBJECT_CLASS_CURVE) {
+            f = function (x) {
+                return p.Y(x, true);
+            };
+        } else {
+            throw new Error("JSXGraph: Can't create polynomialpoints with parent types '" +
+                (typeof parents[0]) + "'." +
+                "\nPossible parent types: [array], [function], [curve]");
+        }
+
+        attr = Type.copyAttributes(attributes, board.options, 'polynomialpoints');
+        el = board.create('curve', [[], []], attr);
+        el.elType = 'polynomialpoints';
+        if (Type.exists(p.id)) {
+            el.addParents([p]);
+            p.addChild(el);
+        }
+
+        /**
+         * The points at the zeros.
+         * @name Polynomialpoints#zeroPoints
+         * @type Array
+         */
+        el.zeroPoints = [];
+
+        /**
+         * The points at the local extrema.
+         * @name Polynomialpoints#extremumPoints
+         * @type Array
+         */
+        el.extremumPoints = [];
+
+        /**
+         * Coefficients of the polynomial, the position i belongs to x^i. If the polynomial is given
+         * by a function, the coefficients are those of the interpolating polynomial in the
+         * variable t = (x - center) / scale, and the result contains the entries center and scale.
+         * @name Polynomialpoints#getCoefficients
+         * @function
+         * @returns {Object} {coefficients: Array, center: Number, scale: Number} or null, if the function is not a
+         * polynomial of at most degree {@link Polynomialpoints#maxDegree}.
+         */
+        el.getCoefficients = function () {
+            var i, a, c, bb;
+
+            if (Type.exists(coeffs)) {
+                a = [];
+                c = coeffs();
+                for (i = 0; i < c.length; i++) {
+                    a[i] = Type.evaluate(c[i]);
+                }
+                return {coefficients: a, center: 0, scale: 1};
+            }
+
+            bb = this.board.getBoundingBox();
+            a = interpolate(0.5 * (bb[0] + bb[2]), 0.5 * (bb[2] - bb[0]));
+            return (a === null) ? null : {coefficients: a, center: 0.5 * (bb[0] + bb[2]), scale: 0.5 * (bb[2] - bb[0])};
+        };
+
+        /**
+         * @ignore
+         */
+        el.updateDataArray = function () {
+            var i, r, d, eps,
+                poly = this.getCoefficients();
+
+            this.dataX = [];
+            this.dataY = [];
+            zeros.length = 0;
+            extrema.length = 0;
+
+            if (poly !== null) {
+                // Accuracy of the roots: the Durand-Kerner method stops at about 1.0e-12,
+                // interpolating polynomials are accurate up to 1.0e-9
+                eps = Type.exists(coeffs) ? 1.0e-12 : 1.0e-9;
+
+                if (Type.evaluate(this.visProp.zeros)) {
+                    r = realRoots(poly.coefficients, eps);
+                    for (i = 0; i < r.length; i++) {
+                        zeros.push([poly.center + poly.scale * r[i][0], 0]);
+                    }
+                }
+
+                if (Type.evaluate(this.visProp.extrema)) {
+                    d = [];
+                    for (i = 1; i < poly.coefficients.length; i++) {
+                        d.push(i * poly.coefficients[i]);
+                    }
+                    r = realRoots(d, eps);
+                    for (i = 0; i < r.length; i++) {
+                        // Zeros of even multiplicity of the derivative are saddle points
+                        if (r[i][1] % 2 === 1) {
+                            extrema.push([poly.center + poly.scale * r[i][0], horner(poly.coefficients, r[i][0])]);
+                        }
+                    }
+                }
+            }
+
+            /**
+             * The zeros as array of x-coordinates.
+             * @name Polynomialpoints#zeros
+             * @type Array
+             */
+            this.zeros = zeros.map(function (v) {
+                return v[0];
+            });
+
+            /**
+             * The local extrema as array of [x, y] coordinates.
+             * @name Polynomialpoints#extrema
+             * @type Array
+             */
+            this.extrema = extrema.map(function (v) {
+                return v.slice(0);
+            });
+
+            while (this.zeroPoints.length < zeros.length) {
+                createPoints(this.zeroPoints, zeros, 'zero');
+            }
+            while (this.extremumPoints.length < extrema.length) {
+                createPoints(this.extremumPoints, extrema, 'extremum');
+            }
+        };
+
+        el.fullUpdate();
+
+        return el;
+    };
+
+    JXG.registerElement('polynomialpoints', JXG.createPolynomialpoints);
+
     return {
         Curve: JXG.Curve,
         createCurve: JXG.createCurve,
@@ -2700,6 +3552,11 @@ define([
         createSpline: JXG.createSpline,
         createRiemannsum: JXG.createRiemannsum,
         createTracecurve: JXG.createTracecurve,
-        createStepfunction: JXG.createStepfunction
+        createStepfunction: JXG.createStepfunction,
+        createImplicitcurve: JXG.createImplicitcurve,
+        createVectorfield: JXG.createVectorfield,
+        createSlopefield: JXG.createSlopefield,
+        createOdesolution: JXG.createOdesolution,
+        createPolynomialpoints: JXG.createPolynomialpoints
     };
 });
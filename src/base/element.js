@@ -181,6 +181,9 @@ define([
          * <li> Button: rendNodeForm, rendNodeButton, rendNodeTag
          * <li> Checkbox: rendNodeForm, rendNodeCheckbox, rendNodeLabel, rendNodeTag
          * <li> Input: rendNodeForm, rendNodeInput, rendNodeLabel, rendNodeTag
+         * <li> Select: rendNodeSelect, rendNodeLabel, rendNodeTag
+         * <li> Radiogroup: rendNodeRadios, rendNodeRadioLabels, rendNodeLabel, rendNodeTag
+         * <li> Textarea: rendNodeTextarea, rendNodeLabel, rendNodeTag
          * </ul>
          *
          * Here is are two examples: The first example shows how to access the SVG node,
@@ -237,6 +240,14 @@ define([
          */
         this._pos = -1;
 
+        /**
+         * Keys of the attributes which have been changed with {@link JXG.GeometryElement#setAttribute}.
+         * Used to save and restore the element, see {@link JXG.Board#toJSON}.
+         * @type Object
+         * @private
+         */
+        this._changedAttributes = {};
+
         /**
          * [c,b0,b1,a,k,r,q0,q1]
          *
@@ -1138,7 +1149,7 @@ define([
          * });
          */
         setAttribute: function (attributes) {
-            var i, j, le, key, value, arg, opacity, pair, oldvalue,
+            var i, arg, pair,
                 properties = {};
 
             // normalize the user input
@@ -1160,11 +1171,40 @@ define([
             // handle shortcuts
             properties = this.resolveShortcuts(properties);
 
+            if (this.board.history.isRecording()) {
+                this.board.history.recordAttributes(this, properties);
+            }
+            this.board.history.suspend();
+
+            try {
+                this._setAttributes(properties);
+            } finally {
+                this.board.history.resume();
+            }
+
+            if (!Type.evaluate(this.visProp.needsregularupdate)) {
+                this.board.fullUpdate();
+            } else {
+                this.board.update(this);
+            }
+
+            return this;
+        },
+
+        /**
+         * Sets the normalized attributes of {@link JXG.GeometryElement#setAttribute} and triggers the attribute events.
+         * @param {Object} properties The attributes with shortcuts resolved.
+         * @private
+         */
+        _setAttributes: function (properties) {
+            var i, j, le, key, value, opacity, oldvalue;
+
             for (i in properties) {
                 if (properties.hasOwnProperty(i)) {
                     key = i.replace(/\s+/g, '').toLowerCase();
                     value = properties[i];
                     oldvalue = this.visProp[key];
+                    this._changedAttributes[key] = true;
 
                     // This handles the subobjects, if the key:value pairs are contained in an object.
                     // Example
@@ -1313,7 +1353,7 @@ define([
                         }
                         break;
                     case 'disabled':
-                        // button, checkbox, input. Is not available on initial call.
+                        // button, checkbox, input, select, radiogroup, textarea. Is not available on initial call.
                         if (Type.exists(this.rendNodeTag)) {
                             this.rendNodeTag.disabled = !!value;
                         }
@@ -1324,8 +1364,14 @@ define([
                             this.rendNodeCheckbox.checked = !!value;
                         }
                             break;
+                    case 'selected':
+                        // select, radiogroup. Is not available on initial call.
+                        if (Type.exists(this.rendNodeTag) && Type.isFunction(this.setSelected)) {
+                            this.setSelected(value);
+                        }
+                        break;
                     case 'maxlength':
-                        // input. Is not available on initial call.
+                        // input, textarea. Is not available on initial call.
                         if (Type.exists(this.rendNodeTag)) {
                             this.rendNodeTag.maxlength = !!value;
                         }
@@ -1347,14 +1393,6 @@ define([
             }
 
             this.triggerEventHandlers(['attribute'], [properties, this]);
-
-            if (!Type.evaluate(this.visProp.needsregularupdate)) {
-                this.board.fullUpdate();
-            } else {
-                this.board.update(this);
-            }
-
-            return this;
         },
 
         /**
@@ -1871,6 +1909,29 @@ define([
             return false;
         },
 
+        /**
+         * Determines the grid used by {@link JXG.GeometryElement#handleSnapToGrid}. If the attributes
+         * snapSizeX or snapSizeY are not positive, the distance of the major ticks of the default axes is taken.
+         * @returns {Array} The snap sizes [x, y] in user coordinates. Entries which can not be determined are not positive.
+         */
+        getSnapSizes: function () {
+            var ticks,
+                sX = Type.evaluate(this.visProp.snapsizex),
+                sY = Type.evaluate(this.visProp.snapsizey);
+
+            if (sX <= 0 && this.board.defaultAxes && this.board.defaultAxes.x.defaultTicks) {
+                ticks = this.board.defaultAxes.x.defaultTicks;
+                sX = ticks.ticksDelta * (Type.evaluate(ticks.visProp.minorticks) + 1);
+            }
+
+            if (sY <= 0 && this.board.defaultAxes && this.board.defaultAxes.y.defaultTicks) {
+                ticks = this.board.defaultAxes.y.defaultTicks;
+                sY = ticks.ticksDelta * (Type.evaluate(ticks.visProp.minorticks) + 1);
+            }
+
+            return [sX, sY];
+        },
+
         /**
          * Move an element to its nearest grid point.
          * The function uses the coords object of the element as
@@ -1882,12 +1943,10 @@ define([
          * @returns {JXG.GeometryElement} Reference to this element
          */
         handleSnapToGrid: function (force, fromParent) {
-            var x, y, ticks,
+            var x, y, snapSizes, sX, sY,
                 //i, len, g, el, p,
                 boardBB,
-                needsSnapToGrid = false,
-                sX = Type.evaluate(this.visProp.snapsizex),
-                sY = Type.evaluate(this.visProp.snapsizey);
+                needsSnapToGrid = false;
 
             if (!Type.exists(this.coords)) {
                 return this;
@@ -1899,15 +1958,9 @@ define([
                 x = this.coords.usrCoords[1];
                 y = this.coords.usrCoords[2];
 
-                if (sX <= 0 && this.board.defaultAxes && this.board.defaultAxes.x.defaultTicks) {
-                    ticks = this.board.defaultAxes.x.defaultTicks;
-                    sX = ticks.ticksDelta * (Type.evaluate(ticks.visProp.minorticks) + 1);
-                }
-
-                if (sY <= 0 && this.board.defaultAxes && this.board.defaultAxes.y.defaultTicks) {
-                    ticks = this.board.defaultAxes.y.defaultTicks;
-                    sY = ticks.ticksDelta * (Type.evaluate(ticks.visProp.minorticks) + 1);
-                }
+                snapSizes = this.getSnapSizes();
+                sX = snapSizes[0];
+                sY = snapSizes[1];
 
                 // if no valid snap sizes are available, don't change the coords.
                 if (sX > 0 && sY > 0) {
@@ -2040,6 +2093,15 @@ define([
          */
         __evt__touchdrag: function (e) { },
 
+        /**
+         * @event
+         * @description This event is fired whenever the user moves the element with the arrow keys,
+         * see {@link JXG.Board#keyboard}.
+         * @name JXG.GeometryElement#keydrag
+         * @param {Event} e The browser's event object.
+         */
+        __evt__keydrag: function (e) { },
+
         /**
          * @event
          * @description Whenever the user starts to touch or click an element.
@@ -2104,6 +2166,15 @@ define([
          */
         __evt__touchup: function (e) {},
 
+        /**
+         * @event
+         * @description Whenever the user finishes moving the element with the arrow keys by pressing Enter,
+         * this event is fired, see {@link JXG.Board#keyboard}.
+         * @name JXG.GeometryElement#keyup
+         * @param {Event} e The browser's event object.
+         */
+        __evt__keyup: function (e) {},
+
         /**
          * @event
          * @description Notify every time an attribute is changed.
@@ -0,0 +1,643 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ base/constants
+ utils/type
+ */
+
+/**
+ * @fileoverview In this file the class History is defined. It records the user actions
+ * on a board and provides undo and redo of these actions.
+ */
+
+define([
+    'jxg', 'base/constants', 'utils/type'
+], function (JXG, Const, Type) {
+
+    "use strict";
+
+    /**
+     * Placeholder for an element in the parents array of a recorded creation.
+     * Elements are stored by id, because the element object itself is destroyed if the
+     * creation is undone.
+     * @param {String} id
+     * @private
+     * @constructor
+     */
+    var Ref = function (id) {
+        this.id = id;
+    };
+
+    /**
+     * Creates a new undo/redo history for a board.
+     * @class In this class the undo/redo management of a board is done.
+     * The following actions are recorded:
+     * <ul>
+     *  <li>creation of elements with {@link JXG.Board#create},
+     *  <li>removal of elements with {@link JXG.Board#removeObject},
+     *  <li>dragging of elements by the user,
+     *  <li>changes of attributes with {@link JXG.GeometryElement#setAttribute}.
+     * </ul>
+     * Actions which are triggered during the execution of another recorded action,
+     * e.g. the creation of the sub-elements of a slider, are not recorded separately.
+     * <p>
+     * Elements which are recreated by an undo or redo step get their original ids.
+     * Sub-elements like the end points of a slider get new ids.
+     * <p>
+     * Element creators which return an array of elements instead of a single element, e.g.
+     * a chart created from a table with several data rows, are not recorded, because
+     * the elements of the array can not be recreated with their original ids.
+     *
+     * @param {JXG.Board} board The board whose actions are recorded.
+     * @param {Object} attributes The history attributes of the board, see {@link JXG.Board#history}.
+     * @constructor
+     */
+    JXG.History = function (board, attributes) {
+        attributes = attributes || {};
+
+        /**
+         * Reference to the board.
+         * @type JXG.Board
+         */
+        this.board = board;
+
+        /**
+         * If false, no actions are recorded.
+         * @type Boolean
+         */
+        this.enabled = Type.def(attributes.enabled, true);
+
+        /**
+         * Maximum number of undo steps. If 0 or negative, the number of steps is not limited.
+         * @type Number
+         */
+        this.depth = Type.def(attributes.depth, 50);
+
+        /**
+         * Recorded actions which can be undone. The last entry is undone first.
+         * @type Array
+         */
+        this.undoStack = [];
+
+        /**
+         * Undone actions which can be redone. The last entry is redone first.
+         * @type Array
+         */
+        this.redoStack = [];
+
+        /**
+         * Nesting depth of {@link JXG.History#suspend} calls.
+         * @type Number
+         * @private
+         */
+        this._suspended = 0;
+
+        /**
+         * Positions of the draggable elements at the start of a drag operation.
+         * @type Object
+         * @private
+         */
+        this._moveStart = null;
+    };
+
+    JXG.extend(JXG.History.prototype, /** @lends JXG.History.prototype */ {
+
+        /**
+         * Tells if actions are recorded at the moment.
+         * @returns {Boolean}
+         */
+        isRecording: function () {
+            return this.enabled && this._suspended === 0;
+        },
+
+        /**
+         * Stop recording actions until {@link JXG.History#resume} is called.
+         * Calls can be nested.
+         * @returns {JXG.History} Reference to the history
+         */
+        suspend: function () {
+            this._suspended++;
+            return this;
+        },
+
+        /**
+         * Resume recording after a call of {@link JXG.History#suspend}.
+         * @returns {JXG.History} Reference to the history
+         */
+        resume: function () {
+            if (this._suspended > 0) {
+                this._suspended--;
+            }
+            return this;
+        },
+
+        /**
+         * Delete all recorded actions.
+         * @returns {JXG.History} Reference to the history
+         */
+        clear: function () {
+            this.undoStack = [];
+            this.redoStack = [];
+            this._moveStart = null;
+            this._triggerChange();
+
+            return this;
+        },
+
+        /**
+         * @returns {Boolean} True, if there is an action which can be undone.
+         */
+        canUndo: function () {
+            return this.undoStack.length > 0;
+        },
+
+        /**
+         * @returns {Boolean} True, if there is an action which can be redone.
+         */
+        canRedo: function () {
+            return this.redoStack.length > 0;
+        },
+
+        /**
+         * Add an action to the undo stack. The redo stack is cleared and the undo stack is
+         * shortened to {@link JXG.History#depth} entries.
+         * @param {Object} entry
+         * @returns {JXG.History} Reference to the history
+         * @private
+         */
+        push: function (entry) {
+            this.undoStack.push(entry);
+            if (this.depth > 0 && this.undoStack.length > this.depth) {
+                this.undoStack.splice(0, this.undoStack.length - this.depth);
+            }
+            this.redoStack = [];
+            this._triggerChange();
+
+            return this;
+        },
+
+        /**
+         * Undo the last recorded action.
+         * @returns {Boolean} False, if there was nothing to undo.
+         */
+        undo: function () {
+            var entry = this.undoStack.pop();
+
+            if (!Type.exists(entry)) {
+                return false;
+            }
+
+            this._apply(entry, true);
+            this.redoStack.push(entry);
+
+            this.board.triggerEventHandlers(['undo'], [entry]);
+            this._triggerChange();
+
+            return true;
+        },
+
+        /**
+         * Redo the last undone action.
+         * @returns {Boolean} False, if there was nothing to redo.
+         */
+        redo: function () {
+            var entry = this.redoStack.pop();
+
+            if (!Type.exists(entry)) {
+                return false;
+            }
+
+            this._apply(entry, false);
+            this.undoStack.push(entry);
+
+            this.board.triggerEventHandlers(['redo'], [entry]);
+            this._triggerChange();
+
+            return true;
+        },
+
+        /**
+         * Record the creation of an element by {@link JXG.Board#create}.
+         * @param {JXG.GeometryElement} el The created element. Its creation record has to be set.
+         * @returns {JXG.History} Reference to the history
+         */
+        recordCreate: function (el) {
+            var i,
+                created = el._creation.created,
+                ids = [];
+
+            for (i = 0; i < created.length; i++) {
+                ids.push(created[i].id);
+            }
+
+            return this.push({
+                type: 'create',
+                record: this._storeCreation(el),
+                ids: ids
+            });
+        },
+
+        /**
+         * Record the removal of an element and all its descendants, before
+         * {@link JXG.Board#removeObject} removes them.
+         * @param {JXG.GeometryElement} object
+         * @returns {JXG.History} Reference to the history
+         */
+        recordRemove: function (object) {
+            var id, el,
+                removed = {},
+                list = [];
+
+            removed[object.id] = object;
+            for (id in object.descendants) {
+                if (object.descendants.hasOwnProperty(id)) {
+                    removed[id] = object.descendants[id];
+                }
+            }
+
+            for (id in removed) {
+                if (removed.hasOwnProperty(id) && Type.exists(removed[id]._creation)) {
+                    el = removed[id];
+                    list.push({
+                        id: id,
+                        record: this._storeCreation(el),
+                        attributes: Type.deepCopy(this._getAttributes(el, el._changedAttributes)),
+                        coords: this._getPosition(el)
+                    });
+                }
+            }
+
+            if (list.length === 0) {
+                return this;
+            }
+
+            list.sort(function (a, b) {
+                return a.record.order - b.record.order;
+            });
+
+            return this.push({
+                type: 'remove',
+                elements: list
+            });
+        },
+
+        /**
+         * Record a change of attributes by {@link JXG.GeometryElement#setAttribute}. Has to be called
+         * before the attributes are set.
+         * @param {JXG.GeometryElement} el
+         * @param {Object} attributes The new attributes, shortcuts have to be resolved already.
+         * @returns {JXG.History} Reference to the history
+         */
+        recordAttributes: function (el, attributes) {
+            var key, i,
+                oldValues = {},
+                newValues = {},
+                found = false;
+
+            for (i in attributes) {
+                if (attributes.hasOwnProperty(i)) {
+                    key = i.replace(/\s+/g, '').toLowerCase();
+                    newValues[key] = attributes[i];
+                    found = true;
+                }
+            }
+
+            if (!found) {
+                return this;
+            }
+
+            oldValues = Type.deepCopy(this._getAttributes(el, newValues));
+
+            return this.push({
+                type: 'attribute',
+                id: el.id,
+                oldValues: oldValues,
+                newValues: Type.deepCopy(newValues)
+            });
+        },
+
+        /**
+         * Store the positions of all draggable elements at the start of a drag operation.
+         * @returns {JXG.History} Reference to the history
+         */
+        startMove: function () {
+            if (this.isRecording() && !Type.exists(this._moveStart)) {
+                this._moveStart = this._getPositions();
+            }
+
+            return this;
+        },
+
+        /**
+         * Compare the positions of all draggable elements with the positions stored in
+         * {@link JXG.History#startMove} and record the changes.
+         * @returns {JXG.History} Reference to the history
+         */
+        endMove: function () {
+            var id, end, el,
+                start = this._moveStart,
+                moved = {},
+                found = false;
+
+            this._moveStart = null;
+
+            if (!Type.exists(start) || !this.isRecording()) {
+                return this;
+            }
+
+            end = this._getPositions();
+            for (id in start) {
+                if (start.hasOwnProperty(id) && end.hasOwnProperty(id)) {
+                    el = start[id];
+                    if (el[1] !== end[id][1] || el[2] !== end[id][2] || el[0] !== end[id][0]) {
+                        moved[id] = [el, end[id]];
+                        found = true;
+                    }
+                }
+            }
+
+            if (!found) {
+                return this;
+            }
+
+            return this.push({
+                type: 'move',
+                elements: moved
+            });
+        },
+
+        /**
+         * Undo or redo an action.
+         * @param {Object} entry
+         * @param {Boolean} undo
+         * @private
+         */
+        _apply: function (entry, undo) {
+            var i, id, el, created, start,
+                board = this.board;
+
+            this.suspend();
+            board.suspendUpdate();
+
+            if (entry.type === 'create') {
+                if (undo) {
+                    for (i = entry.ids.length - 1; i >= 0; i--) {
+                        board.removeObject(entry.ids[i]);
+                    }
+                } else {
+                    start = board.objectsList.length;
+                    this._recreate(entry.record);
+                    created = board.objectsList.slice(start);
+                    entry.ids = [];
+                    for (i = 0; i < created.length; i++) {
+                        entry.ids.push(created[i].id);
+                    }
+                }
+            } else if (entry.type === 'remove') {
+                if (undo) {
+                    for (i = 0; i < entry.elements.length; i++) {
+                        this._restore(entry.elements[i]);
+                    }
+                } else {
+                    for (i = entry.elements.length - 1; i >= 0; i--) {
+                        board.removeObject(entry.elements[i].id);
+                    }
+                }
+            } else if (entry.type === 'attribute') {
+                el = board.select(entry.id);
+                if (Type.exists(el) && Type.exists(el.setAttribute)) {
+                    el.setAttribute(undo ? entry.oldValues : entry.newValues);
+                }
+            } else if (entry.type === 'move') {
+                for (id in entry.elements) {
+                    if (entry.elements.hasOwnProperty(id)) {
+                        el = board.select(id);
+                        if (Type.exists(el) && Type.exists(el.coords)) {
+                            el.setPositionDirectly(Const.COORDS_BY_USER,
+                                entry.elements[id][undo ? 0 : 1].slice());
+                        }
+                    }
+                }
+            }
+
+            board.unsuspendUpdate();
+            this.resume();
+        },
+
+        /**
+         * Create an element from its creation record.
+         * @param {Object} record
+         * @returns {Object} The created element
+         * @private
+         */
+        _recreate: function (record) {
+            return this.board.create(record.elementType,
+                        this._restoreParents(record.parents),
+                        Type.deepCopy(record.attributes));
+        },
+
+        /**
+         * Recreate a removed element and restore its attributes and position.
+         * @param {Object} data The data stored in {@link JXG.History#recordRemove}.
+         * @private
+         */
+        _restore: function (data) {
+            var el = this._recreate(data.record),
+                attr = {},
+                key;
+
+            if (!Type.exists(el) || !Type.exists(el.setAttribute)) {
+                return;
+            }
+
+            for (key in data.attributes) {
+                if (data.attributes.hasOwnProperty(key) && Type.exists(data.attributes[key])) {
+                    attr[key] = data.attributes[key];
+                }
+            }
+            el.setAttribute(attr);
+
+            if (Type.exists(data.coords) && Type.exists(el.coords)) {
+                el.setPositionDirectly(Const.COORDS_BY_USER, data.coords.slice());
+            }
+        },
+
+        /**
+         * Copy the creation record of an element, such that the element can be recreated
+         * with its id and name, even if its parent elements have been recreated in the meantime.
+         * @param {JXG.GeometryElement} el
+         * @returns {Object}
+         * @private
+         */
+        _storeCreation: function (el) {
+            var record = el._creation,
+                attributes = Type.deepCopy(record.attributes);
+
+            attributes.id = el.id;
+            if (Type.exists(el.name) && el.name !== '') {
+                attributes.name = el.name;
+            }
+
+            return {
+                elementType: record.elementType,
+                parents: this._storeParents(record.parents),
+                attributes: attributes,
+                order: record.order
+            };
+        },
+
+        /**
+         * Read the current values of the given attribute keys of an element.
+         * @param {JXG.GeometryElement} el
+         * @param {Object} keys Object whose property names are the attribute keys.
+         * @returns {Object}
+         * @private
+         */
+        _getAttributes: function (el, keys) {
+            var key,
+                result = {};
+
+            for (key in keys) {
+                if (keys.hasOwnProperty(key)) {
+                    if (key === 'name') {
+                        result[key] = el.name;
+                    } else if (key === 'labelcolor') {
+                        if (Type.exists(el.label)) {
+                            result[key] = el.label.visProp.strokecolor;
+                        }
+                    } else {
+                        result[key] = el.getAttribute(key);
+                    }
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * @param {JXG.GeometryElement} el
+         * @returns {Array} User coordinates of a freely draggable element, null otherwise.
+         * @private
+         */
+        _getPosition: function (el) {
+            if (Type.exists(el.coords) && el.isDraggable && Type.exists(el.setPositionDirectly) &&
+                    !Type.evaluate(el.visProp.fixed)) {
+                return el.coords.usrCoords.slice();
+            }
+
+            return null;
+        },
+
+        /**
+         * @returns {Object} User coordinates of all freely draggable elements, indexed by element id.
+         * @private
+         */
+        _getPositions: function () {
+            var i, c,
+                list = this.board.objectsList,
+                len = list.length,
+                result = {};
+
+            for (i = 0; i < len; i++) {
+                c = this._getPosition(list[i]);
+                if (c !== null) {
+                    result[list[i].id] = c;
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * Replace elements in a parents array by {@link Ref} objects.
+         * @param {Array} parents
+         * @returns {Array}
+         * @private
+         */
+        _storeParents: function (parents) {
+            var i, p,
+                result = [];
+
+            for (i = 0; i < parents.length; i++) {
+                p = parents[i];
+                if (Type.isArray(p)) {
+                    result.push(this._storeParents(p));
+                } else if (Type.exists(p) && Type.exists(p.board) && Type.exists(p.id)) {
+                    result.push(new Ref(p.id));
+                } else {
+                    result.push(p);
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * Resolve the {@link Ref} objects in a parents array stored by {@link JXG.History#_storeParents}.
+         * @param {Array} parents
+         * @returns {Array}
+         * @private
+         */
+        _restoreParents: function (parents) {
+            var i, p,
+                result = [];
+
+            for (i = 0; i < parents.length; i++) {
+                p = parents[i];
+                if (Type.isArray(p)) {
+                    result.push(this._restoreParents(p));
+                } else if (p instanceof Ref) {
+                    result.push(this.board.select(p.id));
+                } else {
+                    result.push(p);
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * Fire the historychange event of the board.
+         * @private
+         */
+        _triggerChange: function () {
+            this.board.triggerEventHandlers(['historychange'], [this.canUndo(), this.canRedo()]);
+        }
+    });
+
+    return JXG.History;
+});
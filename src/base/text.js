@@ -307,7 +307,13 @@ define([
             var tmp, s, that, node,
                 ev_d = Type.evaluate(this.visProp.display);
 
-            if (!Env.isBrowser || this.board.renderer.type === 'no') {
+            if (this.board.renderer.type === 'no') {
+                return this;
+            }
+
+            // Without a DOM, e.g. a SVG renderer in node.js, texts can not be measured.
+            if (!Env.isBrowser) {
+                this.size = this.crudeSizeEstimate();
                 return this;
             }
             node = this.rendNode;
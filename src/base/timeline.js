@@ -0,0 +1,901 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true, window: true, setTimeout: true, Promise: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ base/constants
+ utils/type
+ utils/env
+ utils/event
+ utils/color
+ */
+
+/**
+ * @fileoverview In this file the class Timeline is defined. A timeline animates elements
+ * and attributes by tweens, which are arranged in sequences and parallel groups.
+ */
+
+define([
+    'jxg', 'base/constants', 'utils/type', 'utils/env', 'utils/event', 'utils/color'
+], function (JXG, Const, Type, Env, EventEmitter, Color) {
+
+    "use strict";
+
+    /**
+     * Creates a new timeline.
+     * @class A timeline animates properties of elements over time. It consists of items which start at given times:
+     * <ul>
+     *  <li> tweens, which change properties of a target from their current values to new values,
+     *       see {@link JXG.Timeline#to},
+     *  <li> callbacks, see {@link JXG.Timeline#call},
+     *  <li> nested timelines, see {@link JXG.Timeline#add}, {@link JXG.Timeline#sequence} and {@link JXG.Timeline#parallel}.
+     * </ul>
+     * By default, items are appended one after the other. The placement can be changed with the options
+     * <tt>at</tt> (absolute start time in milliseconds), <tt>with</tt> (start together with the previously added item)
+     * and <tt>delay</tt>.
+     * <p>
+     * The target of a tween is an element or any other object. Animated properties are
+     * <ul>
+     *  <li> <tt>coords</tt>: the coordinates [x, y] of a point, text or image,
+     *  <li> <tt>value</tt>: the value of a slider,
+     *  <li> <tt>position</tt>: the position of a glider,
+     *  <li> attributes like <tt>strokeWidth</tt>, <tt>fillOpacity</tt> or <tt>strokeColor</tt>. Colors are
+     *       interpolated in RGB, attributes which are neither numbers nor colors are set at the end of the tween,
+     *  <li> properties of objects which are not elements, e.g. variables used in function terms.
+     * </ul>
+     * The values of a tween at its start are taken when the timeline reaches the tween for the first time.
+     * Then the timeline can be paused, moved to any time with {@link JXG.Timeline#seek} and played in both directions.
+     * Changes by the timeline are not recorded in the undo history of the board.
+     * <p>
+     * Every board has a timeline {@link JXG.Board#timeline}. Further timelines can be created with
+     * <tt>new JXG.Timeline(board)</tt>.
+     * @param {JXG.Board} board The board which is updated at each frame
+     * @param {Object} [attributes] Optional attributes:
+     * <ul>
+     *  <li> <tt>parallel</tt>: if true, items start at time 0 by default instead of one after the other,
+     *  <li> <tt>timeScale</tt>: speed factor of the playback, default 1.
+     * </ul>
+     * @constructor
+     * @borrows JXG.EventEmitter#on as this.on
+     * @borrows JXG.EventEmitter#off as this.off
+     * @borrows JXG.EventEmitter#triggerEventHandlers as this.triggerEventHandlers
+     * @borrows JXG.EventEmitter#eventHandlers as this.eventHandlers
+     * @example
+     * var A = board.create('point', [-3, 0]),
+     *     B = board.create('point', [3, 0]),
+     *     s = board.create('segment', [A, B]),
+     *     t = board.create('slider', [[-3, -3], [3, -3], [0, 0, 1]]);
+     *
+     * board.timeline
+     *     .to(A, {coords: [-2, 2]}, 1000)
+     *     .parallel(function (g) {
+     *         g.to(s, {strokeWidth: 6, strokeColor: '#d55e00'}, 800);
+     *         g.to(t, {value: 1}, 1500, {easing: 'linear'});
+     *     })
+     *     .call(function () { console.log('done with step 2'); })
+     *     .to(B, {coords: [2, -1]}, 1000, {easing: 'easeOutBounce'});
+     *
+     * board.timeline.play().then(function () {
+     *     // Back to the start
+     *     return board.timeline.reverse();
+     * });
+     */
+    JXG.Timeline = function (board, attributes) {
+        attributes = attributes || {};
+
+        /**
+         * Reference to the board.
+         * @type JXG.Board
+         */
+        this.board = board;
+
+        /**
+         * The items of the timeline, sorted by their start times.
+         * @type Array
+         * @private
+         */
+        this.items = [];
+
+        /**
+         * If true, items start at time 0 by default.
+         * @type Boolean
+         */
+        this.isParallel = Type.def(attributes.parallel, false);
+
+        /**
+         * Speed factor of the playback.
+         * @type Number
+         */
+        this.timeScale = Type.def(attributes.timeScale, 1);
+
+        /**
+         * Current time of the timeline in milliseconds.
+         * @type Number
+         */
+        this.time = 0;
+
+        /**
+         * Direction of the playback, 1 or -1.
+         * @type Number
+         */
+        this.direction = 1;
+
+        /**
+         * True, while the timeline is playing.
+         * @type Boolean
+         */
+        this.isPlaying = false;
+
+        /**
+         * Start time of the last added item.
+         * @type Number
+         * @private
+         */
+        this._lastStart = 0;
+
+        /**
+         * Resolve functions of the promises returned by {@link JXG.Timeline#play}.
+         * @type Array
+         * @private
+         */
+        this._resolve = [];
+
+        /**
+         * Time of the last frame, used by the frame loop.
+         * @type Number
+         * @private
+         */
+        this._lastFrame = 0;
+
+        EventEmitter.eventify(this);
+    };
+
+    /**
+     * Easing functions, which map the progress of a tween in [0, 1] to the progress of the values.
+     * The option <tt>easing</tt> of a tween may be the name of one of these functions, an easing function,
+     * or an array [x1, y1, x2, y2] of the control points of a cubic Bezier curve as in CSS, see {@link JXG.Timeline.cubicBezier}.
+     * The names '--' and '&lt;&gt;' of the effects of {@link JXG.CoordsElement#moveTo} are accepted, too.
+     * @type Object
+     */
+    JXG.Timeline.easing = {
+        linear: function (t) {
+            return t;
+        },
+        easeInQuad: function (t) {
+            return t * t;
+        },
+        easeOutQuad: function (t) {
+            return t * (2 - t);
+        },
+        easeInOutQuad: function (t) {
+            return (t < 0.5) ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);
+        },
+        easeInCubic: function (t) {
+            return t * t * t;
+        },
+        easeOutCubic: function (t) {
+            return 1 - Math.pow(1 - t, 3);
+        },
+        easeInOutCubic: function (t) {
+            return (t < 0.5) ? 4 * t * t * t : 1 - 4 * Math.pow(1 - t, 3);
+        },
+        easeInSine: function (t) {
+            return 1 - Math.cos(t * Math.PI / 2);
+        },
+        easeOutSine: function (t) {
+            return Math.sin(t * Math.PI / 2);
+        },
+        easeInOutSine: function (t) {
+            return 0.5 * (1 - Math.cos(t * Math.PI));
+        },
+        easeOutBack: function (t) {
+            var s = 1.70158;
+
+            return 1 + (s + 1) * Math.pow(t - 1, 3) + s * Math.pow(t - 1, 2);
+        },
+        easeOutElastic: function (t) {
+            if (t === 0 || t === 1) {
+                return t;
+            }
+            return Math.pow(2, -10 * t) * Math.sin((10 * t - 0.75) * 2 * Math.PI / 3) + 1;
+        },
+        easeOutBounce: function (t) {
+            var n = 7.5625,
+                d = 2.75;
+
+            if (t < 1 / d) {
+                return n * t * t;
+            }
+            if (t < 2 / d) {
+                t -= 1.5 / d;
+                return n * t * t + 0.75;
+            }
+            if (t < 2.5 / d) {
+                t -= 2.25 / d;
+                return n * t * t + 0.9375;
+            }
+            t -= 2.625 / d;
+            return n * t * t + 0.984375;
+        }
+    };
+    JXG.Timeline.easing['--'] = JXG.Timeline.easing.linear;
+    JXG.Timeline.easing['<>'] = JXG.Timeline.easing.easeInOutSine;
+
+    /**
+     * Creates an easing function from a cubic Bezier curve from (0, 0) to (1, 1) with the
+     * control points (x1, y1) and (x2, y2), like the CSS function cubic-bezier.
+     * @param {Number} x1
+     * @param {Number} y1
+     * @param {Number} x2
+     * @param {Number} y2
+     * @returns {Function} The easing function
+     */
+    JXG.Timeline.cubicBezier = function (x1, y1, x2, y2) {
+        var bezier = function (s, a, b) {
+                return 3 * (1 - s) * (1 - s) * s * a + 3 * (1 - s) * s * s * b + s * s * s;
+            },
+            dbezier = function (s, a, b) {
+                return 3 * (1 - s) * (1 - s) * a + 6 * (1 - s) * s * (b - a) + 3 * s * s * (1 - b);
+            };
+
+        return function (t) {
+            var i, d, x,
+                lo = 0,
+                hi = 1,
+                s = t;
+
+            if (t <= 0 || t >= 1) {
+                return t;
+            }
+
+            // Newton's method for the parameter s with x(s) = t, safeguarded by bisection
+            for (i = 0; i < 20; i++) {
+                x = bezier(s, x1, x2) - t;
+                if (Math.abs(x) < 1.0e-7) {
+                    break;
+                }
+                if (x > 0) {
+                    hi = s;
+                } else {
+                    lo = s;
+                }
+                d = dbezier(s, x1, x2);
+                s = (Math.abs(d) > 1.0e-6) ? s - x / d : 0.5 * (lo + hi);
+                if (s <= lo || s >= hi) {
+                    s = 0.5 * (lo + hi);
+                }
+            }
+
+            return bezier(s, y1, y2);
+        };
+    };
+
+    JXG.extend(JXG.Timeline.prototype, /** @lends JXG.Timeline.prototype */ {
+
+        /**
+         * Adds a tween, which changes the properties of the target from their current values to the given values.
+         * @param {Object} target An element or any other object
+         * @param {Object} props The final values, e.g. <tt>{coords: [1, 2], strokeWidth: 4}</tt>
+         * @param {Number} duration Duration in milliseconds
+         * @param {Object} [options] Optional settings:
+         * <ul>
+         *  <li> <tt>easing</tt>: the easing, see {@link JXG.Timeline.easing}, default 'easeInOutSine',
+         *  <li> <tt>from</tt>: start values of some properties instead of their current values,
+         *  <li> <tt>at</tt>, <tt>with</tt>, <tt>delay</tt>: the start time, see {@link JXG.Timeline},
+         *  <li> <tt>onUpdate</tt>: function called with the eased progress after each change,
+         *  <li> <tt>onComplete</tt>: function called when the tween reaches its end while playing forward.
+         * </ul>
+         * @returns {JXG.Timeline} Reference to the timeline
+         */
+        to: function (target, props, duration, options) {
+            options = options || {};
+
+            return this._addItem({
+                type: 'tween',
+                target: target,
+                props: props,
+                from: options.from || {},
+                duration: Math.max(duration || 0, 0),
+                easing: this._getEasing(options.easing),
+                onUpdate: options.onUpdate,
+                onComplete: options.onComplete,
+                values: null,
+                progress: -1
+            }, options);
+        },
+
+        /**
+         * Adds a tween, which changes the properties of the target from the given values to their current values.
+         * @param {Object} target An element or any other object
+         * @param {Object} props The start values
+         * @param {Number} duration Duration in milliseconds
+         * @param {Object} [options] See {@link JXG.Timeline#to}
+         * @returns {JXG.Timeline} Reference to the timeline
+         */
+        from: function (target, props, duration, options) {
+            var key,
+                to = {},
+                opt = {};
+
+            for (key in props) {
+                if (props.hasOwnProperty(key)) {
+                    to[key] = this._getValue(target, key);
+                }
+            }
+            JXG.extend(opt, options || {});
+            opt.from = props;
+
+            return this.to(target, to, duration, opt);
+        },
+
+        /**
+         * Adds a sequence of tweens of one target given by keyframes. Each keyframe contains the time
+         * <tt>time</tt> in milliseconds relative to the start of the keyframes, values of properties,
+         * and optionally the easing of the tween ending at this keyframe.
+         * A property which is not contained in a keyframe keeps its value from the previous keyframe.
+         * The values of the first keyframe are set at its time, in particular at the start, if its time is 0.
+         * @param {Object} target An element or any other object
+         * @param {Array} frames Array of keyframes
+         * @param {Object} [options] The placement options <tt>at</tt>, <tt>with</tt> and <tt>delay</tt>
+         * @returns {JXG.Timeline} Reference to the timeline
+         * @example
+         * board.timeline.keyframes(p, [
+         *     {time: 0, coords: [0, 0], size: 3},
+         *     {time: 1000, coords: [2, 2]},
+         *     {time: 1500, size: 8, easing: 'easeOutBack'},
+         *     {time: 3000, coords: [0, 0], size: 3}
+         * ]).play();
+         */
+        keyframes: function (target, frames, options) {
+            var i, key, props, start,
+                child = new JXG.Timeline(this.board, {parallel: true}),
+                current = {};
+
+            frames = frames.slice(0).sort(function (f1, f2) {
+                return (f1.time || 0) - (f2.time || 0);
+            });
+
+            for (i = 0; i < frames.length; i++) {
+                props = {};
+                for (key in frames[i]) {
+                    if (frames[i].hasOwnProperty(key) && key !== 'time' && key !== 'easing') {
+                        props[key] = frames[i][key];
+                    }
+                }
+
+                if (i === 0) {
+                    child.to(target, props, 0, {at: frames[i].time || 0});
+                } else {
+                    start = frames[i - 1].time || 0;
+                    child.to(target, props, (frames[i].time || 0) - start, {
+                        at: start,
+                        easing: frames[i].easing,
+                        from: Type.deepCopy(current)
+                    });
+                }
+                JXG.extend(current, props);
+            }
+
+            return this.add(child, options);
+        },
+
+        /**
+         * Adds a function, which is called when the timeline passes the given time while playing forward.
+         * @param {Function} fn The function, it is called with the timeline as parameter.
+         * @param {Object} [options] The placement options <tt>at</tt>, <tt>with</tt> and <tt>delay</tt>
+         * @returns {JXG.Timeline} Reference to the timeline
+         */
+        call: function (fn, options) {
+            return this._addItem({
+                type: 'call',
+                fn: fn,
+                duration: 0
+            }, options || {});
+        },
+
+        /**
+         * Adds a pause of the given length after the end of the timeline.
+         * @param {Number} duration Length of the pause in milliseconds
+         * @returns {JXG.Timeline} Reference to the timeline
+         */
+        wait: function (duration) {
+            return this._addItem({
+                type: 'call',
+                fn: null,
+                duration: duration
+            }, {});
+        },
+
+        /**
+         * Adds a timeline as a single item.
+         * @param {JXG.Timeline} timeline
+         * @param {Object} [options] The placement options <tt>at</tt>, <tt>with</tt> and <tt>delay</tt>
+         * @returns {JXG.Timeline} Reference to the timeline
+         */
+        add: function (timeline, options) {
+            return this._addItem({
+                type: 'timeline',
+                timeline: timeline
+            }, options || {});
+        },
+
+        /**
+         * Adds a group of items which run one after the other.
+         * @param {Function} fn Function which is called with the new group, a {@link JXG.Timeline}, and adds its items.
+         * @param {Object} [options] The placement options <tt>at</tt>, <tt>with</tt> and <tt>delay</tt> of the group
+         * @returns {JXG.Timeline} Reference to the timeline
+         */
+        sequence: function (fn, options) {
+            var child = new JXG.Timeline(this.board);
+
+            fn(child);
+            return this.add(child, options);
+        },
+
+        /**
+         * Adds a group of items which start at the same time, unless their options say otherwise.
+         * @param {Function} fn Function which is called with the new group, a {@link JXG.Timeline}, and adds its items.
+         * @param {Object} [options] The placement options <tt>at</tt>, <tt>with</tt> and <tt>delay</tt> of the group
+         * @returns {JXG.Timeline} Reference to the timeline
+         */
+        parallel: function (fn, options) {
+            var child = new JXG.Timeline(this.board, {parallel: true});
+
+            fn(child);
+            return this.add(child, options);
+        },
+
+        /**
+         * Removes all items and moves the timeline to time 0. Running playback is stopped.
+         * @returns {JXG.Timeline} Reference to the timeline
+         */
+        clear: function () {
+            this.pause();
+            this.items = [];
+            this.time = 0;
+            this._lastStart = 0;
+            return this;
+        },
+
+        /**
+         * The duration of the timeline, i.e. the end of its last item.
+         * @returns {Number} Duration in milliseconds
+         */
+        getDuration: function () {
+            var i,
+                d = 0;
+
+            for (i = 0; i < this.items.length; i++) {
+                d = Math.max(d, this.items[i].start + this._itemDuration(this.items[i]));
+            }
+
+            return d;
+        },
+
+        /**
+         * Plays the timeline forward from the current time.
+         * @returns {Promise} A promise which is resolved when the end is reached. If the browser
+         * does not support promises, null is returned.
+         */
+        play: function () {
+            return this._start(1);
+        },
+
+        /**
+         * Plays the timeline backward from the current time. If the timeline is at time 0, it starts at its end.
+         * @returns {Promise} A promise which is resolved when the time 0 is reached. If the browser
+         * does not support promises, null is returned.
+         */
+        reverse: function () {
+            if (this.time <= 0) {
+                this.seek(this.getDuration());
+            }
+            return this._start(-1);
+        },
+
+        /**
+         * Moves the timeline to time 0 and plays it forward.
+         * @returns {Promise} See {@link JXG.Timeline#play}
+         */
+        restart: function () {
+            this.seek(0);
+            return this._start(1);
+        },
+
+        /**
+         * Stops the playback at the current time. The promises of {@link JXG.Timeline#play} stay pending
+         * until the playback is continued to the end.
+         * @returns {JXG.Timeline} Reference to the timeline
+         */
+        pause: function () {
+            if (this.isPlaying) {
+                this.isPlaying = false;
+                this.triggerEventHandlers(['pause'], [this]);
+            }
+            return this;
+        },
+
+        /**
+         * Moves the timeline to the given time and updates the board. Callbacks are called, if they are passed
+         * in forward direction.
+         * @param {Number} time Time in milliseconds, it is clamped to the duration of the timeline.
+         * @returns {JXG.Timeline} Reference to the timeline
+         */
+        seek: function (time) {
+            this._renderTime(Math.max(0, Math.min(time, this.getDuration())));
+            return this;
+        },
+
+        /**
+         * Starts the frame loop.
+         * @param {Number} direction 1 or -1
+         * @returns {Promise}
+         * @private
+         */
+        _start: function (direction) {
+            var that = this,
+                promise = null;
+
+            if (typeof Promise === 'function') {
+                promise = new Promise(function (resolve) {
+                    that._resolve.push([direction, resolve]);
+                });
+            }
+
+            this.direction = direction;
+            if (!this.isPlaying) {
+                this.isPlaying = true;
+                this._lastFrame = new Date().getTime();
+                this.triggerEventHandlers(['play'], [this]);
+                this._nextFrame();
+            }
+
+            return promise;
+        },
+
+        /**
+         * Schedules the next frame.
+         * @private
+         */
+        _nextFrame: function () {
+            var that = this,
+                frame = function () {
+                    that._frame();
+                };
+
+            if (Env.isBrowser && Type.exists(window.requestAnimationFrame)) {
+                window.requestAnimationFrame(frame);
+            } else {
+                setTimeout(frame, this.board.attr.animationdelay);
+            }
+        },
+
+        /**
+         * Renders a frame of the playback.
+         * @private
+         */
+        _frame: function () {
+            var i, res,
+                now = new Date().getTime(),
+                duration = this.getDuration(),
+                t = this.time + this.direction * this.timeScale * (now - this._lastFrame),
+                done = false;
+
+            if (!this.isPlaying) {
+                return;
+            }
+            this._lastFrame = now;
+
+            if (this.direction > 0 && t >= duration) {
+                t = duration;
+                done = true;
+            } else if (this.direction < 0 && t <= 0) {
+                t = 0;
+                done = true;
+            }
+
+            this._renderTime(t);
+
+            if (!done) {
+                this._nextFrame();
+                return;
+            }
+
+            this.isPlaying = false;
+            res = this._resolve;
+            this._resolve = [];
+            for (i = 0; i < res.length; i++) {
+                if (res[i][0] === this.direction) {
+                    res[i][1](this);
+                } else {
+                    this._resolve.push(res[i]);
+                }
+            }
+            this.triggerEventHandlers(['complete'], [this]);
+        },
+
+        /**
+         * Sets the timeline to the given time and updates the board.
+         * @param {Number} t
+         * @private
+         */
+        _renderTime: function (t) {
+            var history = this.board.history;
+
+            history.suspend();
+            try {
+                this._render(t, this.time);
+            } finally {
+                history.resume();
+            }
+            this.time = t;
+
+            this.board.update();
+            this.triggerEventHandlers(['update'], [this, t]);
+        },
+
+        /**
+         * Sets all items to the time t. Items which start after t are reset to their start in reverse order,
+         * then the other items are set in the order of their start times. Therefore, the last tween of a property
+         * which has started determines its value.
+         * @param {Number} t Current time
+         * @param {Number} prev Time of the previous rendering
+         * @private
+         */
+        _render: function (t, prev) {
+            var i, item,
+                len = this.items.length;
+
+            for (i = len - 1; i >= 0; i--) {
+                item = this.items[i];
+                if (t < item.start) {
+                    if (item.type === 'tween' && item.values !== null) {
+                        this._applyTween(item, 0);
+                    } else if (item.type === 'timeline' && item.timeline.time > 0) {
+                        item.timeline._render(0, item.timeline.time);
+                        item.timeline.time = 0;
+                    }
+                }
+            }
+
+            for (i = 0; i < len; i++) {
+                item = this.items[i];
+                if (t < item.start) {
+                    continue;
+                }
+
+                if (item.type === 'tween') {
+                    if (item.values === null) {
+                        this._initTween(item);
+                    }
+                    this._applyTween(item, (item.duration > 0) ? Math.min((t - item.start) / item.duration, 1) : 1);
+                    if (prev < item.start + item.duration && t >= item.start + item.duration && Type.isFunction(item.onComplete)) {
+                        item.onComplete.call(item.target, this);
+                    }
+                } else if (item.type === 'timeline') {
+                    item.timeline._render(Math.min(t - item.start, item.timeline.getDuration()), item.timeline.time);
+                    item.timeline.time = Math.min(t - item.start, item.timeline.getDuration());
+                } else if (item.type === 'call' && Type.isFunction(item.fn) && prev < item.start) {
+                    item.fn(this);
+                }
+            }
+        },
+
+        /**
+         * Inserts an item at the position given by the options at, with and delay.
+         * @private
+         */
+        _addItem: function (item, options) {
+            var i, start;
+
+            if (Type.exists(options.at)) {
+                start = options.at;
+            } else if (options['with']) {
+                start = this._lastStart;
+            } else {
+                start = this.isParallel ? 0 : this.getDuration();
+            }
+            item.start = start + (options.delay || 0);
+            this._lastStart = item.start;
+
+            // Stable insertion sorted by start time
+            i = this.items.length;
+            while (i > 0 && this.items[i - 1].start > item.start) {
+                i--;
+            }
+            this.items.splice(i, 0, item);
+
+            return this;
+        },
+
+        /**
+         * @private
+         */
+        _itemDuration: function (item) {
+            return (item.type === 'timeline') ? item.timeline.getDuration() : item.duration;
+        },
+
+        /**
+         * @private
+         */
+        _getEasing: function (easing) {
+            if (Type.isFunction(easing)) {
+                return easing;
+            }
+            if (Type.isArray(easing) && easing.length === 4) {
+                return JXG.Timeline.cubicBezier(easing[0], easing[1], easing[2], easing[3]);
+            }
+            if (Type.isString(easing) && Type.exists(JXG.Timeline.easing[easing])) {
+                return JXG.Timeline.easing[easing];
+            }
+            return JXG.Timeline.easing.easeInOutSine;
+        },
+
+        /**
+         * Stores the start and end values of a tween.
+         * @private
+         */
+        _initTween: function (item) {
+            var key, v0;
+
+            item.values = {};
+            for (key in item.props) {
+                if (item.props.hasOwnProperty(key)) {
+                    v0 = item.from.hasOwnProperty(key) ? item.from[key] : this._getValue(item.target, key);
+                    item.values[key] = [v0, Type.evaluate(item.props[key])];
+                }
+            }
+        },
+
+        /**
+         * Sets the properties of the target of a tween to the values at the given progress.
+         * @param {Object} item The tween
+         * @param {Number} p Progress in [0, 1]
+         * @private
+         */
+        _applyTween: function (item, p) {
+            var key, e;
+
+            if (p === item.progress) {
+                return;
+            }
+            item.progress = p;
+
+            e = item.easing(p);
+            for (key in item.values) {
+                if (item.values.hasOwnProperty(key)) {
+                    this._setValue(item.target, key,
+                        this._interpolate(item.values[key][0], item.values[key][1], e, p));
+                }
+            }
+
+            if (Type.isFunction(item.onUpdate)) {
+                item.onUpdate.call(item.target, e);
+            }
+        },
+
+        /**
+         * Interpolates numbers, arrays of numbers and colors. Other values are switched at the end.
+         * @param {*} a Start value
+         * @param {*} b End value
+         * @param {Number} e Eased progress
+         * @param {Number} p Progress
+         * @private
+         */
+        _interpolate: function (a, b, e, p) {
+            var i, ca, cb,
+                res = [];
+
+            if (Type.isNumber(a) && Type.isNumber(b)) {
+                return a + (b - a) * e;
+            }
+
+            if (Type.isArray(a) && Type.isArray(b)) {
+                for (i = 0; i < Math.min(a.length, b.length); i++) {
+                    res[i] = this._interpolate(a[i], b[i], e, p);
+                }
+                return res;
+            }
+
+            if (Type.isString(a) && Type.isString(b)) {
+                ca = Color.rgbParser(a);
+                cb = Color.rgbParser(b);
+                if (ca.length === 3 && cb.length === 3) {
+                    for (i = 0; i < 3; i++) {
+                        res[i] = Math.max(0, Math.min(255, Math.round(ca[i] + (cb[i] - ca[i]) * e)));
+                    }
+                    return Color.rgb2hex(res);
+                }
+            }
+
+            return (p >= 1) ? b : a;
+        },
+
+        /**
+         * Reads an animated property of the target.
+         * @private
+         */
+        _getValue: function (target, key) {
+            var v;
+
+            if (key === 'coords' && Type.isFunction(target.X)) {
+                return [target.X(), target.Y()];
+            }
+            if (key === 'value' && Type.isFunction(target.Value)) {
+                return target.Value();
+            }
+            if (key === 'position' && target.type === Const.OBJECT_TYPE_GLIDER) {
+                return target.position;
+            }
+            if (Type.exists(target.visProp)) {
+                v = Type.evaluate(target.visProp[key.toLowerCase()]);
+                return (Type.isString(v) && v !== '' && isFinite(v)) ? parseFloat(v) : v;
+            }
+
+            return target[key];
+        },
+
+        /**
+         * Sets an animated property of the target. Interpolated attributes, i.e. numbers and colors, are
+         * written directly into visProp like in {@link JXG.GeometryElement#animate}: setAttribute would round
+         * values like strokeWidth and update the board for each attribute. The board is updated once per frame
+         * in {@link JXG.Timeline#_renderTime}.
+         * @private
+         */
+        _setValue: function (target, key, v) {
+            var o = {},
+                k = key.toLowerCase();
+
+            if (key === 'coords' && Type.isFunction(target.setPositionDirectly)) {
+                target.setPositionDirectly(Const.COORDS_BY_USER, v);
+            } else if (key === 'value' && Type.isFunction(target.setValue)) {
+                target.setValue(v);
+            } else if (key === 'position' && target.type === Const.OBJECT_TYPE_GLIDER) {
+                target.setGliderPosition(v);
+            } else if (Type.exists(target.visProp)) {
+                if (Type.isNumber(v) || (Type.isString(v) && Color.rgbParser(v).length === 3)) {
+                    target.visProp[k] = v;
+                } else if (target.visProp[k] !== v) {
+                    o[key] = v;
+                    target.setAttribute(o);
+                }
+            } else {
+                target[key] = v;
+            }
+        }
+    });
+
+    return JXG.Timeline;
+});
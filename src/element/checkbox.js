@@ -53,6 +53,17 @@ define([
             CheckboxChangeEventHandler: function () {
                 this._value = this.rendNodeCheckbox.checked;
                 this.board.update();
+            },
+
+            // Besides the space key, the checkbox can be toggled with Enter.
+            CheckboxKeyDownEventHandler: function (evt) {
+                if (evt.keyCode === 13 && !this.rendNodeCheckbox.disabled) {
+                    this.rendNodeCheckbox.checked = !this.rendNodeCheckbox.checked;
+                    priv.CheckboxChangeEventHandler.call(this);
+                    if (evt.preventDefault) {
+                        evt.preventDefault();
+                    }
+                }
             }
         };
 
@@ -187,6 +198,13 @@ define([
 
         Env.addEvent(t.rendNodeCheckbox, 'change', priv.CheckboxChangeEventHandler, t);
 
+        if (board.attr.keyboard.enabled) {
+            if (Type.exists(attr.tabindex)) {
+                t.rendNodeCheckbox.setAttribute('tabindex', attr.tabindex);
+            }
+            Env.addEvent(t.rendNodeCheckbox, 'keydown', priv.CheckboxKeyDownEventHandler, t);
+        }
+
         return t;
     };
 
@@ -0,0 +1,284 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true, document: true, module: true, require: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ math/complex
+ utils/env
+ utils/type
+ base/image
+ */
+
+/**
+ * @fileoverview In this file the domain coloring of complex functions is defined.
+ */
+
+define([
+    'jxg', 'math/complex', 'utils/env', 'utils/type', 'base/image'
+], function (JXG, Complex, Env, Type, Image) {
+
+    "use strict";
+
+    var priv = {
+        /**
+         * Creates a canvas of the given size, in node.js with the package canvas, if it is installed.
+         * @returns {Object} The canvas or null, if there is no canvas support.
+         */
+        createCanvas: function (w, h) {
+            var c, Canvas;
+
+            if (Env.isBrowser) {
+                c = document.createElement('canvas');
+                c.width = w;
+                c.height = h;
+                return c;
+            }
+
+            if (Env.isNode()) {
+                try {
+                    Canvas = (typeof module === 'object' ? module.require('canvas') : require('canvas'));
+                    return new Canvas(w, h);
+                } catch (err) { }
+            }
+
+            return null;
+        },
+
+        /**
+         * Converts a color given by hue, saturation and lightness, all in [0, 1], to RGB values in [0, 255].
+         */
+        hsl2rgb: function (h, s, l) {
+            var q = (l < 0.5) ? l * (1 + s) : l + s - l * s,
+                p = 2 * l - q,
+                channel = function (t) {
+                    t = t - Math.floor(t);
+                    if (t < 1 / 6) {
+                        return p + (q - p) * 6 * t;
+                    }
+                    if (t < 0.5) {
+                        return q;
+                    }
+                    if (t < 2 / 3) {
+                        return p + (q - p) * (2 / 3 - t) * 6;
+                    }
+                    return p;
+                };
+
+            return [
+                Math.round(255 * channel(h + 1 / 3)),
+                Math.round(255 * channel(h)),
+                Math.round(255 * channel(h - 1 / 3))
+            ];
+        }
+    };
+
+    /**
+     * @class Domain coloring of a complex function f. Each point z of the visible part of the board is colored
+     * by the value f(z): the hue shows the argument of f(z) (red for positive real values, then yellow, green, cyan, blue, magenta),
+     * the lightness shows the absolute value, from black for zeros to white for poles. If the attribute contours is true,
+     * the lightness jumps at the levels |f(z)| = 2<sup>k</sup>, such that the level curves become visible.
+     * <p>
+     * The image is rendered again if the bounding box of the board changes, e.g. by zooming or panning.
+     * If f depends on other elements, e.g. sliders, the attribute dynamic has to be true, then the image is rendered
+     * at each update of the board. Rendering needs canvas support, in node.js the package canvas.
+     * @pseudo
+     * @name Domaincoloring
+     * @augments JXG.Image
+     * @constructor
+     * @type JXG.Image
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {Function} f A complex function. It is called with a {@link JXG.Complex} number and returns
+     * a JXG.Complex, a real number or an array [re, im].
+     * @example
+     * var dc = board.create('domaincoloring', [function (z) {
+     *         // (z^2 - 1) / (z - i)
+     *         return JXG.C.div(JXG.C.sub(JXG.C.mult(z, z), 1), JXG.C.sub(z, new JXG.Complex(0, 1)));
+     *     }]);
+     *
+     * </pre><div class="jxgbox" id="JXG1f5a2b3c-8d4e-4f6a-9b7c-0d1e2f3a4b5c" style="width: 300px; height: 300px;"></div>
+     * <script type="text/javascript">
+     * (function () {
+     *   var board = JXG.JSXGraph.initBoard('JXG1f5a2b3c-8d4e-4f6a-9b7c-0d1e2f3a4b5c', {boundingbox: [-3, 3, 3, -3], axis: true, showcopyright: false, shownavigation: false}),
+     *     dc = board.create('domaincoloring', [function (z) {
+     *         return JXG.C.div(JXG.C.sub(JXG.C.mult(z, z), 1), JXG.C.sub(z, new JXG.Complex(0, 1)));
+     *     }]);
+     * })();
+     * </script><pre>
+     *
+     * @example
+     * // exp(a z) with a slider a
+     * var a = board.create('slider', [[-2, 2.5], [1, 2.5], [0, 1, 2]]),
+     *     dc = board.create('domaincoloring', [function (z) {
+     *         return JXG.C.exp(JXG.C.mult(z, a.Value()));
+     *     }], {dynamic: true, resolution: 4});
+     */
+    JXG.createDomaincoloring = function (board, parents, attributes) {
+        var el, attr,
+            f = parents[0],
+            cache = {key: '', url: ''};
+
+        if (!Type.isFunction(f)) {
+            throw new Error("JSXGraph: Can't create domaincoloring with parent types '" +
+                (typeof parents[0]) + "'." +
+                "\nPossible parent types: [function]");
+        }
+
+        attr = Type.copyAttributes(attributes, board.options, 'domaincoloring');
+
+        el = board.create('image', [
+            function () {
+                var key, w, h, canvas, ctx, img,
+                    res = Math.max(Type.evaluate(el.visProp.resolution), 1);
+
+                w = Math.max(Math.ceil(board.canvasWidth / res), 1);
+                h = Math.max(Math.ceil(board.canvasHeight / res), 1);
+                key = board.getBoundingBox().join(',') + ',' + w + ',' + h + ',' + Type.evaluate(el.visProp.contours);
+
+                if (key !== cache.key || Type.evaluate(el.visProp.dynamic)) {
+                    cache.key = key;
+                    cache.url = '';
+                    canvas = priv.createCanvas(w, h);
+                    if (canvas !== null) {
+                        ctx = canvas.getContext('2d');
+                        img = ctx.createImageData(w, h);
+                        el.getPixels(w, h, img.data);
+                        ctx.putImageData(img, 0, 0);
+                        cache.url = canvas.toDataURL();
+                    }
+                }
+
+                return cache.url;
+            },
+            [
+                function () {
+                    return board.getBoundingBox()[0];
+                },
+                function () {
+                    return board.getBoundingBox()[3];
+                }
+            ],
+            [
+                function () {
+                    var bb = board.getBoundingBox();
+                    return bb[2] - bb[0];
+                },
+                function () {
+                    var bb = board.getBoundingBox();
+                    return bb[1] - bb[3];
+                }
+            ]
+        ], attr);
+
+        el.elType = 'domaincoloring';
+
+        /**
+         * The complex function.
+         * @name Domaincoloring#F
+         * @type Function
+         */
+        el.F = f;
+
+        /**
+         * Computes the colors of the visible part of the board in a grid of w x h pixels.
+         * @name Domaincoloring#getPixels
+         * @function
+         * @param {Number} w Width of the grid
+         * @param {Number} h Height of the grid
+         * @param {Array} [data] Array of length 4 w h, e.g. the data of an ImageData object, which receives the colors.
+         * @returns {Array} The RGBA values of the pixels, row by row starting at the top.
+         */
+        el.getPixels = function (w, h, data) {
+            var i, j, k, x, y, v, re, im, abs, l, rgb,
+                bb = this.board.getBoundingBox(),
+                contours = Type.evaluate(this.visProp.contours),
+                z = new JXG.Complex(0, 0);
+
+            data = data || [];
+            for (j = 0; j < h; j++) {
+                y = bb[1] - (j + 0.5) * (bb[1] - bb[3]) / h;
+                for (i = 0; i < w; i++) {
+                    x = bb[0] + (i + 0.5) * (bb[2] - bb[0]) / w;
+                    k = 4 * (j * w + i);
+
+                    z.real = x;
+                    z.imaginary = y;
+                    v = this.F(z);
+                    if (Type.isNumber(v)) {
+                        re = v;
+                        im = 0;
+                    } else if (Type.isArray(v)) {
+                        re = v[0];
+                        im = v[1];
+                    } else if (Type.exists(v) && v.isComplex) {
+                        re = v.real;
+                        im = v.imaginary;
+                    } else {
+                        re = NaN;
+                        im = NaN;
+                    }
+
+                    abs = Math.sqrt(re * re + im * im);
+                    if (isNaN(abs)) {
+                        // Transparent
+                        data[k] = data[k + 1] = data[k + 2] = data[k + 3] = 0;
+                        continue;
+                    }
+
+                    l = (abs === Infinity) ? 1 : 2 * Math.atan(abs) / Math.PI;
+                    if (contours && abs > 0 && abs < Infinity) {
+                        v = Math.log(abs) / Math.LN2;
+                        l *= 0.8 + 0.2 * (v - Math.floor(v));
+                    }
+                    rgb = priv.hsl2rgb(Math.atan2(im, re) / (2 * Math.PI), 1, l);
+
+                    data[k] = rgb[0];
+                    data[k + 1] = rgb[1];
+                    data[k + 2] = rgb[2];
+                    data[k + 3] = 255;
+                }
+            }
+
+            return data;
+        };
+
+        return el;
+    };
+
+    JXG.registerElement('domaincoloring', JXG.createDomaincoloring);
+
+    return {
+        createDomaincoloring: JXG.createDomaincoloring
+    };
+});
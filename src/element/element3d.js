@@ -0,0 +1,515 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ base/constants
+ base/coords
+ base/point
+ utils/type
+ element/view3d
+ */
+
+/**
+ * @fileoverview The 3D elements point3d, line3d, curve3d, functiongraph3d and parametricsurface3d
+ * are defined in this file. They are projected onto the board by their {@link JXG.View3D}.
+ */
+
+define([
+    'jxg', 'base/constants', 'base/coords', 'base/point', 'utils/type', 'element/view3d'
+], function (JXG, Const, Coords, Point, Type, View3D) {
+
+    "use strict";
+
+    var priv = {
+        /**
+         * Throws an error if the first parent element is not a 3D view.
+         * @private
+         */
+        checkView: function (parents, elType, possible) {
+            if (!Type.exists(parents[0]) || parents[0].type !== Const.OBJECT_TYPE_VIEW3D) {
+                throw new Error("JSXGraph: Can't create " + elType + " with parent types '" +
+                    (typeof parents[0]) + "'." +
+                    "\nPossible parent types: " + possible);
+            }
+        },
+
+        /**
+         * Number of sample points of a 3D curve, depending on the update quality of the board.
+         * @private
+         */
+        numberPoints: function (el) {
+            if (el.board.updateQuality === el.board.BOARD_QUALITY_LOW) {
+                return Type.evaluate(el.visProp.numberpointslow);
+            }
+            return Type.evaluate(el.visProp.numberpointshigh);
+        },
+
+        /**
+         * Evaluates a range [a, b] whose entries may be functions.
+         * @private
+         */
+        range: function (r) {
+            return [Type.evaluate(r[0]), Type.evaluate(r[1])];
+        },
+
+        /**
+         * Moves a free 3D point parallel to the xy-plane such that its projection
+         * is the new position of the 2D point.
+         * @private
+         */
+        setPositionDirectly: function (method, coords) {
+            var c = new Coords(method, coords, this.board),
+                c3d = this.view.project2DTo3DPlane(c.usrCoords, this.Z3D());
+
+            // The xy-plane is seen from the side
+            if (isNaN(c3d[0]) || isNaN(c3d[1])) {
+                return this;
+            }
+            this.coords3D[0] = c3d[0];
+            this.coords3D[1] = c3d[1];
+
+            return Point.Point.prototype.setPositionDirectly.call(this, Const.COORDS_BY_USER,
+                this.view.project3DTo2D(c3d).slice(1));
+        }
+    };
+
+    /**
+     * @class A point in a 3D view. It is rendered as a usual {@link Point} at the projected position.
+     * If all coordinates are numbers, the point can be dragged parallel to the xy-plane.
+     * @pseudo
+     * @name Point3D
+     * @augments JXG.Point
+     * @constructor
+     * @type JXG.Point
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {View3D_Number,Function_Number,Function_Number,Function} view,x,y,z The coordinates of the point.
+     * They may also be given as array [x, y, z].
+     * @example
+     * var view = board.create('view3d', [[-4, -4], [8, 8], [[-3, 3], [-3, 3], [-3, 3]]]),
+     *     p = view.create('point3d', [1, 2, 2], {name: 'P'}),
+     *     q = view.create('point3d', [function () { return p.X3D(); }, function () { return p.Y3D(); }, 0]);
+     */
+    JXG.createPoint3D = function (board, parents, attributes) {
+        var el, attr, c, i, free,
+            view = parents[0];
+
+        priv.checkView(parents, 'point3d', '[view3d, number|function, number|function, number|function]');
+
+        c = Type.isArray(parents[1]) ? parents[1] : parents.slice(1);
+        if (c.length !== 3) {
+            throw new Error("JSXGraph: Can't create point3d with " + c.length + " coordinates." +
+                "\nPossible parent types: [view3d, number|function, number|function, number|function]");
+        }
+
+        free = true;
+        for (i = 0; i < 3; i++) {
+            free = free && Type.isNumber(c[i]);
+        }
+
+        attr = Type.copyAttributes(attributes, board.options, 'point3d');
+        el = board.create('point', [0, 0], attr);
+        el.elType = 'point3d';
+
+        /**
+         * The 3D view of the point.
+         * @name view
+         * @memberOf Point3D.prototype
+         * @type JXG.View3D
+         */
+        el.view = view;
+
+        /**
+         * The 3D coordinates of the point. Entries may be functions.
+         * @name coords3D
+         * @memberOf Point3D.prototype
+         * @type Array
+         */
+        el.coords3D = c.slice(0);
+
+        /**
+         * Returns the x-coordinate of the point.
+         * @name X3D
+         * @memberOf Point3D.prototype
+         * @function
+         * @returns {Number}
+         */
+        el.X3D = function () {
+            return Type.evaluate(this.coords3D[0]);
+        };
+
+        /**
+         * Returns the y-coordinate of the point.
+         * @name Y3D
+         * @memberOf Point3D.prototype
+         * @function
+         * @returns {Number}
+         */
+        el.Y3D = function () {
+            return Type.evaluate(this.coords3D[1]);
+        };
+
+        /**
+         * Returns the z-coordinate of the point.
+         * @name Z3D
+         * @memberOf Point3D.prototype
+         * @function
+         * @returns {Number}
+         */
+        el.Z3D = function () {
+            return Type.evaluate(this.coords3D[2]);
+        };
+
+        el.updateConstraint = function () {
+            var c2d = this.view.project3DTo2D(this.X3D(), this.Y3D(), this.Z3D());
+
+            this.coords.setCoordinates(Const.COORDS_BY_USER, c2d, false);
+            return this;
+        };
+
+        if (free) {
+            el.setPositionDirectly = priv.setPositionDirectly;
+        } else {
+            el.isDraggable = false;
+        }
+
+        el.methodMap = Type.deepCopy(el.methodMap, {
+            X3D: 'X3D',
+            Y3D: 'Y3D',
+            Z3D: 'Z3D'
+        });
+
+        view.objects[el.id] = el;
+        el.addParents([view]);
+        el.updateConstraint();
+
+        return el;
+    };
+
+    JXG.registerElement('point3d', JXG.createPoint3D);
+
+    /**
+     * @class A segment in a 3D view. It is either given by two points or by a point, a direction and a range.
+     * @pseudo
+     * @name Line3D
+     * @augments JXG.Line
+     * @constructor
+     * @type JXG.Line
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {View3D_Point3D,Array_Point3D,Array} view,point1,point2 The end points, given as {@link Point3D} or as
+     * arrays [x, y, z] of numbers or functions.
+     * @param {View3D_Point3D,Array_Array_Array} view,point,direction,range The segment from point + range[0] * direction to
+     * point + range[1] * direction.
+     * @example
+     * var view = board.create('view3d', [[-4, -4], [8, 8], [[-3, 3], [-3, 3], [-3, 3]]]),
+     *     p = view.create('point3d', [1, 2, 2]),
+     *     l1 = view.create('line3d', [p, [0, 0, 0]]),
+     *     l2 = view.create('line3d', [p, [1, 0, 0], [-1, 1]]);
+     */
+    JXG.createLine3D = function (board, parents, attributes) {
+        var el, attr, p1, p2, point, dir, range, pattr,
+            view = parents[0],
+            possible = '[view3d, point3d|array, point3d|array], [view3d, point3d|array, array, array]';
+
+        priv.checkView(parents, 'line3d', possible);
+
+        attr = Type.copyAttributes(attributes, board.options, 'line3d');
+        pattr = Type.copyAttributes(attributes, board.options, 'line3d', 'point');
+
+        if (parents.length === 4) {
+            point = Type.isArray(parents[1]) ? view.create('point3d', parents[1], pattr) : parents[1];
+            dir = parents[2];
+            range = parents[3];
+            p1 = view.create('point3d', [
+                function () { return point.X3D() + Type.evaluate(range[0]) * Type.evaluate(dir[0]); },
+                function () { return point.Y3D() + Type.evaluate(range[0]) * Type.evaluate(dir[1]); },
+                function () { return point.Z3D() + Type.evaluate(range[0]) * Type.evaluate(dir[2]); }
+            ], pattr);
+            p2 = view.create('point3d', [
+                function () { return point.X3D() + Type.evaluate(range[1]) * Type.evaluate(dir[0]); },
+                function () { return point.Y3D() + Type.evaluate(range[1]) * Type.evaluate(dir[1]); },
+                function () { return point.Z3D() + Type.evaluate(range[1]) * Type.evaluate(dir[2]); }
+            ], pattr);
+        } else if (parents.length === 3) {
+            p1 = Type.isArray(parents[1]) ? view.create('point3d', parents[1], pattr) : parents[1];
+            p2 = Type.isArray(parents[2]) ? view.create('point3d', parents[2], pattr) : parents[2];
+        } else {
+            throw new Error("JSXGraph: Can't create line3d with " + parents.length + " parent elements." +
+                "\nPossible parent types: " + possible);
+        }
+
+        el = board.create('segment', [p1, p2], attr);
+        el.elType = 'line3d';
+        el.view = view;
+
+        view.objects[el.id] = el;
+        el.addParents([view]);
+
+        return el;
+    };
+
+    JXG.registerElement('line3d', JXG.createLine3D);
+
+    /**
+     * @class A parametric curve in a 3D view.
+     * @pseudo
+     * @name Curve3D
+     * @augments JXG.Curve
+     * @constructor
+     * @type JXG.Curve
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {View3D_Function_Function_Function_Array} view,X,Y,Z,range The coordinate functions of the parameter t
+     * and the parameter range [a, b]. The number of sample points is given by the attributes
+     * {@link Curve#numberPointsHigh} and {@link Curve#numberPointsLow}.
+     * @example
+     * var view = board.create('view3d', [[-4, -4], [8, 8], [[-3, 3], [-3, 3], [-3, 3]]]),
+     *     helix = view.create('curve3d', [Math.cos, Math.sin, function (t) { return t / 4; }, [-10, 10]]);
+     */
+    JXG.createCurve3D = function (board, parents, attributes) {
+        var el, attr, i, fun = [],
+            view = parents[0];
+
+        priv.checkView(parents, 'curve3d', '[view3d, function, function, function, [number, number]]');
+
+        if (parents.length !== 5) {
+            throw new Error("JSXGraph: Can't create curve3d with " + parents.length + " parent elements." +
+                "\nPossible parent types: [view3d, function, function, function, [number, number]]");
+        }
+        for (i = 0; i < 3; i++) {
+            fun[i] = Type.createFunction(parents[i + 1], board, 't');
+        }
+
+        attr = Type.copyAttributes(attributes, board.options, 'curve3d');
+        el = board.create('curve', [[], []], attr);
+        el.elType = 'curve3d';
+        el.view = view;
+
+        /**
+         * The coordinate functions [X, Y, Z] of the curve.
+         * @name functions
+         * @memberOf Curve3D.prototype
+         * @type Array
+         */
+        el.functions = fun;
+
+        /**
+         * The parameter range [a, b]. Its entries may be functions.
+         * @name range
+         * @memberOf Curve3D.prototype
+         * @type Array
+         */
+        el.range = parents[4];
+
+        el.updateDataArray = function () {
+            var k, t, c2d,
+                r = priv.range(this.range),
+                n = priv.numberPoints(this),
+                delta = (r[1] - r[0]) / n;
+
+            this.dataX = [];
+            this.dataY = [];
+            for (k = 0; k <= n; k++) {
+                t = r[0] + k * delta;
+                c2d = this.view.project3DTo2D(this.functions[0](t), this.functions[1](t), this.functions[2](t));
+                this.dataX.push(c2d[1]);
+                this.dataY.push(c2d[2]);
+            }
+        };
+
+        view.objects[el.id] = el;
+        el.addParents([view]);
+
+        return el;
+    };
+
+    JXG.registerElement('curve3d', JXG.createCurve3D);
+
+    /**
+     * @class A parametric surface in a 3D view. It is rendered as a wire frame of the
+     * curves with constant u and constant v.
+     * @pseudo
+     * @name Parametricsurface3D
+     * @augments JXG.Curve
+     * @constructor
+     * @type JXG.Curve
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {View3D_Function_Function_Function_Array_Array} view,X,Y,Z,rangeU,rangeV The coordinate functions of
+     * the parameters u and v and the ranges [a, b] of u and v. The number of grid lines is given by the attributes
+     * {@link Parametricsurface3D#stepsU} and {@link Parametricsurface3D#stepsV}.
+     * @example
+     * var view = board.create('view3d', [[-4, -4], [8, 8], [[-3, 3], [-3, 3], [-3, 3]]]),
+     *     sphere = view.create('parametricsurface3d', [
+     *         function (u, v) { return 2 * Math.sin(u) * Math.cos(v); },
+     *         function (u, v) { return 2 * Math.sin(u) * Math.sin(v); },
+     *         function (u, v) { return 2 * Math.cos(u); },
+     *         [0, Math.PI], [0, 2 * Math.PI]
+     *     ]);
+     */
+    JXG.createParametricSurface3D = function (board, parents, attributes) {
+        var el, attr, i, fun = [],
+            view = parents[0],
+            possible = '[view3d, function, function, function, [number, number], [number, number]]';
+
+        priv.checkView(parents, 'parametricsurface3d', possible);
+
+        if (parents.length !== 6) {
+            throw new Error("JSXGraph: Can't create parametricsurface3d with " + parents.length + " parent elements." +
+                "\nPossible parent types: " + possible);
+        }
+        for (i = 0; i < 3; i++) {
+            fun[i] = Type.createFunction(parents[i + 1], board, 'u, v');
+        }
+
+        attr = Type.copyAttributes(attributes, board.options, 'parametricsurface3d');
+        el = board.create('curve', [[], []], attr);
+        el.elType = 'parametricsurface3d';
+        el.view = view;
+
+        /**
+         * The coordinate functions [X, Y, Z] of the surface.
+         * @name functions
+         * @memberOf Parametricsurface3D.prototype
+         * @type Array
+         */
+        el.functions = fun;
+
+        /**
+         * The ranges of the parameters u and v. Their entries may be functions.
+         * @name range
+         * @memberOf Parametricsurface3D.prototype
+         * @type Array
+         */
+        el.range = [parents[4], parents[5]];
+
+        /**
+         * Computes the wire frame. The grid lines are separated by NaN entries.
+         * @ignore
+         */
+        el.updateDataArray = function () {
+            var i, j, u, v, c2d,
+                that = this,
+                ru = priv.range(this.range[0]),
+                rv = priv.range(this.range[1]),
+                nu = Type.evaluate(this.visProp.stepsu),
+                nv = Type.evaluate(this.visProp.stepsv),
+                du = (ru[1] - ru[0]) / nu,
+                dv = (rv[1] - rv[0]) / nv,
+                add = function (u, v) {
+                    c2d = that.view.project3DTo2D(that.functions[0](u, v), that.functions[1](u, v),
+                        that.functions[2](u, v));
+                    that.dataX.push(c2d[1]);
+                    that.dataY.push(c2d[2]);
+                };
+
+            this.dataX = [];
+            this.dataY = [];
+
+            for (i = 0; i <= nu; i++) {
+                u = ru[0] + i * du;
+                for (j = 0; j <= nv; j++) {
+                    add(u, rv[0] + j * dv);
+                }
+                this.dataX.push(NaN);
+                this.dataY.push(NaN);
+            }
+            for (j = 0; j <= nv; j++) {
+                v = rv[0] + j * dv;
+                for (i = 0; i <= nu; i++) {
+                    add(ru[0] + i * du, v);
+                }
+                this.dataX.push(NaN);
+                this.dataY.push(NaN);
+            }
+        };
+
+        view.objects[el.id] = el;
+        el.addParents([view]);
+
+        return el;
+    };
+
+    JXG.registerElement('parametricsurface3d', JXG.createParametricSurface3D);
+
+    /**
+     * @class The graph of a function z = f(x, y) in a 3D view. It is rendered as a wire frame,
+     * see {@link Parametricsurface3D}.
+     * @pseudo
+     * @name Functiongraph3D
+     * @augments Parametricsurface3D
+     * @constructor
+     * @type JXG.Curve
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {View3D_Function_Array_Array} view,f,rangeX,rangeY The function and optionally the ranges [a, b] of x and y.
+     * The default ranges are given by the 3D bounding box of the view.
+     * @example
+     * var view = board.create('view3d', [[-4, -4], [8, 8], [[-3, 3], [-3, 3], [-3, 3]]]),
+     *     graph = view.create('functiongraph3d', [function (x, y) { return Math.sin(x) * Math.cos(y); }]);
+     */
+    JXG.createFunctiongraph3D = function (board, parents, attributes) {
+        var el, attr, f,
+            view = parents[0],
+            rx = parents[2] || view.bbox3D[0],
+            ry = parents[3] || view.bbox3D[1];
+
+        priv.checkView(parents, 'functiongraph3d', '[view3d, function, [number, number], [number, number]]');
+
+        f = Type.createFunction(parents[1], board, 'x, y');
+        if (!Type.exists(f)) {
+            throw new Error("JSXGraph: Can't create functiongraph3d with parent types '" + (typeof parents[1]) + "'." +
+                "\nPossible parent types: [view3d, function, [number, number], [number, number]]");
+        }
+
+        attr = Type.copyAttributes(attributes, board.options, 'functiongraph3d');
+        el = view.create('parametricsurface3d', [
+            function (u, v) { return u; },
+            function (u, v) { return v; },
+            f,
+            rx, ry
+        ], attr);
+        el.elType = 'functiongraph3d';
+
+        return el;
+    };
+
+    JXG.registerElement('functiongraph3d', JXG.createFunctiongraph3D);
+
+    return {
+        createPoint3D: JXG.createPoint3D,
+        createLine3D: JXG.createLine3D,
+        createCurve3D: JXG.createCurve3D,
+        createParametricSurface3D: JXG.createParametricSurface3D,
+        createFunctiongraph3D: JXG.createFunctiongraph3D
+    };
+});
@@ -0,0 +1,263 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+
+/*global JXG: true, define: true, window: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ utils/env
+ utils/type
+ */
+
+/**
+ * @fileoverview In this file the Radiogroup element is defined.
+ */
+
+define([
+    'jxg', 'utils/env', 'utils/type'
+], function (JXG, Env, Type) {
+
+    "use strict";
+
+    var priv = {
+            RadioChangeEventHandler: function () {
+                this._readRadios();
+                this.board.update();
+            },
+
+            StopPropagationHandler: function (evt) {
+                if (Type.exists(evt.stopPropagation)) {
+                    evt.stopPropagation();
+                }
+            }
+        };
+
+    /**
+     * @class This element is used to provide a constructor for special texts containing a group of
+     * HTML radio buttons. At most one of the options can be chosen.
+     *
+     * @pseudo
+     * @description
+     * @name Radiogroup
+     * @augments Text
+     * @constructor
+     * @type JXG.Text
+     *
+     * @param {number,function_number,function_Array_String} x,y,options,label Parent elements for radiogroup elements.
+     *                     <p>
+     *                     x and y are the coordinates of the lower left corner of the text box.
+     *                     The position of the text is fixed,
+     *                     x and y are numbers. The position is variable if x or y are functions.
+     *                     <p>
+     *                     The options are given as array. An entry is either a string, which is
+     *                     label and value of the radio button, or an array [value, label]. The value
+     *                     may be of any type, e.g. a number.
+     *                     <p>
+     *                     The label of the group may be given as string.
+     *                     <p>
+     *                     The checked radio button is controlled with the attribute <tt>selected</tt>,
+     *                     its value is returned by <tt>Value()</tt>.
+     *                     <p>The HTML nodes of the radio buttons can be accessed with <tt>element.rendNodeRadios</tt>
+     *
+     * @example
+     *   // Create a radio group at position [0,3].
+     *   var quiz = board.create('radiogroup', [0, 3, [[0, 'x^2'], [1, '2x'], [0, 'x']], 'Derivative of x^2:'], {}),
+     *       t = board.create('text', [0, 0, function() {
+     *           if (quiz.Index() < 0) {
+     *               return '';
+     *           }
+     *           return quiz.Value() === 1 ? 'Correct' : 'Wrong';
+     *       }]);
+     * </pre><div class="jxgbox" id="JXG94a329af-db81-4d54-9b8d-bc874f9164ed" style="width: 300px; height: 300px;"></div>
+     * <script type="text/javascript">
+     * (function() {
+     *   var board = JXG.JSXGraph.initBoard('JXG94a329af-db81-4d54-9b8d-bc874f9164ed', {boundingbox: [-3, 6, 5, -3], axis: true, showcopyright: false, shownavigation: false});
+     *   var quiz = board.create('radiogroup', [0, 3, [[0, 'x^2'], [1, '2x'], [0, 'x']], 'Derivative of x^2:'], {}),
+     *       t = board.create('text', [0, 0, function() {
+     *           if (quiz.Index() < 0) {
+     *               return '';
+     *           }
+     *           return quiz.Value() === 1 ? 'Correct' : 'Wrong';
+     *       }]);
+     * })();
+     * </script><pre>
+     */
+    JXG.createRadiogroup = function (board, parents, attributes) {
+        var t, par, i, html, node,
+            choices = [],
+            opts = Type.exists(parents[2]) ? parents[2] : [],
+            attr = Type.copyAttributes(attributes, board.options, 'radiogroup'),
+            sep = (attr.orientation === 'horizontal') ? '&nbsp;' : '<br/>';
+
+        html = '';
+        for (i = 0; i < opts.length; i++) {
+            if (Type.isArray(opts[i])) {
+                choices.push({value: opts[i][0], label: String(opts[i].length > 1 ? opts[i][1] : opts[i][0])});
+            } else {
+                choices.push({value: opts[i], label: String(opts[i])});
+            }
+            html += (i > 0 ? sep : '') + '<input type="radio" value="' + i + '" /><label for=""></label>';
+        }
+
+        par = [parents[0], parents[1],
+            '<span style="display:inline; white-space:nowrap; padding:0px;">' +
+            '<fieldset style="display:inline-block; border:none; margin:0px; padding:0px;">' +
+            '<span></span>' + sep + html +
+            '</fieldset>' +
+            '</span>'
+            ];
+
+        t = board.create('text', par, attr);
+        t.type = Type.OBJECT_TYPE_RADIOGROUP;
+        t.elType = 'radiogroup';
+
+        /**
+         * The options of the radio group as array of objects {value, label}.
+         * @name Radiogroup#choices
+         * @type Array
+         */
+        t.choices = choices;
+
+        // The fieldset disables all radio buttons at once
+        t.rendNodeTag = t.rendNode.childNodes[0].childNodes[0]; // Needed for unified treatment in setAttribute
+        t.rendNodeTag.disabled = !!attr.disabled;
+        t.rendNodeLabel = t.rendNodeTag.childNodes[0];
+        t.rendNodeLabel.innerHTML = Type.exists(parents[3]) ? parents[3] : '';
+        t.rendNodeLabel.id = t.rendNode.id + '_label';
+
+        t.rendNodeRadios = [];
+        t.rendNodeRadioLabels = [];
+        for (i = 0; i < t.rendNodeTag.childNodes.length; i++) {
+            node = t.rendNodeTag.childNodes[i];
+            if (node.nodeName && node.nodeName.toLowerCase() === 'input') {
+                node.name = t.rendNode.id + '_radio';
+                node.id = t.rendNode.id + '_radio' + t.rendNodeRadios.length;
+                t.rendNodeRadios.push(node);
+            } else if (node.nodeName && node.nodeName.toLowerCase() === 'label') {
+                node.innerHTML = choices[t.rendNodeRadioLabels.length].label;
+                node.setAttribute('for', t.rendNodeRadios[t.rendNodeRadioLabels.length].id);
+                t.rendNodeRadioLabels.push(node);
+            }
+        }
+
+        /**
+         * Reads the checked radio button from the HTML nodes.
+         * @private
+         */
+        t._readRadios = function () {
+            var k;
+
+            this._index = -1;
+            for (k = 0; k < this.rendNodeRadios.length; k++) {
+                if (this.rendNodeRadios[k].checked) {
+                    this._index = k;
+                    break;
+                }
+            }
+            this._value = this._index >= 0 ? this.choices[this._index].value : null;
+        };
+
+        /**
+         * Checks the radio button with the given index. An index outside of the list of options
+         * clears the selection.
+         * @name Radiogroup#setSelected
+         * @function
+         * @param {Number} index
+         * @returns {JXG.Text} Reference to the element.
+         */
+        t.setSelected = function (index) {
+            var k;
+
+            index = parseInt(index, 10);
+            for (k = 0; k < this.rendNodeRadios.length; k++) {
+                this.rendNodeRadios[k].checked = (k === index);
+            }
+            this._readRadios();
+            return this;
+        };
+
+        /**
+         * Returns the index of the checked radio button or -1, if no radio button is checked.
+         * @name Radiogroup#Index
+         * @function
+         * @returns {Number}
+         */
+        t.Index = function () {
+            return this._index;
+        };
+
+        /**
+         * Returns the value of the checked radio button or null, if no radio button is checked.
+         * @name Radiogroup#Value
+         * @function
+         * @returns {*}
+         */
+        t.Value = function () {
+            return this._value;
+        };
+
+        t.update = function () {
+            if (this.needsUpdate) {
+                JXG.Text.prototype.update.call(this);
+                this._readRadios();
+            }
+            return this;
+        };
+
+        t.setSelected(attr.selected);
+
+        for (i = 0; i < t.rendNodeRadios.length; i++) {
+            node = t.rendNodeRadios[i];
+            Env.addEvent(node, 'change', priv.RadioChangeEventHandler, t);
+            Env.addEvent(node, 'mousedown', priv.StopPropagationHandler, t);
+            Env.addEvent(node, 'touchstart', priv.StopPropagationHandler, t);
+            Env.addEvent(node, 'pointerdown', priv.StopPropagationHandler, t);
+            if (board.attr.keyboard.enabled && Type.exists(attr.tabindex)) {
+                node.setAttribute('tabindex', attr.tabindex);
+            }
+        }
+
+        // This sets the font-size of the radio buttons
+        t.visPropOld.fontsize = "0px";
+        board.renderer.updateTextStyle(t, false);
+
+        return t;
+    };
+
+    JXG.registerElement('radiogroup', JXG.createRadiogroup);
+
+    return {
+        createRadiogroup: JXG.createRadiogroup
+    };
+});
@@ -0,0 +1,234 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+
+/*global JXG: true, define: true, window: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ utils/env
+ utils/type
+ */
+
+/**
+ * @fileoverview In this file the Select element is defined.
+ */
+
+define([
+    'jxg', 'utils/env', 'utils/type'
+], function (JXG, Env, Type) {
+
+    "use strict";
+
+    var priv = {
+            SelectChangeEventHandler: function () {
+                this._index = this.rendNodeSelect.selectedIndex;
+                this._value = this.choices[this._index] ? this.choices[this._index].value : null;
+                this.board.update();
+            },
+
+            StopPropagationHandler: function (evt) {
+                if (Type.exists(evt.stopPropagation)) {
+                    evt.stopPropagation();
+                }
+            }
+        };
+
+    /**
+     * @class This element is used to provide a constructor for special texts containing a form select element
+     * (dropdown list).
+     *
+     * @pseudo
+     * @description
+     * @name Select
+     * @augments Text
+     * @constructor
+     * @type JXG.Text
+     *
+     * @param {number,function_number,function_Array_String} x,y,options,label Parent elements for select elements.
+     *                     <p>
+     *                     x and y are the coordinates of the lower left corner of the text box.
+     *                     The position of the text is fixed,
+     *                     x and y are numbers. The position is variable if x or y are functions.
+     *                     <p>
+     *                     The options are given as array. An entry is either a string, which is
+     *                     label and value of the option, or an array [value, label]. The value
+     *                     may be of any type, e.g. a number.
+     *                     <p>
+     *                     The label of the select element may be given as string.
+     *                     <p>
+     *                     The selected option is controlled with the attribute <tt>selected</tt>,
+     *                     its value is returned by <tt>Value()</tt>.
+     *                     <p>The HTML node can be accessed with <tt>element.rendNodeSelect</tt>
+     *
+     * @example
+     *   // Create a select element at position [0,3].
+     *   var sel = board.create('select', [0, 3, [[1, 'sin'], [2, 'cos'], [3, 'tan']], 'Function: '], {}),
+     *       graph = board.create('functiongraph', [function (x) {
+     *           switch (sel.Value()) {
+     *           case 2: return Math.cos(x);
+     *           case 3: return Math.tan(x);
+     *           }
+     *           return Math.sin(x);
+     *       }]);
+     * </pre><div class="jxgbox" id="JXG752051c1-9ba4-4988-8282-8cb9fef5a9e1" style="width: 300px; height: 300px;"></div>
+     * <script type="text/javascript">
+     * (function() {
+     *   var board = JXG.JSXGraph.initBoard('JXG752051c1-9ba4-4988-8282-8cb9fef5a9e1', {boundingbox: [-3, 6, 5, -3], axis: true, showcopyright: false, shownavigation: false});
+     *   var sel = board.create('select', [0, 3, [[1, 'sin'], [2, 'cos'], [3, 'tan']], 'Function: '], {}),
+     *       graph = board.create('functiongraph', [function (x) {
+     *           switch (sel.Value()) {
+     *           case 2: return Math.cos(x);
+     *           case 3: return Math.tan(x);
+     *           }
+     *           return Math.sin(x);
+     *       }]);
+     * })();
+     * </script><pre>
+     */
+    JXG.createSelect = function (board, parents, attributes) {
+        var t, par, i, html,
+            choices = [],
+            opts = Type.exists(parents[2]) ? parents[2] : [],
+            attr = Type.copyAttributes(attributes, board.options, 'select');
+
+        html = '';
+        for (i = 0; i < opts.length; i++) {
+            if (Type.isArray(opts[i])) {
+                choices.push({value: opts[i][0], label: String(opts[i].length > 1 ? opts[i][1] : opts[i][0])});
+            } else {
+                choices.push({value: opts[i], label: String(opts[i])});
+            }
+            html += '<option value="' + i + '">' + choices[i].label + '</option>';
+        }
+
+        par = [parents[0], parents[1],
+            '<span style="display:inline; white-space:nowrap; padding:0px;">' +
+            '<span></span><select>' + html + '</select>' +
+            '</span>'
+            ];
+
+        t = board.create('text', par, attr);
+        t.type = Type.OBJECT_TYPE_SELECT;
+        t.elType = 'select';
+
+        /**
+         * The options of the select element as array of objects {value, label}.
+         * @name Select#choices
+         * @type Array
+         */
+        t.choices = choices;
+
+        t.rendNodeLabel = t.rendNode.childNodes[0].childNodes[0];
+        t.rendNodeSelect = t.rendNode.childNodes[0].childNodes[1];
+        t.rendNodeLabel.innerHTML = Type.exists(parents[3]) ? parents[3] : '';
+        t.rendNodeTag = t.rendNodeSelect; // Needed for unified treatment in setAttribute
+        t.rendNodeTag.disabled = !!attr.disabled;
+        t.rendNodeLabel.id = t.rendNode.id + '_label';
+        t.rendNodeSelect.id = t.rendNode.id + '_select';
+
+        /**
+         * Selects the option with the given index. An index outside of the list of options
+         * clears the selection.
+         * @name Select#setSelected
+         * @function
+         * @param {Number} index
+         * @returns {JXG.Text} Reference to the element.
+         */
+        t.setSelected = function (index) {
+            index = parseInt(index, 10);
+            if (isNaN(index) || index < 0 || index >= this.choices.length) {
+                index = -1;
+            }
+            this.rendNodeSelect.selectedIndex = index;
+            this._index = index;
+            this._value = index >= 0 ? this.choices[index].value : null;
+            return this;
+        };
+
+        /**
+         * Returns the index of the selected option or -1, if no option is selected.
+         * @name Select#Index
+         * @function
+         * @returns {Number}
+         */
+        t.Index = function () {
+            return this._index;
+        };
+
+        /**
+         * Returns the value of the selected option or null, if no option is selected.
+         * @name Select#Value
+         * @function
+         * @returns {*}
+         */
+        t.Value = function () {
+            return this._value;
+        };
+
+        t.update = function () {
+            var idx;
+
+            if (this.needsUpdate) {
+                JXG.Text.prototype.update.call(this);
+                idx = this.rendNodeSelect.selectedIndex;
+                this._index = idx;
+                this._value = idx >= 0 && idx < this.choices.length ? this.choices[idx].value : null;
+            }
+            return this;
+        };
+
+        t.setSelected(attr.selected);
+
+        Env.addEvent(t.rendNodeSelect, 'change', priv.SelectChangeEventHandler, t);
+        Env.addEvent(t.rendNodeSelect, 'mousedown', priv.StopPropagationHandler, t);
+        Env.addEvent(t.rendNodeSelect, 'touchstart', priv.StopPropagationHandler, t);
+        Env.addEvent(t.rendNodeSelect, 'pointerdown', priv.StopPropagationHandler, t);
+
+        if (board.attr.keyboard.enabled && Type.exists(attr.tabindex)) {
+            t.rendNodeSelect.setAttribute('tabindex', attr.tabindex);
+        }
+
+        // This sets the font-size of the select HTML element
+        t.visPropOld.fontsize = "0px";
+        board.renderer.updateTextStyle(t, false);
+
+        return t;
+    };
+
+    JXG.registerElement('select', JXG.createSelect);
+
+    return {
+        createSelect: JXG.createSelect
+    };
+});
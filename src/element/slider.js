@@ -30,7 +30,7 @@
  */
 
 
-/*global JXG: true, define: true*/
+/*global JXG: true, define: true, window: true, setTimeout: true*/
 /*jslint nomen: true, plusplus: true*/
 
 /* depends:
@@ -39,6 +39,7 @@
  base/constants
  base/point
  utils/type
+ utils/env
   elements:
    point
    group
@@ -55,9 +56,9 @@
  */
 
 define([
-    'jxg', 'math/math', 'base/constants', 'utils/type', 'base/point', 'base/group',
+    'jxg', 'math/math', 'base/constants', 'utils/type', 'utils/env', 'base/point', 'base/group',
     'base/element', 'base/line', 'base/ticks', 'base/text'
-], function (JXG, Mat, Const, Type, Point, Group, GeometryElement, Line, Ticks, Text) {
+], function (JXG, Mat, Const, Type, Env, Point, Group, GeometryElement, Line, Ticks, Text) {
 
     "use strict";
 
@@ -93,15 +94,27 @@ define([
      *     var s = board.create('slider', [[1, 3], [3, 1], [1, 10, 50]], {snapWidth: 1, ticks: { drawLabels: true }});
      *   })();
      * </script><pre>
+     * @example
+     * // A slider with play/pause and step buttons, which runs back and forth with 2 units per second.
+     * var s = board.create('slider', [[1, 2], [4, 2], [0, 0, 6]], {
+     *         withControls: true,
+     *         animationMode: 'bounce',
+     *         animationSpeed: 2
+     *     }),
+     *     c = board.create('circle', [[0, 0], function () { return s.Value(); }]);
+     *
+     * s.play();
      */
     JXG.createSlider = function (board, parents, attributes) {
         var pos0, pos1, smin, start, smax, sdiff,
             p1, p2, l1, ticks, ti, startx, starty, p3, l2, t,
-            withText, withTicks, snapWidth, attr, precision;
+            withText, withTicks, withControls, snapWidth, attr, precision,
+            playButton, stepButton;
 
         attr = Type.copyAttributes(attributes, board.options, 'slider');
         withTicks = attr.withticks;
         withText = attr.withlabel;
+        withControls = attr.withcontrols;
         snapWidth = attr.snapwidth;
         precision = attr.precision;
 
@@ -165,7 +178,10 @@ define([
             smax: '_smax',
             smin: '_smin',
             setMax: 'setMax',
-            setMin: 'setMin'
+            setMin: 'setMin',
+            play: 'play',
+            pause: 'pause',
+            step: 'step'
         });
 
         /**
@@ -228,6 +244,188 @@ define([
             return this;
         };
 
+        /**
+         * True, while the slider is animated by {@link Slider#play}.
+         * @memberOf Slider.prototype
+         * @name isPlaying
+         * @type Boolean
+         */
+        p3.isPlaying = false;
+
+        /**
+         * Direction of the animation, 1 towards the end value and -1 towards the start value.
+         * @memberOf Slider.prototype
+         * @name playDirection
+         * @type Number
+         */
+        p3.playDirection = 1;
+
+        /**
+         * Starts the animation of the slider. The value changes with the speed {@link Slider#animationSpeed}.
+         * At the end of the range, the animation continues according to {@link Slider#animationMode}.
+         * If the slider is dragged during the animation, the animation continues from the new value.
+         * The event 'play' is triggered.
+         * @memberOf Slider.prototype
+         * @name play
+         * @returns {Object} this object
+         * @see Slider#pause
+         */
+        p3.play = function () {
+            var v = this.position * (this._smax - this._smin) + this._smin;
+
+            if (this.isPlaying) {
+                return this;
+            }
+
+            // Start again, if the animation has stopped at the end
+            if (Type.evaluate(this.visProp.animationmode) === 'once' &&
+                    ((this.playDirection > 0 && this.position >= 1) || (this.playDirection < 0 && this.position <= 0))) {
+                v = (this.playDirection > 0) ? this._smin : this._smax;
+            }
+
+            this._playValue = v;
+            this._playPosition = this.position;
+            this._lastFrame = new Date().getTime();
+            this.isPlaying = true;
+            this._updateControls();
+            this.triggerEventHandlers(['play'], [this]);
+            this._nextFrame();
+
+            return this;
+        };
+
+        /**
+         * Stops the animation of the slider. The event 'pause' is triggered.
+         * @memberOf Slider.prototype
+         * @name pause
+         * @returns {Object} this object
+         * @see Slider#play
+         */
+        p3.pause = function () {
+            if (this.isPlaying) {
+                this.isPlaying = false;
+                this._updateControls();
+                this.triggerEventHandlers(['pause'], [this]);
+            }
+            return this;
+        };
+
+        /**
+         * Stops the animation and moves the slider by one step in the direction of the animation.
+         * The step is {@link Slider#snapWidth}, or a hundredth of the range, if snapWidth is not set.
+         * @memberOf Slider.prototype
+         * @name step
+         * @param {Number} [n=1] Number of steps, negative values move backwards.
+         * @returns {Object} this object
+         */
+        p3.step = function (n) {
+            var sw = Type.evaluate(this.visProp.snapwidth),
+                d = (sw > 0) ? sw : (this._smax - this._smin) / 100;
+
+            n = Type.def(n, 1);
+            this.pause();
+            this.setValue(this.Value() + n * this.playDirection * d);
+            this.board.update();
+
+            return this;
+        };
+
+        /**
+         * Schedules the next frame of the animation.
+         * @private
+         */
+        p3._nextFrame = function () {
+            var that = this,
+                frame = function () {
+                    that._playFrame();
+                };
+
+            if (Env.isBrowser && Type.exists(window.requestAnimationFrame)) {
+                window.requestAnimationFrame(frame);
+            } else {
+                setTimeout(frame, this.board.attr.animationdelay);
+            }
+        };
+
+        /**
+         * Advances the animation to the current time.
+         * @private
+         */
+        p3._playFrame = function () {
+            var now, speed, mode, v, old,
+                smin = this._smin,
+                smax = this._smax,
+                lo = Math.min(smin, smax),
+                hi = Math.max(smin, smax);
+
+            if (!this.isPlaying || !Type.exists(this.board.objects[this.id])) {
+                this.isPlaying = false;
+                return;
+            }
+
+            now = new Date().getTime();
+            speed = Type.evaluate(this.visProp.animationspeed);
+            if (!Type.exists(speed)) {
+                speed = (hi - lo) / 4;
+            }
+            mode = Type.evaluate(this.visProp.animationmode);
+
+            // The slider has been moved by the user
+            if (this.position !== this._playPosition) {
+                this._playValue = this.position * (smax - smin) + smin;
+            }
+
+            // Values increase from smin to smax, also if smin > smax
+            v = this._playValue + this.playDirection * ((smax >= smin) ? 1 : -1) * speed * (now - this._lastFrame) / 1000;
+            this._lastFrame = now;
+
+            if (v > hi || v < lo) {
+                if (mode === 'bounce') {
+                    v = (v > hi) ? 2 * hi - v : 2 * lo - v;
+                    v = Math.max(lo, Math.min(hi, v));
+                    this.playDirection *= -1;
+                } else if (mode === 'once') {
+                    v = Math.max(lo, Math.min(hi, v));
+                    this.isPlaying = false;
+                } else if (hi > lo) {
+                    // loop
+                    v = (this.playDirection * ((smax >= smin) ? 1 : -1) > 0) ? lo + (v - hi) % (hi - lo) : hi - (lo - v) % (hi - lo);
+                }
+            }
+
+            old = this.Value();
+            this._playValue = v;
+            this.setValue(v);
+            this._playPosition = this.position;
+
+            // With snapWidth, the board is only updated if the value changes
+            if (this.Value() !== old) {
+                this.board.update();
+            }
+
+            if (this.isPlaying) {
+                this._nextFrame();
+            } else {
+                this._updateControls();
+                this.triggerEventHandlers(['pause'], [this]);
+            }
+        };
+
+        /**
+         * Shows the play or pause symbol on the play button.
+         * @private
+         */
+        p3._updateControls = function () {
+            var c;
+
+            if (!withControls) {
+                return;
+            }
+            c = this.playButton.visProp;
+            this.playButton.setText(this.isPlaying ? Type.evaluate(c.pausesymbol) : Type.evaluate(c.playsymbol));
+            this.board.update();
+        };
+
         if (withText) {
             attr = Type.copyAttributes(attributes, board.options, 'slider', 'label');
             t = board.create('text', [
@@ -354,12 +552,68 @@ define([
             p3.ticks = ti;
         }
 
+        if (withControls) {
+            attr = Type.copyAttributes(attributes, board.options, 'slider', 'controls');
+            playButton = board.create('text', [
+                function () {
+                    return p1.X() - 2.5 * attr.fontsize / board.unitX;
+                },
+                function () {
+                    return p1.Y();
+                },
+                attr.playsymbol
+            ], attr);
+            playButton.on('down', function () {
+                if (p3.isPlaying) {
+                    p3.pause();
+                } else {
+                    p3.play();
+                }
+            });
+
+            stepButton = board.create('text', [
+                function () {
+                    return p1.X() - attr.fontsize / board.unitX;
+                },
+                function () {
+                    return p1.Y();
+                },
+                attr.stepsymbol
+            ], attr);
+            stepButton.on('down', function () {
+                p3.step();
+            });
+
+            /**
+             * The button left of the slider, which starts and stops the animation.
+             * @memberOf Slider.prototype
+             * @name playButton
+             * @type JXG.Text
+             */
+            p3.playButton = playButton;
+
+            /**
+             * The button left of the slider, which moves the slider by one step.
+             * @memberOf Slider.prototype
+             * @name stepButton
+             * @type JXG.Text
+             */
+            p3.stepButton = stepButton;
+        }
+
         // override the point's remove method to ensure the removal of all elements
         p3.remove = function () {
+            this.isPlaying = false;
+
             if (withText) {
                 board.removeObject(t);
             }
 
+            if (withControls) {
+                board.removeObject(stepButton);
+                board.removeObject(playButton);
+            }
+
             board.removeObject(l2);
             board.removeObject(l1);
             board.removeObject(p2);
@@ -390,6 +644,14 @@ define([
             p3.inherits.push(ti);
         }
 
+        if (withControls) {
+            playButton.dump = false;
+            stepButton.dump = false;
+            p3.subs.playButton = playButton;
+            p3.subs.stepButton = stepButton;
+            p3.inherits.push(playButton, stepButton);
+        }
+
         // Save the visibility attribute of the sub-elements
         // for (el in p3.subs) {
         //     p3.subs[el].status = {
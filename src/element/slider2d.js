@@ -0,0 +1,468 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ math/math
+ base/constants
+ base/coords
+ utils/type
+  elements:
+   point
+   polygon
+   glider
+   ticks
+   text
+   curve
+ */
+
+/**
+ * @fileoverview The geometry object slider2d is defined in this file. A slider2d is a rectangular pad
+ * with a draggable knob, which controls two values at once.
+ */
+
+define([
+    'jxg', 'math/math', 'base/constants', 'base/coords', 'utils/type'
+], function (JXG, Mat, Const, Coords, Type) {
+
+    "use strict";
+
+    var priv = {
+        /**
+         * Value of an axis glider, as for sliders.
+         * @private
+         */
+        axisValue: function () {
+            var sdiff = this._smax - this._smin,
+                ev_sw = Type.evaluate(this.visProp.snapwidth);
+
+            return ev_sw === -1 ?
+                        this.position * sdiff + this._smin :
+                        Math.round((this.position * sdiff + this._smin) / ev_sw) * ev_sw;
+        },
+
+        /**
+         * Sets the value of an axis glider.
+         * @private
+         */
+        setAxisValue: function (g, val) {
+            var sdiff = g._smax - g._smin;
+
+            g.position = (Math.abs(sdiff) > Mat.eps) ? (val - g._smin) / sdiff : 0.0;
+            g.position = Math.max(0.0, Math.min(1.0, g.position));
+        },
+
+        /**
+         * Position of the value of an axis glider in [0, 1]. Snapped values are taken into account.
+         * @private
+         */
+        fraction: function (g) {
+            var sdiff = g._smax - g._smin;
+
+            if (Math.abs(sdiff) < Mat.eps) {
+                return 0.0;
+            }
+            return Math.max(0.0, Math.min(1.0, (g.Value() - g._smin) / sdiff));
+        }
+    };
+
+    /**
+     * @class A slider2d, also called parameter pad, is a rectangular pad with a draggable knob. It controls two values,
+     * e.g. the real and imaginary part of a complex number or the components of a vector. The pad is a polygon,
+     * the values are stored by two gliders on its lower and left border, like the value of a {@link Slider}.
+     * These gliders can be dragged to change a single value.
+     * @pseudo
+     * @description
+     * @name Slider2d
+     * @augments JXG.Point
+     * @constructor
+     * @type JXG.Point
+     * @throws {Exception} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {Array_Array_Array} corner1,corner2,ranges The first two arrays are the coordinates of the lower left and
+     * the upper right corner of the pad. The third array contains the ranges of the two values
+     * [[xmin, xstart, xmax], [ymin, ystart, ymax]], as the third parent of a slider.
+     * @example
+     * // A parameter pad for a complex number c = a + bi
+     * var pad = board.create('slider2d', [[1, 1], [4, 4], [[-2, 0.5, 2], [-2, 1, 2]]], {
+     *         name: 'c',
+     *         snapWidth: [0.25, 0.25],
+     *         withGrid: true
+     *     }),
+     *     p = board.create('point', [function () { return pad.Value()[0]; }, function () { return pad.Value()[1]; }]);
+     *
+     * // The values can be set, e.g.
+     * pad.setValue([1, -1]);
+     * board.update();
+     */
+    JXG.createSlider2d = function (board, parents, attributes) {
+        var i, attr, corners, pad, gx, gy, knob, t, grid, ticksX, ticksY,
+            withTicks, withText, withGrid, precision, snap, xr, yr, fx, fy,
+            c1 = parents[0],
+            c2 = parents[1],
+            place, createTicks;
+
+        if (parents.length < 3 || !Type.isArray(c1) || !Type.isArray(c2) || !Type.isArray(parents[2]) ||
+                !Type.isArray(parents[2][0]) || !Type.isArray(parents[2][1])) {
+            throw new Error("JSXGraph: Can't create slider2d with parent types '" +
+                (typeof parents[0]) + "', '" + (typeof parents[1]) + "' and '" + (typeof parents[2]) + "'." +
+                "\nPossible parent types: [[x1,y1], [x2,y2], [[xmin,xstart,xmax], [ymin,ystart,ymax]]]");
+        }
+
+        attr = Type.copyAttributes(attributes, board.options, 'slider2d');
+        withTicks = attr.withticks;
+        withText = attr.withlabel;
+        withGrid = attr.withgrid;
+        precision = attr.precision;
+        snap = Type.isArray(attr.snapwidth) ? attr.snapwidth : [attr.snapwidth, attr.snapwidth];
+
+        xr = parents[2][0];
+        yr = parents[2][1];
+
+        // The corners in counter-clockwise order, starting at the lower left corner
+        attr = Type.copyAttributes(attributes, board.options, 'slider2d', 'corners');
+        corners = [
+            board.create('point', [c1[0], c1[1]], attr),
+            board.create('point', [c2[0], c1[1]], attr),
+            board.create('point', [c2[0], c2[1]], attr),
+            board.create('point', [c1[0], c2[1]], attr)
+        ];
+
+        attr = Type.copyAttributes(attributes, board.options, 'slider2d', 'pad');
+        pad = board.create('polygon', corners, attr);
+
+        // This is required for a correct projection of the gliders onto the borders below
+        pad.borders[0].updateStdform();
+        pad.borders[3].updateStdform();
+
+        // The glider of the x-value moves on the lower border from left to right,
+        // the glider of the y-value on the left border from top to bottom.
+        fx = (Math.abs(xr[2] - xr[0]) > Mat.eps) ? (xr[1] - xr[0]) / (xr[2] - xr[0]) : 0;
+        fy = (Math.abs(yr[2] - yr[0]) > Mat.eps) ? (yr[1] - yr[0]) / (yr[2] - yr[0]) : 0;
+
+        attr = Type.copyAttributes(attributes, board.options, 'slider2d', 'glider');
+        gx = board.create('glider', [c1[0] + fx * (c2[0] - c1[0]), c1[1], pad.borders[0]], attr);
+        gy = board.create('glider', [c1[0], c1[1] + fy * (c2[1] - c1[1]), pad.borders[3]], attr);
+
+        gx._smin = xr[0];
+        gx._smax = xr[2];
+        gy._smin = yr[2];
+        gy._smax = yr[0];
+        gx.setAttribute({snapwidth: snap[0]});
+        gy.setAttribute({snapwidth: snap[1]});
+        gx.Value = priv.axisValue;
+        gy.Value = priv.axisValue;
+
+        /**
+         * Position of the knob, determined by the values of the two gliders.
+         * @private
+         */
+        place = function () {
+            var a = corners[0].coords.usrCoords,
+                b = corners[1].coords.usrCoords,
+                d = corners[3].coords.usrCoords,
+                px = priv.fraction(gx),
+                py = 1 - priv.fraction(gy);
+
+            return [
+                a[1] + px * (b[1] - a[1]) + py * (d[1] - a[1]),
+                a[2] + px * (b[2] - a[2]) + py * (d[2] - a[2])
+            ];
+        };
+
+        // The knob
+        attr = Type.copyAttributes(attributes, board.options, 'slider2d');
+        // The label of a slider2d is a special text element, not the label of the knob.
+        attr.withLabel = false;
+        knob = board.create('point', place(), attr);
+
+        /**
+         * Returns the current values of the slider2d.
+         * @memberOf Slider2d.prototype
+         * @name Value
+         * @returns {Array} The values [x, y]
+         */
+        knob.Value = function () {
+            return [gx.Value(), gy.Value()];
+        };
+
+        /**
+         * Sets the values of the slider2d. The values are restricted to the ranges.
+         * This call must be followed by a board update call.
+         * @memberOf Slider2d.prototype
+         * @name setValue
+         * @param {Array|Number} x The values [x, y] or the first value
+         * @param {Number} [y] The second value, if x is a number
+         * @returns {Object} this object
+         */
+        knob.setValue = function (x, y) {
+            if (Type.isArray(x)) {
+                y = x[1];
+                x = x[0];
+            }
+            priv.setAxisValue(gx, x);
+            priv.setAxisValue(gy, y);
+            this.coords.setCoordinates(Const.COORDS_BY_USER, place(), false);
+
+            return this;
+        };
+
+        /**
+         * Moving the knob sets the values of the two gliders. The knob stays inside the pad
+         * and snaps to the values given by snapWidth.
+         * @private
+         */
+        knob.setPositionDirectly = function (method, coords) {
+            var c = new Coords(method, coords, this.board).usrCoords,
+                a = corners[0].coords.usrCoords,
+                b = corners[1].coords.usrCoords,
+                d = corners[3].coords.usrCoords,
+                ux = [b[1] - a[1], b[2] - a[2]],
+                uy = [d[1] - a[1], d[2] - a[2]],
+                det = ux[0] * uy[1] - ux[1] * uy[0],
+                px, py;
+
+            if (Math.abs(det) < Mat.eps) {
+                return this;
+            }
+
+            // Coordinates of the new position relative to the pad
+            px = ((c[1] - a[1]) * uy[1] - (c[2] - a[2]) * uy[0]) / det;
+            py = (ux[0] * (c[2] - a[2]) - ux[1] * (c[1] - a[1])) / det;
+
+            priv.setAxisValue(gx, gx._smin + px * (gx._smax - gx._smin));
+            priv.setAxisValue(gy, gy._smin + (1 - py) * (gy._smax - gy._smin));
+            // The gliders snap, too
+            gx.position = priv.fraction(gx);
+            gy.position = priv.fraction(gy);
+            this.coords.setCoordinates(Const.COORDS_BY_USER, place(), false);
+
+            return this;
+        };
+
+        // The knob follows the gliders, if they are dragged or the pad is moved.
+        knob.updateConstraint = function () {
+            this.coords.setCoordinates(Const.COORDS_BY_USER, place(), false);
+            return this;
+        };
+
+        knob.methodMap = Type.deepCopy(knob.methodMap, {
+            Value: 'Value',
+            setValue: 'setValue'
+        });
+
+        if (withText) {
+            attr = Type.copyAttributes(attributes, board.options, 'slider2d', 'label');
+            t = board.create('text', [
+                function () {
+                    return corners[2].X() + (corners[2].X() - corners[3].X()) * 0.05;
+                },
+                function () {
+                    return corners[2].Y();
+                },
+                function () {
+                    var v = knob.Value(),
+                        n = (knob.name && knob.name !== '') ? knob.name + ' = ' : '';
+
+                    return n + '(' + Type.toFixed(v[0], precision) + ', ' + Type.toFixed(v[1], precision) + ')';
+                }
+            ], attr);
+
+            /**
+             * The text element to the right of the pad, indicating the current values.
+             * @memberOf Slider2d.prototype
+             * @name label
+             * @type JXG.Text
+             */
+            knob.label = t;
+
+            // reset the withlabel attribute
+            knob.visProp.withlabel = true;
+            knob.hasLabel = true;
+        }
+
+        if (withTicks) {
+            createTicks = function (border, g, sub) {
+                var a = Type.copyAttributes(attributes, board.options, 'slider2d', sub);
+
+                if (!Type.exists(a.generatelabeltext)) {
+                    a.generateLabelText = function (tick, zero) {
+                        var dFull = border.point1.Dist(border.point2),
+                            val = (dFull < Mat.eps) ? 0 :
+                                    this.getDistanceFromZero(zero, tick) * (g._smax - g._smin) / dFull + g._smin;
+
+                        return (Math.abs(val) < Mat.eps) ? '0' : this.formatLabelText(val);
+                    };
+                }
+                return board.create('ticks', [border, 0], a);
+            };
+
+            ticksX = createTicks(pad.borders[0], gx, 'ticksX');
+            ticksY = createTicks(pad.borders[3], gy, 'ticksY');
+        }
+
+        if (withGrid) {
+            attr = Type.copyAttributes(attributes, board.options, 'slider2d', 'grid');
+            grid = board.create('curve', [[], []], attr);
+
+            grid.updateDataArray = function () {
+                var k, m, sw, steps, lo, hi, f, p, q,
+                    a = corners[0].coords.usrCoords,
+                    b = corners[1].coords.usrCoords,
+                    d = corners[3].coords.usrCoords,
+                    axes = [[gx, b, d], [gy, d, b]],
+                    div = Type.evaluate(this.visProp.divisions);
+
+                this.dataX = [];
+                this.dataY = [];
+
+                for (k = 0; k < 2; k++) {
+                    m = axes[k][0];
+                    lo = Math.min(m._smin, m._smax);
+                    hi = Math.max(m._smin, m._smax);
+                    sw = Type.evaluate(m.visProp.snapwidth);
+                    if (sw <= 0 || (hi - lo) / sw > 50) {
+                        sw = (hi - lo) / div;
+                    }
+                    if (sw <= 0) {
+                        continue;
+                    }
+
+                    steps = Math.floor((hi - lo) / sw + Mat.eps);
+                    for (i = 0; i <= steps; i++) {
+                        f = (Math.ceil(lo / sw - Mat.eps) + i) * sw;
+                        if (f > hi + Mat.eps) {
+                            break;
+                        }
+                        f = (f - m._smin) / (m._smax - m._smin);
+                        if (k === 1) {
+                            f = 1 - f;
+                        }
+                        // Line from the border at f to the opposite border
+                        p = [a[1] + f * (axes[k][1][1] - a[1]), a[2] + f * (axes[k][1][2] - a[2])];
+                        q = [p[0] + axes[k][2][1] - a[1], p[1] + axes[k][2][2] - a[2]];
+                        this.dataX.push(p[0], q[0], NaN);
+                        this.dataY.push(p[1], q[1], NaN);
+                    }
+                }
+            };
+            grid.fullUpdate();
+            grid.dump = false;
+        }
+
+        /**
+         * The pad, a polygon.
+         * @memberOf Slider2d.prototype
+         * @name pad
+         * @type JXG.Polygon
+         */
+        knob.pad = pad;
+
+        /**
+         * The glider on the lower border of the pad which stores the first value.
+         * @memberOf Slider2d.prototype
+         * @name gliderX
+         * @type JXG.Point
+         */
+        knob.gliderX = gx;
+
+        /**
+         * The glider on the left border of the pad which stores the second value.
+         * @memberOf Slider2d.prototype
+         * @name gliderY
+         * @type JXG.Point
+         */
+        knob.gliderY = gy;
+
+        // override the point's remove method to ensure the removal of all elements
+        knob.remove = function () {
+            if (withText) {
+                board.removeObject(t);
+            }
+            if (withGrid) {
+                board.removeObject(grid);
+            }
+            if (withTicks) {
+                board.removeObject(ticksX);
+                board.removeObject(ticksY);
+            }
+
+            board.removeObject(gy);
+            board.removeObject(gx);
+            board.removeObject(pad);
+            for (i = 3; i >= 0; i--) {
+                board.removeObject(corners[i]);
+            }
+
+            JXG.Point.prototype.remove.call(knob);
+        };
+
+        for (i = 0; i < 4; i++) {
+            corners[i].dump = false;
+        }
+        pad.dump = false;
+        gx.dump = false;
+        gy.dump = false;
+
+        knob.elType = 'slider2d';
+        knob.parents = parents;
+        knob.subs = {
+            pad: pad,
+            gliderX: gx,
+            gliderY: gy
+        };
+        knob.inherits.push(pad, gx, gy);
+
+        if (withTicks) {
+            ticksX.dump = false;
+            ticksY.dump = false;
+            knob.subs.ticksX = ticksX;
+            knob.subs.ticksY = ticksY;
+            knob.inherits.push(ticksX, ticksY);
+        }
+        if (withGrid) {
+            knob.subs.grid = grid;
+            knob.inherits.push(grid);
+        }
+
+        return knob;
+    };
+
+    JXG.registerElement('slider2d', JXG.createSlider2d);
+    JXG.registerElement('parameterpad', JXG.createSlider2d);
+
+    return {
+        createSlider2d: JXG.createSlider2d
+    };
+});
@@ -0,0 +1,186 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+
+/*global JXG: true, define: true, window: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ utils/env
+ utils/type
+ */
+
+/**
+ * @fileoverview In this file the Textarea element is defined.
+ */
+
+define([
+    'jxg', 'utils/env', 'utils/type'
+], function (JXG, Env, Type) {
+
+    "use strict";
+
+    var priv = {
+            TextareaInputEventHandler: function () {
+                this._value = this.rendNodeTextarea.value;
+                this.board.update();
+            },
+
+            StopPropagationHandler: function (evt) {
+                if (Type.exists(evt.stopPropagation)) {
+                    evt.stopPropagation();
+                }
+            }
+        };
+
+    /**
+     * @class This element is used to provide a constructor for special texts containing a multi-line
+     * form textarea element.
+     *
+     * @pseudo
+     * @description
+     * @name Textarea
+     * @augments Text
+     * @constructor
+     * @type JXG.Text
+     *
+     * @param {number,function_number,function_String_String} x,y,value,label Parent elements for textarea elements.
+     *                     <p>
+     *                     x and y are the coordinates of the lower left corner of the text box.
+     *                     The position of the text is fixed,
+     *                     x and y are numbers. The position is variable if x or y are functions.
+     *                     <p>
+     *                     The default value of the textarea may be given as string.
+     *                     <p>
+     *                     The label of the textarea may be given as string.
+     *                     <p>The HTML node can be accessed with <tt>element.rendNodeTextarea</tt>
+     *
+     * @example
+     *   // Create a textarea at position [0,4].
+     *   var area = board.create('textarea', [0, 4, '1, 2\n3, 1\n4, 3', 'Points:<br/>'], {rows: 4, cols: 12}),
+     *       curve = board.create('curve', [[], []]);
+     *
+     *   curve.updateDataArray = function() {
+     *       var i, c,
+     *           lines = area.Value().split('\n');
+     *
+     *       this.dataX = [];
+     *       this.dataY = [];
+     *       for (i = 0; i < lines.length; i++) {
+     *           c = lines[i].split(',');
+     *           if (c.length === 2) {
+     *               this.dataX.push(parseFloat(c[0]));
+     *               this.dataY.push(parseFloat(c[1]));
+     *           }
+     *       }
+     *   };
+     *   board.update();
+     * </pre><div class="jxgbox" id="JXG5e7878c3-60e8-4b5f-a942-c2345e859b2f" style="width: 300px; height: 300px;"></div>
+     * <script type="text/javascript">
+     * (function() {
+     *   var board = JXG.JSXGraph.initBoard('JXG5e7878c3-60e8-4b5f-a942-c2345e859b2f', {boundingbox: [-3, 6, 5, -3], axis: true, showcopyright: false, shownavigation: false});
+     *   var area = board.create('textarea', [0, 4, '1, 2\n3, 1\n4, 3', 'Points:<br/>'], {rows: 4, cols: 12}),
+     *       curve = board.create('curve', [[], []]);
+     *
+     *   curve.updateDataArray = function() {
+     *       var i, c,
+     *           lines = area.Value().split('\n');
+     *
+     *       this.dataX = [];
+     *       this.dataY = [];
+     *       for (i = 0; i < lines.length; i++) {
+     *           c = lines[i].split(',');
+     *           if (c.length === 2) {
+     *               this.dataX.push(parseFloat(c[0]));
+     *               this.dataY.push(parseFloat(c[1]));
+     *           }
+     *       }
+     *   };
+     *   board.update();
+     * })();
+     * </script><pre>
+     */
+    JXG.createTextarea = function (board, parents, attributes) {
+        var t, par,
+            attr = Type.copyAttributes(attributes, board.options, 'textarea');
+
+        par = [parents[0], parents[1],
+            '<span style="display:inline; white-space:nowrap; padding:0px;">' +
+            '<span></span><textarea rows="' + attr.rows + '" cols="' + attr.cols +
+                '" maxlength="' + attr.maxlength + '" style="vertical-align:top"></textarea>' +
+            '</span>'
+            ];
+
+        t = board.create('text', par, attr);
+        t.type = Type.OBJECT_TYPE_TEXTAREA;
+        t.elType = 'textarea';
+
+        t.rendNodeLabel = t.rendNode.childNodes[0].childNodes[0];
+        t.rendNodeTextarea = t.rendNode.childNodes[0].childNodes[1];
+        t.rendNodeLabel.innerHTML = Type.exists(parents[3]) ? parents[3] : '';
+        t.rendNodeTextarea.value = Type.exists(parents[2]) ? parents[2] : '';
+        t.rendNodeTag = t.rendNodeTextarea; // Needed for unified treatment in setAttribute
+        t.rendNodeTag.disabled = !!attr.disabled;
+        t.rendNodeLabel.id = t.rendNode.id + '_label';
+        t.rendNodeTextarea.id = t.rendNode.id + '_textarea';
+
+        t._value = t.rendNodeTextarea.value;
+        t.update = function () {
+            if (this.needsUpdate) {
+                JXG.Text.prototype.update.call(this);
+                this._value = this.rendNodeTextarea.value;
+            }
+            return this;
+        };
+        t.Value = function () {
+            return this._value;
+        };
+
+        Env.addEvent(t.rendNodeTextarea, 'input', priv.TextareaInputEventHandler, t);
+        Env.addEvent(t.rendNodeTextarea, 'mousedown', priv.StopPropagationHandler, t);
+        Env.addEvent(t.rendNodeTextarea, 'touchstart', priv.StopPropagationHandler, t);
+        Env.addEvent(t.rendNodeTextarea, 'pointerdown', priv.StopPropagationHandler, t);
+
+        // This sets the font-size of the textarea HTML element
+        t.visPropOld.fontsize = "0px";
+        board.renderer.updateTextStyle(t, false);
+
+        return t;
+    };
+
+    JXG.registerElement('textarea', JXG.createTextarea);
+
+    return {
+        createTextarea: JXG.createTextarea
+    };
+});
@@ -0,0 +1,457 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ options
+ base/constants
+ base/element
+ math/math
+ utils/type
+ */
+
+/**
+ * @fileoverview In this file the class JXG.View3D is defined. A 3D view is a rectangular area of a board
+ * in which 3D elements are projected onto the board.
+ */
+
+define([
+    'jxg', 'options', 'base/constants', 'base/element', 'math/math', 'utils/type'
+], function (JXG, Options, Const, GeometryElement, Mat, Type) {
+
+    "use strict";
+
+    /**
+     * A 3D view is a rectangular area of a board which shows a 3D scene. The 3D elements
+     * {@link Point3D}, {@link Line3D}, {@link Curve3D}, {@link Functiongraph3D} and {@link Parametricsurface3D}
+     * are projected onto the board and rendered as usual 2D elements. Therefore, 3D elements
+     * can be mixed with all the 2D elements of the board.
+     * <p>
+     * The camera looks at the center of the 3D bounding box. Its position is given by the
+     * azimuth and the elevation angle, see {@link View3D#az} and {@link View3D#el}.
+     *
+     * @class Creates a new 3D view. Do not use this constructor to create a view. Use {@link JXG.Board#create} with
+     * type {@link View3D} instead.
+     * @augments JXG.GeometryElement
+     * @param {JXG.Board} board The board the view is drawn on.
+     * @param {Array} parents Lower left corner and size of the view in user coordinates of the board
+     * and the 3D bounding box [[xmin, xmax], [ymin, ymax], [zmin, zmax]].
+     * @param {Object} attributes An object containing visual properties.
+     * @constructor
+     */
+    JXG.View3D = function (board, parents, attributes) {
+        this.constructor(board, attributes, Const.OBJECT_TYPE_VIEW3D, Const.OBJECT_CLASS_OTHER);
+
+        /**
+         * Lower left corner of the view in user coordinates of the board.
+         * The coordinates may be given as functions.
+         * @type Array
+         */
+        this.llftCorner = parents[0];
+
+        /**
+         * Width and height of the view in user coordinates of the board.
+         * @type Array
+         */
+        this.size = parents[1];
+
+        /**
+         * The 3D bounding box [[xmin, xmax], [ymin, ymax], [zmin, zmax]].
+         * @type Array
+         */
+        this.bbox3D = parents[2];
+
+        /**
+         * Azimuth of the camera in radians, i.e. the angle between the x-axis and the projection of the viewing
+         * direction onto the xy-plane.
+         * @type Number
+         */
+        this.az = Type.evaluate(this.visProp.az);
+
+        /**
+         * Elevation of the camera in radians, i.e. the angle between the xy-plane and the viewing direction.
+         * It is restricted to [-&pi;/2, &pi;/2].
+         * @type Number
+         */
+        this.el = Type.evaluate(this.visProp.el);
+
+        /**
+         * The projection of the homogeneous 3D coordinates [1, x, y, z] to the homogeneous 2D
+         * user coordinates [z, x, y] of the board. A 3x4 matrix, it is updated in {@link JXG.View3D#update}.
+         * @type Array
+         * @private
+         */
+        this.matrix3D = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0]];
+
+        /**
+         * The 3D elements of the view.
+         * @type Object
+         */
+        this.objects = {};
+
+        /**
+         * Camera position while orbiting, i.e. the position of the pointer in screen coordinates and
+         * the angles at the start of the movement.
+         * @type Object
+         * @private
+         */
+        this._orbit = null;
+
+        this.id = this.board.setId(this, 'V');
+        this.board.finalizeAdding(this);
+
+        this.methodMap = Type.deepCopy(this.methodMap, {
+            setView: 'setView',
+            project: 'project3DTo2D'
+        });
+
+        this.board.on('down', this._orbitStart, this);
+        this.board.on('move', this._orbitMove, this);
+        this.board.on('up', this._orbitEnd, this);
+
+        this.updateMatrix3D();
+    };
+
+    JXG.View3D.prototype = new GeometryElement();
+
+    JXG.extend(JXG.View3D.prototype, /** @lends JXG.View3D.prototype */ {
+
+        /**
+         * Creates a 3D element in this view, i.e. <tt>view.create('point3d', [1, 2, 3])</tt> is a shortcut for
+         * <tt>board.create('point3d', [view, 1, 2, 3])</tt>.
+         * @param {String} elementType Type of the 3D element, e.g. 'point3d'.
+         * @param {Array} parents Parent elements without the view.
+         * @param {Object} attributes
+         * @returns {JXG.GeometryElement}
+         */
+        create: function (elementType, parents, attributes) {
+            return this.board.create(elementType, [this].concat(parents || []), attributes);
+        },
+
+        /**
+         * Sets the position of the camera.
+         * @param {Number} az Azimuth in radians
+         * @param {Number} el Elevation in radians
+         * @returns {JXG.View3D} Reference to the view
+         */
+        setView: function (az, el) {
+            this.az = az;
+            this.el = el;
+            this.board.update();
+
+            return this;
+        },
+
+        /**
+         * Computes the projection matrix from the position of the camera, the 3D bounding box and the
+         * position of the view on the board. The 3D bounding box is scaled to the cube [-1, 1]^3 which is
+         * rotated into the camera coordinate system. If the attribute projection is 'central',
+         * the perspective projection {@link JXG.Math.projection} is applied.
+         * @returns {JXG.View3D} Reference to the view
+         * @private
+         */
+        updateMatrix3D: function () {
+            var i, sa, ca, se, ce, r, u, e, s, c, ll, w, h, ratio, proj, mv, t,
+                box = this.bbox3D,
+                // Radius of the sphere around the cube [-1, 1]^3
+                radius = Math.sqrt(3),
+                dist = Type.evaluate(this.visProp.distance) * radius;
+
+            this.el = Math.max(-Math.PI * 0.5, Math.min(Math.PI * 0.5, this.el));
+
+            sa = Math.sin(this.az);
+            ca = Math.cos(this.az);
+            se = Math.sin(this.el);
+            ce = Math.cos(this.el);
+
+            // Right, up and backward direction of the camera
+            r = [-sa, ca, 0];
+            u = [-se * ca, -se * sa, ce];
+            e = [ce * ca, ce * sa, se];
+
+            // Scaling and translation of the 3D bounding box to [-1, 1]^3
+            s = [];
+            c = [];
+            for (i = 0; i < 3; i++) {
+                s[i] = 2 / (Type.evaluate(box[i][1]) - Type.evaluate(box[i][0]));
+                c[i] = (Type.evaluate(box[i][1]) + Type.evaluate(box[i][0])) * 0.5;
+            }
+
+            // Model view matrix for the vectors [x, y, z, 1]
+            mv = [
+                [r[0] * s[0], r[1] * s[1], r[2] * s[2], 0],
+                [u[0] * s[0], u[1] * s[1], u[2] * s[2], 0],
+                [e[0] * s[0], e[1] * s[1], e[2] * s[2], -dist],
+                [0, 0, 0, 1]
+            ];
+            for (i = 0; i < 3; i++) {
+                mv[i][3] -= mv[i][0] * c[0] + mv[i][1] * c[1] + mv[i][2] * c[2];
+            }
+
+            ll = [Type.evaluate(this.llftCorner[0]), Type.evaluate(this.llftCorner[1])];
+            w = Type.evaluate(this.size[0]);
+            h = Type.evaluate(this.size[1]);
+            ratio = w / h;
+
+            if (Type.evaluate(this.visProp.projection) === 'central') {
+                proj = Mat.projection(2 * Math.atan(radius / dist), ratio, dist - radius, dist + radius);
+            } else {
+                proj = [
+                    [1 / (radius * ratio), 0, 0, 0],
+                    [0, 1 / radius, 0, 0],
+                    [0, 0, -1 / radius, 0],
+                    [0, 0, 0, 1]
+                ];
+            }
+            t = Mat.matMatMult(proj, mv);
+
+            // Viewport transformation of the normalized device coordinates [-1, 1]^2 to the
+            // view, and reordering to homogeneous coordinates with the first entry as projective coordinate.
+            this.matrix3D = [[], [], []];
+            for (i = 0; i < 4; i++) {
+                this.matrix3D[0][(i + 1) % 4] = t[3][i];
+                this.matrix3D[1][(i + 1) % 4] = (ll[0] + w * 0.5) * t[3][i] + w * 0.5 * t[0][i];
+                this.matrix3D[2][(i + 1) % 4] = (ll[1] + h * 0.5) * t[3][i] + h * 0.5 * t[1][i];
+            }
+
+            return this;
+        },
+
+        /**
+         * Projects 3D coordinates to the board.
+         * @param {Number|Array} x Either the x-coordinate or an array [x, y, z] or [1, x, y, z].
+         * @param {Number} [y]
+         * @param {Number} [z]
+         * @returns {Array} Homogeneous user coordinates [1, x, y] of the projection.
+         */
+        project3DTo2D: function (x, y, z) {
+            var c2d,
+                vec = Type.isArray(x) ? x.slice(0) : [x, y, z];
+
+            if (vec.length === 3) {
+                vec.unshift(1);
+            }
+            c2d = Mat.matVecMult(this.matrix3D, vec);
+
+            return [1, c2d[1] / c2d[0], c2d[2] / c2d[0]];
+        },
+
+        /**
+         * Inverse of the projection for points in the plane z = const, i.e. the point of the
+         * plane which is projected to the given point of the board.
+         * @param {Array} c2d User coordinates [x, y] or [1, x, y] of a point of the board.
+         * @param {Number} z The z-coordinate of the plane.
+         * @returns {Array} The coordinates [x, y, z] or [NaN, NaN, NaN] if the plane is seen from the side.
+         */
+        project2DTo3DPlane: function (c2d, z) {
+            var a, b, det,
+                m = this.matrix3D,
+                c = (c2d.length === 3) ? [c2d[1] / c2d[0], c2d[2] / c2d[0]] : c2d;
+
+            // The projection [w, w * c[0], w * c[1]] of [1, x, y, z] gives two linear equations for x and y.
+            a = [
+                [m[1][1] - c[0] * m[0][1], m[1][2] - c[0] * m[0][2]],
+                [m[2][1] - c[1] * m[0][1], m[2][2] - c[1] * m[0][2]]
+            ];
+            b = [
+                -(m[1][0] - c[0] * m[0][0]) - (m[1][3] - c[0] * m[0][3]) * z,
+                -(m[2][0] - c[1] * m[0][0]) - (m[2][3] - c[1] * m[0][3]) * z
+            ];
+            det = a[0][0] * a[1][1] - a[0][1] * a[1][0];
+
+            if (Math.abs(det) < Mat.eps) {
+                return [NaN, NaN, NaN];
+            }
+
+            return [
+                (b[0] * a[1][1] - a[0][1] * b[1]) / det,
+                (a[0][0] * b[1] - b[0] * a[1][0]) / det,
+                z
+            ];
+        },
+
+        /**
+         * Tests if a point of the board, given in screen coordinates, is inside of the view.
+         * @param {Number} x
+         * @param {Number} y
+         * @returns {Boolean}
+         */
+        hasPoint: function (x, y) {
+            var ll = this.llftCorner,
+                size = this.size,
+                ux = this.board.unitX,
+                uy = this.board.unitY,
+                x0 = this.board.origin.scrCoords[1] + Type.evaluate(ll[0]) * ux,
+                y0 = this.board.origin.scrCoords[2] - Type.evaluate(ll[1]) * uy;
+
+            return x >= x0 && x <= x0 + Type.evaluate(size[0]) * ux &&
+                y <= y0 && y >= y0 - Type.evaluate(size[1]) * uy;
+        },
+
+        // documented in GeometryElement
+        update: function () {
+            if (this.needsUpdate) {
+                this.updateMatrix3D();
+            }
+            return this;
+        },
+
+        // documented in GeometryElement
+        remove: function () {
+            this.board.off('down', this._orbitStart);
+            this.board.off('move', this._orbitMove);
+            this.board.off('up', this._orbitEnd);
+        },
+
+        /**
+         * Starts orbiting the camera if the board is dragged inside of the view and no element is hit.
+         * @param {Event} evt
+         * @private
+         */
+        _orbitStart: function (evt) {
+            var pos;
+
+            if (!Type.evaluate(this.visProp.orbit) || this.board.mode !== this.board.BOARD_MODE_NONE) {
+                return;
+            }
+
+            pos = this.board.getMousePosition(evt, 0);
+            if (this.hasPoint(pos[0], pos[1])) {
+                this._orbit = {
+                    x: pos[0],
+                    y: pos[1],
+                    az: this.az,
+                    el: this.el
+                };
+            }
+        },
+
+        /**
+         * Rotates the camera. Dragging over the full width of the view turns the camera by &pi;.
+         * @param {Event} evt
+         * @private
+         */
+        _orbitMove: function (evt) {
+            var pos, w, h;
+
+            if (this._orbit === null || this.board.mode !== this.board.BOARD_MODE_NONE) {
+                return;
+            }
+
+            pos = this.board.getMousePosition(evt, 0);
+            w = Type.evaluate(this.size[0]) * this.board.unitX;
+            h = Type.evaluate(this.size[1]) * this.board.unitY;
+
+            this.az = this._orbit.az - (pos[0] - this._orbit.x) / w * Math.PI;
+            this.el = this._orbit.el + (pos[1] - this._orbit.y) / h * Math.PI;
+
+            this.board.update();
+        },
+
+        /**
+         * Stops orbiting the camera.
+         * @private
+         */
+        _orbitEnd: function () {
+            if (this._orbit !== null) {
+                this._orbit = null;
+                this.board.update();
+            }
+        }
+    });
+
+    /**
+     * @class This element creates a 3D view on a board. 3D elements are created in the view
+     * by {@link JXG.View3D#create}. The camera can be rotated around the scene by dragging the
+     * view with the mouse, see {@link View3D#orbit}.
+     * @pseudo
+     * @name View3D
+     * @augments JXG.View3D
+     * @constructor
+     * @type JXG.View3D
+     * @throws {Error} If the element cannot be constructed with the given parent objects an exception is thrown.
+     * @param {Array_Array_Array} llftCorner,size,bbox3D The lower left corner [x, y] and the size [width, height] of the
+     * view in user coordinates of the board and the 3D bounding box [[xmin, xmax], [ymin, ymax], [zmin, zmax]].
+     * @example
+     * var view = board.create('view3d', [[-4, -4], [8, 8], [[-3, 3], [-3, 3], [-3, 3]]]),
+     *     p = view.create('point3d', [1, 2, 2], {name: 'P'}),
+     *     f = view.create('functiongraph3d', [function (x, y) { return Math.sin(x) * Math.cos(y); }]);
+     */
+    JXG.createView3D = function (board, parents, attributes) {
+        var view, attr, i, bbox, lower, upper, end, axes;
+
+        if (parents.length !== 3 || !Type.isArray(parents[0]) || !Type.isArray(parents[1]) ||
+                !Type.isArray(parents[2]) || parents[2].length !== 3) {
+            throw new Error("JSXGraph: Can't create view3d with parents " + JSON.stringify(parents) + "." +
+                "\nPossible parent types: [[x, y], [w, h], [[xmin, xmax], [ymin, ymax], [zmin, zmax]]]");
+        }
+
+        attr = Type.copyAttributes(attributes, board.options, 'view3d');
+        view = new JXG.View3D(board, parents, attr);
+        view.elType = 'view3d';
+
+        bbox = parents[2];
+        lower = [
+            function () { return Type.evaluate(bbox[0][0]); },
+            function () { return Type.evaluate(bbox[1][0]); },
+            function () { return Type.evaluate(bbox[2][0]); }
+        ];
+        upper = [
+            function () { return Type.evaluate(bbox[0][1]); },
+            function () { return Type.evaluate(bbox[1][1]); },
+            function () { return Type.evaluate(bbox[2][1]); }
+        ];
+        axes = ['xAxis', 'yAxis', 'zAxis'];
+
+        // The axes start at the lower corner of the 3D bounding box
+        for (i = 0; i < 3; i++) {
+            attr = Type.copyAttributes(attributes, board.options, 'view3d', axes[i].toLowerCase());
+            if (attr.visible !== false) {
+                end = lower.slice(0);
+                end[i] = upper[i];
+                view[axes[i]] = view.create('line3d', [lower, end], attr);
+            }
+        }
+
+        return view;
+    };
+
+    JXG.registerElement('view3d', JXG.createView3D);
+
+    return {
+        View3D: JXG.View3D,
+        createView3D: JXG.createView3D
+    };
+});
@@ -44,6 +44,7 @@
  renderer/vml
  renderer/canvas
  renderer/no
+ utils/virtualdom
  */
 
 /**
@@ -55,8 +56,8 @@
 
 define([
     'jxg', 'utils/env', 'utils/type', 'base/board', 'reader/file', 'options',
-    'renderer/svg', 'renderer/vml', 'renderer/canvas', 'renderer/no'
-], function (JXG, Env, Type, Board, FileReader, Options, SVGRenderer, VMLRenderer, CanvasRenderer, NoRenderer) {
+    'renderer/svg', 'renderer/vml', 'renderer/canvas', 'renderer/no', 'utils/virtualdom'
+], function (JXG, Env, Type, Board, FileReader, Options, SVGRenderer, VMLRenderer, CanvasRenderer, NoRenderer, VirtualDocument) {
 
     "use strict";
 
@@ -130,6 +131,16 @@ define([
                 doc = document;
             }
 
+            // Without a DOM, e.g. in node.js, the SVG renderer draws into a virtual document.
+            // The SVG markup is available via JXG.SVGRenderer#dumpToString.
+            if ((!Type.exists(doc) || doc === false) && attrRenderer === 'svg') {
+                doc = new VirtualDocument();
+                boxid = doc.createElement('div');
+                boxid.id = Type.exists(box) ? box : 'jxgbox';
+                doc.body.appendChild(boxid);
+                box = boxid.id;
+            }
+
             if (typeof doc === 'object' && box !== null) {
                 boxid = doc.getElementById(box);
 
@@ -187,6 +198,8 @@ define([
             attr = Type.copyAttributes(attributes, Options, 'board');
             attr.zoom = Type.copyAttributes(attr, Options, 'board', 'zoom');
             attr.pan = Type.copyAttributes(attr, Options, 'board', 'pan');
+            attr.keyboard = Type.copyAttributes(attr, Options, 'board', 'keyboard');
+            attr.aria = Type.copyAttributes(attr, Options, 'board', 'aria');
             attr.selection = Type.copyAttributes(attr, Options, 'board', 'selection');
             attr.navbar = Type.copyAttributes(attr.navbar, Options, 'navbar');
 
@@ -240,6 +253,8 @@ define([
             board.resizeContainer(dimensions.width, dimensions.height, true, true);
 
             // create elements like axes, grid, navigation, ...
+            // These are not part of the undo history.
+            board.history.suspend();
             board.suspendUpdate();
             board.initInfobox();
 
@@ -275,7 +290,9 @@ define([
             */
 
             board.renderer.drawZoomBar(board, attr.navbar);
+            board.renderer.drawLiveRegion(board);
             board.unsuspendUpdate();
+            board.history.resume();
 
             return board;
         },
@@ -304,6 +321,8 @@ define([
             attr = Type.copyAttributes(attributes, Options, 'board');
             attr.zoom = Type.copyAttributes(attributes, Options, 'board', 'zoom');
             attr.pan = Type.copyAttributes(attributes, Options, 'board', 'pan');
+            attr.keyboard = Type.copyAttributes(attributes, Options, 'board', 'keyboard');
+            attr.aria = Type.copyAttributes(attributes, Options, 'board', 'aria');
             attr.selection = Type.copyAttributes(attr, Options, 'board', 'selection');
             attr.navbar = Type.copyAttributes(attr.navbar, Options, 'navbar');
 
@@ -312,6 +331,7 @@ define([
 
             /* User default parameters, in parse* the values in the gxt files are submitted to board */
             board = new Board(box, renderer, '', [150, 150], 1, 1, 50, 50, dimensions.width, dimensions.height, attr);
+            board.history.suspend();
             board.initInfobox();
             board.resizeContainer(dimensions.width, dimensions.height, true, true);
 
@@ -319,8 +339,10 @@ define([
 
             selectionattr = Type.copyAttributes(attr, Options, 'board', 'selection');
 	        board.selectionPolygon = board.create('polygon', [[0, 0], [0, 0], [0, 0], [0, 0]], selectionattr);
+            board.history.resume();
 
             board.renderer.drawZoomBar(board, attr.navbar);
+            board.renderer.drawLiveRegion(board);
             JXG.boards[board.id] = board;
 
             return board;
@@ -350,6 +372,8 @@ define([
             attr = Type.copyAttributes(attributes, Options, 'board');
             attr.zoom = Type.copyAttributes(attributes, Options, 'board', 'zoom');
             attr.pan = Type.copyAttributes(attributes, Options, 'board', 'pan');
+            attr.keyboard = Type.copyAttributes(attributes, Options, 'board', 'keyboard');
+            attr.aria = Type.copyAttributes(attributes, Options, 'board', 'aria');
             attr.selection = Type.copyAttributes(attr, Options, 'board', 'selection');
             attr.navbar = Type.copyAttributes(attr.navbar, Options, 'navbar');
 
@@ -358,6 +382,7 @@ define([
 
             /* User default parameters, in parse* the values in the gxt files are submitted to board */
             board = new Board(box, renderer, '', [150, 150], 1.0, 1.0, 50, 50, dimensions.width, dimensions.height, attr);
+            board.history.suspend();
             board.initInfobox();
             board.resizeContainer(dimensions.width, dimensions.height, true, true);
 
@@ -365,8 +390,10 @@ define([
 
             selectionattr = Type.copyAttributes(attr, Options, 'board', 'selection');
 	        board.selectionPolygon = board.create('polygon', [[0, 0], [0, 0], [0, 0], [0, 0]], selectionattr);
+            board.history.resume();
 
             board.renderer.drawZoomBar(board, attr.navbar);
+            board.renderer.drawLiveRegion(board);
             JXG.boards[board.id] = board;
 
             return board;
@@ -386,6 +413,15 @@ define([
             board.removeEventHandlers();
             board.suspendUpdate();
 
+            if (board.ariaTimer !== null) {
+                clearTimeout(board.ariaTimer);
+                board.ariaTimer = null;
+            }
+
+            while (board.dataSources.length > 0) {
+                board.dataSources[0].unregisterBoard(board);
+            }
+
             // Remove all objects from the board.
             for (el in board.objects) {
                 if (board.objects.hasOwnProperty(el)) {
@@ -393,8 +429,9 @@ define([
                 }
             }
 
-            // Remove all the other things, left on the board, XHTML save
-            while (board.containerObj.firstChild) {
+            // Remove all the other things, left on the board, XHTML save.
+            // Without a DOM, e.g. in node.js, there is no container object.
+            while (Type.exists(board.containerObj) && board.containerObj.firstChild) {
                 board.containerObj.removeChild(board.containerObj.firstChild);
             }
 
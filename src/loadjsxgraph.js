@@ -148,7 +148,7 @@ var JXG = {},
         }
     };
 
-    JXG.baseFiles = 'jxg,base/constants,utils/type,utils/xml,utils/env,utils/event,utils/expect,math/math,math/numerics,math/statistics,math/symbolic,math/geometry,math/poly,math/complex,renderer/abstract,renderer/no,reader/file,parser/geonext,base/board,options,jsxgraph,base/element,base/coordselement,base/coords,base/point,base/line,base/group,base/circle,element/conic,base/polygon,base/curve,element/arc,element/sector,base/composition,element/composition,base/text,base/image,element/slider,element/measure,base/chart,base/transformation,base/turtle,utils/color,base/ticks,utils/zip,utils/base64,utils/uuid,utils/encoding,server/server,element/locus,parser/datasource,parser/ca,parser/jessiecode,utils/dump,renderer/svg,renderer/vml,renderer/canvas,renderer/no,element/comb,element/slopetriangle,math/qdt,element/checkbox,element/input,element/button';
+    JXG.baseFiles = 'jxg,base/constants,utils/type,utils/xml,utils/env,utils/virtualdom,utils/event,utils/expect,math/math,math/numerics,math/statistics,math/symbolic,math/geometry,math/poly,math/complex,math/implicitplot,math/linearalgebra,renderer/abstract,renderer/no,reader/file,parser/geonext,base/history,base/timeline,base/board,options,jsxgraph,base/element,base/coordselement,base/coords,base/point,base/line,base/group,base/circle,element/conic,base/polygon,base/curve,element/arc,element/sector,base/composition,element/composition,base/text,base/image,element/slider,element/slider2d,element/measure,base/chart,base/transformation,base/turtle,utils/color,base/ticks,utils/zip,utils/base64,utils/uuid,utils/encoding,server/server,element/locus,parser/datasource,parser/ca,parser/jessiecode,utils/dump,utils/tikz,utils/aria,utils/gif,utils/recorder,renderer/svg,renderer/vml,renderer/canvas,renderer/pdf,renderer/no,element/comb,element/slopetriangle,element/domaincoloring,math/qdt,element/checkbox,element/input,element/button,element/select,element/radiogroup,element/textarea,element/view3d,element/element3d';
     JXG.requirePath = '';
 
     for (i = 0; i < document.getElementsByTagName("script").length; i++) {
@@ -183,6 +183,8 @@ var JXG = {},
         'base/curve': checkJXG,
         'base/element': makeCheck('GeometryElement'),
         'base/group': checkJXG,
+        'base/history': makeCheck('History'),
+        'base/timeline': makeCheck('Timeline'),
         'base/image': checkJXG,
         'base/line': checkJXG,
         'base/point': checkJXG,
@@ -200,16 +202,25 @@ var JXG = {},
         'element/measure': checkJXG,
         'element/sector': checkJXG,
         'element/slider': checkJXG,
+        'element/slider2d': checkJXG,
         'element/square': checkJXG,
         'element/triangle': checkJXG,
         'element/checkbox': checkJXG,
         'element/input': checkJXG,
         'element/button': checkJXG,
+        'element/select': checkJXG,
+        'element/radiogroup': checkJXG,
+        'element/textarea': checkJXG,
+        'element/view3d': makeCheck('View3D'),
+        'element/element3d': checkJXG,
+        'element/domaincoloring': checkJXG,
 
         'math/bst': makeCheck('Math.BST'),
         'math/qdt': makeCheck('Math.Quadtree'),
         'math/complex': makeCheck('Complex'),
         'math/geometry': makeCheck('Math.Geometry'),
+        'math/implicitplot': makeCheck('Math.ImplicitPlot'),
+        'math/linearalgebra': makeCheck('Math.LinearAlgebra'),
         'math/math': makeCheck('Math'),
         'math/numerics': makeCheck('Math.Numerics'),
         'math/poly': makeCheck('Math.Poly'),
@@ -233,6 +244,7 @@ var JXG = {},
         'renderer/abstract': makeCheck('AbstractRenderer'),
         'renderer/canvas': makeCheck('CanvasRenderer'),
         'renderer/no': makeCheck('NoRenderer'),
+        'renderer/pdf': makeCheck('PDFRenderer'),
         'renderer/svg': makeCheck('SVGRenderer'),
         'renderer/vml': makeCheck('VMLRenderer'),
 
@@ -241,12 +253,17 @@ var JXG = {},
         'utils/base64': makeCheck('Util.Base64'),
         'utils/color': checkJXG,
         'utils/dump': makeCheck('Dump'),
+        'utils/tikz': makeCheck('TikZ'),
+        'utils/aria': makeCheck('Aria'),
         'utils/encoding': makeCheck('Util.UTF8'),
         'utils/env': checkJXG,
         'utils/event': makeCheck('EventEmitter'),
         'utils/expect': makeCheck('Expect'),
+        'utils/gif': makeCheck('Util.GIFEncoder'),
+        'utils/recorder': makeCheck('Recorder'),
         'utils/type': checkJXG,
         'utils/uuid': makeCheck('Util'),
+        'utils/virtualdom': makeCheck('Util.VirtualDocument'),
         'utils/xml': makeCheck('XML'),
         'utils/zip': makeCheck('Util')
     };
@@ -35,6 +35,8 @@
 
 /* depends:
  jxg
+ math/math
+ utils/type
  */
 
 /**
@@ -43,7 +45,7 @@
  * arithmetic functions.
  */
 
-define(['jxg', 'utils/type'], function (JXG, Type) {
+define(['jxg', 'math/math', 'utils/type'], function (JXG, Mat, Type) {
 
     "use strict";
 
@@ -304,6 +306,178 @@ define(['jxg', 'utils/type'], function (JXG, Type) {
         return Math.sqrt(z.real);
     };
 
+    /**
+     * Argument of a complex number, i.e. the angle in the polar form.
+     * @param {JXG.Complex,Number} z1 Complex number
+     * @returns {Number} The principal value in (-&pi;, &pi;].
+     */
+    JXG.C.arg = function (z1) {
+        var z = new JXG.Complex(z1);
+
+        return Math.atan2(z.imaginary, z.real);
+    };
+
+    /**
+     * Complex exponential function.
+     * @param {JXG.Complex,Number} z1 Complex number
+     * @returns {JXG.Complex} exp(z1)
+     */
+    JXG.C.exp = function (z1) {
+        var z = new JXG.Complex(z1),
+            r = Math.exp(z.real);
+
+        return new JXG.Complex(r * Math.cos(z.imaginary), r * Math.sin(z.imaginary));
+    };
+
+    /**
+     * Principal value of the complex logarithm, the imaginary part is in (-&pi;, &pi;].
+     * @param {JXG.Complex,Number} z1 Complex number
+     * @returns {JXG.Complex} log(z1), the real part is -Infinity for z1 = 0.
+     */
+    JXG.C.log = function (z1) {
+        var z = new JXG.Complex(z1);
+
+        return new JXG.Complex(Math.log(Math.sqrt(z.real * z.real + z.imaginary * z.imaginary)),
+            Math.atan2(z.imaginary, z.real));
+    };
+
+    /**
+     * Principal value of the power z1<sup>z2</sup> = exp(z2 log(z1)).
+     * @param {JXG.Complex,Number} z1 Base
+     * @param {JXG.Complex,Number} z2 Exponent
+     * @returns {JXG.Complex} z1<sup>z2</sup>
+     */
+    JXG.C.pow = function (z1, z2) {
+        var z = new JXG.Complex(z1),
+            w = new JXG.Complex(z2);
+
+        if (z.real === 0 && z.imaginary === 0) {
+            if (w.real === 0 && w.imaginary === 0) {
+                return new JXG.Complex(1, 0);
+            }
+            return (w.real > 0) ? new JXG.Complex(0, 0) : new JXG.Complex(Infinity, 0);
+        }
+
+        return JXG.C.exp(JXG.C.mult(w, JXG.C.log(z)));
+    };
+
+    /**
+     * Principal value of the square root, the real part is not negative.
+     * @param {JXG.Complex,Number} z1 Complex number
+     * @returns {JXG.Complex} sqrt(z1)
+     */
+    JXG.C.sqrt = function (z1) {
+        var z = new JXG.Complex(z1),
+            r = Math.sqrt(z.real * z.real + z.imaginary * z.imaginary),
+            re = Math.sqrt(0.5 * (r + z.real)),
+            im = Math.sqrt(0.5 * (r - z.real));
+
+        return new JXG.Complex(re, (z.imaginary < 0) ? -im : im);
+    };
+
+    /**
+     * All n-th roots of a complex number.
+     * @param {JXG.Complex,Number} z1 Complex number
+     * @param {Number} n Positive integer
+     * @returns {Array} The n roots as array of JXG.Complex, starting with the principal value.
+     */
+    JXG.C.roots = function (z1, n) {
+        var k,
+            r = Math.pow(JXG.C.abs(z1), 1 / n),
+            phi = JXG.C.arg(z1),
+            res = [];
+
+        for (k = 0; k < n; k++) {
+            res.push(new JXG.Complex(r * Math.cos((phi + 2 * Math.PI * k) / n),
+                r * Math.sin((phi + 2 * Math.PI * k) / n)));
+        }
+
+        return res;
+    };
+
+    /**
+     * Complex sine.
+     * @param {JXG.Complex,Number} z1 Complex number
+     * @returns {JXG.Complex} sin(z1)
+     */
+    JXG.C.sin = function (z1) {
+        var z = new JXG.Complex(z1);
+
+        return new JXG.Complex(Math.sin(z.real) * Mat.cosh(z.imaginary), Math.cos(z.real) * Mat.sinh(z.imaginary));
+    };
+
+    /**
+     * Complex cosine.
+     * @param {JXG.Complex,Number} z1 Complex number
+     * @returns {JXG.Complex} cos(z1)
+     */
+    JXG.C.cos = function (z1) {
+        var z = new JXG.Complex(z1);
+
+        return new JXG.Complex(Math.cos(z.real) * Mat.cosh(z.imaginary), -Math.sin(z.real) * Mat.sinh(z.imaginary));
+    };
+
+    /**
+     * Complex tangent, computed as tan(z) = -i tanh(iz).
+     * @param {JXG.Complex,Number} z1 Complex number
+     * @returns {JXG.Complex} tan(z1)
+     * @see JXG.C.tanh
+     */
+    JXG.C.tan = function (z1) {
+        var z = new JXG.Complex(z1),
+            w = JXG.C.tanh(new JXG.Complex(-z.imaginary, z.real));
+
+        return new JXG.Complex(w.imaginary, -w.real);
+    };
+
+    /**
+     * Complex hyperbolic sine.
+     * @param {JXG.Complex,Number} z1 Complex number
+     * @returns {JXG.Complex} sinh(z1)
+     */
+    JXG.C.sinh = function (z1) {
+        var z = new JXG.Complex(z1);
+
+        return new JXG.Complex(Mat.sinh(z.real) * Math.cos(z.imaginary), Mat.cosh(z.real) * Math.sin(z.imaginary));
+    };
+
+    /**
+     * Complex hyperbolic cosine.
+     * @param {JXG.Complex,Number} z1 Complex number
+     * @returns {JXG.Complex} cosh(z1)
+     */
+    JXG.C.cosh = function (z1) {
+        var z = new JXG.Complex(z1);
+
+        return new JXG.Complex(Mat.cosh(z.real) * Math.cos(z.imaginary), Mat.sinh(z.real) * Math.sin(z.imaginary));
+    };
+
+    /**
+     * Complex hyperbolic tangent. The quotient sinh(z1) / cosh(z1) overflows for large real parts of z1.
+     * Therefore, the formula of W. Kahan, "Branch cuts for complex elementary functions", 1987, is used.
+     * @param {JXG.Complex,Number} z1 Complex number
+     * @returns {JXG.Complex} tanh(z1)
+     */
+    JXG.C.tanh = function (z1) {
+        var z = new JXG.Complex(z1),
+            x = z.real,
+            y = z.imaginary,
+            t, b, s, r, d;
+
+        if (Math.abs(x) > 20) {
+            // tanh(z1) = 1 + O(exp(-2|x|))
+            return new JXG.Complex(x > 0 ? 1 : -1, 4 * Math.sin(y) * Math.cos(y) * Math.exp(-2 * Math.abs(x)));
+        }
+
+        t = Math.tan(y);
+        b = 1 + t * t;
+        s = Mat.sinh(x);
+        r = Math.sqrt(1 + s * s);
+        d = 1 + b * s * s;
+
+        return new JXG.Complex(b * r * s / d, t / d);
+    };
+
     JXG.Complex.C = JXG.C;
 
     return JXG.Complex;
@@ -0,0 +1,329 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG:true, define: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ math/math
+ utils/type
+ */
+
+/**
+ * @fileoverview In this file the namespace Math.ImplicitPlot is defined, which plots
+ * implicit curves f(x, y) = 0 with adaptive marching squares.
+ */
+
+define(['math/math', 'utils/type'], function (Mat, Type) {
+
+    "use strict";
+
+    /**
+     * Plotting of implicit curves f(x, y) = 0 by adaptive marching squares. The plot region is divided into
+     * a grid of cells. Cells in which f changes its sign are subdivided recursively (quadtree) until they are
+     * small enough. Cells which contain a saddle or in which f is not approximately linear, i.e. cells near
+     * singular points of the curve, are subdivided further. In the final cells, the curve is approximated by
+     * marching squares. The resulting segments are joined to polygonal chains.
+     * @name JXG.Math.ImplicitPlot
+     * @exports Mat.ImplicitPlot as JXG.Math.ImplicitPlot
+     * @namespace
+     */
+    Mat.ImplicitPlot = {
+
+        /**
+         * Computes the polygonal approximation of the curve f(x, y) = 0.
+         * @param {Function} f A function of two variables.
+         * @param {Array} bbox The plot region [x1, y1, x2, y2], e.g. the bounding box of a board.
+         * @param {Object} config Parameters of the plot:
+         * <ul>
+         *   <li> cellsX, cellsY: Number of cells of the initial grid in x- and y-direction.
+         *   <li> levels: Number of subdivisions of cells in which f changes its sign.
+         *   <li> singularLevels: Number of further subdivisions of cells near singular points.
+         *   <li> tolerance: A cell is refined near singular points if the value of f in the center of the cell differs
+         *     by more than tolerance times the range of values at its corners from the bilinear interpolation.
+         * </ul>
+         * @returns {Array} The coordinates [dataX, dataY] of the curve. The polygonal chains are separated by NaN.
+         */
+        plot: function (f, bbox, config) {
+            var i, j,
+                maxDepth = config.levels + config.singularLevels,
+                // Size of the initial cells in units of the finest grid
+                size = Math.pow(2, maxDepth),
+                x0 = Math.min(bbox[0], bbox[2]),
+                y0 = Math.min(bbox[1], bbox[3]),
+                plot = {
+                    f: f,
+                    config: config,
+                    values: {},
+                    segments: [],
+                    x0: x0,
+                    y0: y0,
+                    hx: (Math.max(bbox[0], bbox[2]) - x0) / (config.cellsX * size),
+                    hy: (Math.max(bbox[1], bbox[3]) - y0) / (config.cellsY * size)
+                };
+
+            for (i = 0; i < config.cellsX; i++) {
+                for (j = 0; j < config.cellsY; j++) {
+                    this._refine(plot, i * size, j * size, size, 0);
+                }
+            }
+
+            return this._join(plot);
+        },
+
+        /**
+         * Evaluates f at the point with indices (i, j) of the finest grid. The values are cached.
+         * @private
+         */
+        _value: function (plot, i, j) {
+            var key = i + ',' + j,
+                v = plot.values[key];
+
+            if (!Type.exists(v)) {
+                v = plot.f(plot.x0 + i * plot.hx, plot.y0 + j * plot.hy);
+                if (!Type.isNumber(v) || !isFinite(v)) {
+                    v = NaN;
+                }
+                plot.values[key] = v;
+            }
+
+            return v;
+        },
+
+        /**
+         * Recursive subdivision of the cell with lower left corner (i, j) and the given size.
+         * @private
+         */
+        _refine: function (plot, i, j, size, depth) {
+            var k, pos, neg, range, bilinear, saddle,
+                cfg = plot.config,
+                c = [[i, j], [i + size, j], [i + size, j + size], [i, j + size]],
+                v = [],
+                vc = NaN;
+
+            for (k = 0; k < 4; k++) {
+                v[k] = this._value(plot, c[k][0], c[k][1]);
+            }
+            if (size > 1) {
+                vc = this._value(plot, i + size / 2, j + size / 2);
+            }
+
+            pos = 0;
+            neg = 0;
+            for (k = 0; k < 4; k++) {
+                if (v[k] >= 0) {
+                    pos++;
+                } else if (v[k] < 0) {
+                    neg++;
+                }
+            }
+
+            if (pos + neg < 4) {
+                // f is not defined everywhere in the cell: refine to find the border of the domain
+                if (pos + neg > 0 && depth < cfg.levels) {
+                    this._subdivide(plot, i, j, size, depth);
+                }
+                return;
+            }
+
+            if ((pos === 0 || neg === 0) && !(vc >= 0 && neg === 4) && !(vc < 0 && pos === 4)) {
+                // No sign change
+                return;
+            }
+
+            if (depth < cfg.levels) {
+                this._subdivide(plot, i, j, size, depth);
+                return;
+            }
+
+            if (depth < cfg.levels + cfg.singularLevels) {
+                saddle = pos === 2 && (v[0] >= 0) === (v[2] >= 0);
+                range = Math.max(Math.abs(v[0] - v[2]), Math.abs(v[1] - v[3]), Math.abs(v[0] - v[1]), Math.abs(v[1] - v[2]));
+                bilinear = (v[0] + v[1] + v[2] + v[3]) * 0.25;
+                if (saddle || Math.abs(vc - bilinear) > cfg.tolerance * range) {
+                    this._subdivide(plot, i, j, size, depth);
+                    return;
+                }
+            }
+
+            this._march(plot, c, v, vc);
+        },
+
+        /**
+         * Refines the four quarters of a cell.
+         * @private
+         */
+        _subdivide: function (plot, i, j, size, depth) {
+            var s = size / 2;
+
+            this._refine(plot, i, j, s, depth + 1);
+            this._refine(plot, i + s, j, s, depth + 1);
+            this._refine(plot, i + s, j + s, s, depth + 1);
+            this._refine(plot, i, j + s, s, depth + 1);
+        },
+
+        /**
+         * Marching squares in a single cell. The corners are ordered counter-clockwise starting at the lower left corner.
+         * Ambiguous cells are resolved with the value in the center of the cell.
+         * @private
+         */
+        _march: function (plot, c, v, vc) {
+            var k, a, b, cut,
+                edges = [],
+                // The edges are always oriented in positive x- or y-direction,
+                // such that neighbouring cells compute identical points.
+                order = [[0, 1], [1, 2], [3, 2], [0, 3]];
+
+            for (k = 0; k < 4; k++) {
+                a = order[k][0];
+                b = order[k][1];
+                if ((v[a] >= 0) !== (v[b] >= 0)) {
+                    edges.push(k);
+                }
+            }
+
+            if (edges.length === 2) {
+                this._addSegment(plot, c, v, order, edges[0], edges[1]);
+            } else if (edges.length === 4) {
+                // Saddle: the corners with sign different from the center are cut off.
+                // Corner k is adjacent to the edges k and k - 1.
+                cut = (v[0] >= 0) === (vc >= 0) ? [1, 3] : [0, 2];
+                for (k = 0; k < 2; k++) {
+                    this._addSegment(plot, c, v, order, cut[k], (cut[k] + 3) % 4);
+                }
+            }
+        },
+
+        /**
+         * Adds the segment between the zeros of f on two edges of a cell.
+         * @private
+         */
+        _addSegment: function (plot, c, v, order, e1, e2) {
+            plot.segments.push([
+                this._zero(plot, c, v, order[e1]),
+                this._zero(plot, c, v, order[e2])
+            ]);
+        },
+
+        /**
+         * Linear interpolation of the zero of f on an edge of a cell.
+         * @private
+         */
+        _zero: function (plot, c, v, edge) {
+            var a = c[edge[0]],
+                b = c[edge[1]],
+                t = v[edge[0]] / (v[edge[0]] - v[edge[1]]);
+
+            return {
+                key: a[0] + ',' + a[1] + ',' + b[0] + ',' + b[1],
+                x: plot.x0 + (a[0] + t * (b[0] - a[0])) * plot.hx,
+                y: plot.y0 + (a[1] + t * (b[1] - a[1])) * plot.hy
+            };
+        },
+
+        /**
+         * Joins the segments to polygonal chains.
+         * @private
+         */
+        _join: function (plot) {
+            var i, k, seg, chain, end, next,
+                segs = plot.segments,
+                len = segs.length,
+                used = [],
+                ends = {},
+                dataX = [],
+                dataY = [],
+                addEnd = function (key, idx) {
+                    if (!Type.exists(ends[key])) {
+                        ends[key] = [];
+                    }
+                    ends[key].push(idx);
+                },
+                // Finds an unused segment which has the given end point
+                find = function (key) {
+                    var m,
+                        l = ends[key];
+
+                    for (m = 0; m < l.length; m++) {
+                        if (!used[l[m]]) {
+                            return l[m];
+                        }
+                    }
+                    return -1;
+                },
+                // Extends the chain at its end, returns the list of points
+                extend = function (start, first) {
+                    var pts = [],
+                        p = first,
+                        s;
+
+                    used[start] = true;
+                    for (;;) {
+                        s = find(p.key);
+                        if (s < 0) {
+                            break;
+                        }
+                        used[s] = true;
+                        p = (segs[s][0].key === p.key) ? segs[s][1] : segs[s][0];
+                        pts.push(p);
+                    }
+                    return pts;
+                };
+
+            for (i = 0; i < len; i++) {
+                addEnd(segs[i][0].key, i);
+                addEnd(segs[i][1].key, i);
+            }
+
+            for (i = 0; i < len; i++) {
+                if (used[i]) {
+                    continue;
+                }
+                seg = segs[i];
+                end = extend(i, seg[1]);
+                next = extend(i, seg[0]);
+
+                chain = next.reverse().concat([seg[0], seg[1]], end);
+                for (k = 0; k < chain.length; k++) {
+                    dataX.push(chain[k].x);
+                    dataY.push(chain[k].y);
+                }
+                dataX.push(NaN);
+                dataY.push(NaN);
+            }
+
+            return [dataX, dataY];
+        }
+    };
+
+    return Mat.ImplicitPlot;
+});
@@ -0,0 +1,857 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ math/math
+ math/numerics
+ math/complex
+ utils/type
+ */
+
+/**
+ * @fileoverview In this file the namespace Math.LinearAlgebra is defined, which holds matrix decompositions
+ * (LU, QR, singular value decomposition), eigenvalues of general matrices, least squares solutions
+ * and condition numbers.
+ */
+
+define(['jxg', 'math/math', 'math/numerics', 'math/complex', 'utils/type'], function (JXG, Mat, Numerics, Complex, Type) {
+
+    "use strict";
+
+    // Machine epsilon, Mat.eps is much larger
+    var DBL_EPS = 2.2204460492503131e-16,
+
+        copyMatrix = function (A) {
+            var i,
+                B = [];
+
+            for (i = 0; i < A.length; i++) {
+                B[i] = A[i].slice(0);
+            }
+            return B;
+        };
+
+    /**
+     * Matrix decompositions and eigenvalue problems. Matrices are arrays of rows, vectors are arrays of numbers.
+     * The input matrices are never changed.
+     * @name JXG.Math.LinearAlgebra
+     * @exports Mat.LinearAlgebra as JXG.Math.LinearAlgebra
+     * @namespace
+     */
+    Mat.LinearAlgebra = {
+
+        /**
+         * LU decomposition with partial pivoting PA = LU of a square matrix A.
+         * @param {Array} A Square matrix
+         * @returns {Object} An object with the entries
+         * <ul>
+         * <li> <tt>L</tt>: lower triangular matrix with ones on the diagonal,
+         * <li> <tt>U</tt>: upper triangular matrix,
+         * <li> <tt>p</tt>: the permutation, row i of PA is row p[i] of A,
+         * <li> <tt>sign</tt>: the sign of the permutation, i.e. det(A) = sign * U[0][0] * ... * U[n-1][n-1],
+         * <li> <tt>singular</tt>: true, if a pivot is zero.
+         * </ul>
+         * @see JXG.Math.LinearAlgebra.luSolve
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        lu: function (A) {
+            var i, j, k, piv, max, f, tmp,
+                n = A.length,
+                U = copyMatrix(A),
+                L = Mat.identity(n),
+                p = [],
+                sign = 1,
+                singular = false;
+
+            for (i = 0; i < n; i++) {
+                p[i] = i;
+            }
+
+            for (k = 0; k < n; k++) {
+                // Search of the pivot element
+                piv = k;
+                max = Math.abs(U[k][k]);
+                for (i = k + 1; i < n; i++) {
+                    if (Math.abs(U[i][k]) > max) {
+                        max = Math.abs(U[i][k]);
+                        piv = i;
+                    }
+                }
+
+                if (piv !== k) {
+                    tmp = U[k];
+                    U[k] = U[piv];
+                    U[piv] = tmp;
+                    for (j = 0; j < k; j++) {
+                        tmp = L[k][j];
+                        L[k][j] = L[piv][j];
+                        L[piv][j] = tmp;
+                    }
+                    tmp = p[k];
+                    p[k] = p[piv];
+                    p[piv] = tmp;
+                    sign = -sign;
+                }
+
+                if (max === 0) {
+                    singular = true;
+                    continue;
+                }
+
+                for (i = k + 1; i < n; i++) {
+                    f = U[i][k] / U[k][k];
+                    L[i][k] = f;
+                    U[i][k] = 0;
+                    for (j = k + 1; j < n; j++) {
+                        U[i][j] -= f * U[k][j];
+                    }
+                }
+            }
+
+            return {
+                L: L,
+                U: U,
+                p: p,
+                sign: sign,
+                singular: singular
+            };
+        },
+
+        /**
+         * Solves the linear system Ax = b with the LU decomposition of A.
+         * @param {Object} lu The LU decomposition of A, see {@link JXG.Math.LinearAlgebra.lu}.
+         * @param {Array} b Right hand side
+         * @returns {Array} The solution x
+         * @throws {Error} If A is singular.
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        luSolve: function (lu, b) {
+            var i, j,
+                n = lu.L.length,
+                y = [];
+
+            if (lu.singular) {
+                throw new Error("JSXGraph: LinearAlgebra.luSolve: Singular matrix");
+            }
+
+            // Forward substitution Ly = Pb
+            for (i = 0; i < n; i++) {
+                y[i] = b[lu.p[i]];
+                for (j = 0; j < i; j++) {
+                    y[i] -= lu.L[i][j] * y[j];
+                }
+            }
+
+            return Numerics.backwardSolve(lu.U, y, true);
+        },
+
+        /**
+         * QR decomposition A = QR of an m x n matrix by Householder reflections.
+         * @param {Array} A m x n matrix
+         * @returns {Object} An object with the orthogonal m x m matrix <tt>Q</tt> and the
+         * upper triangular m x n matrix <tt>R</tt>.
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        qr: function (A) {
+            var i, j, k, alpha, vv, s, v,
+                m = A.length,
+                n = A[0].length,
+                R = copyMatrix(A),
+                Q = Mat.identity(m);
+
+            for (k = 0; k < Math.min(m - 1, n); k++) {
+                // Householder vector v of the column k below the diagonal
+                alpha = 0;
+                for (i = k; i < m; i++) {
+                    alpha += R[i][k] * R[i][k];
+                }
+                alpha = Math.sqrt(alpha);
+                if (R[k][k] > 0) {
+                    alpha = -alpha;
+                }
+
+                v = [];
+                for (i = k; i < m; i++) {
+                    v[i - k] = R[i][k];
+                }
+                v[0] -= alpha;
+                vv = 0;
+                for (i = 0; i < v.length; i++) {
+                    vv += v[i] * v[i];
+                }
+                if (vv === 0) {
+                    continue;
+                }
+
+                // R = H R with H = I - 2 v v^T / (v^T v)
+                for (j = k; j < n; j++) {
+                    s = 0;
+                    for (i = k; i < m; i++) {
+                        s += v[i - k] * R[i][j];
+                    }
+                    s *= 2 / vv;
+                    for (i = k; i < m; i++) {
+                        R[i][j] -= s * v[i - k];
+                    }
+                }
+                for (i = k + 1; i < m; i++) {
+                    R[i][k] = 0;
+                }
+
+                // Q = Q H
+                for (i = 0; i < m; i++) {
+                    s = 0;
+                    for (j = k; j < m; j++) {
+                        s += Q[i][j] * v[j - k];
+                    }
+                    s *= 2 / vv;
+                    for (j = k; j < m; j++) {
+                        Q[i][j] -= s * v[j - k];
+                    }
+                }
+            }
+
+            return {
+                Q: Q,
+                R: R
+            };
+        },
+
+        /**
+         * Singular value decomposition A = U diag(S) V<sup>T</sup> of an m x n matrix A by one-sided Jacobi rotations.
+         * With k = min(m, n), U is an m x k matrix with orthonormal columns, V an n x k matrix with orthonormal
+         * columns, and S the array of the k singular values in descending order. Columns of U belonging to
+         * the singular value 0 are zero.
+         * @param {Array} A m x n matrix
+         * @returns {Object} An object with the entries <tt>U</tt>, <tt>S</tt> and <tt>V</tt>.
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        svd: function (A) {
+            var i, j, p, q, sweep, rotated, alpha, beta, gamma, zeta, t, c, s, t1, idx, res,
+                m = A.length,
+                n = A[0].length,
+                U, V, S,
+                US = [],
+                VS = [];
+
+            if (m < n) {
+                res = this.svd(Mat.transpose(A));
+                return {
+                    U: res.V,
+                    S: res.S,
+                    V: res.U
+                };
+            }
+
+            U = copyMatrix(A);
+            V = Mat.identity(n);
+
+            // Rotations of pairs of columns of U until all columns are orthogonal
+            for (sweep = 0; sweep < 60; sweep++) {
+                rotated = false;
+                for (p = 0; p < n - 1; p++) {
+                    for (q = p + 1; q < n; q++) {
+                        alpha = 0;
+                        beta = 0;
+                        gamma = 0;
+                        for (i = 0; i < m; i++) {
+                            alpha += U[i][p] * U[i][p];
+                            beta += U[i][q] * U[i][q];
+                            gamma += U[i][p] * U[i][q];
+                        }
+                        if (Math.abs(gamma) <= DBL_EPS * Math.sqrt(alpha * beta) || gamma === 0) {
+                            continue;
+                        }
+                        rotated = true;
+
+                        zeta = (beta - alpha) / (2 * gamma);
+                        t = (zeta >= 0 ? 1 : -1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+                        c = 1 / Math.sqrt(1 + t * t);
+                        s = c * t;
+                        for (i = 0; i < m; i++) {
+                            t1 = U[i][p];
+                            U[i][p] = c * t1 - s * U[i][q];
+                            U[i][q] = s * t1 + c * U[i][q];
+                        }
+                        for (i = 0; i < n; i++) {
+                            t1 = V[i][p];
+                            V[i][p] = c * t1 - s * V[i][q];
+                            V[i][q] = s * t1 + c * V[i][q];
+                        }
+                    }
+                }
+                if (!rotated) {
+                    break;
+                }
+            }
+
+            // The singular values are the norms of the columns of U
+            S = [];
+            for (j = 0; j < n; j++) {
+                S[j] = 0;
+                for (i = 0; i < m; i++) {
+                    S[j] += U[i][j] * U[i][j];
+                }
+                S[j] = Math.sqrt(S[j]);
+                for (i = 0; i < m; i++) {
+                    U[i][j] = (S[j] > 0) ? U[i][j] / S[j] : 0;
+                }
+            }
+
+            idx = [];
+            for (j = 0; j < n; j++) {
+                idx[j] = j;
+            }
+            idx.sort(function (a, b) {
+                return S[b] - S[a];
+            });
+
+            for (i = 0; i < m; i++) {
+                US[i] = [];
+                for (j = 0; j < n; j++) {
+                    US[i][j] = U[i][idx[j]];
+                }
+            }
+            for (i = 0; i < n; i++) {
+                VS[i] = [];
+                for (j = 0; j < n; j++) {
+                    VS[i][j] = V[i][idx[j]];
+                }
+            }
+
+            return {
+                U: US,
+                S: idx.map(function (k) {
+                    return S[k];
+                }),
+                V: VS
+            };
+        },
+
+        /**
+         * Rank of a matrix, i.e. the number of singular values larger than tol.
+         * @param {Array} A Matrix
+         * @param {Number} [tol] Tolerance, default is max(m, n) * S[0] * machine epsilon.
+         * @returns {Number}
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        rank: function (A, tol) {
+            var i,
+                S = this.svd(A).S,
+                r = 0;
+
+            tol = Type.def(tol, Math.max(A.length, A[0].length) * (S[0] || 0) * DBL_EPS);
+            for (i = 0; i < S.length; i++) {
+                if (S[i] > tol) {
+                    r++;
+                }
+            }
+
+            return r;
+        },
+
+        /**
+         * Condition number of a matrix with respect to the euclidean norm, i.e. the ratio of the largest and the
+         * smallest singular value.
+         * @param {Array} A Matrix
+         * @returns {Number} The condition number, Infinity for singular matrices.
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        condition: function (A) {
+            var S = this.svd(A).S,
+                min = S[S.length - 1];
+
+            return (min > 0) ? S[0] / min : Infinity;
+        },
+
+        /**
+         * Least squares solution of the linear system Ax = b, i.e. the vector x minimizing |Ax - b|.
+         * A is an m x n matrix with m &ge; n. If A has full rank, the solution is computed by a QR decomposition,
+         * otherwise the solution of minimal norm is computed by the singular value decomposition.
+         * @param {Array} A m x n matrix
+         * @param {Array} b Vector of length m
+         * @returns {Array} The solution x of length n
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        leastSquares: function (A, b) {
+            var i, j, k, res, c, tol, R,
+                m = A.length,
+                n = A[0].length,
+                fullRank = m >= n,
+                x = [];
+
+            if (fullRank) {
+                res = this.qr(A);
+                tol = 0;
+                for (i = 0; i < n; i++) {
+                    tol = Math.max(tol, Math.abs(res.R[i][i]));
+                }
+                tol *= Math.max(m, n) * DBL_EPS;
+                for (i = 0; i < n; i++) {
+                    if (Math.abs(res.R[i][i]) <= tol) {
+                        fullRank = false;
+                    }
+                }
+            }
+
+            if (fullRank) {
+                // R x = Q^T b
+                c = Mat.matVecMult(Mat.transpose(res.Q), b).slice(0, n);
+                R = res.R.slice(0, n);
+                return Numerics.backwardSolve(R, c, true);
+            }
+
+            // x = V diag(1 / S) U^T b
+            res = this.svd(A);
+            tol = Math.max(m, n) * (res.S[0] || 0) * DBL_EPS;
+            for (j = 0; j < n; j++) {
+                x[j] = 0;
+            }
+            for (k = 0; k < res.S.length; k++) {
+                if (res.S[k] <= tol) {
+                    continue;
+                }
+                c = 0;
+                for (i = 0; i < m; i++) {
+                    c += res.U[i][k] * b[i];
+                }
+                c /= res.S[k];
+                for (j = 0; j < n; j++) {
+                    x[j] += c * res.V[j][k];
+                }
+            }
+
+            return x;
+        },
+
+        /**
+         * Eigenvalues and eigenvectors of a symmetric matrix by the cyclic Jacobi method.
+         * In contrast to {@link JXG.Math.Numerics.Jacobi}, the matrix may have any size.
+         * @param {Array} A Symmetric n x n matrix
+         * @returns {Object} An object with the array <tt>values</tt> of the eigenvalues in descending order and
+         * the matrix <tt>vectors</tt>, whose columns are the corresponding orthonormal eigenvectors.
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        eigenSymmetric: function (A) {
+            var i, j, p, q, sweep, off, theta, t, c, s, tau, app, aqq, apq, idx,
+                n = A.length,
+                a = copyMatrix(A),
+                V = Mat.identity(n),
+                VS = [];
+
+            for (sweep = 0; sweep < 60; sweep++) {
+                off = 0;
+                for (p = 0; p < n - 1; p++) {
+                    for (q = p + 1; q < n; q++) {
+                        off += a[p][q] * a[p][q];
+                    }
+                }
+                if (off === 0) {
+                    break;
+                }
+
+                for (p = 0; p < n - 1; p++) {
+                    for (q = p + 1; q < n; q++) {
+                        apq = a[p][q];
+                        if (Math.abs(apq) <= DBL_EPS * DBL_EPS * (Math.abs(a[p][p]) + Math.abs(a[q][q])) || apq === 0) {
+                            a[p][q] = a[q][p] = 0;
+                            continue;
+                        }
+                        app = a[p][p];
+                        aqq = a[q][q];
+                        theta = (aqq - app) / (2 * apq);
+                        t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                        c = 1 / Math.sqrt(t * t + 1);
+                        s = t * c;
+                        tau = s / (1 + c);
+
+                        a[p][p] = app - t * apq;
+                        a[q][q] = aqq + t * apq;
+                        a[p][q] = a[q][p] = 0;
+                        for (j = 0; j < n; j++) {
+                            if (j !== p && j !== q) {
+                                app = a[j][p];
+                                aqq = a[j][q];
+                                a[j][p] = a[p][j] = app - s * (aqq + tau * app);
+                                a[j][q] = a[q][j] = aqq + s * (app - tau * aqq);
+                            }
+                        }
+                        for (j = 0; j < n; j++) {
+                            app = V[j][p];
+                            aqq = V[j][q];
+                            V[j][p] = app - s * (aqq + tau * app);
+                            V[j][q] = aqq + s * (app - tau * aqq);
+                        }
+                    }
+                }
+            }
+
+            idx = [];
+            for (i = 0; i < n; i++) {
+                idx[i] = i;
+            }
+            idx.sort(function (k1, k2) {
+                return a[k2][k2] - a[k1][k1];
+            });
+            for (i = 0; i < n; i++) {
+                VS[i] = [];
+                for (j = 0; j < n; j++) {
+                    VS[i][j] = V[i][idx[j]];
+                }
+            }
+
+            return {
+                values: idx.map(function (k) {
+                    return a[k][k];
+                }),
+                vectors: VS
+            };
+        },
+
+        /**
+         * Eigenvalues of a general real square matrix. The matrix is balanced and reduced to upper Hessenberg form,
+         * then the eigenvalues are computed by the shifted QR algorithm (Francis double shift),
+         * see W.H. Press et al., Numerical Recipes, 3rd ed., Section 11.6.
+         * @param {Array} A Square matrix
+         * @returns {Array} Array of the eigenvalues as {@link JXG.Complex} numbers. Complex eigenvalues
+         * appear in conjugate pairs. The eigenvalues are sorted descending by their real parts.
+         * @throws {Error} If the QR algorithm does not converge.
+         * @see JXG.Math.LinearAlgebra.eigenSymmetric
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        eigenvalues: function (A) {
+            var a = copyMatrix(A),
+                ev;
+
+            if (a.length === 0) {
+                return [];
+            }
+
+            this._balance(a);
+            this._hessenberg(a);
+            ev = this._hqr(a);
+
+            ev.sort(function (z1, z2) {
+                return (z2.real - z1.real) || (z2.imaginary - z1.imaginary);
+            });
+
+            return ev;
+        },
+
+        /**
+         * Balancing of a matrix by similarity transformations with powers of 2, such that the norms of
+         * corresponding rows and columns are of the same size. The matrix is changed.
+         * @private
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        _balance: function (a) {
+            var i, j, r, c, f, g, s,
+                n = a.length,
+                done = false;
+
+            while (!done) {
+                done = true;
+                for (i = 0; i < n; i++) {
+                    r = 0;
+                    c = 0;
+                    for (j = 0; j < n; j++) {
+                        if (j !== i) {
+                            c += Math.abs(a[j][i]);
+                            r += Math.abs(a[i][j]);
+                        }
+                    }
+                    if (c !== 0 && r !== 0) {
+                        g = r / 2;
+                        f = 1;
+                        s = c + r;
+                        while (c < g) {
+                            f *= 2;
+                            c *= 4;
+                        }
+                        g = r * 2;
+                        while (c > g) {
+                            f /= 2;
+                            c /= 4;
+                        }
+                        if ((c + r) / f < 0.95 * s) {
+                            done = false;
+                            g = 1 / f;
+                            for (j = 0; j < n; j++) {
+                                a[i][j] *= g;
+                            }
+                            for (j = 0; j < n; j++) {
+                                a[j][i] *= f;
+                            }
+                        }
+                    }
+                }
+            }
+        },
+
+        /**
+         * Reduction of a matrix to upper Hessenberg form by elimination with pivoting. The matrix is changed.
+         * @private
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        _hessenberg: function (a) {
+            var i, j, m, x, y, tmp,
+                n = a.length;
+
+            for (m = 1; m < n - 1; m++) {
+                x = 0;
+                i = m;
+                for (j = m; j < n; j++) {
+                    if (Math.abs(a[j][m - 1]) > Math.abs(x)) {
+                        x = a[j][m - 1];
+                        i = j;
+                    }
+                }
+                if (i !== m) {
+                    for (j = m - 1; j < n; j++) {
+                        tmp = a[i][j];
+                        a[i][j] = a[m][j];
+                        a[m][j] = tmp;
+                    }
+                    for (j = 0; j < n; j++) {
+                        tmp = a[j][i];
+                        a[j][i] = a[j][m];
+                        a[j][m] = tmp;
+                    }
+                }
+                if (x !== 0) {
+                    for (i = m + 1; i < n; i++) {
+                        y = a[i][m - 1];
+                        if (y !== 0) {
+                            y /= x;
+                            a[i][m - 1] = y;
+                            for (j = m; j < n; j++) {
+                                a[i][j] -= y * a[m][j];
+                            }
+                            for (j = 0; j < n; j++) {
+                                a[j][m] += y * a[j][i];
+                            }
+                        }
+                    }
+                }
+            }
+
+            // Remove the multipliers below the subdiagonal
+            for (i = 2; i < n; i++) {
+                for (j = 0; j < i - 1; j++) {
+                    a[i][j] = 0;
+                }
+            }
+        },
+
+        /**
+         * Eigenvalues of an upper Hessenberg matrix by the shifted QR algorithm. The matrix is changed.
+         * @returns {Array} Array of JXG.Complex
+         * @private
+         * @memberof JXG.Math.LinearAlgebra
+         */
+        _hqr: function (a) {
+            var nn, m, l, k, j, its, i, mmin,
+                z, y, x, w, v, u, t, s, r, q, p,
+                n = a.length,
+                anorm = 0,
+                wr = [],
+                wi = [],
+                res = [],
+                sign = function (v1, v2) {
+                    return v2 >= 0 ? Math.abs(v1) : -Math.abs(v1);
+                };
+
+            for (i = 0; i < n; i++) {
+                for (j = Math.max(i - 1, 0); j < n; j++) {
+                    anorm += Math.abs(a[i][j]);
+                }
+            }
+
+            nn = n - 1;
+            t = 0;
+            while (nn >= 0) {
+                its = 0;
+                do {
+                    // Search of a small subdiagonal element
+                    for (l = nn; l > 0; l--) {
+                        s = Math.abs(a[l - 1][l - 1]) + Math.abs(a[l][l]);
+                        if (s === 0) {
+                            s = anorm;
+                        }
+                        if (Math.abs(a[l][l - 1]) <= DBL_EPS * s) {
+                            a[l][l - 1] = 0;
+                            break;
+                        }
+                    }
+                    x = a[nn][nn];
+                    if (l === nn) {
+                        // One root found
+                        wr[nn] = x + t;
+                        wi[nn] = 0;
+                        nn--;
+                    } else {
+                        y = a[nn - 1][nn - 1];
+                        w = a[nn][nn - 1] * a[nn - 1][nn];
+                        if (l === nn - 1) {
+                            // Two roots found
+                            p = 0.5 * (y - x);
+                            q = p * p + w;
+                            z = Math.sqrt(Math.abs(q));
+                            x += t;
+                            if (q >= 0) {
+                                z = p + sign(z, p);
+                                wr[nn - 1] = wr[nn] = x + z;
+                                if (z !== 0) {
+                                    wr[nn] = x - w / z;
+                                }
+                                wi[nn - 1] = wi[nn] = 0;
+                            } else {
+                                wr[nn - 1] = wr[nn] = x + p;
+                                wi[nn - 1] = z;
+                                wi[nn] = -z;
+                            }
+                            nn -= 2;
+                        } else {
+                            if (its === 60 || isNaN(x)) {
+                                throw new Error("JSXGraph: LinearAlgebra.eigenvalues: No convergence");
+                            }
+                            if (its === 10 || its === 20) {
+                                // Exceptional shift
+                                t += x;
+                                for (i = 0; i <= nn; i++) {
+                                    a[i][i] -= x;
+                                }
+                                s = Math.abs(a[nn][nn - 1]) + Math.abs(a[nn - 1][nn - 2]);
+                                y = x = 0.75 * s;
+                                w = -0.4375 * s * s;
+                            }
+                            its++;
+
+                            // Search of two consecutive small subdiagonal elements
+                            for (m = nn - 2; m >= l; m--) {
+                                z = a[m][m];
+                                r = x - z;
+                                s = y - z;
+                                p = (r * s - w) / a[m + 1][m] + a[m][m + 1];
+                                q = a[m + 1][m + 1] - z - r - s;
+                                r = a[m + 2][m + 1];
+                                s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                                p /= s;
+                                q /= s;
+                                r /= s;
+                                if (m === l) {
+                                    break;
+                                }
+                                u = Math.abs(a[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+                                v = Math.abs(p) * (Math.abs(a[m - 1][m - 1]) + Math.abs(z) + Math.abs(a[m + 1][m + 1]));
+                                if (u <= DBL_EPS * v) {
+                                    break;
+                                }
+                            }
+                            for (i = m; i < nn - 1; i++) {
+                                a[i + 2][i] = 0;
+                                if (i !== m) {
+                                    a[i + 2][i - 1] = 0;
+                                }
+                            }
+
+                            // Double QR step on rows l to nn and columns m to nn
+                            for (k = m; k < nn; k++) {
+                                if (k !== m) {
+                                    p = a[k][k - 1];
+                                    q = a[k + 1][k - 1];
+                                    r = 0;
+                                    if (k + 1 !== nn) {
+                                        r = a[k + 2][k - 1];
+                                    }
+                                    x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                                    if (x !== 0) {
+                                        p /= x;
+                                        q /= x;
+                                        r /= x;
+                                    }
+                                }
+                                s = sign(Math.sqrt(p * p + q * q + r * r), p);
+                                if (s !== 0) {
+                                    if (k === m) {
+                                        if (l !== m) {
+                                            a[k][k - 1] = -a[k][k - 1];
+                                        }
+                                    } else {
+                                        a[k][k - 1] = -s * x;
+                                    }
+                                    p += s;
+                                    x = p / s;
+                                    y = q / s;
+                                    z = r / s;
+                                    q /= p;
+                                    r /= p;
+                                    for (j = k; j <= nn; j++) {
+                                        p = a[k][j] + q * a[k + 1][j];
+                                        if (k + 1 !== nn) {
+                                            p += r * a[k + 2][j];
+                                            a[k + 2][j] -= p * z;
+                                        }
+                                        a[k + 1][j] -= p * y;
+                                        a[k][j] -= p * x;
+                                    }
+                                    mmin = (nn < k + 3) ? nn : k + 3;
+                                    for (i = l; i <= mmin; i++) {
+                                        p = x * a[i][k] + y * a[i][k + 1];
+                                        if (k + 1 !== nn) {
+                                            p += z * a[i][k + 2];
+                                            a[i][k + 2] -= p * r;
+                                        }
+                                        a[i][k + 1] -= p * q;
+                                        a[i][k] -= p;
+                                    }
+                                }
+                            }
+                        }
+                    }
+                } while (l + 1 < nn);
+            }
+
+            for (i = 0; i < n; i++) {
+                res.push(new Complex(wr[i], wi[i]));
+            }
+
+            return res;
+        }
+    };
+
+    return Mat.LinearAlgebra;
+});
@@ -35,6 +35,7 @@
 /* depends:
  utils/type
  math/math
+ math/complex
  */
 
 /**
@@ -42,7 +43,7 @@
  * algorithms for solving linear equations etc.
  */
 
-define(['jxg', 'utils/type', 'math/math'], function (JXG, Type, Mat) {
+define(['jxg', 'utils/type', 'math/math', 'math/complex'], function (JXG, Type, Mat, Complex) {
 
     "use strict";
 
@@ -75,6 +76,228 @@ define(['jxg', 'utils/type', 'math/math'], function (JXG, Type, Mat) {
             ],
             b: [1],
             c: [0]
+        },
+        // Runge-Kutta-Fehlberg 4(5), the solution is propagated with the fourth order weights b,
+        // the error is estimated with the embedded fifth order weights bEmbedded.
+        rkf45: {
+            s: 6,
+            A: [
+                [0, 0, 0, 0, 0, 0],
+                [1.0 / 4.0, 0, 0, 0, 0, 0],
+                [3.0 / 32.0, 9.0 / 32.0, 0, 0, 0, 0],
+                [1932.0 / 2197.0, -7200.0 / 2197.0, 7296.0 / 2197.0, 0, 0, 0],
+                [439.0 / 216.0, -8, 3680.0 / 513.0, -845.0 / 4104.0, 0, 0],
+                [-8.0 / 27.0, 2, -3544.0 / 2565.0, 1859.0 / 4104.0, -11.0 / 40.0, 0]
+            ],
+            b: [25.0 / 216.0, 0, 1408.0 / 2565.0, 2197.0 / 4104.0, -1.0 / 5.0, 0],
+            bEmbedded: [16.0 / 135.0, 0, 6656.0 / 12825.0, 28561.0 / 56430.0, -9.0 / 50.0, 2.0 / 55.0],
+            c: [0, 1.0 / 4.0, 3.0 / 8.0, 12.0 / 13.0, 1, 1.0 / 2.0],
+            order: 4,
+            orderEmbedded: 5
+        },
+        // Dormand-Prince 5(4), the solution is propagated with the fifth order weights b,
+        // the error is estimated with the embedded fourth order weights bEmbedded.
+        dopri5: {
+            s: 7,
+            A: [
+                [0, 0, 0, 0, 0, 0, 0],
+                [1.0 / 5.0, 0, 0, 0, 0, 0, 0],
+                [3.0 / 40.0, 9.0 / 40.0, 0, 0, 0, 0, 0],
+                [44.0 / 45.0, -56.0 / 15.0, 32.0 / 9.0, 0, 0, 0, 0],
+                [19372.0 / 6561.0, -25360.0 / 2187.0, 64448.0 / 6561.0, -212.0 / 729.0, 0, 0, 0],
+                [9017.0 / 3168.0, -355.0 / 33.0, 46732.0 / 5247.0, 49.0 / 176.0, -5103.0 / 18656.0, 0, 0],
+                [35.0 / 384.0, 0, 500.0 / 1113.0, 125.0 / 192.0, -2187.0 / 6784.0, 11.0 / 84.0, 0]
+            ],
+            b: [35.0 / 384.0, 0, 500.0 / 1113.0, 125.0 / 192.0, -2187.0 / 6784.0, 11.0 / 84.0, 0],
+            bEmbedded: [5179.0 / 57600.0, 0, 7571.0 / 16695.0, 393.0 / 640.0, -92097.0 / 339200.0, 187.0 / 2100.0, 1.0 / 40.0],
+            c: [0, 1.0 / 5.0, 3.0 / 10.0, 4.0 / 5.0, 8.0 / 9.0, 1, 1],
+            order: 5,
+            orderEmbedded: 4
+        }
+    };
+
+    // Models of Numerics.regression. f(x, p) is the model function with parameters p, init(x, y, config) returns initial
+    // parameters, term(p) the term of the fitted function.
+    var regressionModels = {
+        polynomial: {
+            f: function (x, p) {
+                var i,
+                    s = p[p.length - 1];
+
+                for (i = p.length - 2; i >= 0; i--) {
+                    s = s * x + p[i];
+                }
+                return s;
+            },
+            init: function (x, y, config) {
+                var i, j,
+                    deg = Type.def(config.degree, 1),
+                    M = [];
+
+                for (j = 0; j < x.length; j++) {
+                    M.push([1]);
+                    for (i = 1; i <= deg; i++) {
+                        M[j][i] = M[j][i - 1] * x[j];
+                    }
+                }
+                // The least squares solution of the normal equations is exact
+                return Mat.Numerics.Gauss(Mat.matMatMult(Mat.transpose(M), M), Mat.matVecMult(Mat.transpose(M), y));
+            },
+            term: function (p) {
+                return Mat.Numerics.generatePolynomialTerm(p, p.length - 1, 'x', 3);
+            }
+        },
+
+        exponential: {
+            f: function (x, p) {
+                return p[0] * Math.exp(p[1] * x);
+            },
+            init: function (x, y) {
+                var i,
+                    s = (Mat.Numerics._sumArray(y) < 0) ? -1 : 1,
+                    lx = [],
+                    ly = [],
+                    c;
+
+                for (i = 0; i < x.length; i++) {
+                    if (s * y[i] > 0) {
+                        lx.push(x[i]);
+                        ly.push(Math.log(s * y[i]));
+                    }
+                }
+                c = Mat.Numerics._linearFit(lx, ly);
+                return [s * Math.exp(c[0]), c[1]];
+            },
+            term: function (p) {
+                return '(' + p[0].toPrecision(3) + ')*exp((' + p[1].toPrecision(3) + ')*x)';
+            }
+        },
+
+        logarithmic: {
+            f: function (x, p) {
+                return p[0] + p[1] * Math.log(x);
+            },
+            init: function (x, y) {
+                var i,
+                    lx = [],
+                    ly = [];
+
+                for (i = 0; i < x.length; i++) {
+                    if (x[i] > 0) {
+                        lx.push(Math.log(x[i]));
+                        ly.push(y[i]);
+                    }
+                }
+                return Mat.Numerics._linearFit(lx, ly);
+            },
+            term: function (p) {
+                return '(' + p[0].toPrecision(3) + ') + (' + p[1].toPrecision(3) + ')*ln(x)';
+            }
+        },
+
+        power: {
+            f: function (x, p) {
+                return p[0] * Math.pow(x, p[1]);
+            },
+            init: function (x, y) {
+                var i,
+                    s = (Mat.Numerics._sumArray(y) < 0) ? -1 : 1,
+                    lx = [],
+                    ly = [],
+                    c;
+
+                for (i = 0; i < x.length; i++) {
+                    if (x[i] > 0 && s * y[i] > 0) {
+                        lx.push(Math.log(x[i]));
+                        ly.push(Math.log(s * y[i]));
+                    }
+                }
+                c = Mat.Numerics._linearFit(lx, ly);
+                return [s * Math.exp(c[0]), c[1]];
+            },
+            term: function (p) {
+                return '(' + p[0].toPrecision(3) + ')*x<sup>' + p[1].toPrecision(3) + '</sup>';
+            }
+        },
+
+        logistic: {
+            // Parameters [c, a, b] of c / (1 + a exp(-b x))
+            f: function (x, p) {
+                return p[0] / (1 + p[1] * Math.exp(-p[2] * x));
+            },
+            init: function (x, y) {
+                var i, c, lin,
+                    lx = [],
+                    ly = [];
+
+                c = Math.max.apply(Math, y);
+                c = (c > 0) ? 1.05 * c : 1;
+                for (i = 0; i < x.length; i++) {
+                    if (y[i] > 0 && y[i] < c) {
+                        lx.push(x[i]);
+                        ly.push(Math.log(c / y[i] - 1));
+                    }
+                }
+                lin = Mat.Numerics._linearFit(lx, ly);
+                return [c, Math.exp(lin[0]), -lin[1]];
+            },
+            term: function (p) {
+                return '(' + p[0].toPrecision(3) + ') / (1 + (' + p[1].toPrecision(3) + ')*exp(-(' +
+                    p[2].toPrecision(3) + ')*x))';
+            }
+        },
+
+        sinusoidal: {
+            // Parameters [a, b, c, d] of a sin(b x + c) + d
+            f: function (x, p) {
+                return p[0] * Math.sin(p[1] * x + p[2]) + p[3];
+            },
+            init: function (x, y) {
+                var i, k, ssr, c, b,
+                    idx = [],
+                    crossings = [],
+                    best = Infinity,
+                    p = [0, 1, 0, 0],
+                    d = Mat.Numerics._sumArray(y) / y.length,
+                    a = (Math.max.apply(Math, y) - Math.min.apply(Math, y)) * 0.5;
+
+                for (i = 0; i < x.length; i++) {
+                    idx.push(i);
+                }
+                idx.sort(function (i1, i2) {
+                    return x[i1] - x[i2];
+                });
+
+                // The period is estimated from the zero crossings of y - d
+                for (i = 1; i < idx.length; i++) {
+                    if ((y[idx[i - 1]] - d) * (y[idx[i]] - d) < 0) {
+                        crossings.push(0.5 * (x[idx[i - 1]] + x[idx[i]]));
+                    }
+                }
+                if (crossings.length > 1) {
+                    b = Math.PI * (crossings.length - 1) / (crossings[crossings.length - 1] - crossings[0]);
+                } else {
+                    b = 2 * Math.PI / (x[idx[idx.length - 1]] - x[idx[0]]);
+                }
+
+                // Search of the phase
+                for (k = 0; k < 24; k++) {
+                    c = k * Math.PI / 12;
+                    ssr = 0;
+                    for (i = 0; i < x.length; i++) {
+                        ssr += Math.pow(y[i] - a * Math.sin(b * x[i] + c) - d, 2);
+                    }
+                    if (ssr < best) {
+                        best = ssr;
+                        p = [a, b, c, d];
+                    }
+                }
+                return p;
+            },
+            term: function (p) {
+                return '(' + p[0].toPrecision(3) + ')*sin((' + p[1].toPrecision(3) + ')*x + (' +
+                    p[2].toPrecision(3) + ')) + (' + p[3].toPrecision(3) + ')';
+            }
         }
     };
 
@@ -1723,6 +1946,135 @@ define(['jxg', 'utils/type', 'math/math'], function (JXG, Type, Mat) {
             return t.join('');
         },
 
+        /**
+         * Computes all complex roots of a polynomial by the Durand-Kerner (Weierstrass) method.
+         * All roots are improved simultaneously by z<sub>i</sub> = z<sub>i</sub> - p(z<sub>i</sub>) / &prod;<sub>j&ne;i</sub>(z<sub>i</sub> - z<sub>j</sub>).
+         * Simple roots are found to machine precision, roots of multiplicity m only to about
+         * the m-th root of the machine precision.
+         * @param {Array} coeffs Coefficients of the polynomial. The position i belongs to x^i.
+         * The coefficients may also be functions.
+         * @param {Object} [config] Optional parameters:
+         * <pre>
+         * {
+         *     maxIterations: 500
+         * }
+         * </pre>
+         * @returns {Array} The roots as array of {@link JXG.Complex}, sorted by their real parts.
+         * Roots are repeated according to their multiplicity. Imaginary parts which are zero up to rounding errors
+         * are set to 0. The constant and the zero polynomial have no roots.
+         * @example
+         * // x^3 - 1
+         * var z = JXG.Math.Numerics.polynomialRoots([-1, 0, 0, 1]);
+         * // z: -0.5 - 0.866i, -0.5 + 0.866i, 1
+         * @see JXG.Math.Poly.Polynomial#roots
+         * @memberof JXG.Math.Numerics
+         */
+        polynomialRoots: function (coeffs, config) {
+            var i, j, k, it, n, r, change, maxChange,
+                pr, pi, dr, di, tr, ti, t, qr, qi,
+                cfg = config || {},
+                maxIterations = Type.def(cfg.maxIterations, 500),
+                c = [],
+                a = [],
+                zr = [],
+                zi = [],
+                res = [];
+
+            for (i = 0; i < coeffs.length; i++) {
+                c[i] = Type.evaluate(coeffs[i]);
+                if (!isFinite(c[i])) {
+                    return [];
+                }
+            }
+
+            // Remove leading zero coefficients and split off the root 0
+            while (c.length > 0 && c[c.length - 1] === 0) {
+                c.pop();
+            }
+            while (c.length > 1 && c[0] === 0) {
+                c.shift();
+                res.push(new Complex(0, 0));
+            }
+
+            n = c.length - 1;
+            if (n < 1) {
+                return res;
+            }
+
+            // Monic polynomial
+            for (i = 0; i <= n; i++) {
+                a[i] = c[i] / c[n];
+            }
+
+            // Start values on a circle whose radius is the geometric mean of the absolute values of the roots.
+            // They must not be symmetric to the real axis.
+            r = Math.pow(Math.abs(a[0]), 1 / n);
+            for (i = 0; i < n; i++) {
+                t = 2 * Math.PI * i / n + 0.4;
+                zr[i] = r * Math.cos(t);
+                zi[i] = r * Math.sin(t);
+            }
+
+            for (it = 0; it < maxIterations; it++) {
+                maxChange = 0;
+                for (i = 0; i < n; i++) {
+                    // p(z_i) by Horner's scheme
+                    pr = 1;
+                    pi = 0;
+                    for (k = n - 1; k >= 0; k--) {
+                        t = pr * zr[i] - pi * zi[i] + a[k];
+                        pi = pr * zi[i] + pi * zr[i];
+                        pr = t;
+                    }
+
+                    // prod_{j != i} (z_i - z_j)
+                    dr = 1;
+                    di = 0;
+                    for (j = 0; j < n; j++) {
+                        if (j !== i) {
+                            tr = zr[i] - zr[j];
+                            ti = zi[i] - zi[j];
+                            t = dr * tr - di * ti;
+                            di = dr * ti + di * tr;
+                            dr = t;
+                        }
+                    }
+
+                    t = dr * dr + di * di;
+                    if (t === 0) {
+                        // Two approximations coincide
+                        zr[i] += r * 1.0e-8;
+                        maxChange = Infinity;
+                        continue;
+                    }
+                    qr = (pr * dr + pi * di) / t;
+                    qi = (pi * dr - pr * di) / t;
+                    zr[i] -= qr;
+                    zi[i] -= qi;
+
+                    change = Math.sqrt(qr * qr + qi * qi) / Math.max(1, Math.sqrt(zr[i] * zr[i] + zi[i] * zi[i]));
+                    maxChange = Math.max(maxChange, change);
+                }
+
+                if (maxChange < 2.2204460492503131e-16) {
+                    break;
+                }
+            }
+
+            for (i = 0; i < n; i++) {
+                if (Math.abs(zi[i]) < 1.0e-12 * Math.max(1, Math.abs(zr[i]))) {
+                    zi[i] = 0;
+                }
+                res.push(new Complex(zr[i], zi[i]));
+            }
+
+            res.sort(function (z1, z2) {
+                return (z1.real - z2.real) || (z1.imaginary - z2.imaginary);
+            });
+
+            return res;
+        },
+
         /**
          * Computes the polynomial through a given set of coordinates in Lagrange form.
          * Returns the Lagrange polynomials, see
@@ -2109,6 +2461,385 @@ define(['jxg', 'utils/type', 'math/math'], function (JXG, Type, Mat) {
             return fct;
         },
 
+        /**
+         * Fits a model function to data by least squares. Besides polynomials, there are the models
+         * <ul>
+         * <li> 'linear': p<sub>0</sub> + p<sub>1</sub> x,
+         * <li> 'polynomial': p<sub>0</sub> + p<sub>1</sub> x + ... + p<sub>n</sub> x<sup>n</sup>, where n is given by config.degree,
+         * <li> 'exponential': a e<sup>bx</sup>, parameters [a, b],
+         * <li> 'logarithmic': a + b ln(x), parameters [a, b],
+         * <li> 'power': a x<sup>b</sup>, parameters [a, b],
+         * <li> 'logistic': c / (1 + a e<sup>-bx</sup>), parameters [c, a, b],
+         * <li> 'sinusoidal': a sin(bx + c) + d, parameters [a, b, c, d].
+         * </ul>
+         * Initial parameters are found by linearization. Then, the sum of squared residuals is minimized with
+         * {@link JXG.Math.Numerics.levenbergMarquardt}. General models are given by a function f(x, p) of x and
+         * the array of parameters p, together with initial parameters config.p0.
+         * <p>
+         * Like {@link JXG.Math.Numerics.regressionPolynomial}, the data arrays may contain functions and
+         * the fit is recomputed at each call of the returned function, unless its second parameter <tt>suspendedUpdate</tt> is true.
+         * Therefore, the result can be plotted directly with a functiongraph and follows the data.
+         *
+         * @param {String|Function} model The name of a model or a function f(x, p).
+         * @param {Array} dataX Array containing either the x-coordinates of the data set or both coordinates in
+         * an array of {@link JXG.Point}s.
+         * @param {Array} [dataY] Array containing the y-coordinates of the data set.
+         * @param {Object} [config] Optional parameters:
+         * <pre>
+         * {
+         *     degree: 1,          // Degree of the model 'polynomial'
+         *     p0: [...],          // Initial parameters of a model function
+         *     maxIterations: 200, // See JXG.Math.Numerics.levenbergMarquardt
+         *     tolerance: 1e-12
+         * }
+         * </pre>
+         * @returns {Function} The fitted function of one parameter x. It has the properties
+         * <ul>
+         * <li> <tt>parameters</tt>: the fitted parameters,
+         * <li> <tt>rSquared</tt>: the coefficient of determination R<sup>2</sup>,
+         * <li> <tt>residuals</tt>: the residuals y<sub>i</sub> - f(x<sub>i</sub>),
+         * <li> <tt>standardErrors</tt>: the standard errors of the parameters,
+         * </ul>
+         * and the method <tt>getTerm()</tt>, which returns the term of the fitted function.
+         * If there are not more data points than parameters or less different x-coordinates than parameters,
+         * the parameters are NaN and the function returns NaN.
+         * @example
+         * var x = [0, 1, 2, 3, 4, 5],
+         *     y = [1.1, 2.4, 6.8, 20.5, 54, 149],
+         *     f = JXG.Math.Numerics.regression('exponential', x, y),
+         *     g = board.create('functiongraph', [f]);
+         *
+         * // f.parameters is close to [1, 1], f.rSquared close to 1
+         * @see JXG.Math.Numerics.levenbergMarquardt
+         * @see JXG.Math.Numerics.regressionPolynomial
+         * @memberof JXG.Math.Numerics
+         */
+        regression: function (model, dataX, dataY, config) {
+            var fct, f, m, fitted,
+                that = this,
+                cfg = config || {},
+                numParams = 0;
+
+            if (Type.isFunction(model)) {
+                m = {
+                    f: model,
+                    init: function () {
+                        return cfg.p0.slice(0);
+                    },
+                    term: function () {
+                        return '';
+                    }
+                };
+                numParams = cfg.p0.length;
+            } else if (model === 'linear' || model === 'polynomial') {
+                m = regressionModels.polynomial;
+                numParams = ((model === 'linear') ? 1 : Type.def(cfg.degree, 1)) + 1;
+                cfg = Type.deepCopy(cfg, {degree: numParams - 1});
+            } else if (Type.exists(regressionModels[model])) {
+                m = regressionModels[model];
+                numParams = m.init([1, 2], [1, 2], cfg).length;
+            } else {
+                throw new Error("JSXGraph: Unknown regression model '" + model + "'.");
+            }
+            f = m.f;
+
+            fitted = function () {
+                var i, k, data, p, res,
+                    distinct = [];
+
+                data = that._regressionData(dataX, dataY);
+                for (i = 0; i < data[0].length && distinct.length < numParams; i++) {
+                    if (Type.indexOf(distinct, data[0][i]) < 0) {
+                        distinct.push(data[0][i]);
+                    }
+                }
+
+                // A model with k parameters is not determined by less than k different x-coordinates
+                if (data[0].length <= numParams || distinct.length < numParams) {
+                    p = [];
+                    for (k = 0; k < numParams; k++) {
+                        p.push(NaN);
+                    }
+                    fct.parameters = p;
+                    fct.rSquared = NaN;
+                    fct.residuals = [];
+                    fct.standardErrors = p.slice(0);
+                    return;
+                }
+
+                try {
+                    p = m.init(data[0], data[1], cfg);
+                } catch (e) {
+                    p = [];
+                    for (k = 0; k < numParams; k++) {
+                        p.push(NaN);
+                    }
+                }
+                for (i = 0; i < p.length; i++) {
+                    if (!isFinite(p[i])) {
+                        // The linearization failed, start with the last parameters or with ones
+                        p = (Type.exists(fct.parameters) && fct.parameters.every(isFinite)) ?
+                                fct.parameters.slice(0) : p.map(function () { return 1; });
+                        break;
+                    }
+                }
+
+                res = that.levenbergMarquardt(f, p, data[0], data[1], cfg);
+                fct.parameters = res.parameters;
+                fct.rSquared = res.rSquared;
+                fct.residuals = res.residuals;
+                fct.standardErrors = res.standardErrors;
+            };
+
+            /** @ignore */
+            fct = function (x, suspendedUpdate) {
+                if (!suspendedUpdate) {
+                    fitted();
+                }
+                if (!fct.parameters.every(isFinite)) {
+                    return NaN;
+                }
+
+                return f(x, fct.parameters);
+            };
+
+            fct.getTerm = function () {
+                return fct.parameters.every(isFinite) ? m.term(fct.parameters) : '';
+            };
+
+            fitted();
+
+            return fct;
+        },
+
+        /**
+         * Minimizes the sum of squared residuals of a model function f(x, p) with respect to the parameters p by the
+         * Levenberg-Marquardt method. The derivatives with respect to the parameters are approximated by finite differences.
+         * @param {Function} f The model function f(x, p).
+         * @param {Array} p0 Initial parameters.
+         * @param {Array} dataX x-coordinates of the data.
+         * @param {Array} dataY y-coordinates of the data.
+         * @param {Object} [config] Optional parameters with default values:
+         * <pre>
+         * {
+         *     maxIterations: 200,
+         *     tolerance: 1e-12    // Stop if the relative decrease of the sum of squares is smaller
+         * }
+         * </pre>
+         * @returns {Object} An object with the entries
+         * <ul>
+         * <li> <tt>parameters</tt>: the parameters,
+         * <li> <tt>residuals</tt>: the residuals y<sub>i</sub> - f(x<sub>i</sub>, p),
+         * <li> <tt>ssr</tt>: the sum of the squared residuals,
+         * <li> <tt>rSquared</tt>: the coefficient of determination R<sup>2</sup> = 1 - ssr / (sum of squares of y<sub>i</sub> - mean),
+         * <li> <tt>standardErrors</tt>: the standard errors of the parameters, computed from the
+         * covariance matrix ssr / (n - k) (J<sup>T</sup>J)<sup>-1</sup>,
+         * <li> <tt>iterations</tt>: the number of iterations.
+         * </ul>
+         * @memberof JXG.Math.Numerics
+         */
+        levenbergMarquardt: function (f, p0, dataX, dataY, config) {
+            var it, i, j, J, JT, A, g, delta, pNew, ssrNew, cov, my, sst,
+                cfg = config || {},
+                maxIterations = Type.def(cfg.maxIterations, 200),
+                tolerance = Type.def(cfg.tolerance, 1e-12),
+                n = dataX.length,
+                k = p0.length,
+                lambda = 1e-3,
+                p = p0.slice(0),
+                ssr = this._ssr(f, p, dataX, dataY),
+                residuals = function (q) {
+                    var l,
+                        r = [];
+
+                    for (l = 0; l < n; l++) {
+                        r.push(dataY[l] - f(dataX[l], q));
+                    }
+                    return r;
+                };
+
+            for (it = 0; it < maxIterations; it++) {
+                J = this._parameterJacobian(f, p, dataX);
+                JT = Mat.transpose(J);
+                A = Mat.matMatMult(JT, J);
+                g = Mat.matVecMult(JT, residuals(p));
+
+                // Increase the damping until the sum of squares decreases
+                for (;;) {
+                    for (i = 0; i < k; i++) {
+                        A[i][i] *= 1 + lambda;
+                    }
+                    try {
+                        delta = this.Gauss(A, g);
+                    } catch (e) {
+                        delta = null;
+                    }
+                    for (i = 0; i < k; i++) {
+                        A[i][i] /= 1 + lambda;
+                    }
+
+                    if (delta !== null) {
+                        pNew = [];
+                        for (j = 0; j < k; j++) {
+                            pNew.push(p[j] + delta[j]);
+                        }
+                        ssrNew = this._ssr(f, pNew, dataX, dataY);
+                        if (ssrNew <= ssr) {
+                            break;
+                        }
+                    }
+                    lambda *= 10;
+                    if (lambda > 1e16) {
+                        break;
+                    }
+                }
+
+                if (lambda > 1e16) {
+                    break;
+                }
+
+                p = pNew;
+                lambda = Math.max(lambda / 10, 1e-12);
+                if (ssr - ssrNew <= tolerance * ssr) {
+                    ssr = ssrNew;
+                    break;
+                }
+                ssr = ssrNew;
+            }
+
+            my = 0;
+            for (i = 0; i < n; i++) {
+                my += dataY[i] / n;
+            }
+            sst = 0;
+            for (i = 0; i < n; i++) {
+                sst += (dataY[i] - my) * (dataY[i] - my);
+            }
+
+            g = [];
+            J = this._parameterJacobian(f, p, dataX);
+            cov = Mat.inverse(Mat.matMatMult(Mat.transpose(J), J));
+            for (i = 0; i < k; i++) {
+                g.push((n > k && Type.exists(cov[i])) ? Math.sqrt(Math.abs(cov[i][i]) * ssr / (n - k)) : NaN);
+            }
+
+            return {
+                parameters: p,
+                residuals: residuals(p),
+                ssr: ssr,
+                rSquared: 1 - ssr / sst,
+                standardErrors: g,
+                iterations: it
+            };
+        },
+
+        /**
+         * Sum of squared residuals of a model function.
+         * @private
+         * @memberof JXG.Math.Numerics
+         */
+        _ssr: function (f, p, dataX, dataY) {
+            var i, r,
+                s = 0;
+
+            for (i = 0; i < dataX.length; i++) {
+                r = dataY[i] - f(dataX[i], p);
+                s += r * r;
+            }
+
+            return isNaN(s) ? Infinity : s;
+        },
+
+        /**
+         * Jacobian matrix of a model function f(x, p) with respect to the parameters, approximated by forward differences.
+         * @private
+         * @memberof JXG.Math.Numerics
+         */
+        _parameterJacobian: function (f, p, dataX) {
+            var i, j, q, h, f0,
+                J = [];
+
+            for (i = 0; i < dataX.length; i++) {
+                J.push([]);
+                f0 = f(dataX[i], p);
+                for (j = 0; j < p.length; j++) {
+                    q = p.slice(0);
+                    h = 1.4901161193847656e-8 * Math.max(Math.abs(p[j]), 1);
+                    q[j] += h;
+                    J[i][j] = (f(dataX[i], q) - f0) / h;
+                }
+            }
+
+            return J;
+        },
+
+        /**
+         * Evaluates the data of {@link JXG.Math.Numerics.regression}.
+         * @returns {Array} [x, y]
+         * @private
+         * @memberof JXG.Math.Numerics
+         */
+        _regressionData: function (dataX, dataY) {
+            var i, vx, vy,
+                x = [],
+                y = [];
+
+            for (i = 0; i < dataX.length; i++) {
+                if (Type.isPoint(dataX[i])) {
+                    vx = dataX[i].X();
+                    vy = dataX[i].Y();
+                } else {
+                    vx = Type.evaluate(dataX[i]);
+                    vy = Type.evaluate(dataY[i]);
+                }
+                if (isFinite(vx) && isFinite(vy)) {
+                    x.push(vx);
+                    y.push(vy);
+                }
+            }
+
+            return [x, y];
+        },
+
+        /**
+         * Least squares line y = c<sub>0</sub> + c<sub>1</sub> x.
+         * @returns {Array} [c0, c1]
+         * @private
+         * @memberof JXG.Math.Numerics
+         */
+        _linearFit: function (x, y) {
+            var i, b,
+                n = x.length,
+                mx = this._sumArray(x) / n,
+                my = this._sumArray(y) / n,
+                sxy = 0,
+                sxx = 0;
+
+            for (i = 0; i < n; i++) {
+                sxy += (x[i] - mx) * (y[i] - my);
+                sxx += (x[i] - mx) * (x[i] - mx);
+            }
+            b = sxy / sxx;
+
+            return [my - b * mx, b];
+        },
+
+        /**
+         * Sum of the entries of an array.
+         * @private
+         * @memberof JXG.Math.Numerics
+         */
+        _sumArray: function (arr) {
+            var i,
+                s = 0;
+
+            for (i = 0; i < arr.length; i++) {
+                s += arr[i];
+            }
+
+            return s;
+        },
+
         /**
          * Computes the cubic Bezier curve through a given set of points.
          * @param {Array} points Array consisting of 3*k+1 {@link JXG.Points}.
@@ -2641,6 +3372,361 @@ define(['jxg', 'utils/type', 'math/math'], function (JXG, Type, Mat) {
             return result;
         },
 
+        /**
+         * Solve initial value problems numerically using embedded Runge-Kutta methods with adaptive step size control.
+         * In each step, the local error is estimated by the difference of the two solutions of the embedded
+         * method. A step is accepted, if the error is smaller than <tt>atol + rtol * |x|</tt> in each component.
+         * The step size is adapted to the error, so the number of steps need not be known in advance.
+         * The integration may also be done backwards, i.e. with I[1] &lt; I[0].
+         * <p>
+         * These explicit methods are not suited for stiff problems, use {@link JXG.Math.Numerics.rosenbrock} for those.
+         *
+         * @param {object,String} butcher Butcher tableau of an embedded Runge-Kutta method. This can be either a string
+         * 'dopri5' for the Dormand-Prince method 5(4) or 'rkf45' for the Runge-Kutta-Fehlberg method 4(5),
+         * or an object like in {@link JXG.Math.Numerics.rungeKutta}
+         * with the additional entries <tt>bEmbedded</tt>, <tt>order</tt> and <tt>orderEmbedded</tt>.
+         * The solution is propagated with the weights <tt>b</tt>.
+         * @param {Array} x0 Initial value vector.
+         * @param {Array} I Interval [t0, t1] on which to integrate.
+         * @param {function} f Right hand side of the ode dx/dt = f(t, x(t)), see {@link JXG.Math.Numerics.rungeKutta}.
+         * @param {Object} [options] Optional parameters with default values:
+         * <pre>
+         * {
+         *     rtol: 1e-6,      // Relative error tolerance
+         *     atol: 1e-9,      // Absolute error tolerance
+         *     h0: |t1 - t0| / 100, // Initial step size
+         *     hmax: |t1 - t0|, // Maximum step size
+         *     maxSteps: 10000  // Maximum number of steps
+         * }
+         * </pre>
+         * @returns {Object} An object <tt>{t: [...], x: [...], dx: [...], evaluate: function}</tt> containing the times of the steps,
+         * the solution vectors and their derivatives at these times. The function <tt>evaluate(t)</tt>
+         * is the dense output: it returns the solution vector at an arbitrary time between the steps by cubic
+         * Hermite interpolation. If the step size becomes too small, e.g. because the solution blows up,
+         * or if the maximum number of steps is reached, the integration stops before t1.
+         * @example
+         * // The harmonic oscillator x'' = -x as system of first order
+         * var sol = JXG.Math.Numerics.rungeKuttaAdaptive('dopri5', [1, 0], [0, 10], function (t, x) {
+         *         return [x[1], -x[0]];
+         *     }, {rtol: 1e-8});
+         *
+         * // sol.x[sol.x.length - 1][0] and sol.evaluate(10)[0] are close to Math.cos(10),
+         * // sol.evaluate(2.5)[0] is close to Math.cos(2.5).
+         * @see JXG.Math.Numerics.rungeKutta
+         * @see JXG.Math.Numerics.rosenbrock
+         * @memberof JXG.Math.Numerics
+         */
+        rungeKuttaAdaptive: function (butcher, x0, I, f, options) {
+            var fsal, step;
+
+            if (Type.isString(butcher)) {
+                butcher = predefinedButcher[butcher] || predefinedButcher.dopri5;
+            }
+
+            // First same as last: the last stage is the derivative at the new point
+            fsal = butcher.c[butcher.s - 1] === 1 && butcher.A[butcher.s - 1].every(function (v, i) {
+                return v === butcher.b[i];
+            });
+
+            step = function (t, x, dx, h) {
+                var e, j, l, y,
+                    dim = x.length,
+                    k = [dx],
+                    xnew = x.slice(0),
+                    err = [];
+
+                for (j = 1; j < butcher.s; j++) {
+                    y = x.slice(0);
+                    for (l = 0; l < j; l++) {
+                        for (e = 0; e < dim; e++) {
+                            y[e] += butcher.A[j][l] * h * k[l][e];
+                        }
+                    }
+                    k.push(f(t + butcher.c[j] * h, y));
+                }
+
+                for (e = 0; e < dim; e++) {
+                    err[e] = 0;
+                    for (l = 0; l < butcher.s; l++) {
+                        xnew[e] += h * butcher.b[l] * k[l][e];
+                        err[e] += h * (butcher.b[l] - butcher.bEmbedded[l]) * k[l][e];
+                    }
+                }
+
+                return {
+                    x: xnew,
+                    dx: fsal ? k[butcher.s - 1] : f(t + h, xnew),
+                    err: err
+                };
+            };
+
+            return this._odeAdaptive(step, x0, I, f, options, Math.min(butcher.order, butcher.orderEmbedded));
+        },
+
+        /**
+         * Solve stiff initial value problems numerically using the linearly implicit Rosenbrock method of order 2
+         * with an embedded method of order 3 (the method of MATLAB's <tt>ode23s</tt>, see L. F. Shampine, M. W. Reichelt:
+         * The MATLAB ODE suite, SIAM J. Sci. Comput. 18 (1997)). The method is L-stable. Therefore, the step size
+         * is only limited by the accuracy and not by the stability of the method, even for very stiff systems like
+         * chemical reactions with very different rate constants.
+         * <p>
+         * In each step, the Jacobian matrix of f is needed. If it is not supplied, it is approximated by finite differences.
+         * The step size control and the return value are the same as for {@link JXG.Math.Numerics.rungeKuttaAdaptive}.
+         *
+         * @param {Array} x0 Initial value vector.
+         * @param {Array} I Interval [t0, t1] on which to integrate.
+         * @param {function} f Right hand side of the ode dx/dt = f(t, x(t)), see {@link JXG.Math.Numerics.rungeKutta}.
+         * @param {Object} [options] The options of {@link JXG.Math.Numerics.rungeKuttaAdaptive} and additionally
+         * <pre>
+         * {
+         *     jacobian: function (t, x) { ... } // Returns the Jacobian matrix df/dx as array of rows
+         * }
+         * </pre>
+         * @returns {Object} An object <tt>{t: [...], x: [...], dx: [...], evaluate: function}</tt>,
+         * see {@link JXG.Math.Numerics.rungeKuttaAdaptive}.
+         * @example
+         * // Robertson's chemical reaction, a classical stiff problem
+         * var sol = JXG.Math.Numerics.rosenbrock([1, 0, 0], [0, 40], function (t, x) {
+         *         return [
+         *             -0.04 * x[0] + 1e4 * x[1] * x[2],
+         *             0.04 * x[0] - 1e4 * x[1] * x[2] - 3e7 * x[1] * x[1],
+         *             3e7 * x[1] * x[1]
+         *         ];
+         *     }, {rtol: 1e-4, atol: 1e-8});
+         *
+         * @see JXG.Math.Numerics.rungeKuttaAdaptive
+         * @memberof JXG.Math.Numerics
+         */
+        rosenbrock: function (x0, I, f, options) {
+            var that = this,
+                DBL_EPS = 2.2204460492503131e-16,
+                opt = options || {},
+                d = 1 / (2 + Math.SQRT2),
+                e32 = 6 + Math.SQRT2,
+                step = function (t, x, dx, h) {
+                    var i, j, J, W, T, delta, f1, f2, k1, k2, k3, y, xnew, err,
+                        dim = x.length;
+
+                    if (Type.exists(opt.jacobian)) {
+                        J = opt.jacobian(t, x);
+                    } else {
+                        J = that._jacobian(f, t, x, dx);
+                    }
+
+                    // Derivative of f with respect to t
+                    delta = Math.sqrt(DBL_EPS) * Math.max(Math.abs(t), 1);
+                    T = f(t + delta, x);
+
+                    W = [];
+                    for (i = 0; i < dim; i++) {
+                        W[i] = [];
+                        for (j = 0; j < dim; j++) {
+                            W[i][j] = ((i === j) ? 1 : 0) - h * d * J[i][j];
+                        }
+                        T[i] = (T[i] - dx[i]) / delta;
+                    }
+
+                    try {
+                        k1 = that.Gauss(W, dx.map(function (v, i) {
+                            return v + h * d * T[i];
+                        }));
+
+                        y = x.map(function (v, i) {
+                            return v + 0.5 * h * k1[i];
+                        });
+                        f1 = f(t + 0.5 * h, y);
+                        k2 = that.Gauss(W, f1.map(function (v, i) {
+                            return v - k1[i];
+                        }));
+
+                        xnew = [];
+                        for (i = 0; i < dim; i++) {
+                            k2[i] += k1[i];
+                            xnew[i] = x[i] + h * k2[i];
+                        }
+                        f2 = f(t + h, xnew);
+                        k3 = that.Gauss(W, f2.map(function (v, i) {
+                            return v - e32 * (k2[i] - f1[i]) - 2 * (k1[i] - dx[i]) + h * d * T[i];
+                        }));
+                    } catch (e) {
+                        // The matrix W is singular, try a smaller step
+                        return null;
+                    }
+
+                    err = [];
+                    for (i = 0; i < dim; i++) {
+                        err[i] = h / 6 * (k1[i] - 2 * k2[i] + k3[i]);
+                    }
+
+                    return {
+                        x: xnew,
+                        dx: f2,
+                        err: err
+                    };
+                };
+
+            return this._odeAdaptive(step, x0, I, f, opt, 2);
+        },
+
+        /**
+         * Approximates the Jacobian matrix of f(t, x) with respect to x by forward differences.
+         * @param {function} f Right hand side of the ode.
+         * @param {Number} t
+         * @param {Array} x
+         * @param {Array} fx The value f(t, x).
+         * @returns {Array} The Jacobian matrix as array of rows.
+         * @private
+         * @memberof JXG.Math.Numerics
+         */
+        _jacobian: function (f, t, x, fx) {
+            var i, j, y, fy, delta,
+                DBL_EPS = 2.2204460492503131e-16,
+                dim = x.length,
+                J = [];
+
+            for (i = 0; i < dim; i++) {
+                J[i] = [];
+            }
+
+            for (j = 0; j < dim; j++) {
+                y = x.slice(0);
+                delta = Math.sqrt(DBL_EPS) * Math.max(Math.abs(x[j]), 1);
+                y[j] += delta;
+                fy = f(t, y);
+                for (i = 0; i < dim; i++) {
+                    J[i][j] = (fy[i] - fx[i]) / delta;
+                }
+            }
+
+            return J;
+        },
+
+        /**
+         * Integrates an ode with adaptive step size control, used by {@link JXG.Math.Numerics.rungeKuttaAdaptive}
+         * and {@link JXG.Math.Numerics.rosenbrock}.
+         * @param {function} step Computes a single step <tt>step(t, x, dx, h)</tt> from the solution x and its derivative dx
+         * at time t with the (signed) step size h. It returns an object <tt>{x: [...], dx: [...], err: [...]}</tt> containing
+         * the new solution, its derivative and the estimated local error, or null if the step failed.
+         * @param {Array} x0 Initial value vector.
+         * @param {Array} I Interval [t0, t1] on which to integrate.
+         * @param {function} f Right hand side of the ode.
+         * @param {Object} options See {@link JXG.Math.Numerics.rungeKuttaAdaptive}.
+         * @param {Number} q Order of the error estimate.
+         * @returns {Object} See {@link JXG.Math.Numerics.rungeKuttaAdaptive}.
+         * @private
+         * @memberof JXG.Math.Numerics
+         */
+        _odeAdaptive: function (step, x0, I, f, options, q) {
+            var e, res, err, fac, steps,
+                DBL_EPS = 2.2204460492503131e-16,
+                that = this,
+                opt = options || {},
+                dir = (I[1] < I[0]) ? -1 : 1,
+                len = Math.abs(I[1] - I[0]),
+                rtol = Type.def(opt.rtol, 1e-6),
+                atol = Type.def(opt.atol, 1e-9),
+                hmax = Type.def(opt.hmax, len),
+                maxSteps = Type.def(opt.maxSteps, 10000),
+                h = Math.min(Type.def(opt.h0, len / 100), hmax),
+                t = I[0],
+                x = x0.slice(0),
+                dx = f(t, x),
+                result = {t: [t], x: [x], dx: [dx]};
+
+            for (steps = 0; steps < maxSteps && dir * (I[1] - t) > 0; steps++) {
+                // Do not step beyond the end of the interval
+                if (h > dir * (I[1] - t)) {
+                    h = dir * (I[1] - t);
+                }
+
+                res = step(t, x, dx, dir * h);
+
+                if (res === null) {
+                    err = Infinity;
+                } else {
+                    err = 0;
+                    for (e = 0; e < x.length; e++) {
+                        err = Math.max(err, Math.abs(res.err[e]) / (atol + rtol * Math.max(Math.abs(x[e]), Math.abs(res.x[e]))));
+                    }
+                }
+
+                if (isNaN(err)) {
+                    // The right hand side is not defined
+                    break;
+                }
+
+                if (err <= 1) {
+                    t += dir * h;
+                    x = res.x;
+                    dx = res.dx;
+                    result.t.push(t);
+                    result.x.push(x);
+                    result.dx.push(dx);
+                }
+
+                // Step size control with safety factor 0.9, the step size changes at most by the factor 5
+                fac = (err === 0) ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(err, -1 / (q + 1))));
+                h = Math.min(h * fac, hmax);
+
+                if (h < 16 * DBL_EPS * Math.max(1, Math.abs(t))) {
+                    // Step size underflow, e.g. at a singularity of the solution
+                    break;
+                }
+            }
+
+            result.evaluate = function (s) {
+                return that._odeDense(result, s);
+            };
+
+            return result;
+        },
+
+        /**
+         * Dense output of a solution computed by {@link JXG.Math.Numerics.rungeKuttaAdaptive} or
+         * {@link JXG.Math.Numerics.rosenbrock}: cubic Hermite interpolation between two steps.
+         * @param {Object} sol The solution object.
+         * @param {Number} s Time.
+         * @returns {Array} The solution vector at time s. If s is outside of the integration interval, the entries are NaN.
+         * @private
+         * @memberof JXG.Math.Numerics
+         */
+        _odeDense: function (sol, s) {
+            var lo, hi, mid, h, th, i, x0, x1,
+                n = sol.t.length - 1,
+                dir = (sol.t[n] < sol.t[0]) ? -1 : 1,
+                res = [];
+
+            if (n === 0 || dir * (s - sol.t[0]) < 0 || dir * (s - sol.t[n]) > 0) {
+                for (i = 0; i < sol.x[0].length; i++) {
+                    res[i] = (s === sol.t[0]) ? sol.x[0][i] : NaN;
+                }
+                return res;
+            }
+
+            // Binary search of the step containing s
+            lo = 0;
+            hi = n;
+            while (hi - lo > 1) {
+                mid = Math.floor((lo + hi) * 0.5);
+                if (dir * (s - sol.t[mid]) < 0) {
+                    hi = mid;
+                } else {
+                    lo = mid;
+                }
+            }
+
+            h = sol.t[hi] - sol.t[lo];
+            th = (s - sol.t[lo]) / h;
+            x0 = sol.x[lo];
+            x1 = sol.x[hi];
+            for (i = 0; i < x0.length; i++) {
+                res[i] = (1 - th) * x0[i] + th * x1[i] +
+                    th * (th - 1) * ((1 - 2 * th) * (x1[i] - x0[i]) + (th - 1) * h * sol.dx[lo][i] + th * h * sol.dx[hi][i]);
+            }
+
+            return res;
+        },
+
         /**
          * Maximum number of iterations in {@link JXG.Math.Numerics.fzero}
          * @type Number
@@ -36,6 +36,7 @@
 /* depends:
  jxg
  math/math
+ math/numerics
  utils/type
  */
 
@@ -44,7 +45,7 @@
  * manipulate polynomials.
  */
 
-define(['jxg', 'math/math', 'utils/type'], function (JXG, Mat, Type) {
+define(['jxg', 'math/math', 'math/numerics', 'utils/type'], function (JXG, Mat, Numerics, Type) {
 
     "use strict";
 
@@ -305,6 +306,49 @@ define(['jxg', 'math/math', 'utils/type'], function (JXG, Mat, Type) {
             }
 
             return s.join('+');
+        },
+
+        /**
+         * Coefficients of a polynomial in one variable. All other variables of the ring must have the exponent 0.
+         * @param {String} [variable] The variable, default is the first variable of the ring.
+         * @returns {Array} The coefficients, the position i belongs to the i-th power of the variable.
+         * @throws {Error} If the polynomial depends on another variable.
+         * @memberof JXG.Math.Poly.Polynomial
+         */
+        coefficients: function (variable) {
+            var i, j, e,
+                k = Type.exists(variable) ? Type.indexOf(this.ring.vars, variable) : 0,
+                c = [];
+
+            if (k < 0) {
+                throw new Error('JSXGraph error: In JXG.Math.Poly.Polynomial.coefficients unknown variable \'' + variable + '\'.');
+            }
+
+            for (i = 0; i < this.monomials.length; i++) {
+                for (j = 0; j < this.ring.vars.length; j++) {
+                    if (j !== k && this.monomials[i].exponents[j] !== 0) {
+                        throw new Error('JSXGraph error: In JXG.Math.Poly.Polynomial.coefficients the polynomial is not univariate.');
+                    }
+                }
+
+                e = this.monomials[i].exponents[k];
+                for (j = c.length; j <= e; j++) {
+                    c.push(0);
+                }
+                c[e] += this.monomials[i].coefficient;
+            }
+
+            return c;
+        },
+
+        /**
+         * Computes all complex roots of a polynomial in one variable, see {@link JXG.Math.Numerics.polynomialRoots}.
+         * @param {String} [variable] The variable, default is the first variable of the ring.
+         * @returns {Array} Array of {@link JXG.Complex}
+         * @memberof JXG.Math.Poly.Polynomial
+         */
+        roots: function (variable) {
+            return Numerics.polynomialRoots(this.coefficients(variable));
         }
     });
 
@@ -158,6 +158,216 @@ define(['jxg', 'math/math', 'utils/type'], function (JXG, Mat, Type) {
             return Math.sqrt(this.variance(arr));
         },
 
+        /**
+         * Computes the p-quantile of a set of values, i.e. the value below which the fraction p of the values lies.
+         * Between the order statistics, the quantile is interpolated linearly (method 7 of Hyndman and Fan,
+         * the default of R and of spreadsheet software).
+         * @param {Array} arr The set of values.
+         * @param {Number|Array} p A number between 0 and 1 or an array of such numbers.
+         * @returns {Number|Array} The quantile or an array of quantiles if p is an array.
+         * It returns <tt>NaN</tt> if arr is empty.
+         * @memberof JXG.Math.Statistics
+         */
+        quantile: function (arr, p) {
+            var tmp, i, h, k,
+                res = [],
+                probs = Type.isArray(p) ? p : [p],
+                len = arr.length;
+
+            tmp = arr.slice(0);
+            tmp.sort(function (a, b) {
+                return a - b;
+            });
+
+            for (i = 0; i < probs.length; i++) {
+                if (len === 0) {
+                    res.push(NaN);
+                } else {
+                    h = (len - 1) * Math.min(Math.max(probs[i], 0), 1);
+                    k = Math.floor(h);
+                    res.push((k + 1 < len) ? tmp[k] + (h - k) * (tmp[k + 1] - tmp[k]) : tmp[k]);
+                }
+            }
+
+            return Type.isArray(p) ? res : res[0];
+        },
+
+        /**
+         * The interquartile range is the difference of the upper and lower quartile, i.e. the range
+         * which contains the middle half of the values.
+         * @param {Array} arr
+         * @returns {Number}
+         * @see JXG.Math.Statistics.quantile
+         * @memberof JXG.Math.Statistics
+         */
+        iqr: function (arr) {
+            var q = this.quantile(arr, [0.25, 0.75]);
+
+            return q[1] - q[0];
+        },
+
+        /**
+         * The mode of a set of values is the value which appears most often.
+         * @param {Array} arr
+         * @returns {Array} All values which appear most often, in ascending order. This array is empty if arr is empty.
+         * @memberof JXG.Math.Statistics
+         */
+        mode: function (arr) {
+            var i, tmp,
+                maxCount = 0,
+                count = 0,
+                res = [];
+
+            tmp = arr.slice(0);
+            tmp.sort(function (a, b) {
+                return a - b;
+            });
+
+            for (i = 0; i < tmp.length; i++) {
+                count = (i > 0 && tmp[i] === tmp[i - 1]) ? count + 1 : 1;
+                if (count > maxCount) {
+                    maxCount = count;
+                    res = [tmp[i]];
+                } else if (count === maxCount) {
+                    res.push(tmp[i]);
+                }
+            }
+
+            return res;
+        },
+
+        /**
+         * Pearson's correlation coefficient of two sets of values.
+         * @throws {Error} If the dimensions of the arrays don't match.
+         * @param {Array} x
+         * @param {Array} y
+         * @returns {Number} A number between -1 and 1. It returns <tt>NaN</tt> if one of the sets has no variance.
+         * @memberof JXG.Math.Statistics
+         */
+        correlation: function (x, y) {
+            var i, mx, my,
+                sxy = 0,
+                sxx = 0,
+                syy = 0;
+
+            if (x.length !== y.length) {
+                throw new Error('JSXGraph error (Math.Statistics.correlation): Array dimension mismatch.');
+            }
+
+            mx = this.mean(x);
+            my = this.mean(y);
+            for (i = 0; i < x.length; i++) {
+                sxy += (x[i] - mx) * (y[i] - my);
+                sxx += (x[i] - mx) * (x[i] - mx);
+                syy += (y[i] - my) * (y[i] - my);
+            }
+
+            return sxy / Math.sqrt(sxx * syy);
+        },
+
+        /**
+         * Determines the number of bins of a histogram by a binning rule.
+         * @param {Array} arr The set of values.
+         * @param {String} rule One of
+         * <ul>
+         * <li> 'sturges': 1 + log<sub>2</sub>(n) bins,
+         * <li> 'sqrt': the square root of n bins,
+         * <li> 'rice': 2 n<sup>1/3</sup> bins,
+         * <li> 'scott': bin width 3.49 s n<sup>-1/3</sup>, where s is the standard deviation,
+         * <li> 'freedmandiaconis': bin width 2 IQR n<sup>-1/3</sup>.
+         * </ul>
+         * @returns {Number} The number of bins, at least 1.
+         * @memberof JXG.Math.Statistics
+         */
+        binCount: function (arr, rule) {
+            var w,
+                len = arr.length,
+                range = this.max(arr) - this.min(arr),
+                k = 1;
+
+            switch (rule.toLowerCase()) {
+            case 'sqrt':
+                k = Math.sqrt(len);
+                break;
+            case 'rice':
+                k = 2 * Math.pow(len, 1 / 3);
+                break;
+            case 'scott':
+                w = 3.49 * this.sd(arr) * Math.pow(len, -1 / 3);
+                k = (w > 0) ? range / w : 1;
+                break;
+            case 'freedmandiaconis':
+                w = 2 * this.iqr(arr) * Math.pow(len, -1 / 3);
+                k = (w > 0) ? range / w : 1;
+                break;
+            default:
+                // Sturges
+                k = 1 + Math.log(len) / Math.LN2;
+            }
+
+            return Math.max(1, Math.ceil(k));
+        },
+
+        /**
+         * Counts the values in the bins of a histogram. All bins are closed on the left and open on the right side,
+         * except for the last bin, which also contains its right border.
+         * @param {Array} arr The set of values.
+         * @param {Number|String|Array} [bins='sturges'] The number of bins of equal width from the minimum to the maximum
+         * of the values, a binning rule of {@link JXG.Math.Statistics.binCount} or the array of the bin borders.
+         * @returns {Array} An array [borders, counts] containing the n + 1 borders and the n counts of the bins.
+         * Values outside of the bins and values which are not finite, e.g. NaN, are not counted. If there are no
+         * values and no bin borders are given, both arrays are empty.
+         * @memberof JXG.Math.Statistics
+         */
+        histogram: function (arr, bins) {
+            var i, lo, hi, mid, n, mi, ma,
+                borders = [],
+                counts = [];
+
+            bins = Type.def(bins, 'sturges');
+            arr = arr.filter(isFinite);
+
+            if (Type.isArray(bins)) {
+                borders = bins.slice(0);
+            } else if (arr.length > 0) {
+                n = Type.isNumber(bins) ? Math.max(1, Math.round(bins)) : this.binCount(arr, bins);
+                mi = this.min(arr);
+                ma = this.max(arr);
+                if (ma === mi) {
+                    mi -= 0.5;
+                    ma += 0.5;
+                }
+                for (i = 0; i <= n; i++) {
+                    borders.push(mi + (ma - mi) * i / n);
+                }
+            }
+
+            n = Math.max(borders.length - 1, 0);
+            for (i = 0; i < n; i++) {
+                counts[i] = 0;
+            }
+
+            for (i = 0; i < arr.length; i++) {
+                if (n === 0 || arr[i] < borders[0] || arr[i] > borders[n]) {
+                    continue;
+                }
+                // Binary search of the bin
+                lo = 0;
+                hi = n;
+                while (hi - lo > 1) {
+                    mid = Math.floor((lo + hi) * 0.5);
+                    if (arr[i] < borders[mid]) {
+                        hi = mid;
+                    } else {
+                        lo = mid;
+                    }
+                }
+                counts[lo]++;
+            }
+
+            return [borders, counts];
+        },
+
         /**
          * Weighted mean value is basically the same as {@link JXG.Math.Statistics.mean} but here the values
          * are weighted, i.e. multiplied with another value called <em>weight</em>. The weight values are given
@@ -481,8 +691,851 @@ define(['jxg', 'math/math', 'utils/type'], function (JXG, Mat, Type) {
             }
 
             return [this.median(yintercepts), this.median(slopes), -1];
+        },
+
+        /**
+         * Creates a seedable pseudo random number generator (Mulberry32). Generators with the same seed
+         * produce the same sequence of numbers, e.g. to make random experiments reproducible.
+         * @param {Number|String} seed
+         * @returns {Function} A function without parameters returning uniformly distributed numbers in [0, 1).
+         * @see JXG.Math.Statistics.seed
+         * @memberof JXG.Math.Statistics
+         */
+        createRandom: function (seed) {
+            var i,
+                state = 0,
+                // 32 bit integer multiplication
+                imul = Math.imul || function (a, b) {
+                    var al = a & 0xffff,
+                        bl = b & 0xffff;
+
+                    return (al * bl + ((((a >>> 16) & 0xffff) * bl + al * ((b >>> 16) & 0xffff)) << 16 >>> 0)) | 0;
+                };
+
+            if (Type.isString(seed)) {
+                // FNV-1a hash of the string
+                state = 2166136261;
+                for (i = 0; i < seed.length; i++) {
+                    state = imul(state ^ seed.charCodeAt(i), 16777619);
+                }
+            } else {
+                state = Math.floor(seed);
+            }
+            state = state >>> 0;
+
+            return function () {
+                var t;
+
+                state = (state + 0x6D2B79F5) >>> 0;
+                t = imul(state ^ (state >>> 15), state | 1);
+                t ^= t + imul(t ^ (t >>> 7), t | 61);
+
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+        },
+
+        /**
+         * The generator of uniformly distributed random numbers in [0, 1) which is used by the
+         * <tt>random</tt> methods of the distributions. By default, this is <tt>Math.random</tt>.
+         * @returns {Number}
+         * @see JXG.Math.Statistics.seed
+         * @memberof JXG.Math.Statistics
+         */
+        random: function () {
+            return Math.random();
+        },
+
+        /**
+         * Seeds the random number generator {@link JXG.Math.Statistics.random}.
+         * @param {Number|String} [seed] If not given, <tt>Math.random</tt> is used again.
+         * @example
+         * JXG.Math.Statistics.seed(42);
+         * // Always the same ten samples
+         * var s = JXG.Math.Statistics.normal.random(0, 1, 10);
+         * @memberof JXG.Math.Statistics
+         */
+        seed: function (seed) {
+            if (Type.exists(seed)) {
+                this.random = this.createRandom(seed);
+            } else {
+                this.random = function () {
+                    return Math.random();
+                };
+            }
+        },
+
+        /**
+         * Natural logarithm of the gamma function (Lanczos approximation).
+         * @param {Number} x
+         * @returns {Number} ln |&Gamma;(x)|
+         * @memberof JXG.Math.Statistics
+         */
+        logGamma: function (x) {
+            var i, a, t,
+                c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+                    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+                    1.5056327351493116e-7];
+
+            if (x < 0.5) {
+                // Reflection formula
+                return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - this.logGamma(1 - x);
+            }
+
+            x -= 1;
+            a = c[0];
+            t = x + 7.5;
+            for (i = 1; i < 9; i++) {
+                a += c[i] / (x + i);
+            }
+
+            return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+        },
+
+        /**
+         * Regularized lower incomplete gamma function P(a, x). The upper function is Q(a, x) = 1 - P(a, x).
+         * @param {Number} a Positive number
+         * @param {Number} x Non-negative number
+         * @param {Boolean} [upper=false] If true, Q(a, x) is returned. Q is computed directly and does not lose
+         * precision for large x.
+         * @returns {Number}
+         * @memberof JXG.Math.Statistics
+         */
+        gammaP: function (a, x, upper) {
+            var i, del, sum, ap, b, c, d, h, an, res,
+                eps = 1e-15,
+                tiny = 1e-300;
+
+            if (x <= 0) {
+                return upper ? 1 : 0;
+            }
+
+            if (x < a + 1) {
+                // Series expansion
+                ap = a;
+                sum = 1 / a;
+                del = sum;
+                for (i = 0; i < 1000; i++) {
+                    ap += 1;
+                    del *= x / ap;
+                    sum += del;
+                    if (Math.abs(del) < Math.abs(sum) * eps) {
+                        break;
+                    }
+                }
+                res = sum * Math.exp(-x + a * Math.log(x) - this.logGamma(a));
+
+                return upper ? 1 - res : res;
+            }
+
+            // Continued fraction (modified Lentz method)
+            b = x + 1 - a;
+            c = 1 / tiny;
+            d = 1 / b;
+            h = d;
+            for (i = 1; i < 1000; i++) {
+                an = -i * (i - a);
+                b += 2;
+                d = an * d + b;
+                if (Math.abs(d) < tiny) {
+                    d = tiny;
+                }
+                c = b + an / c;
+                if (Math.abs(c) < tiny) {
+                    c = tiny;
+                }
+                d = 1 / d;
+                del = d * c;
+                h *= del;
+                if (Math.abs(del - 1) < eps) {
+                    break;
+                }
+            }
+            res = Math.exp(-x + a * Math.log(x) - this.logGamma(a)) * h;
+
+            return upper ? res : 1 - res;
+        },
+
+        /**
+         * Regularized incomplete beta function I<sub>x</sub>(a, b).
+         * @param {Number} a Positive number
+         * @param {Number} b Positive number
+         * @param {Number} x Number between 0 and 1
+         * @returns {Number}
+         * @memberof JXG.Math.Statistics
+         */
+        betaI: function (a, b, x) {
+            var bt;
+
+            if (x <= 0) {
+                return 0;
+            }
+            if (x >= 1) {
+                return 1;
+            }
+
+            bt = Math.exp(this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) +
+                a * Math.log(x) + b * Math.log(1 - x));
+
+            // The continued fraction converges fast for x < (a + 1) / (a + b + 2)
+            if (x < (a + 1) / (a + b + 2)) {
+                return bt * this._betaCF(a, b, x) / a;
+            }
+
+            return 1 - bt * this._betaCF(b, a, 1 - x) / b;
+        },
+
+        /**
+         * Continued fraction of the incomplete beta function.
+         * @private
+         * @memberof JXG.Math.Statistics
+         */
+        _betaCF: function (a, b, x) {
+            var m, m2, aa, del,
+                eps = 1e-15,
+                tiny = 1e-300,
+                qab = a + b,
+                qap = a + 1,
+                qam = a - 1,
+                c = 1,
+                d = 1 - qab * x / qap,
+                h;
+
+            if (Math.abs(d) < tiny) {
+                d = tiny;
+            }
+            d = 1 / d;
+            h = d;
+
+            for (m = 1; m <= 1000; m++) {
+                m2 = 2 * m;
+                aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+                d = 1 + aa * d;
+                if (Math.abs(d) < tiny) {
+                    d = tiny;
+                }
+                c = 1 + aa / c;
+                if (Math.abs(c) < tiny) {
+                    c = tiny;
+                }
+                d = 1 / d;
+                h *= d * c;
+
+                aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+                d = 1 + aa * d;
+                if (Math.abs(d) < tiny) {
+                    d = tiny;
+                }
+                c = 1 + aa / c;
+                if (Math.abs(c) < tiny) {
+                    c = tiny;
+                }
+                d = 1 / d;
+                del = d * c;
+                h *= del;
+                if (Math.abs(del - 1) < eps) {
+                    break;
+                }
+            }
+
+            return h;
+        },
+
+        /**
+         * The error function.
+         * @param {Number} x
+         * @returns {Number}
+         * @memberof JXG.Math.Statistics
+         */
+        erf: function (x) {
+            return (x < 0 ? -1 : 1) * this.gammaP(0.5, x * x);
+        },
+
+        /**
+         * The complementary error function erfc(x) = 1 - erf(x), without loss of precision for large x.
+         * @param {Number} x
+         * @returns {Number}
+         * @memberof JXG.Math.Statistics
+         */
+        erfc: function (x) {
+            return (x < 0) ? 1 + this.gammaP(0.5, x * x) : this.gammaP(0.5, x * x, true);
+        },
+
+        /**
+         * Inverts the cumulative distribution function of a continuous distribution by bisection.
+         * @param {Function} cdf
+         * @param {Number} p
+         * @param {Number} lower Lower end of the support, may be -Infinity.
+         * @returns {Number}
+         * @private
+         * @memberof JXG.Math.Statistics
+         */
+        _quantileContinuous: function (cdf, p, lower) {
+            var i, m,
+                a = (lower === -Infinity) ? -1 : lower,
+                b = a + 1;
+
+            if (isNaN(p) || p < 0 || p > 1) {
+                return NaN;
+            }
+            if (p === 0) {
+                return lower;
+            }
+            if (p === 1) {
+                return Infinity;
+            }
+
+            // Bracket the quantile
+            while (cdf(b) < p && b < 1e300) {
+                b = a + 2 * (b - a);
+            }
+            while (lower === -Infinity && cdf(a) > p && a > -1e300) {
+                a = b - 2 * (b - a);
+            }
+
+            for (i = 0; i < 1100 && a < b; i++) {
+                m = (a + b) * 0.5;
+                if (m === a || m === b) {
+                    break;
+                }
+                if (cdf(m) < p) {
+                    a = m;
+                } else {
+                    b = m;
+                }
+            }
+
+            return (a + b) * 0.5;
+        },
+
+        /**
+         * Inverts the cumulative distribution function of a discrete distribution on the integers,
+         * i.e. returns the smallest k with cdf(k) &ge; p.
+         * @param {Function} cdf
+         * @param {Number} p
+         * @param {Number} lower Smallest value of the support.
+         * @param {Number} [upper=Infinity] Largest value of the support.
+         * @returns {Number}
+         * @private
+         * @memberof JXG.Math.Statistics
+         */
+        _quantileDiscrete: function (cdf, p, lower, upper) {
+            var m,
+                a = lower - 1,
+                b = lower;
+
+            upper = Type.def(upper, Infinity);
+            if (isNaN(p) || p < 0 || p > 1) {
+                return NaN;
+            }
+            if (p === 1) {
+                return upper;
+            }
+
+            // Now cdf(a) < p, find b with cdf(b) >= p
+            while (cdf(b) < p && b < upper) {
+                a = b;
+                b = Math.min(lower + 2 * (b - lower + 1), upper);
+            }
+
+            while (b - a > 1) {
+                m = Math.floor((a + b) * 0.5);
+                if (cdf(m) < p) {
+                    a = m;
+                } else {
+                    b = m;
+                }
+            }
+
+            return b;
+        },
+
+        /**
+         * Draws random numbers from a distribution.
+         * @param {Function} sample Draws a single random number.
+         * @param {Number} [n] Number of samples.
+         * @returns {Number|Array} A random number or an array of n random numbers, if n is given.
+         * @private
+         * @memberof JXG.Math.Statistics
+         */
+        _sample: function (sample, n) {
+            var i,
+                res = [];
+
+            if (!Type.exists(n)) {
+                return sample();
+            }
+            for (i = 0; i < n; i++) {
+                res.push(sample());
+            }
+
+            return res;
+        },
+
+        /**
+         * Gamma distributed random number with shape k and scale 1 (Marsaglia-Tsang method).
+         * @param {Number} k
+         * @returns {Number}
+         * @private
+         * @memberof JXG.Math.Statistics
+         */
+        _randomGamma: function (k) {
+            var d, c, x, v, u;
+
+            if (k < 1) {
+                return this._randomGamma(k + 1) * Math.pow(this.random(), 1 / k);
+            }
+
+            d = k - 1 / 3;
+            c = 1 / Math.sqrt(9 * d);
+            for (;;) {
+                do {
+                    x = this.normal.random();
+                    v = 1 + c * x;
+                } while (v <= 0);
+                v = v * v * v;
+                u = this.random();
+                if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+                    return d * v;
+                }
+            }
         }
     };
 
+    /**
+     * Probability distributions. Each distribution has the methods
+     * <ul>
+     * <li> <tt>pdf(x, ...)</tt>: the probability density function, resp. the probability mass function of discrete distributions,
+     * <li> <tt>cdf(x, ...)</tt>: the cumulative distribution function,
+     * <li> <tt>quantile(p, ...)</tt>: the inverse of the cumulative distribution function. For discrete distributions,
+     * the smallest k with cdf(k) &ge; p,
+     * <li> <tt>random(..., [n])</tt>: a random number or an array of n random numbers drawn with
+     * {@link JXG.Math.Statistics.random}.
+     * </ul>
+     * The parameters of the distribution follow the first argument.
+     * @example
+     * var s = board.create('slider', [[1, -1], [4, -1], [0.2, 1, 3]], {name: 'sigma'}),
+     *     g = board.create('functiongraph', [function (x) {
+     *             return JXG.Math.Statistics.normal.pdf(x, 0, s.Value());
+     *         }]);
+     *
+     * // Critical value of a two-sided t-test with 10 degrees of freedom
+     * var t = JXG.Math.Statistics.studentT.quantile(0.975, 10);
+     */
+    JXG.extend(Mat.Statistics, /** @lends JXG.Math.Statistics */ {
+
+        /**
+         * Normal distribution with mean mu and standard deviation sigma.
+         * Methods <tt>pdf(x, [mu=0], [sigma=1])</tt>, <tt>cdf(x, [mu=0], [sigma=1])</tt>,
+         * <tt>quantile(p, [mu=0], [sigma=1])</tt> and <tt>random([mu=0], [sigma=1], [n])</tt>.
+         * @type Object
+         */
+        normal: {
+            pdf: function (x, mu, sigma) {
+                var z;
+
+                mu = Type.def(mu, 0);
+                sigma = Type.def(sigma, 1);
+                z = (x - mu) / sigma;
+
+                return Math.exp(-0.5 * z * z) / (sigma * Math.sqrt(2 * Math.PI));
+            },
+
+            cdf: function (x, mu, sigma) {
+                mu = Type.def(mu, 0);
+                sigma = Type.def(sigma, 1);
+
+                return 0.5 * Mat.Statistics.erfc(-(x - mu) / (sigma * Math.SQRT2));
+            },
+
+            quantile: function (p, mu, sigma) {
+                var q, r, x, e, u,
+                    a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+                        1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00],
+                    b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+                        6.680131188771972e+01, -1.328068155288572e+01],
+                    c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+                        -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00],
+                    d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+                        3.754408661907416e+00],
+                    tail = function (q) {
+                        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+                    };
+
+                mu = Type.def(mu, 0);
+                sigma = Type.def(sigma, 1);
+
+                if (isNaN(p) || p < 0 || p > 1) {
+                    return NaN;
+                }
+                if (p === 0) {
+                    return -Infinity;
+                }
+                if (p === 1) {
+                    return Infinity;
+                }
+
+                // Rational approximation of Acklam, refined by a step of Halley's method
+                if (p < 0.02425) {
+                    x = tail(Math.sqrt(-2 * Math.log(p)));
+                } else if (p > 1 - 0.02425) {
+                    x = -tail(Math.sqrt(-2 * Math.log(1 - p)));
+                } else {
+                    q = p - 0.5;
+                    r = q * q;
+                    x = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+                        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+                }
+                e = 0.5 * Mat.Statistics.erfc(-x / Math.SQRT2) - p;
+                u = e * Math.sqrt(2 * Math.PI) * Math.exp(0.5 * x * x);
+                x = x - u / (1 + 0.5 * x * u);
+
+                return mu + sigma * x;
+            },
+
+            random: function (mu, sigma, n) {
+                mu = Type.def(mu, 0);
+                sigma = Type.def(sigma, 1);
+
+                return Mat.Statistics._sample(function () {
+                    // Box-Muller transform
+                    var u = 1 - Mat.Statistics.random(),
+                        v = Mat.Statistics.random();
+
+                    return mu + sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+                }, n);
+            }
+        },
+
+        /**
+         * Student's t-distribution with nu degrees of freedom.
+         * Methods <tt>pdf(x, nu)</tt>, <tt>cdf(x, nu)</tt>, <tt>quantile(p, nu)</tt> and <tt>random(nu, [n])</tt>.
+         * @type Object
+         */
+        studentT: {
+            pdf: function (x, nu) {
+                var S = Mat.Statistics;
+
+                return Math.exp(S.logGamma((nu + 1) * 0.5) - S.logGamma(nu * 0.5) -
+                    0.5 * Math.log(nu * Math.PI) - (nu + 1) * 0.5 * Math.log(1 + x * x / nu));
+            },
+
+            cdf: function (x, nu) {
+                var p = 0.5 * Mat.Statistics.betaI(nu * 0.5, 0.5, nu / (nu + x * x));
+
+                return (x > 0) ? 1 - p : p;
+            },
+
+            quantile: function (p, nu) {
+                var that = this;
+
+                return Mat.Statistics._quantileContinuous(function (x) {
+                    return that.cdf(x, nu);
+                }, p, -Infinity);
+            },
+
+            random: function (nu, n) {
+                var S = Mat.Statistics;
+
+                return S._sample(function () {
+                    return S.normal.random() / Math.sqrt(2 * S._randomGamma(nu * 0.5) / nu);
+                }, n);
+            }
+        },
+
+        /**
+         * Chi-squared distribution with k degrees of freedom.
+         * Methods <tt>pdf(x, k)</tt>, <tt>cdf(x, k)</tt>, <tt>quantile(p, k)</tt> and <tt>random(k, [n])</tt>.
+         * @type Object
+         */
+        chiSquared: {
+            pdf: function (x, k) {
+                if (x < 0) {
+                    return 0;
+                }
+                if (x === 0) {
+                    return (k === 2) ? 0.5 : ((k < 2) ? Infinity : 0);
+                }
+
+                return Math.exp((k * 0.5 - 1) * Math.log(x) - x * 0.5 - k * 0.5 * Math.LN2 -
+                    Mat.Statistics.logGamma(k * 0.5));
+            },
+
+            cdf: function (x, k) {
+                return Mat.Statistics.gammaP(k * 0.5, x * 0.5);
+            },
+
+            quantile: function (p, k) {
+                var that = this;
+
+                return Mat.Statistics._quantileContinuous(function (x) {
+                    return that.cdf(x, k);
+                }, p, 0);
+            },
+
+            random: function (k, n) {
+                var S = Mat.Statistics;
+
+                return S._sample(function () {
+                    return 2 * S._randomGamma(k * 0.5);
+                }, n);
+            }
+        },
+
+        /**
+         * Fisher's F-distribution with d1 and d2 degrees of freedom.
+         * Methods <tt>pdf(x, d1, d2)</tt>, <tt>cdf(x, d1, d2)</tt>, <tt>quantile(p, d1, d2)</tt> and
+         * <tt>random(d1, d2, [n])</tt>.
+         * @type Object
+         */
+        fisherF: {
+            pdf: function (x, d1, d2) {
+                var S = Mat.Statistics;
+
+                if (x < 0) {
+                    return 0;
+                }
+                if (x === 0) {
+                    return (d1 === 2) ? 1 : ((d1 < 2) ? Infinity : 0);
+                }
+
+                return Math.exp(0.5 * (d1 * Math.log(d1 * x) + d2 * Math.log(d2) - (d1 + d2) * Math.log(d1 * x + d2)) -
+                    Math.log(x) - (S.logGamma(d1 * 0.5) + S.logGamma(d2 * 0.5) - S.logGamma((d1 + d2) * 0.5)));
+            },
+
+            cdf: function (x, d1, d2) {
+                if (x <= 0) {
+                    return 0;
+                }
+
+                return Mat.Statistics.betaI(d1 * 0.5, d2 * 0.5, d1 * x / (d1 * x + d2));
+            },
+
+            quantile: function (p, d1, d2) {
+                var that = this;
+
+                return Mat.Statistics._quantileContinuous(function (x) {
+                    return that.cdf(x, d1, d2);
+                }, p, 0);
+            },
+
+            random: function (d1, d2, n) {
+                var S = Mat.Statistics;
+
+                return S._sample(function () {
+                    return (S._randomGamma(d1 * 0.5) / d1) / (S._randomGamma(d2 * 0.5) / d2);
+                }, n);
+            }
+        },
+
+        /**
+         * Exponential distribution with rate lambda.
+         * Methods <tt>pdf(x, [lambda=1])</tt>, <tt>cdf(x, [lambda=1])</tt>, <tt>quantile(p, [lambda=1])</tt> and
+         * <tt>random([lambda=1], [n])</tt>.
+         * @type Object
+         */
+        exponential: {
+            pdf: function (x, lambda) {
+                lambda = Type.def(lambda, 1);
+
+                return (x < 0) ? 0 : lambda * Math.exp(-lambda * x);
+            },
+
+            cdf: function (x, lambda) {
+                lambda = Type.def(lambda, 1);
+
+                return (x < 0) ? 0 : 1 - Math.exp(-lambda * x);
+            },
+
+            quantile: function (p, lambda) {
+                lambda = Type.def(lambda, 1);
+
+                if (isNaN(p) || p < 0 || p > 1) {
+                    return NaN;
+                }
+
+                return -Math.log(1 - p) / lambda;
+            },
+
+            random: function (lambda, n) {
+                var that = this;
+
+                return Mat.Statistics._sample(function () {
+                    return that.quantile(Mat.Statistics.random(), lambda);
+                }, n);
+            }
+        },
+
+        /**
+         * Continuous uniform distribution on the interval [a, b].
+         * Methods <tt>pdf(x, [a=0], [b=1])</tt>, <tt>cdf(x, [a=0], [b=1])</tt>, <tt>quantile(p, [a=0], [b=1])</tt> and
+         * <tt>random([a=0], [b=1], [n])</tt>.
+         * @type Object
+         */
+        uniform: {
+            pdf: function (x, a, b) {
+                a = Type.def(a, 0);
+                b = Type.def(b, 1);
+
+                return (x < a || x > b) ? 0 : 1 / (b - a);
+            },
+
+            cdf: function (x, a, b) {
+                a = Type.def(a, 0);
+                b = Type.def(b, 1);
+
+                return Math.min(Math.max((x - a) / (b - a), 0), 1);
+            },
+
+            quantile: function (p, a, b) {
+                a = Type.def(a, 0);
+                b = Type.def(b, 1);
+
+                if (isNaN(p) || p < 0 || p > 1) {
+                    return NaN;
+                }
+
+                return a + p * (b - a);
+            },
+
+            random: function (a, b, n) {
+                var that = this;
+
+                return Mat.Statistics._sample(function () {
+                    return that.quantile(Mat.Statistics.random(), a, b);
+                }, n);
+            }
+        },
+
+        /**
+         * Binomial distribution: number of successes in n trials with success probability p.
+         * Methods <tt>pdf(k, n, p)</tt>, <tt>cdf(k, n, p)</tt>, <tt>quantile(q, n, p)</tt> and
+         * <tt>random(n, p, [m])</tt>.
+         * @type Object
+         */
+        binomial: {
+            pdf: function (k, n, p) {
+                var S = Mat.Statistics;
+
+                if (k < 0 || k > n || k !== Math.floor(k)) {
+                    return 0;
+                }
+                if (p === 0 || p === 1) {
+                    return (k === n * p) ? 1 : 0;
+                }
+
+                return Math.exp(S.logGamma(n + 1) - S.logGamma(k + 1) - S.logGamma(n - k + 1) +
+                    k * Math.log(p) + (n - k) * Math.log(1 - p));
+            },
+
+            cdf: function (k, n, p) {
+                k = Math.floor(k);
+                if (k < 0) {
+                    return 0;
+                }
+                if (k >= n) {
+                    return 1;
+                }
+
+                return Mat.Statistics.betaI(n - k, k + 1, 1 - p);
+            },
+
+            quantile: function (q, n, p) {
+                var that = this;
+
+                return Mat.Statistics._quantileDiscrete(function (k) {
+                    return that.cdf(k, n, p);
+                }, q, 0, n);
+            },
+
+            random: function (n, p, m) {
+                var that = this;
+
+                return Mat.Statistics._sample(function () {
+                    return that.quantile(Mat.Statistics.random(), n, p);
+                }, m);
+            }
+        },
+
+        /**
+         * Poisson distribution with mean lambda.
+         * Methods <tt>pdf(k, lambda)</tt>, <tt>cdf(k, lambda)</tt>, <tt>quantile(p, lambda)</tt> and
+         * <tt>random(lambda, [n])</tt>.
+         * @type Object
+         */
+        poisson: {
+            pdf: function (k, lambda) {
+                if (k < 0 || k !== Math.floor(k)) {
+                    return 0;
+                }
+
+                return Math.exp(k * Math.log(lambda) - lambda - Mat.Statistics.logGamma(k + 1));
+            },
+
+            cdf: function (k, lambda) {
+                k = Math.floor(k);
+                if (k < 0) {
+                    return 0;
+                }
+
+                return Mat.Statistics.gammaP(k + 1, lambda, true);
+            },
+
+            quantile: function (p, lambda) {
+                var that = this;
+
+                return Mat.Statistics._quantileDiscrete(function (k) {
+                    return that.cdf(k, lambda);
+                }, p, 0);
+            },
+
+            random: function (lambda, n) {
+                var that = this;
+
+                return Mat.Statistics._sample(function () {
+                    return that.quantile(Mat.Statistics.random(), lambda);
+                }, n);
+            }
+        },
+
+        /**
+         * Geometric distribution: number of trials up to and including the first success,
+         * i.e. with values 1, 2, 3, ..., where p is the success probability of a single trial.
+         * Methods <tt>pdf(k, p)</tt>, <tt>cdf(k, p)</tt>, <tt>quantile(q, p)</tt> and <tt>random(p, [n])</tt>.
+         * @type Object
+         */
+        geometric: {
+            pdf: function (k, p) {
+                if (k < 1 || k !== Math.floor(k)) {
+                    return 0;
+                }
+
+                return Math.pow(1 - p, k - 1) * p;
+            },
+
+            cdf: function (k, p) {
+                k = Math.floor(k);
+
+                return (k < 1) ? 0 : 1 - Math.pow(1 - p, k);
+            },
+
+            quantile: function (q, p) {
+                var that = this;
+
+                return Mat.Statistics._quantileDiscrete(function (k) {
+                    return that.cdf(k, p);
+                }, q, 1);
+            },
+
+            random: function (p, n) {
+                var that = this;
+
+                return Mat.Statistics._sample(function () {
+                    return that.quantile(Mat.Statistics.random(), p);
+                }, n);
+            }
+        }
+    });
+
     return Mat.Statistics;
 });
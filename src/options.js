@@ -561,6 +561,147 @@ define([
                 },
                 fillColor: '#ffff00',
                 visible: false
+            },
+
+            /**
+             * Control the undo/redo history of the board.
+             * If enabled, the creation of elements with {@link JXG.Board#create},
+             * the removal of elements, the dragging of elements and changes of attributes
+             * by {@link JXG.GeometryElement#setAttribute} can be undone with {@link JXG.Board#undo}
+             * and redone with {@link JXG.Board#redo}.
+             * <p>
+             * Possible sub-attributes with default values are:
+             * <pre>
+             * history: {
+             *   enabled: false,  // Record the user actions
+             *   depth: 50        // Maximal number of undo steps, 0 means unlimited
+             * }
+             * </pre>
+             *
+             * @example
+             * var board = JXG.JSXGraph.initBoard('jxgbox', {history: {enabled: true, depth: 20}}),
+             *     p = board.create('point', [1, 1]);
+             *
+             * board.on('historychange', function (canUndo, canRedo) {
+             *     document.getElementById('undoButton').disabled = !canUndo;
+             *     document.getElementById('redoButton').disabled = !canRedo;
+             * });
+             * // Removes p
+             * board.undo();
+             *
+             * @name JXG.Board#history
+             * @see JXG.Board#undo
+             * @see JXG.Board#redo
+             * @see JXG.Board#historychange
+             * @type Object
+             * @default
+             */
+            history: {
+                enabled: false,
+                depth: 50
+            },
+
+            /**
+             * Default settings of the {@link JXG.Recorder}, which records animations of the board
+             * as animated GIF or WebM video.
+             * <p>
+             * Possible sub-attributes with default values are:
+             * <pre>
+             * recorder: {
+             *   format: 'gif',            // 'gif' or 'webm'
+             *   fps: 20,                  // Frames per second
+             *   scale: 1,                 // Size of the frames relative to the size of the board
+             *   background: '#ffffff',    // Color of transparent parts of the board
+             *   loop: 0,                  // Repetitions of a GIF, 0 means endless, -1 plays it once
+             *   duration: 10000,          // Maximal duration in milliseconds, if the recorded animation has no duration
+             *   ignoreTexts: false,       // Omit HTML texts of SVG boards, see {@link JXG.SVGRenderer#dumpToCanvas}
+             *   ffmpeg: 'ffmpeg'          // Command of the WebM encoder in Node
+             * }
+             * </pre>
+             *
+             * @name JXG.Board#recorder
+             * @see JXG.Recorder
+             * @type Object
+             * @default
+             */
+            recorder: {
+                format: 'gif',
+                fps: 20,
+                scale: 1,
+                background: '#ffffff',
+                loop: 0,
+                duration: 10000,
+                ignoreTexts: false,
+                ffmpeg: 'ffmpeg'
+            },
+
+            /**
+             * Control elements with the keyboard. The keyboard control is disabled by default.
+             * If it is enabled, points, gliders and sliders having a
+             * {@link JXG.GeometryElement#tabindex} can be focused with the tab key. The element having the
+             * focus is highlighted and can be moved with the arrow keys.
+             * If the element snaps to the grid, it is moved by the snap sizes, see {@link Point#snapSizeX}.
+             * Otherwise, it is moved by dx and dy pixels. Sliders are moved by their snap width, if it is set.
+             * <p>
+             * The key Enter finishes the move, the key Escape resets the element to the
+             * position it had when it got the focus and removes the focus. Checkboxes can be toggled with Enter.
+             * <p>
+             * Possible sub-attributes with default values are:
+             * <pre>
+             * keyboard: {
+             *   enabled: false, // Elements can be focused and moved with the keyboard
+             *   dx: 10,         // Horizontal step in pixels
+             *   dy: 10          // Vertical step in pixels
+             * }
+             * </pre>
+             *
+             * @example
+             * var board = JXG.JSXGraph.initBoard('jxgbox', {keyboard: {enabled: true, dx: 5, dy: 5}}),
+             *     p = board.create('point', [1, 1], {tabindex: 1}),
+             *     q = board.create('point', [2, 1], {snapToGrid: true});
+             *
+             * @name JXG.Board#keyboard
+             * @see JXG.GeometryElement#tabindex
+             * @see JXG.GeometryElement#keydrag
+             * @type Object
+             * @default
+             */
+            keyboard: {
+                enabled: false,
+                dx: 10,
+                dy: 10
+            },
+
+            /**
+             * Support for screen readers. The support is disabled by default.
+             * If enabled, each element gets an ARIA label describing it
+             * by its type, position and parent elements, e.g. "Point C at (1, 2), intersection of line a and circle k".
+             * The labels are updated with the board, but at most once in <tt>delay</tt> milliseconds. The description of the element which is
+             * dragged or has the keyboard focus is announced in an ARIA live region.
+             * The generated label of an element can be overwritten with {@link JXG.GeometryElement#ariaLabel}.
+             * <p>
+             * Possible sub-attributes with default values are:
+             * <pre>
+             * aria: {
+             *   enabled: false, // Set ARIA labels on the rendering nodes
+             *   live: 'polite', // Value of the aria-live attribute of the live region
+             *   delay: 500      // Minimal time in milliseconds between two updates of the labels
+             * }
+             * </pre>
+             *
+             * @example
+             * var board = JXG.JSXGraph.initBoard('jxgbox', {aria: {enabled: true, live: 'assertive'}}),
+             *     p = board.create('point', [1, 1], {name: 'A', ariaLabel: 'Center of rotation'});
+             *
+             * @name JXG.Board#aria
+             * @see JXG.GeometryElement#ariaLabel
+             * @type Object
+             * @default
+             */
+            aria: {
+                enabled: false,
+                live: 'polite',
+                delay: 500
             }
             /**#@-*/
         },
@@ -902,6 +1043,30 @@ define([
              */
             dragToTopOfLayer: false,
 
+            /**
+             * Position of the element in the tab order of the page. If the keyboard control of the board
+             * is enabled (see {@link JXG.Board#keyboard}), elements with a tabindex can be focused with the tab key
+             * and moved with the arrow keys. A value of null means that the element can not be focused.
+             * Fixed and invisible elements can not be focused in any case.
+             * At the moment, only points (including gliders and sliders) support this attribute.
+             * @type Number
+             * @default null
+             * @name JXG.GeometryElement#tabindex
+             * @see JXG.Board#keyboard
+             */
+            tabindex: null,
+
+            /**
+             * Text read by screen readers for this element. If it is null or empty, a description
+             * is generated from the type, the position and the parent elements of the element.
+             * May be a function returning a string.
+             * @type String
+             * @default null
+             * @name JXG.GeometryElement#ariaLabel
+             * @see JXG.Board#aria
+             */
+            ariaLabel: null,
+
             /*draft options */
             draft: {
                 /**
@@ -1663,6 +1828,105 @@ define([
             fillOpacity: 0.6,
             withLines:  false,
 
+            /**
+             * Show a text with statistics of the data next to charts of the styles 'histogram', 'boxplot' and 'scatter',
+             * e.g. mean and standard deviation, the quartiles, or the regression function and the correlation coefficient.
+             * @type Boolean
+             * @default false
+             * @name Chart#annotate
+             */
+            annotate: false,
+
+            /**
+             * Bins of charts of the style 'histogram': the number of bins, a binning rule
+             * 'sturges', 'sqrt', 'rice', 'scott' or 'freedmanDiaconis', or the array of the bin borders.
+             * @type Number|String|Array
+             * @default 'sturges'
+             * @name Chart#bins
+             * @see JXG.Math.Statistics.histogram
+             */
+            bins: 'sturges',
+
+            /**
+             * If the chart is created from a {@link JXG.DataSource}, the columns used as data. The chart styles
+             * 'histogram' and 'boxplot' use the last column, the other styles use the first column as x values
+             * and the last column as y values. Columns may be given by index or by header.
+             * @type Array
+             * @default [0]
+             * @name Chart#columns
+             */
+            columns: [0],
+
+            /**
+             * If true, the bars of a histogram show the density, i.e. the area of all bars is 1.
+             * Otherwise, the heights of the bars are the counts of the bins.
+             * @type Boolean
+             * @default false
+             * @name Chart#density
+             */
+            density: false,
+
+            /**
+             * Position of a box plot on the x-axis, or on the y-axis if the attribute dir is 'horizontal'.
+             * @type Number
+             * @default 1
+             * @name Chart#position
+             */
+            position: 1,
+
+            /**
+             * Regression model of charts of the styles 'scatter' and 'fit'. This is either the degree of a regression polynomial,
+             * one of the models 'linear', 'exponential', 'logarithmic', 'power', 'logistic', 'sinusoidal' of
+             * {@link JXG.Math.Numerics.regression}, or an array [f, p0] of a model function f(x, p) and its initial parameters p0.
+             * true is the same as 'linear'. If false, charts of the style 'scatter' show no regression curve and
+             * charts of the style 'fit' show the regression polynomial of the degree given by the attribute degree.
+             * @type Number|Boolean|String|Array
+             * @default false
+             * @name Chart#regression
+             * @see JXG.Math.Numerics.regression
+             */
+            regression: false,
+
+            /**
+             * Size in pixels of the markers of charts of the style 'scatter' and of the outliers of box plots.
+             * @type Number
+             * @default 3
+             * @name Chart#size
+             */
+            size: 3,
+
+            /**
+             * The whiskers of a box plot extend to the most extreme values within whiskerFactor times the
+             * interquartile range from the box. Values beyond are outliers.
+             * @type Number
+             * @default 1.5
+             * @name Chart#whiskerFactor
+             */
+            whiskerFactor: 1.5,
+
+            /**
+             * Attributes of the statistics text, see {@link Chart#annotate}.
+             * @type Text
+             * @name Chart#annotation
+             */
+            annotation: {
+                anchorY: 'bottom',
+                fontSize: 12,
+                fixed: true
+            },
+
+            /**
+             * Attributes of the regression curve of charts of the style 'scatter', see {@link Chart#regression}.
+             * @type Functiongraph
+             * @name Chart#regressionCurve
+             */
+            regressionCurve: {
+                strokeColor: '#000000',
+                strokeWidth: 2,
+                fillColor: 'none',
+                highlightFillColor: 'none'
+            },
+
             label: {
             }
             /**#@-*/
@@ -1694,7 +1958,19 @@ define([
              * @type Boolean
              * @default false
              */
-             checked: false
+             checked: false,
+
+            /**
+             * Position of the HTML checkbox in the tab order. If the keyboard control of the board is enabled,
+             * the checkbox can also be toggled with Enter, see {@link JXG.Board#keyboard}.
+             *
+             * @name tabindex
+             * @memberOf Checkbox.prototype
+             *
+             * @type Number
+             * @default 0
+             */
+            tabindex: 0
 
 
             /**#@-*/
@@ -2006,6 +2282,66 @@ define([
             /**#@-*/
         },
 
+        /* special options for 3D curves */
+        curve3d: {
+            /**#@+
+             * @visprop
+             */
+
+            numberPointsHigh: 300,
+            numberPointsLow: 100,
+            strokeWidth: 2
+            /**#@-*/
+        },
+
+        /* special options for domain coloring of complex functions */
+        domaincoloring: {
+            /**#@+
+             * @visprop
+             */
+
+            /**
+             * If true, the lightness jumps at the levels |f(z)| = 2<sup>k</sup>, which shows level curves
+             * of the absolute value.
+             * @type Boolean
+             * @name Domaincoloring#contours
+             * @default true
+             */
+            contours: true,
+
+            /**
+             * If true, the image is rendered at each update of the board. This is necessary if the function
+             * depends on other elements, e.g. sliders. Otherwise, the image is only rendered if the
+             * bounding box of the board changes.
+             * @type Boolean
+             * @name Domaincoloring#dynamic
+             * @default false
+             */
+            dynamic: false,
+
+            /**
+             * Size in pixels of the cells in which the function is evaluated once. Larger values
+             * speed up rendering.
+             * @type Number
+             * @name Domaincoloring#resolution
+             * @default 2
+             */
+            resolution: 2,
+
+            fixed: true,
+            highlight: false,
+            highlightFillOpacity: 1.0
+            /**#@-*/
+        },
+
+        /* special options for graphs of functions z = f(x, y) */
+        functiongraph3d: {
+            /**#@+
+             * @visprop
+             */
+            /**#@-*/
+        },
+
         glider: {
             /**#@+
              * @visprop
@@ -2173,6 +2509,50 @@ define([
             /**#@-*/
         },
 
+        /* special implicit curve options */
+        implicitcurve: {
+            /**#@+
+             * @visprop
+             */
+
+            /**
+             * Size in pixels of the cells of the initial grid. The curve may miss closed components
+             * which are smaller than this size.
+             * @type Number
+             * @default 20
+             * @name Implicitcurve#resolutionOuter
+             */
+            resolutionOuter: 20,
+
+            /**
+             * Size in pixels of the cells in which the curve is approximated by line segments.
+             * @type Number
+             * @default 4
+             * @name Implicitcurve#resolutionInner
+             */
+            resolutionInner: 4,
+
+            /**
+             * Number of further subdivisions of cells near singular points of the curve,
+             * i.e. cells which contain a saddle of f or in which f is not approximately linear.
+             * This refinement is skipped while elements are dragged.
+             * @type Number
+             * @default 4
+             * @name Implicitcurve#singularRefinement
+             */
+            singularRefinement: 4,
+
+            /**
+             * A cell is refined near singular points if the value of f in its center differs from
+             * the mean of the values at the corners by more than tolerance times the range of these values.
+             * @type Number
+             * @default 0.1
+             * @name Implicitcurve#tolerance
+             */
+            tolerance: 0.1
+            /**#@-*/
+        },
+
         /* special options for incircle of 3 points */
         incircle: {
             /**#@+
@@ -2710,6 +3090,28 @@ define([
             /**#@-*/
         },
 
+        /* special options for 3D segments */
+        line3d: {
+            /**#@+
+             * @visprop
+             */
+
+            strokeWidth: 1,
+
+            /**
+             * Attributes of the end points, if they are given as coordinate arrays.
+             *
+             * @type Point3D
+             * @name Line3D#point
+             */
+            point: {
+                visible: false,
+                withLabel: false,
+                name: ''
+            }
+            /**#@-*/
+        },
+
         /* special options for locus curves */
         locus: {
             /**#@+
@@ -2758,6 +3160,81 @@ define([
             /**#@-*/
         },
 
+        /* special options for odesolution */
+        odesolution: {
+            /**#@+
+             * @visprop
+             */
+
+            strokeWidth: 2,
+            strokeColor: '#d55e00',
+            highlightStrokeColor: '#d55e00',
+
+            /**
+             * The solver: 'dopri5' (Dormand-Prince 5(4)), 'rkf45' (Runge-Kutta-Fehlberg 4(5)) or
+             * 'rosenbrock' for stiff equations.
+             * @type String
+             * @default 'dopri5'
+             * @name Odesolution#method
+             * @see JXG.Math.Numerics.rungeKuttaAdaptive
+             * @see JXG.Math.Numerics.rosenbrock
+             */
+            method: 'dopri5',
+
+            /**
+             * Number of points of the solution curve after mouseUp. The points are taken from
+             * the dense output of the solver.
+             * @type Number
+             * @default 400
+             * @name Odesolution#numberPointsHigh
+             */
+            numberPointsHigh: 400,
+
+            /**
+             * Number of points of the solution curve while elements are dragged.
+             * @type Number
+             * @default 100
+             * @name Odesolution#numberPointsLow
+             */
+            numberPointsLow: 100,
+
+            /**
+             * Relative error tolerance of the integration.
+             * @type Number
+             * @default 1e-6
+             * @name Odesolution#rtol
+             */
+            rtol: 1e-6,
+
+            /**
+             * Absolute error tolerance of the integration.
+             * @type Number
+             * @default 1e-9
+             * @name Odesolution#atol
+             */
+            atol: 1e-9,
+
+            /**
+             * Maximum number of steps in each direction.
+             * @type Number
+             * @default 5000
+             * @name Odesolution#maxSteps
+             */
+            maxSteps: 5000,
+
+            /**
+             * Attributes of the initial point, if it is created from coordinates.
+             *
+             * @type Point
+             * @name Odesolution#point
+             */
+            point: {
+                withLabel: false,
+                name: ''
+            }
+            /**#@-*/
+        },
+
         /* special options for orthogonal projection points */
         orthogonalprojection: {
             /**#@+
@@ -2795,22 +3272,50 @@ define([
             /**#@-*/
         },
 
-        /* special perpendicular options */
-        perpendicular: {
+        /* special options for 3D parametric surfaces */
+        parametricsurface3d: {
             /**#@+
              * @visprop
              */
 
-            strokeColor: '#000000', // Perpendicular line
-            straightFirst: true,
-            straightLast: true
-            /**#@-*/
-        },
+            strokeWidth: 1,
+            strokeColor: '#0072b2',
+            strokeOpacity: 0.6,
 
-        /* special perpendicular options */
-        perpendicularsegment: {
-            /**#@+
-             * @visprop
+            /**
+             * Number of grid lines in the direction of the parameter u.
+             * @type Number
+             * @default 30
+             * @name Parametricsurface3D#stepsU
+             */
+            stepsU: 30,
+
+            /**
+             * Number of grid lines in the direction of the parameter v.
+             * @type Number
+             * @default 30
+             * @name Parametricsurface3D#stepsV
+             */
+            stepsV: 30
+            /**#@-*/
+        },
+
+        /* special perpendicular options */
+        perpendicular: {
+            /**#@+
+             * @visprop
+             */
+
+            strokeColor: '#000000', // Perpendicular line
+            straightFirst: true,
+            straightLast: true
+            /**#@-*/
+        },
+
+        /* special perpendicular options */
+        perpendicularsegment: {
+            /**#@+
+             * @visprop
              */
 
             strokeColor: '#000000', // Perpendicular segment
@@ -2938,6 +3443,18 @@ define([
              */
             infoboxDigits: 'auto',
 
+            /**
+             * Position of the point in the tab order. It is only used if the keyboard control of the board is
+             * enabled. Then, free points, gliders and sliders can be moved
+             * with the arrow keys if they have the focus, see {@link JXG.Board#keyboard}.
+             *
+             * @name Point#tabindex
+             *
+             * @type Number
+             * @default 0
+             */
+            tabindex: 0,
+
             draft: false,
 
             /**
@@ -3061,6 +3578,14 @@ define([
             /**#@-*/
         },
 
+        /* special options for 3D points */
+        point3d: {
+            /**#@+
+             * @visprop
+             */
+            /**#@-*/
+        },
+
         /* special polygon options */
         polygon: {
             /**#@+
@@ -3138,6 +3663,71 @@ define([
             /**#@-*/
         },
 
+        /* special options for polynomialpoints */
+        polynomialpoints: {
+            /**#@+
+             * @visprop
+             */
+
+            /**
+             * If true, points are shown at the local extrema.
+             * @type Boolean
+             * @default true
+             * @name Polynomialpoints#extrema
+             */
+            extrema: true,
+
+            /**
+             * Maximal degree of the interpolating polynomial, if the polynomial is given by a function
+             * or a function graph.
+             * @type Number
+             * @default 10
+             * @name Polynomialpoints#maxDegree
+             */
+            maxDegree: 10,
+
+            /**
+             * If true, points are shown at the real zeros.
+             * @type Boolean
+             * @default true
+             * @name Polynomialpoints#zeros
+             */
+            zeros: true,
+
+            /**
+             * Attributes of the points at the local extrema.
+             * @type Point
+             * @name Polynomialpoints#extremum
+             */
+            extremum: {
+                name: '',
+                withLabel: false,
+                size: 3,
+                face: 'square',
+                strokeColor: '#0072b2',
+                fillColor: '#0072b2',
+                highlightStrokeColor: '#0072b2',
+                highlightFillColor: '#0072b2'
+            },
+
+            /**
+             * Attributes of the points at the zeros.
+             * @type Point
+             * @name Polynomialpoints#zero
+             */
+            zero: {
+                name: '',
+                withLabel: false,
+                size: 3,
+                strokeColor: '#d55e00',
+                fillColor: '#d55e00',
+                highlightStrokeColor: '#d55e00',
+                highlightFillColor: '#d55e00'
+            }
+
+            /**#@-*/
+        },
+
         /* special prescribed angle options
         * Not yet implemented. But angle.setAngle(val) is implemented.
         */
@@ -3161,6 +3751,60 @@ define([
             /**#@-*/
         },
 
+        /* special html radiogroup options */
+        radiogroup: {
+            /**#@+
+             * @visprop
+             */
+
+            /**
+             * Control the attribute "disabled" of all HTML radio buttons of the group.
+             *
+             * @name disabled
+             * @memberOf Radiogroup.prototype
+             *
+             * @type Boolean
+             * @default false
+             */
+            disabled: false,
+
+            /**
+             * Index of the checked radio button. If the index is -1, no radio button is checked.
+             *
+             * @name selected
+             * @memberOf Radiogroup.prototype
+             *
+             * @type Number
+             * @default -1
+             */
+            selected: -1,
+
+            /**
+             * Arrangement of the radio buttons, either 'vertical' or 'horizontal'.
+             *
+             * @name orientation
+             * @memberOf Radiogroup.prototype
+             *
+             * @type String
+             * @default 'vertical'
+             */
+            orientation: 'vertical',
+
+            /**
+             * Position of the HTML radio buttons in the tab order. Only used if the keyboard control
+             * of the board is enabled, see {@link JXG.Board#keyboard}.
+             *
+             * @name tabindex
+             * @memberOf Radiogroup.prototype
+             *
+             * @type Number
+             * @default 0
+             */
+            tabindex: 0
+
+            /**#@-*/
+        },
+
         /* special regular polygon options */
         regularpolygon: {
             /**#@+
@@ -3340,6 +3984,49 @@ define([
             /**#@-*/
         },
 
+        /* special html select options */
+        select: {
+            /**#@+
+             * @visprop
+             */
+
+            /**
+             * Control the attribute "disabled" of the HTML select element.
+             *
+             * @name disabled
+             * @memberOf Select.prototype
+             *
+             * @type Boolean
+             * @default false
+             */
+            disabled: false,
+
+            /**
+             * Index of the selected option. If the index is -1, no option is selected.
+             *
+             * @name selected
+             * @memberOf Select.prototype
+             *
+             * @type Number
+             * @default 0
+             */
+            selected: 0,
+
+            /**
+             * Position of the HTML select element in the tab order. Only used if the keyboard control
+             * of the board is enabled, see {@link JXG.Board#keyboard}.
+             *
+             * @name tabindex
+             * @memberOf Select.prototype
+             *
+             * @type Number
+             * @default 0
+             */
+            tabindex: 0
+
+            /**#@-*/
+        },
+
         semicircle: {
             /**#@+
              * @visprop
@@ -3386,6 +4073,45 @@ define([
              */
             precision: 2,
 
+            /**
+             * Behaviour of the animation started by {@link Slider#play} at the end of the range:
+             * <ul>
+             *  <li> 'loop': the animation starts again at the other end,
+             *  <li> 'bounce': the animation turns around,
+             *  <li> 'once': the animation stops.
+             * </ul>
+             *
+             * @memberOf Slider.prototype
+             * @name animationMode
+             * @type String
+             * @default 'loop'
+             * @see Slider#play
+             */
+            animationMode: 'loop',
+
+            /**
+             * Speed of the animation started by {@link Slider#play} in units of the slider value per second.
+             * If null, the animation passes the whole range in four seconds.
+             *
+             * @memberOf Slider.prototype
+             * @name animationSpeed
+             * @type Number
+             * @default null
+             * @see Slider#play
+             */
+            animationSpeed: null,
+
+            /**
+             * Show a play/pause button and a step button to the left of the slider.
+             *
+             * @memberOf Slider.prototype
+             * @name withControls
+             * @type Boolean
+             * @default false
+             * @see Slider#controls
+             */
+            withControls: false,
+
             firstArrow: false,
             lastArrow: false,
 
@@ -3564,6 +4290,243 @@ define([
              */
             label: {
                 strokeColor: '#000000'
+            },
+
+            /**
+             * Attributes for the play/pause button and the step button, see {@link Slider#withControls}.
+             * The attributes playSymbol, pauseSymbol and stepSymbol are the texts of the buttons.
+             *
+             * @type Text
+             * @name Slider#controls
+             */
+            controls: {
+                playSymbol: '\u25B6',
+                pauseSymbol: '\u275A\u275A',
+                stepSymbol: '\u25B6\u275A',
+                fontSize: 12,
+                anchorX: 'middle',
+                anchorY: 'middle',
+                display: 'internal',
+                fixed: true,
+                needsRegularUpdate: true,
+                highlightStrokeColor: '#888888',
+                strokeColor: '#000000'
+            }
+
+            /**#@-*/
+        },
+
+        /* special options for slider2d */
+        slider2d: {
+            /**#@+
+             * @visprop
+             */
+
+            /**
+             * The values of the slider2d are integer multiples of the snap width. It can be a number for both values
+             * or an array with the snap widths of the two values. For continuous values, set it to <tt>-1</tt>.
+             *
+             * @memberOf Slider2d.prototype
+             * @name snapWidth
+             * @type Number|Array
+             * @default -1
+             */
+            snapWidth: -1,
+
+            /**
+             * The precision of the values displayed in the label.
+             *
+             * @memberOf Slider2d.prototype
+             * @name precision
+             * @type Number
+             * @default 2
+             */
+            precision: 2,
+
+            /**
+             * Show ticks with the values at the lower and the left border of the pad.
+             *
+             * @memberOf Slider2d.prototype
+             * @name withTicks
+             * @type Boolean
+             * @default false
+             */
+            withTicks: false,
+
+            /**
+             * Show a grid of lines in the pad. The lines are drawn at the multiples of the snap widths,
+             * or they divide the ranges into {@link Slider2d#grid}.divisions parts.
+             *
+             * @memberOf Slider2d.prototype
+             * @name withGrid
+             * @type Boolean
+             * @default false
+             */
+            withGrid: false,
+
+            /**
+             * Show the label with the values to the right of the pad.
+             *
+             * @memberOf Slider2d.prototype
+             * @name withLabel
+             * @type Boolean
+             * @default true
+             */
+            withLabel: true,
+
+            layer: 9,
+            showInfobox: false,
+            name: '',
+            strokeColor: '#000000',
+            highlightStrokeColor: '#888888',
+            fillColor: '#ffffff',
+            highlightFillColor: 'none',
+            size: 6,
+
+            /**
+             * Attributes for the corner points of the pad.
+             *
+             * @type Point
+             * @name Slider2d#corners
+             */
+            corners: {
+                needsRegularUpdate: false,
+                showInfobox: false,
+                withLabel: false,
+                visible: false,
+                fixed: true,
+                name: ''
+            },
+
+            /**
+             * Attributes for the pad.
+             *
+             * @type Polygon
+             * @name Slider2d#pad
+             */
+            pad: {
+                fixed: true,
+                hasInnerPoints: false,
+                fillColor: '#000000',
+                highlightFillColor: '#000000',
+                fillOpacity: 0.05,
+                highlightFillOpacity: 0.05,
+                withLines: true,
+                borders: {
+                    fixed: true,
+                    strokeWidth: 1,
+                    strokeColor: '#000000',
+                    highlightStrokeColor: '#888888'
+                },
+                vertices: {
+                    visible: false,
+                    fixed: true
+                }
+            },
+
+            /**
+             * Attributes for the gliders on the lower and the left border, which store the values.
+             *
+             * @type Glider
+             * @name Slider2d#glider
+             */
+            glider: {
+                name: '',
+                withLabel: false,
+                showInfobox: false,
+                size: 3,
+                face: 'o',
+                strokeColor: '#000000',
+                fillColor: '#000000',
+                highlightStrokeColor: '#888888',
+                highlightFillColor: '#888888'
+            },
+
+            /**
+             * Attributes for the ticks at the lower border.
+             *
+             * @type Ticks
+             * @name Slider2d#ticksX
+             */
+            ticksX: {
+                needsRegularUpdate: false,
+                fixed: true,
+                drawLabels: true,
+                precision: 2,
+                includeBoundaries: 1,
+                drawZero: true,
+                label: {
+                    offset: [-4, -14],
+                    display: 'internal'
+                },
+                minTicksDistance: 30,
+                insertTicks: true,
+                minorHeight: 4,
+                majorHeight: 5,
+                minorTicks: 0,
+                defaultDistance: 1,
+                tickEndings: [1, 0],
+                strokeColor: '#000000',
+                visible: 'inherit'
+            },
+
+            /**
+             * Attributes for the ticks at the left border.
+             *
+             * @type Ticks
+             * @name Slider2d#ticksY
+             */
+            ticksY: {
+                needsRegularUpdate: false,
+                fixed: true,
+                drawLabels: true,
+                precision: 2,
+                includeBoundaries: 1,
+                drawZero: true,
+                label: {
+                    offset: [-8, 0],
+                    anchorX: 'right',
+                    anchorY: 'middle',
+                    display: 'internal'
+                },
+                minTicksDistance: 30,
+                insertTicks: true,
+                minorHeight: 4,
+                majorHeight: 5,
+                minorTicks: 0,
+                defaultDistance: 1,
+                tickEndings: [0, 1],
+                strokeColor: '#000000',
+                visible: 'inherit'
+            },
+
+            /**
+             * Attributes for the grid lines in the pad. The attribute divisions is the number of parts
+             * of a range without snap width.
+             *
+             * @type Curve
+             * @name Slider2d#grid
+             */
+            grid: {
+                divisions: 4,
+                strokeColor: '#000000',
+                highlightStrokeColor: '#000000',
+                strokeOpacity: 0.2,
+                highlightStrokeOpacity: 0.2,
+                strokeWidth: 1,
+                highlight: false,
+                fixed: true
+            },
+
+            /**
+             * Attributes for the label with the values.
+             *
+             * @type Label
+             * @name Slider2d#label
+             */
+            label: {
+                strokeColor: '#000000',
+                anchorY: 'middle'
             }
 
             /**#@-*/
@@ -3650,6 +4613,23 @@ define([
             }
         },
 
+        /* special slope field options */
+        slopefield: {
+            /**#@+
+             * @visprop
+             */
+
+            strokeColor: '#555555',
+            normalize: true,
+            anchor: 'middle',
+            length: 0.7,
+
+            arrowHead: {
+                enabled: false
+            }
+            /**#@-*/
+        },
+
         /* special options for slope triangle */
         slopetriangle: {
             /**#@+
@@ -4173,6 +5153,59 @@ define([
             /**#@-*/
         },
 
+        /* special html textarea options */
+        textarea: {
+            /**#@+
+             * @visprop
+             */
+
+            /**
+             * Control the attribute "disabled" of the HTML textarea.
+             *
+             * @name disabled
+             * @memberOf Textarea.prototype
+             *
+             * @type Boolean
+             * @default false
+             */
+            disabled: false,
+
+            /**
+             * Control the attribute "maxlength" of the HTML textarea.
+             *
+             * @name maxlength
+             * @memberOf Textarea.prototype
+             *
+             * @type Number
+             * @default 524288
+             */
+            maxlength: 524288,
+
+            /**
+             * Number of visible text lines of the HTML textarea.
+             *
+             * @name rows
+             * @memberOf Textarea.prototype
+             *
+             * @type Number
+             * @default 3
+             */
+            rows: 3,
+
+            /**
+             * Visible width of the HTML textarea in characters.
+             *
+             * @name cols
+             * @memberOf Textarea.prototype
+             *
+             * @type Number
+             * @default 20
+             */
+            cols: 20
+
+            /**#@-*/
+        },
+
         /* special options for trace curves */
         tracecurve: {
             /**#@+
@@ -4217,6 +5250,178 @@ define([
             /**#@-*/
         },
 
+        /* special vector field options */
+        vectorfield: {
+            /**#@+
+             * @visprop
+             */
+
+            strokeWidth: 1,
+            strokeColor: '#0072b2',
+            highlightStrokeWidth: 1,
+
+            /**
+             * Mesh size of the grid in pixels.
+             * @type Number
+             * @default 30
+             * @name Vectorfield#resolution
+             */
+            resolution: 30,
+
+            /**
+             * Scaling of the arrows. If 'auto', the longest arrow has the length {@link Vectorfield#length}
+             * times the mesh size. If it is a number, the arrow of the vector [u, v] is [scale * u, scale * v].
+             * @type String|Number
+             * @default 'auto'
+             * @name Vectorfield#scale
+             */
+            scale: 'auto',
+
+            /**
+             * Length of the arrows relative to the mesh size, see {@link Vectorfield#scale} and
+             * {@link Vectorfield#normalize}.
+             * @type Number
+             * @default 0.9
+             * @name Vectorfield#length
+             */
+            length: 0.9,
+
+            /**
+             * If true, all arrows have the same length {@link Vectorfield#length} times the mesh size,
+             * i.e. only the directions of the vectors are shown.
+             * @type Boolean
+             * @default false
+             * @name Vectorfield#normalize
+             */
+            normalize: false,
+
+            /**
+             * Position of the grid point on the arrow. Possible values are 'start' and 'middle'.
+             * @type String
+             * @default 'start'
+             * @name Vectorfield#anchor
+             */
+            anchor: 'start',
+
+            /**
+             * Attributes of the arrow heads. The size is given in pixels.
+             * <pre>
+             * arrowHead: {
+             *   enabled: true,
+             *   size: 5
+             * }
+             * </pre>
+             * @type Object
+             * @name Vectorfield#arrowHead
+             */
+            arrowHead: {
+                enabled: true,
+                size: 5
+            }
+            /**#@-*/
+        },
+
+        /* special options for 3D views */
+        view3d: {
+            /**#@+
+             * @visprop
+             */
+
+            needsRegularUpdate: true,
+
+            /**
+             * Initial azimuth of the camera in radians, see {@link JXG.View3D#az}.
+             * @type Number
+             * @default 1.0
+             * @name View3D#az
+             */
+            az: 1.0,
+
+            /**
+             * Initial elevation of the camera in radians, see {@link JXG.View3D#el}.
+             * @type Number
+             * @default 0.3
+             * @name View3D#el
+             */
+            el: 0.3,
+
+            /**
+             * Type of the projection. Possible values are 'parallel' and 'central'.
+             * @type String
+             * @default 'parallel'
+             * @name View3D#projection
+             */
+            projection: 'parallel',
+
+            /**
+             * Distance of the camera from the center of the 3D bounding box for central projection,
+             * in multiples of the radius of the bounding box.
+             * @type Number
+             * @default 3
+             * @name View3D#distance
+             */
+            distance: 3,
+
+            /**
+             * If true, the camera orbits around the scene if the view is dragged with the mouse or with one finger.
+             * Elements of the view can still be dragged.
+             * @type Boolean
+             * @default true
+             * @name View3D#orbit
+             */
+            orbit: true,
+
+            /**
+             * Attributes of the x-axis. The axes are drawn along the edges of the 3D bounding box.
+             * The axis is hidden if visible is false.
+             *
+             * @type Line3D
+             * @name View3D#xAxis
+             */
+            xAxis: {
+                name: 'x',
+                withLabel: true,
+                strokeColor: '#d55e00',
+                lastArrow: true,
+                label: {
+                    position: 'urt'
+                }
+            },
+
+            /**
+             * Attributes of the y-axis.
+             *
+             * @type Line3D
+             * @name View3D#yAxis
+             */
+            yAxis: {
+                name: 'y',
+                withLabel: true,
+                strokeColor: '#009e73',
+                lastArrow: true,
+                label: {
+                    position: 'urt'
+                }
+            },
+
+            /**
+             * Attributes of the z-axis.
+             *
+             * @type Line3D
+             * @name View3D#zAxis
+             */
+            zAxis: {
+                name: 'z',
+                withLabel: true,
+                strokeColor: '#0072b2',
+                lastArrow: true,
+                label: {
+                    position: 'urt'
+                }
+            }
+            /**#@-*/
+        },
+
         /**
          * Abbreviations of properties. Setting the shortcut means setting abbreviated properties
          * to the same value.
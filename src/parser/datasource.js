@@ -36,22 +36,59 @@
 /* depends:
  jxg
  utils/type
+ utils/event
  */
 
 /**
  * @fileoverview The JXG.DataSource is a helper class for data organization. Currently supported data sources are
- * javascript arrays and HTML tables.
+ * javascript arrays, HTML tables, CSV and JSON.
  */
 
-define(['jxg', 'utils/type'], function (JXG, Type) {
+define(['jxg', 'utils/type', 'utils/event'], function (JXG, Type, EventEmitter) {
 
     "use strict";
 
+    /**
+     * A table of data for charts and curves. Rows can be appended at any time, e.g. measurements streamed
+     * from a sensor. Then the event <tt>update</tt> is triggered and the boards of bound charts and curves are updated.
+     * @class
+     * @borrows JXG.EventEmitter#on as this.on
+     * @borrows JXG.EventEmitter#off as this.off
+     * @borrows JXG.EventEmitter#triggerEventHandlers as this.triggerEventHandlers
+     * @borrows JXG.EventEmitter#eventHandlers as this.eventHandlers
+     * @example
+     * var ds = new JXG.DataSource(),
+     *     socket = new WebSocket('ws://localhost:8080');
+     *
+     * ds.loadFromCSV('time,temperature');
+     * ds.maxRows = 500;
+     * board.create('chart', [ds], {chartStyle: 'scatter', columns: ['time', 'temperature']});
+     *
+     * socket.onmessage = function (msg) {
+     *     // msg.data is e.g. '{"time": 1.5, "temperature": 21.3}'
+     *     ds.append(JSON.parse(msg.data));
+     * };
+     */
     JXG.DataSource = function () {
         this.data = [];
         this.columnHeaders = [];
         this.rowHeaders = [];
 
+        /**
+         * Maximum number of rows. If more rows are appended, the oldest rows are removed.
+         * @type Number
+         * @default Infinity
+         */
+        this.maxRows = Infinity;
+
+        /**
+         * Boards which are updated if the data changes, see {@link JXG.DataSource#registerBoard}.
+         * @type Array
+         */
+        this.boards = [];
+
+        EventEmitter.eventify(this);
+
         return this;
     };
 
@@ -180,6 +217,401 @@ define(['jxg', 'utils/type'], function (JXG, Type) {
             return this;
         },
 
+        /**
+         * Loads data from a string in CSV format. Fields containing the delimiter, quotes or line breaks are
+         * enclosed in double quotes, quotes inside are doubled. Numbers are converted, empty fields and '-' become NaN,
+         * all other fields remain strings.
+         * @param {String} text
+         * @param {Object} [config] Optional parameters with default values:
+         * <pre>
+         * {
+         *     delimiter: null,      // Delimiter of the fields. If null, it is detected from the first line
+         *                           // among ',', ';' and tab.
+         *     quote: '"',           // Quote character
+         *     columnHeader: true,   // The first row contains the column headers
+         *     rowHeader: false,     // The first column contains the row headers
+         *     typeInference: true   // Convert numbers, otherwise all fields are strings
+         * }
+         * </pre>
+         * @returns {JXG.DataSource} Reference to the data source.
+         * @example
+         * var ds = new JXG.DataSource();
+         * ds.loadFromCSV('name,"weight, kg"\nA,3.5\n"B ""2""",4.25');
+         * // ds.columnHeaders is ['name', 'weight, kg'], ds.getRow(1) is ['B "2"', 4.25]
+         */
+        loadFromCSV: function (text, config) {
+            var i, rows,
+                cfg = config || {},
+                delimiter = Type.def(cfg.delimiter, null),
+                quote = Type.def(cfg.quote, '"');
+
+            if (delimiter === null) {
+                delimiter = this._detectDelimiter(text, quote);
+            }
+
+            rows = this._parseCSV(text, delimiter, quote);
+            if (Type.def(cfg.typeInference, true)) {
+                for (i = 0; i < rows.length; i++) {
+                    rows[i] = rows[i].map(this._convert);
+                }
+            }
+
+            return this._setTable(rows, Type.def(cfg.columnHeader, true), Type.def(cfg.rowHeader, false));
+        },
+
+        /**
+         * Loads data from JSON records, i.e. an array of objects like <tt>[{"t": 0, "x": 1.5}, {"t": 1, "x": 2.1}]</tt>.
+         * The keys of the records become the column headers. Missing values are NaN.
+         * @param {String|Array} json A JSON string or the array of records.
+         * @param {Object} [config] Optional parameters:
+         * <pre>
+         * {
+         *     columns: null,    // Array of keys which are imported. Default are all keys in the order of their occurrence.
+         *     rowHeader: null   // Key whose values are the row headers
+         * }
+         * </pre>
+         * @returns {JXG.DataSource} Reference to the data source.
+         */
+        loadFromJSON: function (json, config) {
+            var i, key,
+                cfg = config || {},
+                rowKey = Type.def(cfg.rowHeader, null),
+                records = Type.isString(json) ? JSON.parse(json) : json;
+
+            if (!Type.isArray(records)) {
+                records = [records];
+            }
+
+            this.data = [];
+            this.rowHeaders = [];
+            if (Type.isArray(cfg.columns)) {
+                this.columnHeaders = cfg.columns.slice(0);
+            } else {
+                this.columnHeaders = [];
+                for (i = 0; i < records.length; i++) {
+                    for (key in records[i]) {
+                        if (records[i].hasOwnProperty(key) && key !== rowKey &&
+                                Type.indexOf(this.columnHeaders, key) < 0) {
+                            this.columnHeaders.push(key);
+                        }
+                    }
+                }
+            }
+
+            for (i = 0; i < records.length; i++) {
+                if (rowKey !== null) {
+                    this.rowHeaders.push(records[i][rowKey]);
+                }
+                this.data.push(this._recordToRow(records[i]));
+            }
+
+            this._limitRows();
+            this._notify('update', []);
+
+            return this;
+        },
+
+        /**
+         * Appends rows to the data, removes the oldest rows if there are more than {@link JXG.DataSource#maxRows} rows,
+         * and triggers the events <tt>append</tt> with the new rows as argument and <tt>update</tt>. The boards of
+         * bound charts and curves are updated.
+         * @param {Array|Object} rows A row or an array of rows. A row is an array of values or a record object whose keys
+         * are column headers. Keys which are not yet column headers add new columns. Strings are converted like in
+         * {@link JXG.DataSource#loadFromCSV}.
+         * @returns {JXG.DataSource} Reference to the data source.
+         */
+        append: function (rows) {
+            var i, key, j,
+                newRows = [];
+
+            if (!Type.isArray(rows) || (rows.length > 0 && !Type.isArray(rows[0]) && !Type.isObject(rows[0]))) {
+                // A single row
+                rows = [rows];
+            }
+
+            for (i = 0; i < rows.length; i++) {
+                if (Type.isArray(rows[i])) {
+                    newRows.push(rows[i].map(this._convert));
+                } else {
+                    for (key in rows[i]) {
+                        if (rows[i].hasOwnProperty(key) && Type.indexOf(this.columnHeaders, key) < 0) {
+                            this.columnHeaders.push(key);
+                            for (j = 0; j < this.data.length; j++) {
+                                this.data[j][this.columnHeaders.length - 1] = NaN;
+                            }
+                            for (j = 0; j < newRows.length; j++) {
+                                newRows[j][this.columnHeaders.length - 1] = NaN;
+                            }
+                        }
+                    }
+                    newRows.push(this._recordToRow(rows[i]));
+                }
+            }
+
+            for (i = 0; i < newRows.length; i++) {
+                this.data.push(newRows[i]);
+            }
+            this._limitRows();
+            this._notify('append', [newRows]);
+            this._notify('update', []);
+
+            return this;
+        },
+
+        /**
+         * Registers a board, which is updated whenever the data changes. Charts created from a data source
+         * and curves bound with {@link JXG.DataSource#bindCurve} register their board automatically.
+         * @param {JXG.Board} board
+         * @returns {JXG.DataSource} Reference to the data source.
+         */
+        registerBoard: function (board) {
+            if (Type.indexOf(this.boards, board) < 0) {
+                this.boards.push(board);
+            }
+            if (Type.exists(board.dataSources) && Type.indexOf(board.dataSources, this) < 0) {
+                board.dataSources.push(this);
+            }
+
+            return this;
+        },
+
+        /**
+         * Removes a board from the boards which are updated whenever the data changes. This is done by
+         * {@link JXG.JSXGraph.freeBoard} for all data sources the board is registered to.
+         * @param {JXG.Board} board
+         * @returns {JXG.DataSource} Reference to the data source.
+         * @see JXG.DataSource#registerBoard
+         */
+        unregisterBoard: function (board) {
+            var i = Type.indexOf(this.boards, board);
+
+            if (i > -1) {
+                this.boards.splice(i, 1);
+            }
+            if (Type.exists(board.dataSources)) {
+                i = Type.indexOf(board.dataSources, this);
+                if (i > -1) {
+                    board.dataSources.splice(i, 1);
+                }
+            }
+
+            return this;
+        },
+
+        /**
+         * Binds a curve to two columns of the data source: the curve is a data plot of these columns
+         * and follows all changes of the data.
+         * @param {JXG.Curve} curve
+         * @param {Number|String} colX Index or header of the column of the x values
+         * @param {Number|String} colY Index or header of the column of the y values
+         * @returns {JXG.DataSource} Reference to the data source.
+         * @example
+         * var c = board.create('curve', [[], []]);
+         * ds.bindCurve(c, 'time', 'temperature');
+         */
+        bindCurve: function (curve, colX, colY) {
+            var that = this;
+
+            curve.updateDataArray = function () {
+                this.dataX = that.getColumn(colX);
+                this.dataY = that.getColumn(colY);
+            };
+            this.registerBoard(curve.board);
+            curve.board.update();
+
+            return this;
+        },
+
+        /**
+         * Triggers an event and updates the registered boards.
+         * @param {String} event
+         * @param {Array} args
+         * @private
+         */
+        _notify: function (event, args) {
+            var i;
+
+            this.triggerEventHandlers([event], args);
+            if (event === 'update') {
+                for (i = 0; i < this.boards.length; i++) {
+                    this.boards[i].update();
+                }
+            }
+        },
+
+        /**
+         * Removes the oldest rows, if there are more than maxRows rows.
+         * @private
+         */
+        _limitRows: function () {
+            var n = this.data.length - this.maxRows;
+
+            if (n > 0) {
+                this.data.splice(0, n);
+                if (this.rowHeaders.length > 0) {
+                    this.rowHeaders.splice(0, n);
+                }
+            }
+        },
+
+        /**
+         * Converts a record object to a row according to the column headers.
+         * @private
+         */
+        _recordToRow: function (record) {
+            var i, v,
+                row = [];
+
+            for (i = 0; i < this.columnHeaders.length; i++) {
+                v = record[this.columnHeaders[i]];
+                row.push(Type.exists(v) ? this._convert(v) : NaN);
+            }
+
+            return row;
+        },
+
+        /**
+         * Type inference of a field: numbers are converted, empty fields and '-' become NaN.
+         * @param {String|Number} cell
+         * @returns {String|Number}
+         * @private
+         */
+        _convert: function (cell) {
+            var str;
+
+            if (!Type.isString(cell)) {
+                return cell;
+            }
+
+            str = cell.replace(/^\s+|\s+$/g, '');
+            if (str === '' || str === '-') {
+                return NaN;
+            }
+            if (/^[+\-]?(\d+\.?\d*|\.\d+)([eE][+\-]?\d+)?$/.test(str)) {
+                return parseFloat(str);
+            }
+
+            return cell;
+        },
+
+        /**
+         * Sets data and headers from an array of rows.
+         * @private
+         */
+        _setTable: function (rows, columnHeader, rowHeader) {
+            var i;
+
+            this.data = rows;
+            this.columnHeaders = [];
+            this.rowHeaders = [];
+
+            if (columnHeader && this.data.length > 0) {
+                this.columnHeaders = this.data[0].slice(rowHeader ? 1 : 0);
+                this.data = this.data.slice(1);
+            }
+
+            if (rowHeader) {
+                for (i = 0; i < this.data.length; i++) {
+                    this.rowHeaders.push(this.data[i][0]);
+                    this.data[i] = this.data[i].slice(1);
+                }
+            }
+
+            this._limitRows();
+            this._notify('update', []);
+
+            return this;
+        },
+
+        /**
+         * Detects the delimiter of CSV data: the most frequent of ',', ';' and tab outside of quotes in the first line.
+         * @private
+         */
+        _detectDelimiter: function (text, quote) {
+            var i, c,
+                inQuotes = false,
+                candidates = [',', ';', '\t'],
+                counts = [0, 0, 0],
+                best = 0;
+
+            for (i = 0; i < text.length; i++) {
+                c = text.charAt(i);
+                if (c === quote) {
+                    inQuotes = !inQuotes;
+                } else if (!inQuotes && (c === '\n' || c === '\r')) {
+                    break;
+                } else if (!inQuotes && Type.indexOf(candidates, c) > -1) {
+                    counts[Type.indexOf(candidates, c)]++;
+                }
+            }
+
+            for (i = 1; i < 3; i++) {
+                if (counts[i] > counts[best]) {
+                    best = i;
+                }
+            }
+
+            return candidates[best];
+        },
+
+        /**
+         * Splits CSV data into rows of fields.
+         * @private
+         */
+        _parseCSV: function (text, delimiter, quote) {
+            var c,
+                i = 0,
+                len = text.length,
+                rows = [],
+                row = [],
+                field = '',
+                inQuotes = false,
+                endRow = function () {
+                    row.push(field);
+                    // Skip empty lines
+                    if (row.length > 1 || row[0] !== '') {
+                        rows.push(row);
+                    }
+                    row = [];
+                    field = '';
+                };
+
+            while (i < len) {
+                c = text.charAt(i);
+
+                if (inQuotes) {
+                    if (c === quote && text.charAt(i + 1) === quote) {
+                        // Escaped quote
+                        field += quote;
+                        i++;
+                    } else if (c === quote) {
+                        inQuotes = false;
+                    } else {
+                        field += c;
+                    }
+                } else if (c === quote) {
+                    inQuotes = true;
+                } else if (c === delimiter) {
+                    row.push(field);
+                    field = '';
+                } else if (c === '\r' || c === '\n') {
+                    if (c === '\r' && text.charAt(i + 1) === '\n') {
+                        i++;
+                    }
+                    endRow();
+                } else {
+                    field += c;
+                }
+                i++;
+            }
+
+            if (field !== '' || row.length > 0) {
+                endRow();
+            }
+
+            return rows;
+        },
+
         addColumn: function (name, pos, data) {
             throw new Error('not implemented');
         },
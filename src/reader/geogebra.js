@@ -84,6 +84,82 @@
 
     "use strict";
 
+    /**
+     * Functions which are available in GeoGebra expressions and map directly
+     * to the methods of JavaScript's Math object with the same name.
+     * @type Array
+     * @private
+     */
+    var mathFunctions = ['abs', 'acos', 'asin', 'atan', 'ceil', 'cos', 'exp', 'floor', 'log',
+            'max', 'min', 'pow', 'random', 'round', 'sin', 'sqrt', 'tan'],
+
+        /**
+         * Functions of GeoGebra expressions which return the coordinates of a point, and
+         * the corresponding methods of JSXGraph points, e.g. x(A) is A.X().
+         * @type Object
+         * @private
+         */
+        coordFunctions = {x: 'X', y: 'Y'},
+
+        /**
+         * Point styles of GeoGebra, i.e. the values of the pointStyle tag, and the corresponding faces of points.
+         * The styles 0, 4 and 6 to 9 are filled, the styles 2 and 5 are not filled.
+         * @type Array
+         * @private
+         */
+        pointStyles = ['circle', 'x', 'circle', '+', 'diamond', 'diamond', 'triangleUp', 'triangleDown',
+            'triangleRight', 'triangleLeft'],
+
+        /**
+         * Line styles of GeoGebra, i.e. the type attribute of the lineStyle tag, and the corresponding dash values.
+         * @type Object
+         * @private
+         */
+        lineStyles = {'0': 0, '10': 2, '15': 3, '20': 1, '30': 6},
+
+        /**
+         * GeoGebra commands which are read by the reader and the types of the JSXGraph elements created for them.
+         * Commands which create elements of several types or points with computed coordinates map to an empty list.
+         * The writer exports elements of these types with these commands.
+         * @type Object
+         * @private
+         */
+        commands = {
+            Angle: ['angle'],
+            AngularBisector: ['bisector'],
+            Center: [],
+            Circle: ['circle', 'circumcircle'],
+            CircleArc: ['arc'],
+            CircleSector: ['sector'],
+            CircumcircleArc: ['circumcirclearc'],
+            CircumcircleSector: ['circumcirclesector'],
+            Conic: ['conic'],
+            Dilate: [],
+            Distance: [],
+            Ellipse: ['ellipse'],
+            Function: ['functiongraph'],
+            Integral: ['integral'],
+            Intersect: ['intersection', 'otherintersection'],
+            Line: ['line', 'parallel'],
+            LineBisector: [],
+            Midpoint: ['midpoint'],
+            Mirror: ['mirrorpoint', 'reflection'],
+            OrthogonalLine: ['normal'],
+            Point: ['glider'],
+            Polar: ['polar'],
+            Polygon: ['polygon', 'regularpolygon'],
+            Ray: [],
+            Root: [],
+            Rotate: [],
+            Segment: ['segment'],
+            Semicircle: ['semicircle'],
+            Slope: [],
+            Tangent: ['tangent'],
+            Text: ['text'],
+            Translate: [],
+            Vector: ['arrow']
+        };
+
     JXG.GeogebraReader = function (board, str) {
         var tree, content;
 
@@ -340,32 +416,13 @@
                 break;
             case 'var':
                 if (v2) {
-                    switch (v1.toLowerCase()) {
-                    case 'x':
-                        return v2 + '.X()';
-                    case 'y':
-                        return v2 + '.Y()';
-                    case 'abs':
-                    case 'acos':
-                    case 'asin':
-                    case 'atan':
-                    case 'ceil':
-                    case 'cos':
-                    case 'exp':
-                    case 'floor':
-                    case 'log':
-                    case 'max':
-                    case 'min':
-                    case 'pow':
-                    case 'random':
-                    case 'round':
-                    case 'sin':
-                    case 'sqrt':
-                    case 'tan':
+                    if (JXG.exists(coordFunctions[v1.toLowerCase()])) {
+                        return v2 + '.' + coordFunctions[v1.toLowerCase()] + '()';
+                    }
+                    if (JXG.indexOf(mathFunctions, v1.toLowerCase()) > -1) {
                         return 'Math.' + v1.toLowerCase() + '(' +  v2 + ')';
-                    default:
-                        return v1.toLowerCase() + '*(' + v2 + ')';
                     }
+                    return v1.toLowerCase() + '*(' + v2 + ')';
                 } else {
                     if (v1 === 'PI') {
                         return 'Math.PI';
@@ -1588,47 +1645,22 @@
                 attr.styleGGB = parseInt(pointStyle[0].getAttribute('val'), 10);
             }
 
-            if (attr.styleGGB === 0 || attr.styleGGB === 2) {
-                attr.face = 'circle';
-
-                if (attr.styleGGB === 0) {
-                    attr.fillColor = attr.strokeColor;
-                    attr.fillOpacity = 1;
-                    attr.highlightFillColor = attr.strokeColor;
-                    attr.highlightFillOpacity = 1;
-                    attr.strokeColor = 'black';
-                    attr.strokeWidth = 1;
-                } else if (attr.styleGGB === 2) {
-                    attr.fillColor = 'none';
-                }
-            } else if (attr.styleGGB === 1) {
-                attr.face = 'x';
-            } else if (attr.styleGGB === 3) {
-                attr.face = '+';
-                attr.strokeOpacity = 1;
-            } else if (attr.styleGGB === 4 || attr.styleGGB === 5) {
-                attr.face = 'diamond';
+            if (JXG.exists(attr.styleGGB) && JXG.exists(pointStyles[attr.styleGGB])) {
+                attr.face = pointStyles[attr.styleGGB];
+            }
 
-                if (attr.styleGGB === 4) {
-                    attr.fillColor = attr.strokeColor;
-                    attr.fillOpacity = 1;
-                } else if (attr.styleGGB === 5) {
-                    attr.fillColor = 'none';
-                }
-            } else if (attr.styleGGB === 6) {
-                attr.face = 'triangleUp';
-                attr.fillColor = attr.strokeColor;
-                attr.fillOpacity = 1;
-            } else if (attr.styleGGB === 7) {
-                attr.face = 'triangleDown';
-                attr.fillColor = attr.strokeColor;
-                attr.fillOpacity = 1;
-            } else if (attr.styleGGB === 8) {
-                attr.face = 'triangleRight';
+            if (attr.styleGGB === 0) {
                 attr.fillColor = attr.strokeColor;
                 attr.fillOpacity = 1;
-            } else if (attr.styleGGB === 9) {
-                attr.face = 'triangleLeft';
+                attr.highlightFillColor = attr.strokeColor;
+                attr.highlightFillOpacity = 1;
+                attr.strokeColor = 'black';
+                attr.strokeWidth = 1;
+            } else if (attr.styleGGB === 2 || attr.styleGGB === 5) {
+                attr.fillColor = 'none';
+            } else if (attr.styleGGB === 3) {
+                attr.strokeOpacity = 1;
+            } else if (attr.styleGGB === 4 || (attr.styleGGB >= 6 && attr.styleGGB <= 9)) {
                 attr.fillColor = attr.strokeColor;
                 attr.fillOpacity = 1;
             }
@@ -1646,16 +1678,8 @@
                 attr.highlightStrokeWidth = attr.strokeWidth + 1;
             }
 
-            if (attr.dashGGB === '0') {
-                attr.dash = 0;
-            } else if (attr.dashGGB === '10') {
-                attr.dash = 2;
-            } else if (attr.dashGGB === '15') {
-                attr.dash = 3;
-            } else if (attr.dashGGB === '20') {
-                attr.dash = 1;
-            } else if (attr.dashGGB === '30') {
-                attr.dash = 6;
+            if (JXG.exists(attr.dashGGB) && lineStyles.hasOwnProperty(attr.dashGGB)) {
+                attr.dash = lineStyles[attr.dashGGB];
             }
 
             if (labelOffset.length > 0) {
@@ -2774,11 +2798,11 @@
 
                 // fix the range input. This might by x(<point>) or y(point) but JSXGraph only allows X(<point>)
                 // and Y(point) so we need to convert this.
-                rx = /([x|y])\((\w+)\)/;
+                rx = /([xy])\((\w+)\)/;
                 for (i = 0; i < 2; i++) {
                     match = rx.exec(range[i]);
                     if (match) {
-                        range[i] = match[1].toUpperCase() + '(' + match[2] + ')';
+                        range[i] = coordFunctions[match[1]] + '(' + match[2] + ')';
                     }
                 }
 
@@ -3049,6 +3073,10 @@
                 for (s = 0; s < cmds.length; s++) {
                     Data = cmds[s];
 
+                    if (!JXG.exists(commands[Data.getAttribute('name')])) {
+                        JXG.debug('* Unsupported command ' + Data.getAttribute('name'));
+                    }
+
                     JXG.debug('now i\'ll parse the command:');
                     JXG.debug(Data);
 
@@ -3189,5 +3217,609 @@
         }
     });
 
+    /**
+     * GeoGebra commands which are supported by the reader. The property names are the names of the commands,
+     * the values are lists of the types of the JSXGraph elements created for them. {@link JXG.GeogebraWriter} exports
+     * elements of these types with these commands.
+     * @type Object
+     */
+    JXG.GeogebraReader.commands = commands;
+
     JXG.registerReader(JXG.GeogebraReader, ['ggb', 'geogebra']);
+
+    /**
+     * Exports a JSXGraph board to the GeoGebra file format.
+     * Supported are points, gliders, intersection points, midpoints, reflected points, lines, parallels, segments,
+     * circles, polygons, sliders and function graphs. All other elements are skipped, they are listed in
+     * {@link JXG.GeogebraWriter#skipped}. Dependent elements are
+     * exported as the GeoGebra commands which are read by {@link JXG.GeogebraReader}, see
+     * {@link JXG.GeogebraReader.commands}.
+     * <p>
+     * Terms given as strings or as functions created by JessieCode are converted to GeoGebra expressions,
+     * e.g. <tt>X(A) + 1</tt> becomes <tt>x(A) + 1</tt>. Terms given as JavaScript functions are converted if they
+     * consist of a single return statement using only arithmetics and the functions known to GeoGebra.
+     * Terms which can not be converted, e.g. JavaScript functions using variables of their closure, are exported
+     * with their current value. In this case the dependency is lost.
+     * @class
+     * @param {JXG.Board} board The board to export.
+     * @example
+     * var ggb = new JXG.GeogebraWriter(board),
+     *     bytes = ggb.write(),
+     *     blob = new Blob([new Uint8Array(bytes)], {type: 'application/vnd.geogebra.file'});
+     */
+    JXG.GeogebraWriter = function (board) {
+        this.board = board;
+
+        /**
+         * Maps element ids to GeoGebra labels. Unsupported elements are mapped to false.
+         * @type Object
+         */
+        this.labels = {};
+
+        /**
+         * Labels used in the exported construction.
+         * @type Object
+         */
+        this.used = {};
+
+        /**
+         * Names of elements on the board. These are not used for generated labels.
+         * @type Object
+         */
+        this.reserved = {};
+
+        /**
+         * Chunks of the construction tag.
+         * @type Array
+         */
+        this.construction = [];
+
+        /**
+         * Elements which could not be exported by the last call of {@link JXG.GeogebraWriter#toXML}.
+         * @type Array
+         */
+        this.skipped = [];
+    };
+
+    JXG.extend(JXG.GeogebraWriter.prototype, /** @lends JXG.GeogebraWriter.prototype */ {
+        /**
+         * Create a GeoGebra file of the board.
+         * @returns {Array} The zipped file as an array of bytes.
+         */
+        write: function () {
+            var zip = new JXG.Util.Zip();
+
+            zip.addFile('geogebra.xml', JXG.Util.UTF8.encode(this.toXML()));
+
+            return zip.zip();
+        },
+
+        /**
+         * Create the content of geogebra.xml.
+         * @returns {String}
+         */
+        toXML: function () {
+            var i, el,
+                board = this.board,
+                list = board.objectsList,
+                origin = board.origin.scrCoords;
+
+            this.labels = {};
+            this.used = {};
+            this.reserved = {};
+            this.construction = [];
+            this.skipped = [];
+
+            // Names given by the user have priority over generated labels.
+            for (i = 0; i < list.length; i++) {
+                if (this.isValidLabel(list[i].name)) {
+                    this.reserved[list[i].name] = true;
+                }
+            }
+
+            for (i = 0; i < list.length; i++) {
+                el = list[i];
+                if (JXG.exists(el._creation) && !JXG.exists(this.labels[el.id])) {
+                    this.writeObject(el);
+                }
+            }
+
+            for (i = 0; i < list.length; i++) {
+                el = list[i];
+                if (JXG.exists(el._creation) && !this.labels[el.id] && el !== board.infobox) {
+                    this.skipped.push(el);
+                }
+            }
+            if (this.skipped.length > 0) {
+                JXG.debug('GeogebraWriter: ' + this.skipped.length + ' element(s) could not be exported.');
+            }
+
+            return '<?xml version="1.0" encoding="utf-8"?>\n' +
+                '<geogebra format="4.0">\n' +
+                '<gui>\n\t<font size="' + board.options.text.fontSize + '"/>\n</gui>\n' +
+                '<euclidianView>\n' +
+                '\t<size width="' + board.canvasWidth + '" height="' + board.canvasHeight + '"/>\n' +
+                '\t<coordSystem xZero="' + this.num(origin[1]) + '" yZero="' + this.num(origin[2]) +
+                    '" scale="' + this.num(board.unitX) + '" yscale="' + this.num(board.unitY) + '"/>\n' +
+                '\t<evSettings axes="' + JXG.exists(board.defaultAxes) + '" grid="' + (board.grids.length > 0) +
+                    '" pointCapturing="3" pointStyle="0" rightAngleStyle="1"/>\n' +
+                '</euclidianView>\n' +
+                '<kernel>\n\t<decimals val="2"/>\n</kernel>\n' +
+                '<construction title="" author="" date="">\n' +
+                this.construction.join('') +
+                '</construction>\n' +
+                '</geogebra>\n';
+        },
+
+        /**
+         * Write an element and all elements it depends on to the construction.
+         * @param {JXG.GeometryElement} el
+         * @returns {String|Boolean} The label of the element in the construction or false
+         * if the element can not be exported.
+         */
+        writeObject: function (el) {
+            var i, type, input, output, label, c, r, parents, term, domain, x, y,
+                board = this.board,
+                cmd = this.command(el.elType),
+                exp = null;
+
+            if (JXG.exists(this.labels[el.id])) {
+                return this.labels[el.id];
+            }
+
+            // Prevent cyclic dependencies
+            this.labels[el.id] = false;
+
+            if (JXG.exists(el.parentPolygon)) {
+                this.labels[el.id] = undefined;
+                this.writeObject(el.parentPolygon);
+                return this.labels[el.id] || false;
+            }
+
+            parents = [];
+            if (el._creation) {
+                for (i = 0; i < el._creation.parents.length; i++) {
+                    parents.push(JXG.isString(el._creation.parents[i]) && JXG.exists(board.objects[el._creation.parents[i]]) ?
+                            board.objects[el._creation.parents[i]] : el._creation.parents[i]);
+                }
+            }
+
+            switch (el.elType) {
+            case 'point':
+                type = 'point';
+                // Points with coordinates given by terms are exported as expressions.
+                if (parents.length === 2 && (!JXG.isNumber(parents[0]) || !JXG.isNumber(parents[1]))) {
+                    x = this.term(parents[0], '');
+                    y = this.term(parents[1], '');
+                    if (x !== false && y !== false) {
+                        exp = '(' + x + ', ' + y + ')';
+                    }
+                }
+                break;
+            case 'glider':
+                input = [this.writeObject(el.slideObject)];
+                type = 'point';
+                break;
+            case 'intersection':
+                input = [this.writeObject(parents[0]), this.writeObject(parents[1])];
+                if (parents[0].elementClass !== JXG.OBJECT_CLASS_LINE ||
+                        parents[1].elementClass !== JXG.OBJECT_CLASS_LINE) {
+                    input.push(String(JXG.evaluate(parents[2]) + 1));
+                }
+                type = 'point';
+                break;
+            case 'midpoint':
+                input = [];
+                for (i = 0; i < parents.length; i++) {
+                    input.push(this.writeObject(parents[i]));
+                }
+                type = 'point';
+                break;
+            case 'mirrorpoint':
+            case 'reflection':
+                if (!JXG.isPoint(parents[0])) {
+                    return false;
+                }
+                input = [this.writeObject(parents[0]), this.writeObject(parents[1])];
+                type = 'point';
+                break;
+            case 'line':
+            case 'segment':
+                input = [this.writeObject(el.point1), this.writeObject(el.point2)];
+                if (el.elType === 'segment' || (!el.visProp.straightfirst && !el.visProp.straightlast)) {
+                    type = 'segment';
+                    cmd = 'Segment';
+                } else {
+                    type = 'line';
+                }
+                break;
+            case 'parallel':
+                if (parents.length !== 2) {
+                    return false;
+                }
+                c = JXG.isPoint(parents[0]) ? 0 : 1;
+                input = [this.writeObject(parents[c]), this.writeObject(parents[1 - c])];
+                type = 'line';
+                break;
+            case 'circle':
+                type = 'conic';
+                c = this.writeObject(el.center);
+                if (el.method === 'twoPoints') {
+                    input = [c, this.writeObject(el.point2)];
+                } else if (el.method === 'pointLine') {
+                    input = [c, this.writeObject(el.line)];
+                } else if (el.method === 'pointCircle') {
+                    input = [c, this.writeObject(el.circle)];
+                } else {
+                    r = parents[1];
+                    if (JXG.isPoint(r) && r.elType === 'slider') {
+                        term = this.writeObject(r);
+                    } else {
+                        term = this.term(r, '');
+                    }
+                    input = [c, term !== false ? term : this.num(el.Radius())];
+                }
+                break;
+            case 'circumcircle':
+                type = 'conic';
+                input = [];
+                for (i = 0; i < 3; i++) {
+                    input.push(this.writeObject(parents[i]));
+                }
+                break;
+            case 'polygon':
+                type = 'polygon';
+                input = [];
+                for (i = 0; i < el.vertices.length - 1; i++) {
+                    input.push(this.writeObject(el.vertices[i]));
+                }
+                break;
+            case 'slider':
+                type = 'numeric';
+                break;
+            case 'curve':
+                if (!el._creation || el._creation.elementType !== 'functiongraph') {
+                    return false;
+                }
+                term = this.term(parents[0], 'x');
+                if (term === false) {
+                    return false;
+                }
+                type = 'function';
+                cmd = null;
+                domain = [JXG.evaluate(parents[1]), JXG.evaluate(parents[2])];
+                if (JXG.isNumber(domain[0]) && JXG.isNumber(domain[1])) {
+                    cmd = 'Function';
+                    input = [term, this.num(domain[0]), this.num(domain[1])];
+                } else {
+                    exp = term;
+                }
+                break;
+            default:
+                return false;
+            }
+
+            if (input && JXG.indexOf(input, false) > -1) {
+                return false;
+            }
+
+            label = this.createLabel(el, type);
+            output = [label];
+
+            if (type === 'polygon') {
+                for (i = 0; i < el.borders.length; i++) {
+                    output.push(this.createLabel(el.borders[i], 'segment'));
+                }
+            }
+
+            if (input && cmd !== null) {
+                this.construction.push('<command name="' + cmd + '">\n' +
+                    '\t<input' + this.indexedAttributes(input) + '/>\n' +
+                    '\t<output' + this.indexedAttributes(output) + '/>\n' +
+                    '</command>\n');
+            } else if (exp !== null) {
+                this.construction.push('<expression label="' + this.escape(label) + '" exp="' +
+                    this.escape(type === 'function' ? label + '(x) = ' + exp : exp) + '"/>\n');
+            }
+
+            this.writeElement(el, type, label);
+            if (type === 'polygon') {
+                for (i = 0; i < el.borders.length; i++) {
+                    this.writeElement(el.borders[i], 'segment', output[i + 1]);
+                }
+            }
+
+            return label;
+        },
+
+        /**
+         * Find the GeoGebra command which creates elements of the given type, see {@link JXG.GeogebraReader.commands}.
+         * @param {String} elType
+         * @returns {String} The name of the command or null if there is no such command.
+         */
+        command: function (elType) {
+            var name;
+
+            for (name in commands) {
+                if (commands.hasOwnProperty(name) && JXG.indexOf(commands[name], elType) > -1) {
+                    return name;
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Write the element tag containing the properties of an element.
+         * @param {JXG.GeometryElement} el
+         * @param {String} type GeoGebra type of the element
+         * @param {String} label
+         */
+        writeElement: function (el, type, label) {
+            var i, rgb, alpha, style, dash, face, horizontal,
+                ev = el.visProp,
+                color = (type === 'point' || type === 'polygon') ? ev.fillcolor : ev.strokecolor,
+                xml = '<element type="' + type + '" label="' + this.escape(label) + '">\n';
+
+            rgb = JXG.rgbParser(JXG.evaluate(color));
+            if (rgb.length < 3) {
+                rgb = [0, 0, 0];
+            }
+            alpha = (type === 'point' || JXG.evaluate(ev.fillcolor) === 'none') ? 0 : JXG.evaluate(ev.fillopacity);
+
+            xml += '\t<show object="' + (JXG.evaluate(ev.visible) !== false) + '" label="' + JXG.evaluate(ev.withlabel) + '"/>\n';
+            xml += '\t<objColor r="' + rgb[0] + '" g="' + rgb[1] + '" b="' + rgb[2] + '" alpha="' + this.num(alpha) + '"/>\n';
+
+            if (type === 'point') {
+                face = JXG.normalizePointFace(JXG.evaluate(ev.face));
+                style = 0;
+                for (i = 0; i < pointStyles.length; i++) {
+                    if (JXG.normalizePointFace(pointStyles[i]) === face) {
+                        style = i;
+                        break;
+                    }
+                }
+                // Circles and diamonds without fill
+                if ((style === 0 || style === 4) && JXG.evaluate(ev.fillcolor) === 'none') {
+                    style = (style === 0) ? 2 : 5;
+                }
+
+                xml += '\t<coords x="' + this.num(el.X()) + '" y="' + this.num(el.Y()) + '" z="1"/>\n';
+                xml += '\t<pointSize val="' + JXG.evaluate(ev.size) + '"/>\n';
+                xml += '\t<pointStyle val="' + style + '"/>\n';
+            } else if (type === 'numeric') {
+                horizontal = Math.abs(el.point1.Y() - el.point2.Y()) <= Math.abs(el.point1.X() - el.point2.X());
+
+                xml += '\t<value val="' + this.num(el.Value()) + '"/>\n';
+                xml += '\t<slider min="' + this.num(el._smin) + '" max="' + this.num(el._smax) +
+                    '" width="' + this.num(el.point1.Dist(el.point2)) +
+                    '" x="' + this.num(Math.min(el.point1.X(), el.point2.X())) +
+                    '" y="' + this.num(Math.min(el.point1.Y(), el.point2.Y())) +
+                    '" fixed="' + JXG.evaluate(el.point1.visProp.fixed) +
+                    '" horizontal="' + horizontal + '" showAlgebra="true"/>\n';
+                if (JXG.evaluate(ev.snapwidth) > 0) {
+                    xml += '\t<animation step="' + this.num(JXG.evaluate(ev.snapwidth)) + '" speed="1" type="0" playing="false"/>\n';
+                }
+            } else {
+                dash = 10;
+                for (style in lineStyles) {
+                    if (lineStyles.hasOwnProperty(style) && lineStyles[style] === JXG.evaluate(ev.dash)) {
+                        dash = style;
+                    }
+                }
+                xml += '\t<lineStyle thickness="' + (2 * JXG.evaluate(ev.strokewidth)) + '" type="' + dash + '"/>\n';
+            }
+
+            if (type === 'point' && JXG.evaluate(ev.fixed)) {
+                xml += '\t<fixed val="true"/>\n';
+            }
+
+            xml += '</element>\n';
+            this.construction.push(xml);
+        },
+
+        /**
+         * Convert a term to a GeoGebra expression.
+         * @param {Number|String|function} f A number, a JessieCode or GEONExT term or a function.
+         * @param {String} variable Name of the variable in the GeoGebra expression, e.g. <tt>'x'</tt> for
+         * the term of a function graph or <tt>''</tt> for terms without variable.
+         * @returns {String|Boolean} The expression or false if the term can not be converted.
+         */
+        term: function (f, variable) {
+            var m, v, term;
+
+            if (JXG.isNumber(f)) {
+                return this.num(f);
+            }
+
+            if (JXG.isString(f)) {
+                return this.jessieCodeTerm(f, variable);
+            }
+
+            if (!JXG.isFunction(f)) {
+                return false;
+            }
+
+            m = /^\s*function\s*[\w$]*\s*\(\s*([\w$]*)[^)]*\)\s*\{\s*return\s+([^;{}]*);?\s*\}\s*$/.exec(f.toString()) ||
+                /^\s*\(?\s*([\w$]*)[^)=]*\)?\s*=>\s*([^;{}]*)$/.exec(f.toString());
+            if (m === null) {
+                return false;
+            }
+
+            v = m[1];
+            term = m[2];
+
+            // Functions created by JessieCode return their JessieCode term in toString().
+            if (JXG.exists(f.node) && JXG.exists(f.toJS)) {
+                if (v !== '' && v !== variable) {
+                    term = term.replace(new RegExp('\\b' + v.replace(/\$/g, '\\$') + '\\b', 'g'), variable);
+                }
+                return this.jessieCodeTerm(term, variable);
+            }
+
+            term = term.replace(new RegExp('Math\\.(' + mathFunctions.join('|') + ')\\s*\\(', 'g'), '$1(');
+            term = term.replace(/Math\.PI/g, 'pi').replace(/Math\.E\b/g, 'e');
+
+            if (v !== '' && v !== variable) {
+                term = term.replace(new RegExp('\\b' + v.replace(/\$/g, '\\$') + '\\b', 'g'), variable);
+            }
+
+            // Anything left like object access or variables from closures can not be exported.
+            if (/\.\s*[A-Za-z_$]|[\[\]=?:!&|]/.test(term) || !this.checkIdentifiers(term, variable, {})) {
+                return false;
+            }
+
+            return term;
+        },
+
+        /**
+         * Convert a JessieCode or GEONExT term to a GeoGebra expression. The coordinates <tt>X(A)</tt> and
+         * <tt>Y(A)</tt> of points and values <tt>V(s)</tt> or <tt>s</tt> of sliders are converted, see
+         * {@link JXG.GeogebraReader#ggbAct}. The elements used in the term are written to the construction.
+         * @param {String} term
+         * @param {String} variable See {@link JXG.GeogebraWriter#term}.
+         * @returns {String|Boolean} The expression or false if the term can not be converted.
+         */
+        jessieCodeTerm: function (term, variable) {
+            var that = this,
+                labels = {},
+                ok = true,
+                label = function (name) {
+                    var el = that.board.select(name);
+
+                    if (!JXG.exists(el) || JXG.isString(el) || !JXG.exists(el.id)) {
+                        ok = false;
+                        return name;
+                    }
+                    name = that.writeObject(el);
+                    ok = ok && name !== false;
+                    labels[name] = true;
+
+                    return name;
+                };
+
+            term = term.replace(/\b([XYV])\s*\(\s*([A-Za-z_$][\w$']*)\s*\)/g, function (m, f, name) {
+                var key;
+
+                if (f === 'V') {
+                    return label(name);
+                }
+                for (key in coordFunctions) {
+                    if (coordFunctions.hasOwnProperty(key) && coordFunctions[key] === f) {
+                        return key + '(' + label(name) + ')';
+                    }
+                }
+                return m;
+            });
+            term = term.replace(/\bPI\b/g, 'pi').replace(/\bEULER\b/g, 'e');
+
+            // Bare names of elements, e.g. k instead of V(k) for a slider k. Names of functions are skipped.
+            term = term.replace(/(^|[^\w$'.])([A-Za-z_$][\w$']*)(?!\s*\(|[\w$'])/g, function (m, pre, name) {
+                if (name === variable || name === 'pi' || name === 'e' || labels[name]) {
+                    return m;
+                }
+                return pre + label(name);
+            });
+
+            if (!ok || /\.\s*[A-Za-z_$]|[\[\]=?:!&|]/.test(term) ||
+                    !this.checkIdentifiers(term, variable, labels)) {
+                return false;
+            }
+
+            return term;
+        },
+
+        /**
+         * Checks if all identifiers in a GeoGebra expression are known to GeoGebra.
+         * @param {String} term
+         * @param {String} variable The variable of the expression.
+         * @param {Object} labels The labels of the elements used in the expression are the property names.
+         * @returns {Boolean}
+         * @private
+         */
+        checkIdentifiers: function (term, variable, labels) {
+            var i,
+                ids = term.match(/[A-Za-z_$][\w$']*/g) || [];
+
+            for (i = 0; i < ids.length; i++) {
+                if (ids[i] !== variable && !JXG.exists(coordFunctions[ids[i]]) &&
+                        JXG.indexOf(mathFunctions, ids[i]) === -1 && ids[i] !== 'pi' && ids[i] !== 'e' &&
+                        !labels[ids[i]]) {
+                    return false;
+                }
+            }
+
+            return true;
+        },
+
+        /**
+         * Find a unique label for an element. The element's name is used if possible.
+         * @param {JXG.GeometryElement} el
+         * @param {String} type GeoGebra type of the element
+         * @returns {String}
+         */
+        createLabel: function (el, type) {
+            var label,
+                prefix = {point: 'P', segment: 's', line: 'l', conic: 'c', polygon: 'poly', numeric: 'n', 'function': 'f'}[type],
+                k = 1;
+
+            if (this.isValidLabel(el.name) && !this.used[el.name]) {
+                label = el.name;
+            } else {
+                do {
+                    label = prefix + k;
+                    k++;
+                } while (this.used[label] || this.reserved[label]);
+            }
+
+            this.used[label] = true;
+            this.labels[el.id] = label;
+
+            return label;
+        },
+
+        /**
+         * Checks if a name can be used as a label in GeoGebra.
+         * @param {String} name
+         * @returns {Boolean}
+         */
+        isValidLabel: function (name) {
+            return JXG.isString(name) && /^[A-Za-z][A-Za-z0-9_']*$/.test(name) &&
+                JXG.indexOf(['x', 'y', 'z', 'e', 'i', 'pi'], name) === -1;
+        },
+
+        /**
+         * Create the attributes a0, a1, ... of input and output tags.
+         * @param {Array} values
+         * @returns {String}
+         */
+        indexedAttributes: function (values) {
+            var i,
+                s = '';
+
+            for (i = 0; i < values.length; i++) {
+                s += ' a' + i + '="' + this.escape(values[i]) + '"';
+            }
+
+            return s;
+        },
+
+        /**
+         * Format a number for the GeoGebra file.
+         * @param {Number} v
+         * @returns {String}
+         */
+        num: function (v) {
+            return String(parseFloat(v.toFixed(10)));
+        },
+
+        /**
+         * Escape special characters in XML attribute values.
+         * @param {String} s
+         * @returns {String}
+         */
+        escape: function (s) {
+            return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        }
+    });
 }());
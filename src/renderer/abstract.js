@@ -48,6 +48,7 @@
  math/geometry
  utils/type
  utils/env
+ utils/virtualdom
 */
 
 /**
@@ -59,8 +60,9 @@
  */
 
 define([
-    'jxg', 'options', 'base/coords', 'base/constants', 'math/math', 'math/geometry', 'utils/type', 'utils/env'
-], function (JXG, Options, Coords, Const, Mat, Geometry, Type, Env) {
+    'jxg', 'options', 'base/coords', 'base/constants', 'math/math', 'math/geometry', 'utils/type', 'utils/env',
+    'utils/virtualdom'
+], function (JXG, Options, Coords, Const, Mat, Geometry, Type, Env, VirtualDocument) {
 
     "use strict";
 
@@ -337,6 +339,7 @@ define([
                 this._updateVisual(el, {dash: false, shadow: false});
                 this.setShadow(el);
             }
+            this.setTabindex(el);
         },
 
         /**
@@ -864,7 +867,9 @@ define([
             var node, z, level,
                 ev_visible;
 
-            if (Type.evaluate(el.visProp.display) === 'html' && Env.isBrowser && this.type !== 'no') {
+            // HTML texts need a DOM, which may also be a virtual document (see JXG.SVGRenderer#dumpToString).
+            if (Type.evaluate(el.visProp.display) === 'html' && this.type !== 'no' &&
+                    (Env.isBrowser || this.container.ownerDocument instanceof VirtualDocument)) {
                 node = this.container.ownerDocument.createElement('div');
                 //node = this.container.ownerDocument.createElementNS('http://www.w3.org/1999/xhtml', 'div'); //
                 node.style.position = 'absolute';
@@ -875,7 +880,8 @@ define([
                     level = 0;
                 }
 
-                if (this.container.style.zIndex === '') {
+                // Unset style properties are undefined in a virtual document
+                if (this.container.style.zIndex === '' || !Type.exists(this.container.style.zIndex)) {
                     z = 0;
                 } else {
                     z = parseInt(this.container.style.zIndex, 10);
@@ -1477,6 +1483,23 @@ define([
          */
         setBuffering: function (node, type) { /* stub */ },
 
+        /**
+         * Makes an element reachable with the tab key if the keyboard control of the board is enabled,
+         * see {@link JXG.Board#keyboard}. Fixed and invisible elements can not be focused.
+         * @param {JXG.GeometryElement} el Reference to the element.
+         * @see JXG.GeometryElement#tabindex
+         */
+        setTabindex: function (el) { /* stub */ },
+
+        /**
+         * Sets the text read by screen readers for the rendering node of an element. If the text is empty,
+         * the node is hidden from screen readers.
+         * @param {JXG.GeometryElement} el Reference to the element.
+         * @param {String} text The description of the element, see {@link JXG.Aria.describe}.
+         * @see JXG.Board#aria
+         */
+        setAriaLabel: function (el, text) { /* stub */ },
+
         /**
          * Sets an element's dash style.
          * @param {JXG.GeometryElement} element An JSXGraph element.
@@ -1821,6 +1844,49 @@ define([
             }
         },
 
+        /**
+         * Creates the ARIA live region of a board. It is a visually hidden div element whose content is
+         * read by screen readers whenever it changes, see {@link JXG.Board#aria}.
+         * @param {JXG.Board} board Reference to a JSXGraph board.
+         * @see JXG.AbstractRenderer#updateLiveRegion
+         */
+        drawLiveRegion: function (board) {
+            var doc, node;
+
+            if (!Env.isBrowser || this.type === 'no' || !Type.exists(board.attr.aria) || !board.attr.aria.enabled) {
+                return;
+            }
+
+            doc = board.containerObj.ownerDocument;
+            node = doc.createElement('div');
+            node.setAttribute('id', board.containerObj.id + '_ariaLive');
+            node.setAttribute('aria-live', board.attr.aria.live);
+            node.setAttribute('role', 'status');
+            node.className = 'JXG_aria_live';
+
+            // Visually hidden, but still read by screen readers
+            node.style.position = 'absolute';
+            node.style.width = '1px';
+            node.style.height = '1px';
+            node.style.overflow = 'hidden';
+            node.style.clip = 'rect(0 0 0 0)';
+            node.style.whiteSpace = 'nowrap';
+
+            board.containerObj.appendChild(node);
+            this.liveRegion = node;
+        },
+
+        /**
+         * Sets the text of the ARIA live region of the board.
+         * @param {String} text
+         * @see JXG.AbstractRenderer#drawLiveRegion
+         */
+        updateLiveRegion: function (text) {
+            if (Type.exists(this.liveRegion) && this.liveRegion.textContent !== text) {
+                this.liveRegion.textContent = text;
+            }
+        },
+
         /**
          * Wrapper for getElementById for maybe other renderers which elements are not directly accessible by DOM
          * methods like document.getElementById().
@@ -1903,7 +1969,42 @@ define([
          *
          * See JXG.SVGRenderer#screenshot
          */
-        screenshot: function(board) {}
+        screenshot: function(board) {},
+
+        /**
+         * Creates a vector PDF file of the current view of the board. This works
+         * independently of the renderer of the board, in particular it works in Node
+         * with the {@link JXG.NoRenderer}.
+         *
+         * @param {JXG.Board} [board] The board which is rendered by this renderer. If not given,
+         * the board is looked up in {@link JXG.boards}. An exception is thrown if there is no such board.
+         * @returns {String} The PDF file. It contains only ASCII characters.
+         * @see JXG.PDFRenderer
+         * @example
+         * // Node
+         * var JXG = require('jsxgraph'),
+         *     board = JXG.JSXGraph.initBoard(null, {renderer: 'no', boundingbox: [-5, 5, 5, -5], axis: true});
+         *
+         * board.create('circle', [[0, 0], 3], {gradient: 'radial', fillColor: 'yellow', dash: 2});
+         * require('fs').writeFileSync('figure.pdf', board.renderer.toPDF());
+         */
+        toPDF: function (board) {
+            var b;
+
+            if (!Type.exists(board)) {
+                for (b in JXG.boards) {
+                    if (JXG.boards.hasOwnProperty(b) && JXG.boards[b].renderer === this) {
+                        board = JXG.boards[b];
+                    }
+                }
+            }
+
+            if (!Type.exists(board)) {
+                throw new Error("JSXGraph: toPDF: No board given and no board found which is rendered by this renderer.");
+            }
+
+            return new JXG.PDFRenderer({width: board.canvasWidth, height: board.canvasHeight}).toPDF(board);
+        }
 
     });
 
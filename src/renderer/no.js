@@ -634,6 +634,18 @@ define(['jxg', 'renderer/abstract'], function (JXG, AbstractRenderer) {
          */
         drawZoomBar: function (board) { },
 
+        /**
+         * The ARIA live region of a board, see {@link JXG.AbstractRenderer#drawLiveRegion}.
+         * @param {JXG.Board} board Reference to a JSXGraph board.
+         */
+        drawLiveRegion: function (board) { },
+
+        /**
+         * Sets the text of the ARIA live region.
+         * @param {String} text
+         */
+        updateLiveRegion: function (text) { },
+
         /**
          * Wrapper for getElementById for maybe other renderers which elements are not directly accessible by DOM methods like document.getElementById().
          * @param {String} id Unique identifier for element.
@@ -0,0 +1,676 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ renderer/abstract
+ renderer/canvas
+ utils/type
+ utils/color
+*/
+
+/**
+ * @fileoverview The JXG.PDFRenderer creates vector PDF files of a board. It does not need
+ * a browser, hence it can be used in Node, too.
+ */
+
+define([
+    'jxg', 'renderer/abstract', 'renderer/canvas', 'utils/type', 'utils/color'
+], function (JXG, AbstractRenderer, CanvasRenderer, Type, Color) {
+
+    "use strict";
+
+    var PDFContext,
+
+        /**
+         * Glyph widths of the standard font Helvetica for the characters 32 to 126
+         * in units of 1/1000 of the font size.
+         * @private
+         */
+        helveticaWidths = [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ],
+
+        /**
+         * Unicode characters which are available in WinAnsiEncoding at a different position.
+         * The minus sign, e.g. used in tick labels, is replaced by a hyphen.
+         * @private
+         */
+        winAnsi = {
+            0x2212: 45, 0x20ac: 128, 0x201a: 130, 0x201e: 132, 0x2026: 133, 0x2018: 145,
+            0x2019: 146, 0x201c: 147, 0x201d: 148, 0x2022: 149, 0x2013: 150, 0x2014: 151
+        };
+
+    /**
+     * Formats a number for the PDF content stream.
+     * @param {Number} v
+     * @returns {String}
+     * @private
+     */
+    function fmt(v) {
+        return String(Math.round(v * 100) / 100);
+    }
+
+    /**
+     * Converts a CSS color into the PDF color operands.
+     * @param {String} c
+     * @returns {String}
+     * @private
+     */
+    function pdfColor(c) {
+        var rgb = Color.rgbParser(c);
+
+        if (rgb.length < 3) {
+            rgb = [0, 0, 0];
+        }
+
+        return fmt(rgb[0] / 255) + ' ' + fmt(rgb[1] / 255) + ' ' + fmt(rgb[2] / 255);
+    }
+
+    /**
+     * A small subset of the interface of CanvasRenderingContext2D which writes
+     * PDF drawing operators instead of pixels. The y axis points downwards as in
+     * a HTML canvas, the page is flipped once at the beginning of the content stream.
+     * @param {Number} width
+     * @param {Number} height
+     * @private
+     */
+    PDFContext = function (width, height) {
+        this.width = width;
+        this.height = height;
+
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.globalAlpha = 1;
+        this.font = '10px Arial';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.lineDash = [];
+        this.matrix = [1, 0, 0, 1, 0, 0];
+
+        this.stack = [];
+        this.path = [];
+        this.bbox = null;
+        this.current = null;
+
+        this.content = ['1 0 0 -1 0 ' + fmt(height) + ' cm'];
+        this.alphas = [];
+        this.shadings = [];
+    };
+
+    JXG.extend(PDFContext.prototype, /** @lends PDFContext.prototype */ {
+        _stateKeys: ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'globalAlpha',
+            'font', 'textAlign', 'textBaseline', 'lineDash', 'matrix'],
+
+        _transform: function (x, y) {
+            var m = this.matrix;
+
+            return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+        },
+
+        _addPoint: function (x, y) {
+            var p = this._transform(x, y);
+
+            if (this.bbox === null) {
+                this.bbox = [p[0], p[1], p[0], p[1]];
+            } else {
+                this.bbox = [Math.min(this.bbox[0], p[0]), Math.min(this.bbox[1], p[1]),
+                    Math.max(this.bbox[2], p[0]), Math.max(this.bbox[3], p[1])];
+            }
+
+            return fmt(p[0]) + ' ' + fmt(p[1]);
+        },
+
+        _alpha: function (a) {
+            var i;
+
+            a = Math.max(0, Math.min(1, a));
+            i = Type.indexOf(this.alphas, a);
+            if (i < 0) {
+                i = this.alphas.length;
+                this.alphas.push(a);
+            }
+
+            return '/GS' + i + ' gs';
+        },
+
+        _stroke: function () {
+            var cap = {butt: 0, round: 1, square: 2},
+                join = {miter: 0, round: 1, bevel: 2},
+                s = this._alpha(this.globalAlpha) + ' ' + pdfColor(this.strokeStyle) + ' RG ' +
+                    fmt(this.lineWidth) + ' w ' + (cap[this.lineCap] || 0) + ' J ' + (join[this.lineJoin] || 0) + ' j ';
+
+            if (this.lineDash.length > 0) {
+                s += '[' + this.lineDash.join(' ') + '] 0 d';
+            } else {
+                s += '[] 0 d';
+            }
+
+            return s;
+        },
+
+        save: function () {
+            var i, state = {};
+
+            for (i = 0; i < this._stateKeys.length; i++) {
+                state[this._stateKeys[i]] = this[this._stateKeys[i]];
+            }
+            this.stack.push(state);
+        },
+
+        restore: function () {
+            var key,
+                state = this.stack.pop();
+
+            if (state) {
+                for (key in state) {
+                    if (state.hasOwnProperty(key)) {
+                        this[key] = state[key];
+                    }
+                }
+            }
+        },
+
+        transform: function (a, b, c, d, e, f) {
+            var m = this.matrix;
+
+            this.matrix = [
+                m[0] * a + m[2] * b, m[1] * a + m[3] * b,
+                m[0] * c + m[2] * d, m[1] * c + m[3] * d,
+                m[0] * e + m[2] * f + m[4], m[1] * e + m[3] * f + m[5]
+            ];
+        },
+
+        scale: function (x, y) {
+            this.transform(x, 0, 0, y, 0, 0);
+        },
+
+        setLineDash: function (dash) {
+            this.lineDash = dash.slice(0);
+        },
+
+        beginPath: function () {
+            this.path = [];
+            this.bbox = null;
+            this.current = null;
+        },
+
+        moveTo: function (x, y) {
+            this.path.push(this._addPoint(x, y) + ' m');
+            this.current = [x, y];
+        },
+
+        lineTo: function (x, y) {
+            if (this.current === null) {
+                this.moveTo(x, y);
+                return;
+            }
+            this.path.push(this._addPoint(x, y) + ' l');
+            this.current = [x, y];
+        },
+
+        bezierCurveTo: function (x1, y1, x2, y2, x, y) {
+            if (this.current === null) {
+                this.moveTo(x1, y1);
+            }
+            this.path.push(this._addPoint(x1, y1) + ' ' + this._addPoint(x2, y2) + ' ' + this._addPoint(x, y) + ' c');
+            this.current = [x, y];
+        },
+
+        arc: function (x, y, r, start, end, ccw) {
+            var i, n, a0, a1, k,
+                sweep = end - start;
+
+            if (!ccw && sweep < 0) {
+                sweep = sweep % (2 * Math.PI) + 2 * Math.PI;
+            } else if (ccw && sweep > 0) {
+                sweep = sweep % (2 * Math.PI) - 2 * Math.PI;
+            }
+            if (Math.abs(end - start) >= 2 * Math.PI) {
+                sweep = (ccw ? -2 : 2) * Math.PI;
+            }
+
+            // Approximate the arc by cubic Bezier curves with at most 90 degrees each.
+            n = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI * 0.5)));
+            this.lineTo(x + r * Math.cos(start), y + r * Math.sin(start));
+            for (i = 0; i < n; i++) {
+                a0 = start + sweep * i / n;
+                a1 = start + sweep * (i + 1) / n;
+                k = 4 / 3 * Math.tan((a1 - a0) / 4) * r;
+                this.bezierCurveTo(
+                    x + r * Math.cos(a0) - k * Math.sin(a0), y + r * Math.sin(a0) + k * Math.cos(a0),
+                    x + r * Math.cos(a1) + k * Math.sin(a1), y + r * Math.sin(a1) - k * Math.cos(a1),
+                    x + r * Math.cos(a1), y + r * Math.sin(a1)
+                );
+            }
+        },
+
+        closePath: function () {
+            if (this.path.length > 0) {
+                this.path.push('h');
+            }
+        },
+
+        fill: function () {
+            var sh;
+
+            if (this.path.length === 0) {
+                return;
+            }
+
+            if (Type.exists(this.fillStyle) && Type.exists(this.fillStyle.stops)) {
+                sh = this.shadings.length;
+                this.shadings.push(this.fillStyle);
+                this.content.push('q ' + this._alpha(this.globalAlpha) + ' ' + this.path.join(' ') + ' W n /Sh' + sh + ' sh Q');
+            } else {
+                this.content.push('q ' + this._alpha(this.globalAlpha) + ' ' + pdfColor(this.fillStyle) + ' rg ' +
+                    this.path.join(' ') + ' f Q');
+            }
+        },
+
+        stroke: function () {
+            if (this.path.length === 0) {
+                return;
+            }
+            this.content.push('q ' + this._stroke() + ' ' + this.path.join(' ') + ' S Q');
+        },
+
+        fillRect: function (x, y, w, h) {
+            this.beginPath();
+            this.moveTo(x, y);
+            this.lineTo(x + w, y);
+            this.lineTo(x + w, y + h);
+            this.lineTo(x, y + h);
+            this.closePath();
+            this.fill();
+        },
+
+        clearRect: function () {},
+
+        drawImage: function () {},
+
+        /**
+         * Returns the size of the font in pixels.
+         * @returns {Number}
+         */
+        fontSize: function () {
+            var m = /([\d.]+)px/.exec(this.font);
+
+            return m ? parseFloat(m[1]) : 10;
+        },
+
+        measureText: function (str) {
+            var i, c,
+                w = 0;
+
+            for (i = 0; i < str.length; i++) {
+                c = str.charCodeAt(i);
+                w += (c >= 32 && c <= 126) ? helveticaWidths[c - 32] : 556;
+            }
+
+            return {width: w * this.fontSize() / 1000};
+        },
+
+        fillText: function (str, x, y) {
+            var i, c, p,
+                m = this.matrix,
+                size = this.fontSize(),
+                w = this.measureText(str).width,
+                esc = '';
+
+            if (this.textAlign === 'center') {
+                x -= w * 0.5;
+            } else if (this.textAlign === 'right' || this.textAlign === 'end') {
+                x -= w;
+            }
+
+            if (this.textBaseline === 'top' || this.textBaseline === 'hanging') {
+                y += size * 0.72;
+            } else if (this.textBaseline === 'middle') {
+                y += size * 0.36;
+            } else if (this.textBaseline === 'bottom' || this.textBaseline === 'ideographic') {
+                y -= size * 0.21;
+            }
+
+            // Characters outside of WinAnsiEncoding can not be displayed with the standard fonts.
+            for (i = 0; i < str.length; i++) {
+                c = str.charCodeAt(i);
+                if (Type.exists(winAnsi[c])) {
+                    c = winAnsi[c];
+                }
+
+                if (c === 40 || c === 41 || c === 92) {
+                    esc += '\\' + str.charAt(i);
+                } else if (c >= 32 && c < 127) {
+                    esc += String.fromCharCode(c);
+                } else if (c >= 128 && c < 256) {
+                    esc += '\\' + c.toString(8);
+                } else {
+                    esc += '?';
+                }
+            }
+
+            p = this._transform(x, y);
+            this.content.push('q ' + this._alpha(this.globalAlpha) + ' ' + pdfColor(this.fillStyle) + ' rg BT /F1 ' +
+                fmt(size) + ' Tf ' + [fmt(m[0]), fmt(m[1]), fmt(-m[2]), fmt(-m[3]), fmt(p[0]), fmt(p[1])].join(' ') +
+                ' Tm (' + esc + ') Tj ET Q');
+        },
+
+        createLinearGradient: function (x0, y0, x1, y1) {
+            var p0 = this._transform(x0, y0),
+                p1 = this._transform(x1, y1);
+
+            return {
+                type: 2,
+                coords: [p0[0], p0[1], p1[0], p1[1]],
+                stops: [],
+                addColorStop: function (offset, color) {
+                    this.stops.push([offset, color]);
+                }
+            };
+        },
+
+        createRadialGradient: function (x0, y0, r0, x1, y1, r1) {
+            var p0 = this._transform(x0, y0),
+                p1 = this._transform(x1, y1);
+
+            return {
+                type: 3,
+                coords: [p0[0], p0[1], r0, p1[0], p1[1], r1],
+                stops: [],
+                addColorStop: function (offset, color) {
+                    this.stops.push([offset, color]);
+                }
+            };
+        },
+
+        /**
+         * Returns the bounding box of the current path in page coordinates.
+         * @returns {Array} [x1, y1, x2, y2] or null if the path is empty.
+         */
+        getPathBoundingBox: function () {
+            return this.bbox;
+        },
+
+        /**
+         * Creates the PDF file.
+         * @returns {String} The PDF file. It contains only ASCII characters.
+         */
+        toPDF: function () {
+            var i, g, stream, s, res,
+                offsets = [],
+                objects = [],
+                out = '%PDF-1.4\n',
+                gs = [],
+                sh = [];
+
+            for (i = 0; i < this.alphas.length; i++) {
+                gs.push('/GS' + i + ' << /Type /ExtGState /CA ' + fmt(this.alphas[i]) + ' /ca ' + fmt(this.alphas[i]) + ' >>');
+            }
+
+            for (i = 0; i < this.shadings.length; i++) {
+                g = this.shadings[i];
+                g.stops.sort(function (a, b) {
+                    return a[0] - b[0];
+                });
+                s = g.stops.length > 0 ? g.stops : [[0, '#000000']];
+                sh[i] = '/Sh' + i + ' << /ShadingType ' + g.type + ' /ColorSpace /DeviceRGB /Coords [' +
+                    g.coords.map(fmt).join(' ') + '] /Extend [true true] /Function << /FunctionType 2 /Domain [0 1] /C0 [' +
+                    pdfColor(s[0][1]) + '] /C1 [' + pdfColor(s[s.length - 1][1]) + '] /N 1 >> >>';
+            }
+
+            stream = this.content.join('\n');
+            res = '<< /Font << /F1 4 0 R >> /ExtGState << ' + gs.join(' ') + ' >> /Shading << ' + sh.join(' ') + ' >> >>';
+
+            objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+            objects.push('<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+            objects.push('<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + fmt(this.width) + ' ' + fmt(this.height) + '] ' +
+                '/Resources ' + res + ' /Contents 5 0 R >>');
+            objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+            objects.push('<< /Length ' + stream.length + ' >>\nstream\n' + stream + '\nendstream');
+            objects.push('<< /Producer (JSXGraph ' + JXG.version + ') >>');
+
+            for (i = 0; i < objects.length; i++) {
+                offsets.push(out.length);
+                out += (i + 1) + ' 0 obj\n' + objects[i] + '\nendobj\n';
+            }
+
+            s = out.length;
+            out += 'xref\n0 ' + (objects.length + 1) + '\n0000000000 65535 f \n';
+            for (i = 0; i < offsets.length; i++) {
+                out += ('0000000000' + offsets[i]).slice(-10) + ' 00000 n \n';
+            }
+            out += 'trailer\n<< /Size ' + (objects.length + 1) + ' /Root 1 0 R /Info 6 0 R >>\nstartxref\n' + s + '\n%%EOF\n';
+
+            return out;
+        }
+    });
+
+    /**
+     * Uses the drawing routines of {@link JXG.CanvasRenderer} to create a vector PDF file of a board.
+     * Texts are written with the standard font Helvetica, HTML markup in texts is removed.
+     * Images are not exported. In contrast to the canvas renderer, gradients are supported.
+     * Usually, this renderer is not used directly, see {@link JXG.AbstractRenderer#toPDF}.
+     * @class JXG.PDFRenderer
+     * @augments JXG.AbstractRenderer
+     * @param {Object} dim The dimensions of the page in pt
+     * @param {Number} dim.width
+     * @param {Number} dim.height
+     * @see JXG.AbstractRenderer
+     * @see JXG.CanvasRenderer
+     */
+    JXG.PDFRenderer = function (dim) {
+        this.type = 'pdf';
+
+        this.width = dim.width;
+        this.height = dim.height;
+        this.context = new PDFContext(dim.width, dim.height);
+
+        this.dashArray = [[2, 2], [5, 5], [10, 10], [20, 20], [20, 10, 10, 10], [20, 5, 10, 5]];
+
+        /**
+         * Ids of the texts which are already written to the page. Labels are
+         * updated by their anchor elements and as elements of their own.
+         * @type Object
+         * @private
+         */
+        this.textsDone = {};
+    };
+
+    JXG.PDFRenderer.prototype = new AbstractRenderer();
+
+    // Share the drawing routines of the canvas renderer.
+    JXG.extend(JXG.PDFRenderer.prototype, CanvasRenderer.prototype);
+
+    JXG.extend(JXG.PDFRenderer.prototype, /** @lends JXG.PDFRenderer.prototype */ {
+
+        /**
+         * Fills the current path, taking gradients into account.
+         * @param {JXG.GeometryElement} el
+         * @private
+         */
+        _fill: function (el) {
+            var grad, bb, w, h,
+                context = this.context,
+                ev_g = Type.evaluate(el.visProp.gradient),
+                col = Type.evaluate(el.visProp.fillcolor),
+                col2 = Type.evaluate(el.visProp.gradientsecondcolor);
+
+            context.save();
+            if (this._setColor(el, 'fill')) {
+                bb = context.getPathBoundingBox();
+
+                if (bb !== null && (ev_g === 'linear' || ev_g === 'radial')) {
+                    // The page coordinates of the bounding box are used, hence drop the transformation.
+                    context.matrix = [1, 0, 0, 1, 0, 0];
+                    w = bb[2] - bb[0];
+                    h = bb[3] - bb[1];
+
+                    if (ev_g === 'linear') {
+                        grad = context.createLinearGradient(bb[0], bb[1], bb[2], bb[1]);
+                        grad.addColorStop(0, col);
+                        grad.addColorStop(1, col2);
+                    } else {
+                        grad = context.createRadialGradient(
+                            bb[0] + w * Type.evaluate(el.visProp.gradientpositionx),
+                            bb[1] + h * Type.evaluate(el.visProp.gradientpositiony),
+                            0,
+                            bb[0] + w * 0.5,
+                            bb[1] + h * 0.5,
+                            Math.max(w, h) * 0.5
+                        );
+                        grad.addColorStop(0, col2);
+                        grad.addColorStop(1, col);
+                    }
+                    context.fillStyle = grad;
+                }
+                context.fill();
+            }
+            context.restore();
+        },
+
+        /**
+         * Removes HTML markup like <tt>&lt;sub&gt;</tt> from the content of a text.
+         * @param {JXG.Text} el
+         * @returns {String}
+         * @private
+         */
+        _plainText: function (el) {
+            return String(el.plaintext)
+                .replace(/<br\s*\/?>/gi, ' ')
+                .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&amp;/g, '&');
+        },
+
+        // documented in AbstractRenderer
+        drawText: function (el) {
+            this.updateText(el);
+        },
+
+        // documented in AbstractRenderer
+        updateText: function (el) {
+            if (el.visPropCalc.visible && !this.textsDone[el.id]) {
+                this.textsDone[el.id] = true;
+                this.updateInternalText(el);
+            }
+        },
+
+        // documented in AbstractRenderer
+        drawInternalText: function (el) {
+            var ev_fs = Type.evaluate(el.visProp.fontsize),
+                ev_ax = el.getAnchorX(),
+                ev_ay = el.getAnchorY(),
+                context = this.context;
+
+            context.save();
+            if (this._setColor(el, 'stroke', 'fill') &&
+                    !isNaN(el.coords.scrCoords[1] + el.coords.scrCoords[2])) {
+                context.font = (ev_fs > 0 ? ev_fs : 0) + 'px Arial';
+
+                this.transformImage(el, el.transformations);
+                if (ev_ax === 'right') {
+                    context.textAlign = 'right';
+                } else if (ev_ax === 'middle') {
+                    context.textAlign = 'center';
+                } else {
+                    context.textAlign = 'left';
+                }
+                if (ev_ay === 'bottom') {
+                    context.textBaseline = 'bottom';
+                } else if (ev_ay === 'top') {
+                    context.textBaseline = 'top';
+                } else {
+                    context.textBaseline = 'middle';
+                }
+                context.fillText(this._plainText(el), el.coords.scrCoords[1], el.coords.scrCoords[2]);
+            }
+            context.restore();
+            return null;
+        },
+
+        // documented in AbstractRenderer
+        drawImage: function (el) {},
+
+        // documented in AbstractRenderer
+        updateImage: function (el) {},
+
+        // documented in AbstractRenderer
+        display: function (el, val) {},
+
+        // documented in AbstractRenderer
+        setObjectStrokeColor: function (el, color, opacity) {},
+
+        // documented in AbstractRenderer
+        suspendRedraw: function () {},
+
+        // documented in AbstractRenderer
+        unsuspendRedraw: function () {},
+
+        // documented in AbstractRenderer
+        resize: function (w, h) {},
+
+        /**
+         * Draws all elements of the board and returns the PDF file.
+         * @param {JXG.Board} board
+         * @returns {String} The PDF file. It contains only ASCII characters.
+         */
+        toPDF: function (board) {
+            var renderer = board.renderer;
+
+            this.textsDone = {};
+            board.renderer = this;
+            try {
+                board.updateRendererCanvas();
+            } finally {
+                board.renderer = renderer;
+            }
+
+            return this.context.toPDF();
+        }
+    });
+
+    return JXG.PDFRenderer;
+});
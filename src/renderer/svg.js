@@ -41,11 +41,13 @@
  utils/env
  utils/color
  math/numerics
+ utils/virtualdom
 */
 
 define([
-    'jxg', 'options', 'renderer/abstract', 'base/constants', 'utils/type', 'utils/env', 'utils/color', 'utils/base64', 'math/numerics'
-], function (JXG, Options, AbstractRenderer, Const, Type, Env, Color, Base64, Numerics) {
+    'jxg', 'options', 'renderer/abstract', 'base/constants', 'utils/type', 'utils/env', 'utils/color', 'utils/base64', 'math/numerics',
+    'utils/virtualdom'
+], function (JXG, Options, AbstractRenderer, Const, Type, Env, Color, Base64, Numerics, VirtualDocument) {
 
     "use strict";
 
@@ -65,7 +67,7 @@ define([
         // docstring in AbstractRenderer
         this.type = 'svg';
 
-        this.isIE = navigator.appVersion.indexOf("MSIE") !== -1 || navigator.userAgent.match(/Trident\//);
+        this.isIE = typeof navigator === 'object' && (navigator.appVersion.indexOf("MSIE") !== -1 || navigator.userAgent.match(/Trident\//));
 
         /**
          * SVG root node
@@ -170,7 +172,7 @@ define([
         }
 
         // already documented in JXG.AbstractRenderer
-        this.supportsForeignObject = document.implementation.hasFeature("http://w3.org/TR/SVG11/feature#Extensibility", "1.1");
+        this.supportsForeignObject = this.container.ownerDocument.implementation.hasFeature("http://w3.org/TR/SVG11/feature#Extensibility", "1.1");
 
         if (this.supportsForeignObject) {
             this.foreignObjLayer = this.container.ownerDocument.createElementNS(this.svgNamespace, 'foreignObject');
@@ -910,6 +912,50 @@ define([
             el.rendNode.setAttribute('buffered-rendering', type);
         },
 
+        // documented in JXG.AbstractRenderer
+        setTabindex: function (el) {
+            var val,
+                kb = el.board.attr.keyboard;
+
+            if (!Type.exists(el.rendNode) || !Type.exists(kb) || !kb.enabled) {
+                return;
+            }
+
+            val = Type.evaluate(el.visProp.tabindex);
+            if (!el.visPropCalc.visible || Type.evaluate(el.visProp.fixed) || !Type.exists(val)) {
+                val = null;
+            }
+
+            if (el.visPropOld.tabindex !== val) {
+                if (val === null) {
+                    el.rendNode.removeAttribute('tabindex');
+                } else {
+                    el.rendNode.setAttributeNS(null, 'tabindex', val);
+                }
+                el.visPropOld.tabindex = val;
+            }
+        },
+
+        // documented in JXG.AbstractRenderer
+        setAriaLabel: function (el, text) {
+            var node = el.rendNode;
+
+            if (!Type.exists(node) || el.visPropOld.arialabel === text) {
+                return;
+            }
+
+            if (text === '') {
+                node.removeAttribute('role');
+                node.removeAttribute('aria-label');
+                node.setAttributeNS(null, 'aria-hidden', 'true');
+            } else {
+                node.removeAttribute('aria-hidden');
+                node.setAttributeNS(null, 'role', 'img');
+                node.setAttributeNS(null, 'aria-label', text);
+            }
+            el.visPropOld.arialabel = text;
+        },
+
         // documented in JXG.AbstractRenderer
         setDashStyle: function (el) {
             var dashStyle = Type.evaluate(el.visProp.dash),
@@ -1386,32 +1432,29 @@ define([
         },
 
         /**
-         * Convert the SVG construction into an HTML canvas image.
-         * This works for all SVG supporting browsers.
-         * For IE it works from version 9, with the execption that HTML texts
-         * are ignored on IE. The drawing is done with a delay of
-         * 200 ms. Otherwise there would be problems with IE.
+         * Convert the SVG construction into a string containing SVG markup. HTML elements of the
+         * board, e.g. HTML texts, are included in a foreignObject element. This works in browsers and
+         * in node.js. In environments without a DOM, e.g. node.js, a board has to be initialized with
+         * the attribute <tt>renderer: 'svg'</tt>. Then, the SVG nodes are created in a
+         * {@link JXG.Util.VirtualDocument}. There, texts default to <tt>display: 'internal'</tt> and are
+         * rendered as SVG text elements. Texts with <tt>display: 'html'</tt> end up in the foreignObject element.
          *
-         *
-         * @param {String} canvasId Id of an HTML canvas element
-         * @param {Number} w Width in pixel of the dumped image, i.e. of the canvas tag.
-         * @param {Number} h Height in pixel of the dumped image, i.e. of the canvas tag.
          * @param {Boolean} ignoreTexts If true, the foreignObject tag is taken out from the SVG root.
-         * This is necessary for Safari. Default: false
-         * @returns {Object}          the svg renderer object.
+         * Default: false
+         * @returns {String} the SVG markup.
          *
          * @example
-         * 	board.renderer.dumpToCanvas('canvas');
+         * var board = JXG.JSXGraph.initBoard(null, {renderer: 'svg', boundingbox: [-5, 5, 5, -5], axis: true}),
+         *     svg;
+         *
+         * board.create('point', [1, 2]);
+         * svg = board.renderer.dumpToString();
          */
-        dumpToCanvas: function(canvasId, w, h, ignoreTexts) {
+        dumpToString: function (ignoreTexts) {
             var svgRoot = this.svgRoot,
-                btoa = window.btoa || Base64.encode,
-                svg, tmpImg, cv, ctx,
-                wOrg, hOrg,
-                // DOMURL, svgBlob, url,
+                svg,
                 virtualNode, doc,
-                i, len, values = [],
-                txt;
+                i, len, values = [];
 
             // Move all HTML tags (beside the SVG root) of the container
             // to the foreignObject element inside of the svgRoot node
@@ -1435,10 +1478,11 @@ define([
 
             // Convert the SVG graphic into a string containing SVG code
             svgRoot.setAttribute("xmlns", "http://www.w3.org/2000/svg");
-            wOrg = svgRoot.getAttribute('width');
-            hOrg = svgRoot.getAttribute('height');
-
-            svg = new XMLSerializer().serializeToString(svgRoot);
+            if (typeof XMLSerializer === 'function' && !(svgRoot.ownerDocument instanceof VirtualDocument)) {
+                svg = new XMLSerializer().serializeToString(svgRoot);
+            } else {
+                svg = svgRoot.toString();
+            }
 
             if (ignoreTexts !== true) {
                 // Handle SVG texts
@@ -1449,21 +1493,60 @@ define([
                 }
             }
 
-            // this._getDataUri('uccellino.jpg', function(data) {
-            //     console.log(data);
-            // });
-            // xlink:href="uccellino.jpg"
-
-            if (false) {
-                // Debug: use example svg image
-                svg = '<svg xmlns="http://www.w3.org/2000/svg" version="1.0" width="220" height="220"><rect width="66" height="30" x="21" y="32" stroke="#204a87" stroke-width="2" fill="none" /></svg>';
-            }
-
             // In IE we have to remove the namespace again.
             if ((svg.match(/xmlns=\"http:\/\/www.w3.org\/2000\/svg\"/g) || []).length > 1) {
                 svg = svg.replace(/xmlns=\"http:\/\/www.w3.org\/2000\/svg\"/g, '');
             }
 
+            // Move all HTML tags back from
+            // the foreignObject element to the container
+            if (Type.exists(this.foreignObjLayer) && this.foreignObjLayer.hasChildNodes()) {
+                if (ignoreTexts === true) {
+                    // Put foreignObjLayer back into the SVG
+                    svgRoot.appendChild(this.foreignObjLayer);
+                }
+                // Restore all HTML elements
+                while (this.foreignObjLayer.firstChild) {
+                    this.container.appendChild(this.foreignObjLayer.firstChild);
+                }
+            } else if (ignoreTexts === true && Type.exists(this.foreignObjLayer)) {
+                svgRoot.appendChild(this.foreignObjLayer);
+            }
+
+            return svg;
+        },
+
+        /**
+         * Convert the SVG construction into an HTML canvas image.
+         * This works for all SVG supporting browsers.
+         * For IE it works from version 9, with the execption that HTML texts
+         * are ignored on IE. The image is drawn asynchronously, as soon as the
+         * SVG image has been loaded.
+         *
+         *
+         * @param {String} canvasId Id of an HTML canvas element
+         * @param {Number} w Width in pixel of the dumped image, i.e. of the canvas tag.
+         * @param {Number} h Height in pixel of the dumped image, i.e. of the canvas tag.
+         * @param {Boolean} ignoreTexts If true, the foreignObject tag is taken out from the SVG root.
+         * This is necessary for Safari. Default: false
+         * @param {Function} [callback] Optional function which is called with null and the canvas element
+         * after the image has been drawn, or with an error if the SVG image can not be loaded.
+         * @returns {Object}          the svg renderer object.
+         *
+         * @example
+         * 	board.renderer.dumpToCanvas('canvas');
+         */
+        dumpToCanvas: function(canvasId, w, h, ignoreTexts, callback) {
+            var btoa = window.btoa || Base64.encode,
+                svg, tmpImg, cv, ctx,
+                wOrg, hOrg;
+                // DOMURL, svgBlob, url,
+
+            wOrg = this.svgRoot.getAttribute('width');
+            hOrg = this.svgRoot.getAttribute('height');
+
+            svg = this.dumpToString(ignoreTexts);
+
             // Safari fails if the svg string contains a "&nbsp;"
             // Obsolete with Safari 12+
             svg = svg.replace(/&nbsp;/g, ' ');
@@ -1485,15 +1568,20 @@ define([
             // Display the SVG string as data-uri in an HTML img.
             tmpImg = new Image();
             if (true) {
-                tmpImg.src = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svg)));
-
                 // Finally, draw the HTML img in the canvas.
                 tmpImg.onload = function () {
-                    // IE needs a pause...
-                    setTimeout(function(){
-                        ctx.drawImage(tmpImg, 0, 0, w, h);
-                    }, 200);
+                    ctx.drawImage(tmpImg, 0, 0, w, h);
+                    if (typeof callback === 'function') {
+                        callback(null, cv);
+                    }
+                };
+                tmpImg.onerror = function () {
+                    if (typeof callback === 'function') {
+                        callback(new Error('JSXGraph: the SVG image of the board could not be loaded.'));
+                    }
                 };
+
+                tmpImg.src = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svg)));
             } else {
                 // // Alternative version
                 // DOMURL = window.URL || window.webkitURL || window;
@@ -1510,19 +1598,6 @@ define([
                 // };
             }
 
-            // Move all HTML tags back from
-            // the foreignObject element to the container
-            if (Type.exists(this.foreignObjLayer) && this.foreignObjLayer.hasChildNodes()) {
-                if (ignoreTexts === true) {
-                    // Put foreignObjLayer back into the SVG
-                    svgRoot.appendChild(this.foreignObjLayer);
-                }
-                // Restore all HTML elements
-                while (this.foreignObjLayer.firstChild) {
-                    this.container.appendChild(this.foreignObjLayer.firstChild);
-                }
-            }
-
             return this;
         },
 
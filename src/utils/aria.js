@@ -0,0 +1,339 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ base/constants
+ utils/type
+ */
+
+/**
+ * @fileoverview The JXG.Aria namespace generates textual descriptions of the elements of a board
+ * for screen readers.
+ */
+
+define(['jxg', 'base/constants', 'utils/type'], function (JXG, Const, Type) {
+
+    "use strict";
+
+    /**
+     * The JXG.Aria namespace generates textual descriptions of elements from their type, position and
+     * parent elements, e.g. "Point C at (1, 2), intersection of line a and circle k". The descriptions are used
+     * as ARIA labels of the rendering nodes, see {@link JXG.Board#aria}.
+     * @namespace
+     */
+    JXG.Aria = {
+
+        /**
+         * Nouns used for the element types. Element types which are not listed here
+         * are described by their element class.
+         * @type Object
+         */
+        nouns: {
+            angle: 'Angle',
+            arc: 'Arc',
+            arrow: 'Arrow',
+            axis: 'Axis',
+            checkbox: 'Checkbox',
+            circumcircle: 'Circle',
+            curve: 'Curve',
+            curve3d: 'Curve',
+            domaincoloring: 'Domain coloring',
+            functiongraph: 'Graph',
+            functiongraph3d: 'Graph',
+            grid: 'Grid',
+            image: 'Image',
+            incircle: 'Circle',
+            input: 'Input field',
+            line3d: 'Segment',
+            odesolution: 'Solution curve',
+            parametricsurface3d: 'Surface',
+            point3d: 'Point',
+            button: 'Button',
+            polygon: 'Polygon',
+            polynomialpoints: 'Zeros and extrema',
+            radiogroup: 'Radio buttons',
+            regularpolygon: 'Polygon',
+            sector: 'Sector',
+            segment: 'Segment',
+            select: 'Dropdown list',
+            slider: 'Slider',
+            slider2d: 'Parameter pad',
+            tangent: 'Tangent',
+            textarea: 'Text area',
+            ticks: 'Ticks',
+            view3d: '3D view'
+        },
+
+        /**
+         * Descriptions of the relation of an element to its parent elements. In the templates, the names of
+         * the parents are inserted for {0}, {1}, ... and the list of all parent names for {list}.
+         * @type Object
+         */
+        relations: {
+            bisector: 'bisector of the angle {list}',
+            glider: 'on {0}',
+            intersection: 'intersection of {0} and {1}',
+            midpoint: 'midpoint of {list}',
+            mirrorelement: 'reflection of {0} at {1}',
+            mirrorpoint: 'reflection of {0} at {1}',
+            normal: 'normal to {0} through {1}',
+            orthogonalprojection: 'projection of {0} onto {1}',
+            otherintersection: 'intersection of {0} and {1}',
+            parallel: 'parallel to {0} through {1}',
+            perpendicular: 'perpendicular to {0} through {1}',
+            perpendicularpoint: 'foot of the perpendicular from {0} to {1}',
+            reflection: 'reflection of {0} at {1}',
+            tangent: 'tangent to {0} at {1}'
+        },
+
+        /**
+         * Returns the description of an element. If the attribute {@link JXG.GeometryElement#ariaLabel} is set,
+         * its value is returned. Labels of other elements get an empty description, since they are part of
+         * the description of their element.
+         * @param {JXG.GeometryElement} el
+         * @returns {String}
+         */
+        describe: function (el) {
+            var s, rel,
+                label = Type.evaluate(el.visProp.arialabel);
+
+            if (Type.exists(label) && label !== '') {
+                return String(label);
+            }
+
+            if (this.isPart(el)) {
+                return '';
+            }
+
+            s = this.title(el);
+
+            if (el.elementClass === Const.OBJECT_CLASS_POINT) {
+                if (el.elType === 'slider') {
+                    return s + ' with value ' + this.num(el.Value()) + ', from ' +
+                        this.num(el._smin) + ' to ' + this.num(el._smax);
+                }
+                if (el.elType === 'point3d') {
+                    s += ' at (' + this.num(el.X3D()) + ', ' + this.num(el.Y3D()) + ', ' + this.num(el.Z3D()) + ')';
+                } else {
+                    s += ' at (' + this.num(el.X()) + ', ' + this.num(el.Y()) + ')';
+                }
+            } else if (el.elementClass === Const.OBJECT_CLASS_LINE && el.elType !== 'axis') {
+                if (Type.exists(this.relations[el.elType])) {
+                    // described by the relation
+                } else if (el.elType === 'segment' || el.elType === 'arrow' || el.elType === 'line3d') {
+                    s += ' from ' + this.name(el.point1) + ' to ' + this.name(el.point2);
+                } else {
+                    s += ' through ' + this.name(el.point1) + ' and ' + this.name(el.point2);
+                }
+            } else if (el.elementClass === Const.OBJECT_CLASS_CIRCLE) {
+                s += ' with center ' + this.name(el.center) + ' and radius ' + this.num(el.Radius());
+            } else if (el.type === Const.OBJECT_TYPE_POLYGON) {
+                s += ' with vertices ' + this.list(el.vertices.slice(0, -1));
+            } else if (el.elementClass === Const.OBJECT_CLASS_TEXT && el.type === Const.OBJECT_TYPE_TEXT) {
+                return s + ': ' + this.plain(el.plaintext);
+            }
+
+            rel = this.relation(el);
+            if (rel !== '') {
+                s += ', ' + rel;
+            }
+
+            return s;
+        },
+
+        /**
+         * Tests if an element is a label or an auxiliary part of another element, e.g. the baseline of a slider.
+         * Those are described together with the element they belong to.
+         * @param {JXG.GeometryElement} el
+         * @returns {Boolean}
+         */
+        isPart: function (el) {
+            return Type.evaluate(el.visProp.islabel) || el.type === Const.OBJECT_TYPE_TICKS || el.dump === false;
+        },
+
+        /**
+         * Returns the noun and the name of an element, e.g. "Circle k".
+         * @param {JXG.GeometryElement} el
+         * @returns {String}
+         */
+        title: function (el) {
+            var name = this.plain(el.name);
+
+            return this.noun(el) + (name !== '' ? ' ' + name : '');
+        },
+
+        /**
+         * Returns the noun describing the type of an element.
+         * @param {JXG.GeometryElement} el
+         * @returns {String}
+         */
+        noun: function (el) {
+            if (Type.exists(this.nouns[el.elType])) {
+                return this.nouns[el.elType];
+            }
+
+            switch (el.elementClass) {
+            case Const.OBJECT_CLASS_POINT:
+                return 'Point';
+            case Const.OBJECT_CLASS_LINE:
+                return 'Line';
+            case Const.OBJECT_CLASS_CIRCLE:
+                return 'Circle';
+            case Const.OBJECT_CLASS_CURVE:
+                return 'Curve';
+            case Const.OBJECT_CLASS_AREA:
+                return 'Polygon';
+            case Const.OBJECT_CLASS_TEXT:
+                return 'Text';
+            default:
+                return 'Element';
+            }
+        },
+
+        /**
+         * Returns the name of an element. If it has no name, the noun is taken, e.g. "line a" or "line".
+         * @param {JXG.GeometryElement} el
+         * @returns {String}
+         */
+        name: function (el) {
+            var name;
+
+            if (!Type.exists(el)) {
+                return '';
+            }
+
+            name = this.plain(el.name);
+            if (Type.isPoint(el) && name !== '') {
+                return name;
+            }
+
+            return this.noun(el).toLowerCase() + (name !== '' ? ' ' + name : '');
+        },
+
+        /**
+         * Describes the relation of an element to its parent elements, e.g. "midpoint of A and B".
+         * @param {JXG.GeometryElement} el
+         * @returns {String} The description or the empty string, if the element has no parent elements.
+         */
+        relation: function (el) {
+            var i, tpl, obj,
+                that = this,
+                parents = [];
+
+            for (i = 0; i < el.parents.length; i++) {
+                obj = el.board.objects[el.parents[i]];
+                if (Type.exists(obj) && Type.exists(obj.elementClass) && obj.type !== Const.OBJECT_TYPE_VIEW3D) {
+                    parents.push(obj);
+                }
+            }
+
+            if (el.type === Const.OBJECT_TYPE_GLIDER && Type.exists(el.slideObject)) {
+                parents = [el.slideObject];
+            }
+
+            tpl = this.relations[el.elType];
+            if (!Type.exists(tpl)) {
+                // Free elements and elements whose description already contains the parents
+                if (parents.length === 0 || el.elType === 'point' ||
+                        el.elementClass === Const.OBJECT_CLASS_LINE || el.elementClass === Const.OBJECT_CLASS_CIRCLE) {
+                    return '';
+                }
+                tpl = 'depending on {list}';
+            }
+
+            return tpl.replace(/\{list\}/g, this.list(parents)).replace(/\{(\d+)\}/g, function (m, k) {
+                return that.name(parents[parseInt(k, 10)]);
+            });
+        },
+
+        /**
+         * Joins the names of a list of elements, e.g. "A, B and C".
+         * @param {Array} list Array of elements
+         * @returns {String}
+         */
+        list: function (list) {
+            var i,
+                names = [];
+
+            for (i = 0; i < list.length; i++) {
+                names.push(this.name(list[i]));
+            }
+
+            if (names.length < 2) {
+                return names.join('');
+            }
+
+            return names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1];
+        },
+
+        /**
+         * Removes HTML tags and TeX style subscripts from a string.
+         * @param {String} s
+         * @returns {String}
+         * @private
+         */
+        plain: function (s) {
+            if (!Type.exists(s)) {
+                return '';
+            }
+
+            return String(s)
+                .replace(/<(sub|sup)>/gi, ' ')
+                .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+                .replace(/[_\^]\{([^}]*)\}/g, ' $1')
+                .replace(/[_\^]([a-zA-Z0-9])/g, ' $1')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/\s+/g, ' ')
+                .replace(/^\s+|\s+$/g, '');
+        },
+
+        /**
+         * Formats a number with at most two decimals.
+         * @param {Number} v
+         * @returns {String}
+         * @private
+         */
+        num: function (v) {
+            if (isNaN(v)) {
+                return 'undefined';
+            }
+
+            return String(Math.round(v * 100) / 100);
+        }
+    };
+
+    return JXG.Aria;
+});
@@ -35,6 +35,7 @@
 
 /* depends:
  jxg
+ base/constants
  utils/type
  */
 
@@ -42,7 +43,7 @@
  * @fileoverview The JXG.Dump namespace provides methods to save a board to javascript.
  */
 
-define(['jxg', 'utils/type'], function (JXG, Type) {
+define(['jxg', 'base/constants', 'utils/type'], function (JXG, Const, Type) {
 
     "use strict";
 
@@ -387,6 +388,428 @@ define(['jxg', 'utils/type'], function (JXG, Type) {
             }
 
             return script.join('\n');
+        },
+
+        /**
+         * Collect the ids of the elements which are created by the board itself, i.e. the infobox,
+         * the default axes, the grids and the selection polygon, together with their descendants.
+         * @param {JXG.Board} board
+         * @returns {Object} The ids are the property names of the returned object.
+         * @private
+         */
+        _internalIds: function (board) {
+            var i, id, el,
+                ids = {},
+                list = [board.infobox, board.selectionPolygon];
+
+            if (Type.exists(board.defaultAxes)) {
+                list.push(board.defaultAxes.x, board.defaultAxes.y);
+            }
+            list = list.concat(board.grids);
+
+            for (i = 0; i < list.length; i++) {
+                el = list[i];
+                if (Type.exists(el) && Type.exists(el.id)) {
+                    ids[el.id] = true;
+                    for (id in el.descendants) {
+                        if (el.descendants.hasOwnProperty(id)) {
+                            ids[id] = true;
+                        }
+                    }
+                }
+            }
+
+            return ids;
+        },
+
+        /**
+         * Converts a value into a structure which can be stored with JSON.stringify().
+         * Elements, groups and transformations are replaced by <tt>{$ref: id}</tt>,
+         * functions created by JessieCode by <tt>{$jessiecode: term}</tt> and other functions
+         * by <tt>{$function: source}</tt>.
+         * @param {*} v
+         * @param {Function} getRef Returns the id of an object with a board property.
+         * @returns {*}
+         * @private
+         */
+        _encode: function (v, getRef) {
+            var i, o;
+
+            if (Type.isArray(v)) {
+                o = [];
+                for (i = 0; i < v.length; i++) {
+                    o.push(this._encode(v[i], getRef));
+                }
+                return o;
+            }
+
+            if (Type.isFunction(v)) {
+                // JessieCode functions return their JessieCode term in toString().
+                if (Type.exists(v.node) && Type.exists(v.toJS)) {
+                    return {$jessiecode: v.toString()};
+                }
+                return {$function: v.toString()};
+            }
+
+            if (typeof v === 'number' && !isFinite(v)) {
+                return {$number: v.toString()};
+            }
+
+            if (v !== null && typeof v === 'object') {
+                if (Type.exists(v.board)) {
+                    return {$ref: getRef(v)};
+                }
+
+                o = {};
+                for (i in v) {
+                    if (v.hasOwnProperty(i)) {
+                        o[i] = this._encode(v[i], getRef);
+                    }
+                }
+                return o;
+            }
+
+            return v;
+        },
+
+        /**
+         * Inverse of {@link JXG.Dump#_encode}. JessieCode terms are parsed with the JessieCode parser of the board.
+         * JavaScript source code is only evaluated if <tt>options.allowFunctions</tt> is true.
+         * @param {*} v
+         * @param {JXG.Board} board
+         * @param {Object} map Restored objects, indexed by their original id.
+         * @param {Object} options See {@link JXG.Dump.deserialize}.
+         * @returns {*}
+         * @private
+         */
+        _decode: function (v, board, map, options) {
+            var i, o;
+
+            if (Type.isArray(v)) {
+                o = [];
+                for (i = 0; i < v.length; i++) {
+                    o.push(this._decode(v[i], board, map, options));
+                }
+                return o;
+            }
+
+            if (v !== null && typeof v === 'object') {
+                if (Type.exists(v.$ref)) {
+                    return Type.exists(map[v.$ref]) ? map[v.$ref] : board.select(v.$ref);
+                }
+                if (Type.exists(v.$jessiecode)) {
+                    return board.jc.snippet(v.$jessiecode, false, '', false);
+                }
+                if (Type.exists(v.$function)) {
+                    if (!options.allowFunctions) {
+                        throw new Error("JSXGraph: The data contains JavaScript functions. " +
+                            "These are only restored with the option {allowFunctions: true}, which must not be used " +
+                            "for data from untrusted sources.");
+                    }
+                    /*jslint evil:true*/
+                    /*jshint evil:true*/
+                    // Functions are stored as source code. They can only access the board,
+                    // not the variables of their former closure.
+                    return (new Function('board', 'return ' + v.$function + ';'))(board);
+                    /*jslint evil:false*/
+                }
+                if (Type.exists(v.$number)) {
+                    return parseFloat(v.$number);
+                }
+
+                o = {};
+                for (i in v) {
+                    if (v.hasOwnProperty(i)) {
+                        o[i] = this._decode(v[i], board, map, options);
+                    }
+                }
+                return o;
+            }
+
+            return v;
+        },
+
+        /**
+         * Collects the state of an element which is not contained in its creation record:
+         * The position of free points, the position of gliders, changed attributes,
+         * the position relative to an anchor element and transformations bound to the element.
+         * @param {JXG.GeometryElement} el
+         * @param {Function} getRef
+         * @returns {Object} The state or null if there is nothing to save.
+         * @private
+         */
+        _getState: function (el, getRef) {
+            var key, i, c,
+                state = {},
+                attr = {},
+                found = false,
+                trafos = [],
+                parentTrafos;
+
+            for (key in el._changedAttributes) {
+                if (el._changedAttributes.hasOwnProperty(key) && key !== 'id' && key !== 'name') {
+                    attr[key] = el.getAttribute(key);
+                    found = true;
+                }
+            }
+            if (found) {
+                state.attributes = this._encode(Type.deepCopy(attr), getRef);
+            }
+
+            if (el.type === Const.OBJECT_TYPE_GLIDER) {
+                state.position = this._encode(el.position, getRef);
+                found = true;
+            } else if (Type.exists(el.relativeCoords)) {
+                // Labels are positioned in screen coordinates, other texts in user coordinates
+                c = Type.evaluate(el.visProp.islabel) ? el.relativeCoords.scrCoords : el.relativeCoords.usrCoords;
+                state.relativeCoords = [c[1], c[2]];
+                found = true;
+            } else if (Type.exists(el.coords) && el.isDraggable && Type.exists(el.setPositionDirectly)) {
+                state.coords = el.coords.usrCoords.slice();
+                found = true;
+            }
+
+            // Transformations of sub-elements are set by their parent element
+            if (Type.exists(el._creation) && Type.exists(el.transformations)) {
+                parentTrafos = el._creation.parents;
+                for (i = 0; i < el.transformations.length; i++) {
+                    if (Type.indexOf(parentTrafos, el.transformations[i]) < 0) {
+                        trafos.push(this._encode(el.transformations[i], getRef));
+                    }
+                }
+                if (trafos.length > 0) {
+                    state.transformations = trafos;
+                    found = true;
+                }
+            }
+
+            return found ? state : null;
+        },
+
+        /**
+         * Sets the state of an element saved by {@link JXG.Dump#_getState}.
+         * Positions of gliders are set by the caller after all other states are restored.
+         * @param {JXG.GeometryElement} el
+         * @param {Object} state
+         * @param {JXG.Board} board
+         * @param {Object} map
+         * @param {Object} options
+         * @private
+         */
+        _setState: function (el, state, board, map, options) {
+            var i, t, c;
+
+            if (Type.exists(state.attributes)) {
+                el.setAttribute(this._decode(state.attributes, board, map, options));
+            }
+
+            if (Type.exists(state.transformations)) {
+                for (i = 0; i < state.transformations.length; i++) {
+                    t = this._decode(state.transformations[i], board, map, options);
+                    if (Type.exists(t) && Type.exists(t.bindTo)) {
+                        t.bindTo(el);
+                    }
+                }
+            }
+
+            if (Type.exists(state.coords) && Type.exists(el.setPositionDirectly)) {
+                el.setPositionDirectly(Const.COORDS_BY_USER, state.coords);
+            }
+
+            if (Type.exists(state.relativeCoords) && Type.exists(el.relativeCoords)) {
+                c = Type.evaluate(el.visProp.islabel) ? el.relativeCoords.scrCoords : el.relativeCoords.usrCoords;
+                c[1] = state.relativeCoords[0];
+                c[2] = state.relativeCoords[1];
+            }
+        },
+
+        /**
+         * Saves a board such that it can be restored with {@link JXG.Dump.deserialize}.
+         * All elements created by {@link JXG.Board#create} are saved together with
+         * their parents and attributes, in the order of their creation. Additionally, the state which has been
+         * changed since the creation, like positions of points, glider positions, slider values and changed
+         * attributes is saved.
+         * <p>
+         * JessieCode and GEONExT terms given as strings and functions created by JessieCode, e.g. with
+         * {@link JXG.JessieCode#snippet}, are saved as terms and restored by the parser.
+         * Other JavaScript functions are saved as source code. Since evaluating source code from an untrusted
+         * file would execute arbitrary code, they are only restored if {@link JXG.Dump.deserialize} is called with
+         * the option <tt>allowFunctions</tt>. Such functions must not use variables of an outer scope. They can access the
+         * restored board by the variable <tt>board</tt>, e.g. <tt>function () { return board.select('A').X(); }</tt>.
+         *
+         * @param {JXG.Board} board
+         * @returns {Object} An object which can be converted to a string with JSON.stringify().
+         * @see JXG.Board#toJSON
+         */
+        serialize: function (board) {
+            var i, el, id, record, entry, state, len,
+                internal = this._internalIds(board),
+                list = [],
+                queue = [],
+                trafos = [],
+                elements = [],
+                that = this,
+
+                getRef = function (obj) {
+                    var k;
+
+                    if (obj.type === Const.OBJECT_TYPE_TRANSFORMATION) {
+                        k = Type.indexOf(trafos, obj);
+                        if (k < 0) {
+                            k = trafos.push(obj) - 1;
+                            queue.push(obj);
+                        }
+                        return '_transform' + k;
+                    }
+                    return obj.id;
+                },
+
+                // Register all transformations which are used by obj
+                collect = function (obj) {
+                    if (Type.exists(obj._creation)) {
+                        that._encode(obj._creation.parents, getRef);
+                    }
+                    if (Type.exists(obj.transformations)) {
+                        that._encode(obj.transformations, getRef);
+                    }
+                };
+
+            len = board.objectsList.length;
+            for (i = 0; i < len; i++) {
+                el = board.objectsList[i];
+                if (!internal[el.id]) {
+                    if (Type.exists(el._creation)) {
+                        list.push(el);
+                    }
+                    collect(el);
+                }
+            }
+
+            for (id in board.groups) {
+                if (board.groups.hasOwnProperty(id) && Type.exists(board.groups[id]._creation)) {
+                    list.push(board.groups[id]);
+                }
+            }
+
+            while (queue.length > 0) {
+                el = queue.shift();
+                collect(el);
+                if (Type.exists(el._creation)) {
+                    list.push(el);
+                }
+            }
+
+            list.sort(function (a, b) {
+                return a._creation.order - b._creation.order;
+            });
+
+            for (i = 0; i < list.length; i++) {
+                el = list[i];
+                record = el._creation;
+
+                entry = {
+                    id: getRef(el),
+                    type: record.elementType,
+                    parents: this._encode(record.parents, getRef),
+                    attributes: this._encode(record.attributes, getRef),
+                    created: [],
+                    states: {}
+                };
+
+                if (Type.exists(el.id) && Type.exists(board.objects[el.id])) {
+                    entry.attributes.id = el.id;
+                    if (Type.exists(el.name) && el.name !== '') {
+                        entry.attributes.name = el.name;
+                    }
+                }
+
+                len = record.created.length;
+                for (id = 0; id < len; id++) {
+                    entry.created.push(record.created[id].id);
+                    if (Type.exists(board.objects[record.created[id].id])) {
+                        state = this._getState(record.created[id], getRef);
+                        if (state !== null) {
+                            entry.states[record.created[id].id] = state;
+                        }
+                    }
+                }
+
+                elements.push(entry);
+            }
+
+            return {
+                version: JXG.version,
+                board: {
+                    boundingBox: board.getBoundingBox(),
+                    keepAspectRatio: board.keepaspectratio,
+                    axis: Type.exists(board.defaultAxes),
+                    grid: board.grids.length > 0
+                },
+                elements: elements
+            };
+        },
+
+        /**
+         * Restores the elements saved by {@link JXG.Dump.serialize} on a board.
+         * @param {JXG.Board} board
+         * @param {Object|String} data Return value of {@link JXG.Dump.serialize} or its JSON string.
+         * @param {Object} [options]
+         * @param {Boolean} [options.allowFunctions=false] If true, JavaScript functions saved as source code are
+         * evaluated. Otherwise, an exception is thrown if the data contains such functions.
+         * Use this option only for trusted data.
+         * @returns {JXG.Board} Reference to the board
+         * @see JXG.Board.fromJSON
+         */
+        deserialize: function (board, data, options) {
+            var i, j, k, entry, el, created, start, id,
+                map = {},
+                gliders = [];
+
+            options = options || {};
+            if (Type.isString(data)) {
+                data = JSON.parse(data);
+            }
+
+            board.suspendUpdate();
+
+            for (i = 0; i < data.elements.length; i++) {
+                entry = data.elements[i];
+                start = board.objectsList.length;
+
+                el = board.create(entry.type,
+                    this._decode(entry.parents, board, map, options),
+                    this._decode(entry.attributes, board, map, options));
+                map[entry.id] = el;
+
+                // Sub-elements get new ids
+                created = board.objectsList.slice(start);
+                if (created.length === entry.created.length) {
+                    for (j = 0; j < created.length; j++) {
+                        map[entry.created[j]] = created[j];
+                    }
+                }
+            }
+
+            for (i = 0; i < data.elements.length; i++) {
+                entry = data.elements[i];
+                for (id in entry.states) {
+                    if (entry.states.hasOwnProperty(id) && Type.exists(map[id])) {
+                        this._setState(map[id], entry.states[id], board, map, options);
+                        if (Type.exists(entry.states[id].position)) {
+                            gliders.push([map[id], entry.states[id].position]);
+                        }
+                    }
+                }
+            }
+
+            // Gliders are positioned after their slide objects have been updated
+            board.unsuspendUpdate();
+            for (k = 0; k < gliders.length; k++) {
+                gliders[k][0].position = this._decode(gliders[k][1], board, map, options);
+            }
+            board.fullUpdate();
+
+            return board;
         }
     };
 
@@ -0,0 +1,394 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true, Uint8Array: true*/
+/*jslint nomen: true, plusplus: true, bitwise: true*/
+
+/* depends:
+ jxg
+ */
+
+/**
+ * @fileoverview Encoder for animated GIF images.
+ */
+
+define(['jxg'], function (JXG) {
+
+    "use strict";
+
+    JXG.Util = JXG.Util || {};
+
+    /**
+     * Creates an encoder for animated GIF images. Frames are added as RGBA pixel data,
+     * e.g. the data of an ImageData object of a canvas. Every frame gets its own palette of at most 256 colors,
+     * which is computed by median cut. Transparent pixels are blended with the background color.
+     * @class
+     * @param {Number} width Width of the image in pixels
+     * @param {Number} height Height of the image in pixels
+     * @param {Object} [options] Optional settings:
+     * <ul>
+     *  <li> <tt>loop</tt>: number of repetitions of the animation, 0 means endless, a negative number plays it once. Default: 0
+     *  <li> <tt>background</tt>: background color as array [r, g, b]. Default: [255, 255, 255]
+     * </ul>
+     * @example
+     * var gif = new JXG.Util.GIFEncoder(cv.width, cv.height),
+     *     bytes;
+     *
+     * gif.addFrame(ctx.getImageData(0, 0, cv.width, cv.height).data, 50);
+     * // ... more frames
+     * bytes = gif.finish();
+     */
+    JXG.Util.GIFEncoder = function (width, height, options) {
+        options = options || {};
+
+        this.width = Math.round(width);
+        this.height = Math.round(height);
+        this.loop = (options.loop === undefined) ? 0 : options.loop;
+        this.background = options.background || [255, 255, 255];
+
+        /**
+         * Number of frames added so far.
+         * @type Number
+         */
+        this.frames = 0;
+
+        /**
+         * The bytes of the file.
+         * @type Array
+         * @private
+         */
+        this.bytes = [];
+
+        this._writeHeader();
+    };
+
+    JXG.extend(JXG.Util.GIFEncoder.prototype, /** @lends JXG.Util.GIFEncoder.prototype */ {
+
+        /**
+         * Adds a frame.
+         * @param {Array|Uint8Array|Uint8ClampedArray} rgba Pixel data with four bytes per pixel, row by row.
+         * @param {Number} delay Duration of the frame in milliseconds. GIF stores the duration in hundredths of a second.
+         * @returns {JXG.Util.GIFEncoder} Reference to the encoder
+         */
+        addFrame: function (rgba, delay) {
+            var q = this._quantize(rgba),
+                d = Math.max(Math.round((delay || 0) / 10), 0);
+
+            // Graphic control extension: no transparency, the frame replaces the previous one
+            this.bytes.push(0x21, 0xf9, 0x04, 0x04, d & 0xff, (d >> 8) & 0xff, 0x00, 0x00);
+
+            // Image descriptor with a local color table of 256 entries
+            this.bytes.push(0x2c, 0, 0, 0, 0);
+            this._writeShort(this.width);
+            this._writeShort(this.height);
+            this.bytes.push(0x87);
+            this._writeBytes(q.palette);
+
+            this._writeImageData(q.indices);
+            this.frames++;
+
+            return this;
+        },
+
+        /**
+         * Finishes the file. No frames can be added afterwards.
+         * @returns {Uint8Array|Array} The bytes of the GIF file. In old browsers without typed arrays, an array is returned.
+         */
+        finish: function () {
+            this.bytes.push(0x3b);
+
+            if (typeof Uint8Array === 'function') {
+                return new Uint8Array(this.bytes);
+            }
+            return this.bytes;
+        },
+
+        /**
+         * Writes the header, the logical screen descriptor and the loop extension.
+         * @private
+         */
+        _writeHeader: function () {
+            this._writeBytes([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]);   // GIF89a
+            this._writeShort(this.width);
+            this._writeShort(this.height);
+            // No global color table, the frames have local color tables
+            this.bytes.push(0x70, 0x00, 0x00);
+
+            if (this.loop >= 0) {
+                // NETSCAPE2.0 application extension
+                this.bytes.push(0x21, 0xff, 0x0b);
+                this._writeBytes([0x4e, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2e, 0x30]);
+                this.bytes.push(0x03, 0x01);
+                this._writeShort(this.loop);
+                this.bytes.push(0x00);
+            }
+        },
+
+        /**
+         * @private
+         */
+        _writeShort: function (v) {
+            this.bytes.push(v & 0xff, (v >> 8) & 0xff);
+        },
+
+        /**
+         * @private
+         */
+        _writeBytes: function (arr) {
+            var i;
+
+            for (i = 0; i < arr.length; i++) {
+                this.bytes.push(arr[i]);
+            }
+        },
+
+        /**
+         * Reduces the colors of a frame to at most 256 colors. The colors are first reduced to
+         * 5 bits per channel. If there are more than 256 of these colors, they are grouped by median cut.
+         * @param {Array} rgba Pixel data
+         * @returns {Object} The palette with 768 entries and the palette index of each pixel
+         * @private
+         */
+        _quantize: function (rgba) {
+            var i, j, k, a, r, g, b, key, box, best, split,
+                n = this.width * this.height,
+                bg = this.background,
+                keyOf = new Array(n),
+                count = {},
+                sums = {},
+                keys = [],
+                boxes = [],
+                lut = {},
+                palette = [],
+                indices = typeof Uint8Array === 'function' ? new Uint8Array(n) : new Array(n);
+
+            for (i = 0; i < n; i++) {
+                j = 4 * i;
+                a = (rgba[j + 3] === undefined) ? 1 : rgba[j + 3] / 255;
+                r = Math.round(a * rgba[j] + (1 - a) * bg[0]);
+                g = Math.round(a * rgba[j + 1] + (1 - a) * bg[1]);
+                b = Math.round(a * rgba[j + 2] + (1 - a) * bg[2]);
+
+                key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+                keyOf[i] = key;
+                if (count[key] === undefined) {
+                    count[key] = 0;
+                    sums[key] = [0, 0, 0];
+                    keys.push(key);
+                }
+                count[key]++;
+                sums[key][0] += r;
+                sums[key][1] += g;
+                sums[key][2] += b;
+            }
+
+            boxes.push(this._box(keys, count));
+            while (boxes.length < 256) {
+                best = -1;
+                for (k = 0; k < boxes.length; k++) {
+                    if (boxes[k].keys.length > 1 && (best < 0 || boxes[k].score > boxes[best].score)) {
+                        best = k;
+                    }
+                }
+                if (best < 0) {
+                    break;
+                }
+                split = this._split(boxes[best], count);
+                boxes.splice(best, 1, split[0], split[1]);
+            }
+
+            for (k = 0; k < 256; k++) {
+                box = boxes[k];
+                if (box === undefined) {
+                    palette.push(0, 0, 0);
+                    continue;
+                }
+                r = 0;
+                g = 0;
+                b = 0;
+                for (j = 0; j < box.keys.length; j++) {
+                    key = box.keys[j];
+                    lut[key] = k;
+                    r += sums[key][0];
+                    g += sums[key][1];
+                    b += sums[key][2];
+                }
+                palette.push(Math.round(r / box.count), Math.round(g / box.count), Math.round(b / box.count));
+            }
+
+            for (i = 0; i < n; i++) {
+                indices[i] = lut[keyOf[i]];
+            }
+
+            return {
+                palette: palette,
+                indices: indices
+            };
+        },
+
+        /**
+         * Creates a box of the median cut, i.e. a set of colors together with the channel of its largest extent.
+         * @private
+         */
+        _box: function (keys, count) {
+            var i, c, ch,
+                min = [31, 31, 31],
+                max = [0, 0, 0],
+                total = 0,
+                channel = 0;
+
+            for (i = 0; i < keys.length; i++) {
+                for (ch = 0; ch < 3; ch++) {
+                    c = (keys[i] >> (10 - 5 * ch)) & 31;
+                    min[ch] = Math.min(min[ch], c);
+                    max[ch] = Math.max(max[ch], c);
+                }
+                total += count[keys[i]];
+            }
+
+            for (ch = 1; ch < 3; ch++) {
+                if (max[ch] - min[ch] > max[channel] - min[channel]) {
+                    channel = ch;
+                }
+            }
+
+            return {
+                keys: keys,
+                count: total,
+                channel: channel,
+                // Large boxes with many pixels are split first
+                score: (max[channel] - min[channel] + 1) * Math.sqrt(total)
+            };
+        },
+
+        /**
+         * Splits a box at the weighted median of its largest channel.
+         * @private
+         */
+        _split: function (box, count) {
+            var i,
+                shift = 10 - 5 * box.channel,
+                keys = box.keys.slice(0).sort(function (k1, k2) {
+                    return ((k1 >> shift) & 31) - ((k2 >> shift) & 31);
+                }),
+                half = box.count / 2,
+                sum = 0;
+
+            for (i = 0; i < keys.length - 2; i++) {
+                sum += count[keys[i]];
+                if (sum >= half) {
+                    break;
+                }
+            }
+
+            return [this._box(keys.slice(0, i + 1), count), this._box(keys.slice(i + 1), count)];
+        },
+
+        /**
+         * LZW compression of the palette indices, written in sub-blocks of at most 255 bytes.
+         * @param {Array} indices
+         * @private
+         */
+        _writeImageData: function (indices) {
+            var i, k, key, code, prefix,
+                that = this,
+                minCodeSize = 8,
+                clearCode = 256,
+                eoiCode = 257,
+                codeSize = minCodeSize + 1,
+                next = eoiCode + 1,
+                dict = {},
+                block = [],
+                cur = 0,
+                curBits = 0,
+                flushBlock = function () {
+                    that.bytes.push(block.length);
+                    that._writeBytes(block);
+                    block = [];
+                },
+                emit = function (c) {
+                    cur |= c << curBits;
+                    curBits += codeSize;
+                    while (curBits >= 8) {
+                        block.push(cur & 0xff);
+                        cur >>= 8;
+                        curBits -= 8;
+                        if (block.length === 255) {
+                            flushBlock();
+                        }
+                    }
+                };
+
+            this.bytes.push(minCodeSize);
+            emit(clearCode);
+
+            prefix = indices[0];
+            for (i = 1; i < indices.length; i++) {
+                k = indices[i];
+                key = prefix * 256 + k;
+                code = dict[key];
+                if (code !== undefined) {
+                    prefix = code;
+                    continue;
+                }
+
+                emit(prefix);
+                if (next === 4096) {
+                    emit(clearCode);
+                    next = eoiCode + 1;
+                    codeSize = minCodeSize + 1;
+                    dict = {};
+                } else {
+                    if (next >= (1 << codeSize)) {
+                        codeSize++;
+                    }
+                    dict[key] = next;
+                    next++;
+                }
+                prefix = k;
+            }
+
+            emit(prefix);
+            emit(eoiCode);
+            if (curBits > 0) {
+                block.push(cur & 0xff);
+            }
+            if (block.length > 0) {
+                flushBlock();
+            }
+            // Block terminator
+            this.bytes.push(0x00);
+        }
+    });
+
+    return JXG.Util.GIFEncoder;
+});
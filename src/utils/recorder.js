@@ -0,0 +1,596 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true, window: true, document: true, module: true, require: true, Promise: true,
+ Blob: true, Buffer: true, MediaRecorder: true, setTimeout: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ utils/type
+ utils/env
+ utils/color
+ base/timeline
+ utils/gif
+ */
+
+/**
+ * @fileoverview In this file the class Recorder is defined, which records animations of a board
+ * as animated GIF or WebM video.
+ */
+
+define([
+    'jxg', 'utils/type', 'utils/env', 'utils/color', 'base/timeline', 'utils/gif'
+], function (JXG, Type, Env, Color, Timeline, GIFEncoder) {
+
+    "use strict";
+
+    /**
+     * Creates a new recorder.
+     * @class A recorder steps an animation of a board at a fixed frame rate and grabs a frame at each step.
+     * The steps do not depend on the time the rendering takes, therefore the recorded clip is smooth even for
+     * large boards. Recordable animations are
+     * <ul>
+     *  <li> timelines, e.g. {@link JXG.Board#timeline},
+     *  <li> sweeps of sliders from one value to another,
+     *  <li> functions of the time, which change the construction,
+     *  <li> the animations of the board started by {@link JXG.CoordsElement#moveTo}, {@link JXG.CoordsElement#visit},
+     *      {@link JXG.GeometryElement#animate} and similar methods. They are advanced in steps of the board attribute
+     *      <tt>animationDelay</tt>.
+     * </ul>
+     * The frames are taken from the canvas of a board with canvas renderer, or by
+     * {@link JXG.SVGRenderer#dumpToCanvas} from a board with SVG renderer. Boards with SVG renderer can only be
+     * recorded in browsers.
+     * The frames are encoded either as animated GIF by {@link JXG.Util.GIFEncoder}, or as WebM video. In browsers,
+     * WebM videos are encoded by the MediaRecorder of the browser. This happens in real time, i.e. recording a WebM video
+     * takes at least the duration of the clip. In Node, the frames are piped to ffmpeg.
+     * <p>
+     * In Node, a board with canvas renderer needs the package <tt>canvas</tt>.
+     * @param {JXG.Board} board The board to record
+     * @param {Object} [attributes] Attributes which override the board attribute {@link JXG.Board#recorder}
+     * @constructor
+     * @example
+     * var s = board.create('slider', [[-3, -3], [3, -3], [0, 1, 5]]),
+     *     c = board.create('circle', [[0, 0], function () { return s.Value(); }]),
+     *     rec = new JXG.Recorder(board, {fps: 25});
+     *
+     * // Sweep the slider from 1 to 5 in three seconds
+     * rec.record(s, {from: 1, to: 5, duration: 3000}).then(function (blob) {
+     *     document.getElementById('clip').src = URL.createObjectURL(blob);
+     * });
+     *
+     * @example
+     * // Node, canvas renderer
+     * var JXG = require('jsxgraph'),
+     *     fs = require('fs'),
+     *     board = JXG.JSXGraph.initBoard(null, {renderer: 'canvas', boundingbox: [-5, 5, 5, -5]}),
+     *     p = board.create('point', [-3, 0]);
+     *
+     * board.timeline.to(p, {coords: [3, 2]}, 2000);
+     * new JXG.Recorder(board).record(board.timeline).then(function (buffer) {
+     *     fs.writeFileSync('clip.gif', buffer);
+     * });
+     */
+    JXG.Recorder = function (board, attributes) {
+        /**
+         * Reference to the board.
+         * @type JXG.Board
+         */
+        this.board = board;
+
+        /**
+         * The settings of the recorder, see {@link JXG.Board#recorder}.
+         * @type Object
+         */
+        this.attr = Type.deepCopy(board.attr.recorder, attributes || {}, true);
+
+        /**
+         * True, while a recording is running.
+         * @type Boolean
+         */
+        this.isRecording = false;
+
+        /**
+         * Number of frames of the current or last recording.
+         * @type Number
+         */
+        this.frames = 0;
+
+        /**
+         * Canvas into which the frames are drawn.
+         * @type Object
+         * @private
+         */
+        this._canvas = null;
+
+        /**
+         * Temporary canvas of {@link JXG.SVGRenderer#dumpToCanvas} for boards with SVG renderer.
+         * @type Object
+         * @private
+         */
+        this._dumpCanvas = null;
+
+        /**
+         * Set by {@link JXG.Recorder#stop}.
+         * @type Boolean
+         * @private
+         */
+        this._stopped = false;
+    };
+
+    JXG.extend(JXG.Recorder.prototype, /** @lends JXG.Recorder.prototype */ {
+
+        /**
+         * Records an animation.
+         * @param {JXG.Timeline|JXG.Slider|Function} [source] The animation:
+         * <ul>
+         *  <li> a timeline, which is played from 0 to its end,
+         *  <li> a slider, which is moved from its minimum to its maximum value,
+         *  <li> a function, which is called with the time in milliseconds and changes the construction,
+         *  <li> nothing, then the running animations of the board are recorded until all of them have finished.
+         * </ul>
+         * @param {Object} [options] Optional settings:
+         * <ul>
+         *  <li> <tt>duration</tt>: duration in milliseconds. The default is the duration of the timeline, 2000 for
+         *       sliders, and the attribute <tt>duration</tt> of the recorder otherwise.
+         *  <li> <tt>from</tt>, <tt>to</tt>: the range of values of a slider.
+         * </ul>
+         * @returns {Promise} A promise which is resolved with the clip, a Blob in browsers and a Buffer in Node.
+         * The promise is rejected, if the renderer of the board can not be recorded, e.g. an SVG renderer in Node,
+         * or the encoder is not available.
+         */
+        record: function (source, options) {
+            var that = this;
+
+            return new Promise(function (resolve, reject) {
+                var steps, size, encoder, n, dt,
+                    i = 0,
+                    finish = function (err) {
+                        that._cleanup();
+                        that.isRecording = false;
+                        if (err) {
+                            encoder.abort();
+                            reject(err);
+                            return;
+                        }
+                        encoder.finish(function (err2, result) {
+                            if (err2) {
+                                reject(err2);
+                            } else {
+                                resolve(result);
+                            }
+                        });
+                    },
+                    next = function () {
+                        var t = Math.min(i * dt, steps.duration),
+                            // Delays are rounded such that the frames stay in time
+                            delay = Math.round((i + 1) * dt) - Math.round(i * dt);
+
+                        if (i >= n || that._stopped) {
+                            finish(null);
+                            return;
+                        }
+
+                        try {
+                            steps.step(t);
+                        } catch (e) {
+                            finish(e);
+                            return;
+                        }
+
+                        that._grab(size, function (err, rgba) {
+                            if (err) {
+                                finish(err);
+                                return;
+                            }
+                            encoder.addFrame(rgba, delay, function (err2) {
+                                if (err2) {
+                                    finish(err2);
+                                    return;
+                                }
+                                i++;
+                                that.frames++;
+                                if (steps.done()) {
+                                    finish(null);
+                                } else {
+                                    // Yield between the frames: no recursion and the page stays responsive
+                                    setTimeout(next, 0);
+                                }
+                            });
+                        });
+                    };
+
+                if (that.isRecording) {
+                    reject(new Error('JSXGraph: Recorder: a recording is already running.'));
+                    return;
+                }
+
+                try {
+                    if (that.board.renderer.type !== 'canvas' && that.board.renderer.type !== 'svg') {
+                        throw new Error('JSXGraph: Recorder: the ' + that.board.renderer.type + ' renderer can not be recorded.');
+                    }
+                    if (that.board.renderer.type === 'svg' && !Env.isBrowser) {
+                        throw new Error('JSXGraph: Recorder: boards with SVG renderer can only be recorded in browsers. ' +
+                            'In Node, use the canvas renderer.');
+                    }
+                    size = that._size();
+                    that._canvas = that._createCanvas(size.width, size.height);
+                    steps = that._steps(source, options || {});
+                    encoder = that._encoder(size);
+                } catch (e) {
+                    that._cleanup();
+                    reject(e);
+                    return;
+                }
+
+                dt = 1000 / that.attr.fps;
+                n = Math.floor(steps.duration / dt + 1.0e-9) + 1;
+
+                that.isRecording = true;
+                that._stopped = false;
+                that.frames = 0;
+                next();
+            });
+        },
+
+        /**
+         * Stops a running recording after the current frame. The promise returned by
+         * {@link JXG.Recorder#record} is resolved with the frames recorded so far.
+         * @returns {JXG.Recorder} Reference to the recorder
+         */
+        stop: function () {
+            this._stopped = true;
+            return this;
+        },
+
+        /**
+         * Size of the frames in pixels.
+         * @private
+         */
+        _size: function () {
+            var s = this.attr.scale;
+
+            return {
+                width: Math.max(1, Math.round(this.board.canvasWidth * s)),
+                height: Math.max(1, Math.round(this.board.canvasHeight * s))
+            };
+        },
+
+        /**
+         * Creates a canvas, in Node by the package canvas.
+         * @private
+         */
+        _createCanvas: function (w, h) {
+            var cv, Canvas;
+
+            if (Env.isBrowser) {
+                cv = document.createElement('canvas');
+                cv.width = w;
+                cv.height = h;
+                return cv;
+            }
+
+            Canvas = (typeof module === 'object' ? module.require('canvas') : require('canvas'));
+            if (!Type.exists(Canvas)) {
+                throw new Error('JSXGraph: Recorder: the package canvas is not available.');
+            }
+            return Type.isFunction(Canvas.createCanvas) ? Canvas.createCanvas(w, h) : new Canvas(w, h);
+        },
+
+        /**
+         * Removes the temporary canvas of SVG boards.
+         * @private
+         */
+        _cleanup: function () {
+            if (Type.exists(this._dumpCanvas) && this._dumpCanvas.parentNode) {
+                this._dumpCanvas.parentNode.removeChild(this._dumpCanvas);
+            }
+            this._dumpCanvas = null;
+        },
+
+        /**
+         * Determines the duration of the animation and the function which moves it to a given time.
+         * @param {Object} source See {@link JXG.Recorder#record}
+         * @param {Object} options See {@link JXG.Recorder#record}
+         * @returns {Object} Object with the properties duration, step(t) and done()
+         * @private
+         */
+        _steps: function (source, options) {
+            var from, to, duration,
+                board = this.board,
+                delay = Math.max(board.attr.animationdelay, 1),
+                animTime = 0,
+                notDone = function () {
+                    return false;
+                };
+
+            if (source instanceof Timeline) {
+                source.pause();
+                return {
+                    duration: Type.def(options.duration, source.getDuration()),
+                    step: function (t) {
+                        source.seek(t);
+                    },
+                    done: notDone
+                };
+            }
+
+            if (Type.exists(source) && source.elType === 'slider') {
+                from = Type.def(options.from, source._smin);
+                to = Type.def(options.to, source._smax);
+                duration = Type.def(options.duration, 2000);
+                return {
+                    duration: duration,
+                    step: function (t) {
+                        source.setValue(from + (to - from) * (duration > 0 ? t / duration : 1));
+                        board.update();
+                    },
+                    done: notDone
+                };
+            }
+
+            if (Type.isFunction(source)) {
+                return {
+                    duration: Type.def(options.duration, this.attr.duration),
+                    step: function (t) {
+                        source(t);
+                        board.update();
+                    },
+                    done: notDone
+                };
+            }
+
+            if (Type.exists(source)) {
+                throw new Error('JSXGraph: Recorder: can not record ' + source + '.');
+            }
+
+            // The animations of the board. Their timer is stopped, the recorder calls board.animate() instead.
+            return {
+                duration: Type.def(options.duration, this.attr.duration),
+                step: function (t) {
+                    if (Type.exists(board.animationIntervalCode)) {
+                        window.clearInterval(board.animationIntervalCode);
+                        delete board.animationIntervalCode;
+                    }
+                    while (animTime + delay <= t) {
+                        board.animate();
+                        animTime += delay;
+                    }
+                },
+                done: function () {
+                    var el;
+
+                    for (el in board.animationObjects) {
+                        if (board.animationObjects.hasOwnProperty(el)) {
+                            return false;
+                        }
+                    }
+                    return true;
+                }
+            };
+        },
+
+        /**
+         * Draws the board into the frame canvas and returns its pixels.
+         * @param {Object} size Size of the frames
+         * @param {Function} callback Called with an error or null and the RGBA data of the frame
+         * @private
+         */
+        _grab: function (size, callback) {
+            var that = this,
+                renderer = this.board.renderer,
+                ctx = this._canvas.getContext('2d'),
+                draw = function (err, src) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    ctx.fillStyle = that.attr.background;
+                    ctx.fillRect(0, 0, size.width, size.height);
+                    ctx.drawImage(src, 0, 0, size.width, size.height);
+                    callback(null, ctx.getImageData(0, 0, size.width, size.height).data);
+                };
+
+            if (renderer.type === 'canvas') {
+                draw(null, renderer.canvasRoot);
+            } else if (renderer.type === 'svg') {
+                if (!Type.exists(this._dumpCanvas)) {
+                    this._dumpCanvas = document.createElement('canvas');
+                    this._dumpCanvas.setAttribute('id', renderer.container.id + '_recorder');
+                    this._dumpCanvas.style.display = 'none';
+                    document.body.appendChild(this._dumpCanvas);
+                }
+                renderer.dumpToCanvas(this._dumpCanvas.id, this.board.canvasWidth, this.board.canvasHeight,
+                    this.attr.ignoretexts, draw);
+            }
+        },
+
+        /**
+         * Creates the encoder for the format of the recorder. An encoder has the methods addFrame(rgba, delay, callback),
+         * finish(callback) and abort().
+         * @param {Object} size Size of the frames
+         * @returns {Object}
+         * @private
+         */
+        _encoder: function (size) {
+            var format = this.attr.format.toLowerCase();
+
+            if (format === 'gif') {
+                return this._gifEncoder(size);
+            }
+            if (format === 'webm') {
+                return Env.isBrowser ? this._mediaRecorderEncoder() : this._ffmpegEncoder(size);
+            }
+
+            throw new Error('JSXGraph: Recorder: unknown format ' + this.attr.format + '.');
+        },
+
+        /**
+         * Animated GIF
+         * @private
+         */
+        _gifEncoder: function (size) {
+            var gif = new GIFEncoder(size.width, size.height, {
+                loop: this.attr.loop,
+                background: Color.rgbParser(this.attr.background)
+            });
+
+            return {
+                addFrame: function (rgba, delay, callback) {
+                    gif.addFrame(rgba, delay);
+                    callback(null);
+                },
+                finish: function (callback) {
+                    var bytes = gif.finish();
+
+                    if (Env.isBrowser) {
+                        callback(null, new Blob([bytes], {type: 'image/gif'}));
+                    } else {
+                        callback(null, Buffer.from(bytes));
+                    }
+                },
+                abort: function () {}
+            };
+        },
+
+        /**
+         * WebM video by the MediaRecorder of the browser. The frames are taken from the stream of the frame canvas.
+         * @private
+         */
+        _mediaRecorderEncoder: function () {
+            var stream, track, rec, type,
+                chunks = [];
+
+            if (typeof MediaRecorder === 'undefined' || !Type.isFunction(this._canvas.captureStream)) {
+                throw new Error('JSXGraph: Recorder: this browser can not record WebM videos.');
+            }
+
+            type = MediaRecorder.isTypeSupported('video/webm;codecs=vp9') ? 'video/webm;codecs=vp9' : 'video/webm';
+            stream = this._canvas.captureStream(0);
+            track = stream.getVideoTracks()[0];
+            rec = new MediaRecorder(stream, {mimeType: type});
+            rec.ondataavailable = function (evt) {
+                if (evt.data && evt.data.size > 0) {
+                    chunks.push(evt.data);
+                }
+            };
+            rec.start();
+
+            return {
+                addFrame: function (rgba, delay, callback) {
+                    // The frame has already been drawn into the canvas
+                    track.requestFrame();
+                    setTimeout(function () {
+                        callback(null);
+                    }, delay);
+                },
+                finish: function (callback) {
+                    rec.onstop = function () {
+                        callback(null, new Blob(chunks, {type: 'video/webm'}));
+                    };
+                    rec.stop();
+                },
+                abort: function () {
+                    rec.stop();
+                }
+            };
+        },
+
+        /**
+         * WebM video by ffmpeg in Node. The frames are piped as raw RGBA data to ffmpeg.
+         * @private
+         */
+        _ffmpegEncoder: function (size) {
+            var childProcess = (typeof module === 'object' ? module.require('child_process') : require('child_process')),
+                proc = childProcess.spawn(this.attr.ffmpeg, [
+                    '-loglevel', 'error',
+                    '-f', 'rawvideo', '-pix_fmt', 'rgba',
+                    '-s', size.width + 'x' + size.height,
+                    '-r', String(this.attr.fps),
+                    '-i', 'pipe:0',
+                    '-c:v', 'libvpx-vp9', '-pix_fmt', 'yuv420p',
+                    '-f', 'webm', 'pipe:1'
+                ]),
+                chunks = [],
+                error = null,
+                exitCode = null,
+                onClose = null;
+
+            proc.on('error', function (err) {
+                error = new Error('JSXGraph: Recorder: ffmpeg could not be started: ' + err.message);
+            });
+            proc.on('close', function (code) {
+                exitCode = code;
+                if (onClose !== null) {
+                    onClose();
+                }
+            });
+            proc.stdin.on('error', function (err) {
+                error = error || err;
+            });
+            proc.stdout.on('data', function (data) {
+                chunks.push(data);
+            });
+
+            return {
+                addFrame: function (rgba, delay, callback) {
+                    if (error) {
+                        callback(error);
+                        return;
+                    }
+                    proc.stdin.write(Buffer.from(rgba.buffer, rgba.byteOffset, rgba.length), function (err) {
+                        callback(error || err || null);
+                    });
+                },
+                finish: function (callback) {
+                    onClose = function () {
+                        if (error || exitCode !== 0) {
+                            callback(error || new Error('JSXGraph: Recorder: ffmpeg exited with code ' + exitCode + '.'));
+                        } else {
+                            callback(null, Buffer.concat(chunks));
+                        }
+                    };
+                    if (exitCode !== null) {
+                        onClose();
+                    } else {
+                        proc.stdin.end();
+                    }
+                },
+                abort: function () {
+                    proc.kill();
+                }
+            };
+        }
+    });
+
+    return JXG.Recorder;
+});
@@ -0,0 +1,535 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ base/constants
+ base/coords
+ math/geometry
+ utils/type
+ utils/color
+ */
+
+/**
+ * @fileoverview The JXG.TikZ namespace provides methods to export a board to a TikZ picture
+ * which can be included in LaTeX documents.
+ */
+
+define([
+    'jxg', 'base/constants', 'base/coords', 'math/geometry', 'utils/type', 'utils/color'
+], function (JXG, Const, Coords, Geometry, Type, Color) {
+
+    "use strict";
+
+    /**
+     * The JXG.TikZ namespace provides methods to export a board to a TikZ picture.
+     * The picture is drawn in user coordinates and needs no TikZ libraries.
+     * @namespace
+     */
+    JXG.TikZ = {
+
+        /**
+         * Dash patterns in px, see {@link JXG.SVGRenderer#dashArray}.
+         * @type Array
+         */
+        dashArray: [[2, 2], [5, 5], [10, 10], [20, 20], [20, 10, 10, 10], [20, 5, 10, 5]],
+
+        /**
+         * Creates a TikZ picture of the current view of the board. Supported are points, lines, circles,
+         * polygons, curves including arcs, sectors and grids, axes with their ticks and texts.
+         * Images and HTML widgets are skipped. The styles are taken from the visual properties of the
+         * elements.
+         * @param {JXG.Board} board
+         * @param {Object} [options]
+         * @param {Number} [options.scale=1] Scaling factor of the picture. With scale 1, a pixel on the
+         * board becomes 1/96 inch in the document.
+         * @returns {String} The <tt>tikzpicture</tt> environment.
+         * @example
+         * var tikz = JXG.TikZ.toTikZ(board, {scale: 0.5});
+         */
+        toTikZ: function (board, options) {
+            var i, el, list, bb, out,
+                cm = 2.54 / 96,
+                scale = (options && Type.exists(options.scale)) ? options.scale : 1;
+
+            // TikZ draws in user coordinates. Lengths in screen coordinates, e.g.
+            // point sizes or line widths, are given in pt.
+            this.pt = 0.75 * scale;
+
+            bb = board.getBoundingBox();
+            out = [
+                '\\begin{tikzpicture}[x=' + this.num(board.unitX * cm * scale) + 'cm, y=' +
+                    this.num(board.unitY * cm * scale) + 'cm, >=stealth]',
+                '\\clip (' + this.num(bb[0]) + ',' + this.num(bb[3]) + ') rectangle (' +
+                    this.num(bb[2]) + ',' + this.num(bb[1]) + ');'
+            ];
+
+            // Elements are drawn in the order of their layers, compare JXG.Board#updateRendererCanvas
+            list = board.objectsList.slice(0);
+            for (i = 0; i < list.length; i++) {
+                list[i]._tikzIndex = i;
+            }
+            list.sort(function (a, b) {
+                return (Type.evaluate(a.visProp.layer) - Type.evaluate(b.visProp.layer)) || (a._tikzIndex - b._tikzIndex);
+            });
+
+            for (i = 0; i < list.length; i++) {
+                el = list[i];
+                delete el._tikzIndex;
+
+                if (!el.visPropCalc.visible) {
+                    continue;
+                }
+
+                if (el.elementClass === Const.OBJECT_CLASS_POINT) {
+                    out.push(this.point(el));
+                } else if (el.elementClass === Const.OBJECT_CLASS_LINE) {
+                    out.push(this.line(el));
+                } else if (el.elementClass === Const.OBJECT_CLASS_CIRCLE) {
+                    out.push(this.circle(el));
+                } else if (el.type === Const.OBJECT_TYPE_POLYGON) {
+                    out.push(this.polygon(el));
+                } else if (el.elementClass === Const.OBJECT_CLASS_CURVE) {
+                    out.push(this.curve(el));
+                } else if (el.type === Const.OBJECT_TYPE_TICKS) {
+                    out.push(this.ticks(el));
+                } else if (el.elementClass === Const.OBJECT_CLASS_TEXT && el.type === Const.OBJECT_TYPE_TEXT) {
+                    out.push(this.text(el));
+                }
+            }
+
+            out.push('\\end{tikzpicture}');
+
+            return out.join('\n').replace(/\n+/g, '\n') + '\n';
+        },
+
+        /**
+         * Formats a number for TikZ.
+         * @param {Number} v
+         * @returns {String}
+         * @private
+         */
+        num: function (v) {
+            return String(Math.round(v * 10000) / 10000);
+        },
+
+        /**
+         * Formats user coordinates as a TikZ coordinate.
+         * @param {Array} c Either [x, y] or homogeneous coordinates [z, x, y].
+         * @returns {String}
+         * @private
+         */
+        coords: function (c) {
+            if (c.length === 3) {
+                return '(' + this.num(c[1] / c[0]) + ',' + this.num(c[2] / c[0]) + ')';
+            }
+            return '(' + this.num(c[0]) + ',' + this.num(c[1]) + ')';
+        },
+
+        /**
+         * Converts a color to the TikZ syntax for RGB colors.
+         * @param {String} c
+         * @returns {String} A TikZ color or the empty string if the color is <tt>none</tt>.
+         * @private
+         */
+        color: function (c) {
+            var rgb;
+
+            c = Type.evaluate(c);
+            if (!Type.exists(c) || c === false || c === 'none' || c === 'transparent') {
+                return '';
+            }
+
+            rgb = Color.rgbParser(c);
+            if (rgb.length < 3) {
+                return '';
+            }
+
+            return '{rgb,255:red,' + rgb[0] + ';green,' + rgb[1] + ';blue,' + rgb[2] + '}';
+        },
+
+        /**
+         * Creates the TikZ options from the visual properties of an element.
+         * @param {JXG.GeometryElement} el
+         * @param {Object} use Which parts to use: stroke, fill, dash and arrows.
+         * @returns {String} The options in brackets or an empty string.
+         * @private
+         */
+        style: function (el, use) {
+            var c, o, d, fa, la,
+                ev = el.visProp,
+                opts = [];
+
+            if (use.stroke) {
+                c = this.color(ev.strokecolor);
+                if (c !== '' && Type.evaluate(ev.strokewidth) > 0) {
+                    opts.push('draw=' + c, 'line width=' + this.num(Type.evaluate(ev.strokewidth) * this.pt) + 'pt');
+                    o = Type.evaluate(ev.strokeopacity);
+                    if (o < 1) {
+                        opts.push('draw opacity=' + this.num(o));
+                    }
+
+                    d = Type.evaluate(ev.dash);
+                    if (use.dash && d > 0 && this.dashArray[d - 1]) {
+                        opts.push('dash pattern=on ' + this.num(this.dashArray[d - 1][0] * this.pt) + 'pt off ' +
+                            this.num(this.dashArray[d - 1][1] * this.pt) + 'pt' +
+                            (this.dashArray[d - 1].length > 2 ? ' on ' + this.num(this.dashArray[d - 1][2] * this.pt) +
+                                'pt off ' + this.num(this.dashArray[d - 1][3] * this.pt) + 'pt' : ''));
+                    }
+
+                    if (use.arrows) {
+                        fa = Type.evaluate(ev.firstarrow);
+                        la = Type.evaluate(ev.lastarrow);
+                        if (fa && la) {
+                            opts.push('<->');
+                        } else if (fa) {
+                            opts.push('<-');
+                        } else if (la) {
+                            opts.push('->');
+                        }
+                    }
+                }
+            }
+
+            if (use.fill) {
+                c = this.color(ev.fillcolor);
+                o = Type.evaluate(ev.fillopacity);
+                if (c !== '' && o > 0) {
+                    opts.push('fill=' + c);
+                    if (o < 1) {
+                        opts.push('fill opacity=' + this.num(o));
+                    }
+                }
+            }
+
+            return opts.length > 0 ? '[' + opts.join(', ') + ']' : '';
+        },
+
+        /**
+         * Creates a path command. Returns nothing if neither stroke nor fill is set.
+         * @param {String} style
+         * @param {String} path
+         * @returns {String}
+         * @private
+         */
+        path: function (style, path) {
+            if (style === '' || path === '') {
+                return '';
+            }
+            return '\\path' + style + ' ' + path + ';';
+        },
+
+        /**
+         * Exports a point with its face.
+         * @param {JXG.Point} el
+         * @returns {String}
+         * @private
+         */
+        point: function (el) {
+            var path,
+                c = this.coords(el.coords.usrCoords),
+                s = Type.evaluate(el.visProp.size) * this.pt,
+                s2 = this.num(2 * s) + 'pt',
+                h = this.num(s * 0.5) + 'pt',
+                w = this.num(s * Math.sqrt(3) * 0.5) + 'pt',
+                face = Type.evaluate(el.visProp.face),
+                style = this.style(el, {stroke: true, fill: true}),
+                ms = function (v) {
+                    return v.charAt(0) === '-' ? v.slice(1) : '-' + v;
+                };
+
+            if (!el.isReal) {
+                return '';
+            }
+
+            s = this.num(s) + 'pt';
+
+            switch (face) {
+            case 'cross':
+            case 'x':
+                path = c + ' ++(' + ms(s) + ',' + ms(s) + ') -- ++(' + s2 + ',' + s2 + ') ' +
+                    c + ' ++(' + s + ',' + ms(s) + ') -- ++(-' + s2 + ',' + s2 + ')';
+                style = this.style(el, {stroke: true});
+                break;
+            case 'plus':
+            case '+':
+                path = c + ' ++(' + ms(s) + ',0pt) -- ++(' + s2 + ',0pt) ' + c + ' ++(0pt,' + ms(s) + ') -- ++(0pt,' + s2 + ')';
+                style = this.style(el, {stroke: true});
+                break;
+            case 'square':
+            case '[]':
+                path = c + ' ++(' + ms(s) + ',' + ms(s) + ') rectangle ++(' + s2 + ',' + s2 + ')';
+                break;
+            case 'diamond':
+            case '<>':
+                path = c + ' ++(' + ms(s) + ',0pt) -- ++(' + s + ',' + s + ') -- ++(' + s + ',' + ms(s) + ') -- ++(' +
+                    ms(s) + ',' + ms(s) + ') -- cycle';
+                break;
+            case 'triangleup':
+            case 'a':
+            case '^':
+                path = c + ' ++(0pt,' + s + ') -- ++(' + ms(w) + ',-' + this.num(3 * parseFloat(h)) + 'pt) -- ++(' +
+                    this.num(2 * parseFloat(w)) + 'pt,0pt) -- cycle';
+                break;
+            case 'triangledown':
+            case 'v':
+                path = c + ' ++(0pt,' + ms(s) + ') -- ++(' + ms(w) + ',' + this.num(3 * parseFloat(h)) + 'pt) -- ++(' +
+                    this.num(2 * parseFloat(w)) + 'pt,0pt) -- cycle';
+                break;
+            case 'triangleleft':
+            case '<':
+                path = c + ' ++(' + ms(s) + ',0pt) -- ++(' + this.num(3 * parseFloat(h)) + 'pt,' + w + ') -- ++(0pt,-' +
+                    this.num(2 * parseFloat(w)) + 'pt) -- cycle';
+                break;
+            case 'triangleright':
+            case '>':
+                path = c + ' ++(' + s + ',0pt) -- ++(-' + this.num(3 * parseFloat(h)) + 'pt,' + w + ') -- ++(0pt,-' +
+                    this.num(2 * parseFloat(w)) + 'pt) -- cycle';
+                break;
+            default:
+                // Compare the radius in JXG.CanvasRenderer#drawPoint
+                path = c + ' circle (' + this.num(parseFloat(s) + this.pt * (1 + Type.evaluate(el.visProp.strokewidth) * 0.5)) + 'pt)';
+            }
+
+            return this.path(style, path);
+        },
+
+        /**
+         * Exports a line. Straight lines and rays are clipped at the board's boundaries.
+         * @param {JXG.Line} el
+         * @returns {String}
+         * @private
+         */
+        line: function (el) {
+            var c1 = new Coords(Const.COORDS_BY_USER, el.point1.coords.usrCoords, el.board),
+                c2 = new Coords(Const.COORDS_BY_USER, el.point2.coords.usrCoords, el.board);
+
+            Geometry.calcStraight(el, c1, c2, 0);
+            if (isNaN(c1.usrCoords[1] + c1.usrCoords[2] + c2.usrCoords[1] + c2.usrCoords[2])) {
+                return '';
+            }
+
+            return this.path(this.style(el, {stroke: true, dash: true, arrows: true}),
+                this.coords(c1.usrCoords) + ' -- ' + this.coords(c2.usrCoords));
+        },
+
+        /**
+         * Exports a circle.
+         * @param {JXG.Circle} el
+         * @returns {String}
+         * @private
+         */
+        circle: function (el) {
+            var r = el.Radius();
+
+            if (r <= 0 || isNaN(r + el.center.X() + el.center.Y())) {
+                return '';
+            }
+
+            // Radii without units are interpreted in the xy coordinate system.
+            return this.path(this.style(el, {stroke: true, fill: true, dash: true}),
+                this.coords(el.center.coords.usrCoords) + ' ellipse (' + this.num(r) + ' and ' + this.num(r) + ')');
+        },
+
+        /**
+         * Exports the area of a polygon. The borders are separate elements.
+         * @param {JXG.Polygon} el
+         * @returns {String}
+         * @private
+         */
+        polygon: function (el) {
+            var i,
+                path = [];
+
+            for (i = 0; i < el.vertices.length - 1; i++) {
+                if (!el.vertices[i].isReal) {
+                    return '';
+                }
+                path.push(this.coords(el.vertices[i].coords.usrCoords));
+            }
+
+            if (path.length < 3) {
+                return '';
+            }
+
+            return this.path(this.style(el, {fill: true}), path.join(' -- ') + ' -- cycle');
+        },
+
+        /**
+         * Exports a curve from its sampled data points, see {@link JXG.Curve#updateDataArray}
+         * and {@link JXG.Curve#points}. Curves given by cubic Bezier segments, like arcs and
+         * sectors, are exported exactly.
+         * @param {JXG.Curve} el
+         * @returns {String}
+         * @private
+         */
+        curve: function (el) {
+            var i, c,
+                len = Math.min(el.points.length, el.numberPoints),
+                path = '',
+                penUp = true,
+                isReal = function (p) {
+                    return !isNaN(p.usrCoords[1] + p.usrCoords[2]) && Math.abs(p.usrCoords[1]) < Infinity &&
+                        Math.abs(p.usrCoords[2]) < Infinity;
+                };
+
+            if (el.bezierDegree === 3) {
+                i = 0;
+                while (i < len) {
+                    if (!isReal(el.points[i])) {
+                        penUp = true;
+                        i += 1;
+                    } else if (penUp) {
+                        path += ' ' + this.coords(el.points[i].usrCoords);
+                        penUp = false;
+                        i += 1;
+                    } else if (i + 2 < len) {
+                        path += ' .. controls ' + this.coords(el.points[i].usrCoords) + ' and ' +
+                            this.coords(el.points[i + 1].usrCoords) + ' .. ' + this.coords(el.points[i + 2].usrCoords);
+                        i += 3;
+                    } else {
+                        break;
+                    }
+                }
+            } else {
+                for (i = 0; i < len; i++) {
+                    c = el.points[i];
+                    if (!isReal(c)) {
+                        penUp = true;
+                    } else {
+                        path += (penUp ? ' ' : ' -- ') + this.coords(c.usrCoords);
+                        penUp = false;
+                    }
+                }
+            }
+
+            return this.path(this.style(el, {stroke: true, fill: true, dash: true, arrows: true}), path.slice(1));
+        },
+
+        /**
+         * Exports ticks. The labels of the ticks are texts, they are exported separately.
+         * @param {JXG.Ticks} el
+         * @returns {String}
+         * @private
+         */
+        ticks: function (el) {
+            var i, j, t, c,
+                path = [];
+
+            for (i = 0; i < el.ticks.length; i++) {
+                t = el.ticks[i];
+                for (j = 0; j < t[0].length; j++) {
+                    c = new Coords(Const.COORDS_BY_SCREEN, [t[0][j], t[1][j]], el.board);
+                    path.push((j === 0 ? '' : '-- ') + this.coords(c.usrCoords));
+                }
+            }
+
+            return this.path(this.style(el, {stroke: true}), path.join(' '));
+        },
+
+        /**
+         * Escapes a string for LaTeX. The HTML tags &lt;sub&gt; and &lt;sup&gt; are converted,
+         * all other tags are removed. Texts using MathJax or KaTeX are taken unchanged.
+         * @param {JXG.Text} el
+         * @returns {String}
+         * @private
+         */
+        textContent: function (el) {
+            var s = String(el.plaintext);
+
+            if (Type.evaluate(el.visProp.usemathjax) || Type.evaluate(el.visProp.usekatex)) {
+                return s;
+            }
+
+            s = s.replace(/<br\s*\/?>/gi, ' ')
+                .replace(/<sub>/gi, '\u0001').replace(/<\/sub>/gi, '\u0003')
+                .replace(/<sup>/gi, '\u0002').replace(/<\/sup>/gi, '\u0003')
+                .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&amp;/g, '&');
+
+            return s.replace(/[\\{}$&#%_\^~]/g, function (c) {
+                return {
+                    '\\': '\\textbackslash{}',
+                    '~': '\\textasciitilde{}',
+                    '^': '\\textasciicircum{}'
+                }[c] || '\\' + c;
+            })
+                .replace(/−/g, '$-$')
+                .replace(/\u0001/g, '\\textsubscript{')
+                .replace(/\u0002/g, '\\textsuperscript{')
+                .replace(/\u0003/g, '}');
+        },
+
+        /**
+         * Exports a text as a TikZ node.
+         * @param {JXG.Text} el
+         * @returns {String}
+         * @private
+         */
+        text: function (el) {
+            var c, o, anchor,
+                ax = el.getAnchorX(),
+                ay = el.getAnchorY(),
+                fs = Type.evaluate(el.visProp.fontsize) * this.pt,
+                opts = ['inner sep=0pt'];
+
+            if (isNaN(el.coords.usrCoords[1] + el.coords.usrCoords[2])) {
+                return '';
+            }
+
+            anchor = {top: 'north', bottom: 'south', middle: ''}[ay] || '';
+            anchor += ' ' + ({left: 'west', right: 'east', middle: ''}[ax] || '');
+            anchor = anchor.replace(/^\s+|\s+$/g, '') || 'center';
+            opts.push('anchor=' + anchor);
+
+            c = this.color(el.visProp.strokecolor);
+            if (c !== '') {
+                opts.push('text=' + c);
+            }
+            o = Type.evaluate(el.visProp.strokeopacity);
+            if (o < 1) {
+                opts.push('text opacity=' + this.num(o));
+            }
+            opts.push('font=\\fontsize{' + this.num(fs) + 'pt}{' + this.num(fs * 1.2) + 'pt}\\selectfont');
+
+            return '\\node[' + opts.join(', ') + '] at ' + this.coords(el.coords.usrCoords) + ' {' + this.textContent(el) + '};';
+        }
+    };
+
+    return JXG.TikZ;
+});
@@ -1069,6 +1069,7 @@ define([
          */
         clearVisPropOld: function (el) {
             el.visPropOld = {
+                arialabel: null,
                 cssclass: '',
                 cssdefaultstyle: '',
                 cssstyle: '',
@@ -1083,6 +1084,7 @@ define([
                 strokecolor: '',
                 strokeopacity: '',
                 strokewidth: '',
+                tabindex: '',
                 transitionduration: 0,
                 top: -100000,
                 visible: null
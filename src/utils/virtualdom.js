@@ -0,0 +1,639 @@
+/*
+    Copyright 2008-2019
+        Matthias Ehmann,
+        Michael Gerhaeuser,
+        Carsten Miller,
+        Bianca Valentin,
+        Alfred Wassermann,
+        Peter Wilfahrt
+
+    This file is part of JSXGraph.
+
+    JSXGraph is free software dual licensed under the GNU LGPL or MIT License.
+
+    You can redistribute it and/or modify it under the terms of the
+
+      * GNU Lesser General Public License as published by
+        the Free Software Foundation, either version 3 of the License, or
+        (at your option) any later version
+      OR
+      * MIT License: https://github.com/jsxgraph/jsxgraph/blob/master/LICENSE.MIT
+
+    JSXGraph is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License and
+    the MIT License along with JSXGraph. If not, see <http://www.gnu.org/licenses/>
+    and <http://opensource.org/licenses/MIT/>.
+ */
+
+
+/*global JXG: true, define: true*/
+/*jslint nomen: true, plusplus: true*/
+
+/* depends:
+ jxg
+ */
+
+/**
+ * @fileoverview A minimal in-memory document object model. It implements the part of the DOM API
+ * used by {@link JXG.SVGRenderer}, which makes it possible to render boards to SVG markup in environments
+ * without a DOM, e.g. node.js.
+ */
+
+define(['jxg'], function (JXG) {
+
+    "use strict";
+
+    JXG.Util = JXG.Util || {};
+
+    var xhtmlNamespace = 'http://www.w3.org/1999/xhtml',
+        svgNamespace = 'http://www.w3.org/2000/svg',
+        xlinkNamespace = 'http://www.w3.org/1999/xlink',
+
+        /**
+         * Escapes a string for the use in XML texts and attribute values.
+         * @param {String} s
+         * @returns {String}
+         * @private
+         */
+        escape = function (s) {
+            return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        },
+
+        /**
+         * Converts a CSS property name from camel case to hyphen notation, e.g. zIndex to z-index.
+         * @param {String} s
+         * @returns {String}
+         * @private
+         */
+        hyphenate = function (s) {
+            return s.replace(/([A-Z])/g, '-$1').toLowerCase().replace(/^(webkit|moz|ms)-/, '-$1-');
+        },
+
+        /**
+         * Converts a CSS property name from hyphen notation to camel case, e.g. z-index to zIndex.
+         * @param {String} s
+         * @returns {String}
+         * @private
+         */
+        camelize = function (s) {
+            return s.replace(/^-(webkit|moz|ms)-/, '$1-').replace(/-([a-z])/g, function (m, c) {
+                return c.toUpperCase();
+            });
+        },
+
+        VirtualNode, VirtualStyle;
+
+    /**
+     * The inline style of a {@link JXG.Util.VirtualNode}. CSS properties are stored in camel case.
+     * @class
+     * @private
+     */
+    VirtualStyle = function () {};
+
+    Object.defineProperty(VirtualStyle.prototype, 'cssText', {
+        get: function () {
+            var key,
+                css = [];
+
+            for (key in this) {
+                if (this.hasOwnProperty(key) && this[key] !== '' && this[key] !== null && this[key] !== undefined) {
+                    css.push(hyphenate(key) + ': ' + this[key] + ';');
+                }
+            }
+
+            return css.join(' ');
+        },
+
+        set: function (value) {
+            var i, pos, decl,
+                key;
+
+            for (key in this) {
+                if (this.hasOwnProperty(key)) {
+                    delete this[key];
+                }
+            }
+
+            decl = String(value).split(';');
+            for (i = 0; i < decl.length; i++) {
+                pos = decl[i].indexOf(':');
+                if (pos > 0) {
+                    this[camelize(decl[i].slice(0, pos).replace(/^\s+|\s+$/g, ''))] = decl[i].slice(pos + 1).replace(/^\s+|\s+$/g, '');
+                }
+            }
+        }
+    });
+
+    /**
+     * A node of a {@link JXG.Util.VirtualDocument}. Element nodes have nodeType 1, text nodes
+     * have nodeType 3.
+     * @class
+     * @param {JXG.Util.VirtualDocument} doc The document owning the node.
+     * @param {Number} type The node type.
+     * @param {String} name The tag name of an element node or the content of a text node.
+     * @param {String} [namespace] The namespace of an element node.
+     */
+    JXG.Util.VirtualNode = VirtualNode = function (doc, type, name, namespace) {
+        this.ownerDocument = doc;
+        this.nodeType = type;
+        this.parentNode = null;
+        this.childNodes = [];
+
+        if (type === 3) {
+            this.nodeName = '#text';
+            this.nodeValue = String(name);
+        } else {
+            this.nodeName = this.tagName = name;
+            this.namespaceURI = namespace || xhtmlNamespace;
+            this.attributes = {};
+            this.style = new VirtualStyle();
+        }
+    };
+
+    Object.defineProperties(VirtualNode.prototype, {
+        firstChild: {
+            get: function () {
+                return this.childNodes[0] || null;
+            }
+        },
+
+        lastChild: {
+            get: function () {
+                return this.childNodes[this.childNodes.length - 1] || null;
+            }
+        },
+
+        nextSibling: {
+            get: function () {
+                var i;
+
+                if (this.parentNode === null) {
+                    return null;
+                }
+                i = this.parentNode.childNodes.indexOf(this);
+                return this.parentNode.childNodes[i + 1] || null;
+            }
+        },
+
+        previousSibling: {
+            get: function () {
+                var i;
+
+                if (this.parentNode === null) {
+                    return null;
+                }
+                i = this.parentNode.childNodes.indexOf(this);
+                return this.parentNode.childNodes[i - 1] || null;
+            }
+        },
+
+        id: {
+            get: function () {
+                return this.getAttribute('id') || '';
+            },
+            set: function (value) {
+                this.setAttribute('id', value);
+            }
+        },
+
+        className: {
+            get: function () {
+                return this.getAttribute('class') || '';
+            },
+            set: function (value) {
+                this.setAttribute('class', value);
+            }
+        },
+
+        classList: {
+            get: function () {
+                var that = this,
+                    list = function () {
+                        return that.className.split(/\s+/).filter(function (c) {
+                            return c !== '';
+                        });
+                    };
+
+                return {
+                    add: function (c) {
+                        var l = list();
+                        if (l.indexOf(c) < 0) {
+                            l.push(c);
+                        }
+                        that.className = l.join(' ');
+                    },
+                    remove: function (c) {
+                        that.className = list().filter(function (d) {
+                            return d !== c;
+                        }).join(' ');
+                    },
+                    contains: function (c) {
+                        return list().indexOf(c) > -1;
+                    }
+                };
+            }
+        },
+
+        data: {
+            get: function () {
+                return this.nodeValue;
+            },
+            set: function (value) {
+                this.nodeValue = String(value);
+            }
+        },
+
+        textContent: {
+            get: function () {
+                if (this.nodeType === 3) {
+                    return this.nodeValue;
+                }
+                return this.childNodes.map(function (n) {
+                    return n.textContent;
+                }).join('');
+            },
+            set: function (value) {
+                if (this.nodeType === 3) {
+                    this.nodeValue = String(value);
+                } else {
+                    this.removeChildren();
+                    this.appendChild(this.ownerDocument.createTextNode(value));
+                }
+            }
+        },
+
+        /**
+         * The content of an element is not parsed. It is kept as markup and serialized unchanged.
+         */
+        innerHTML: {
+            get: function () {
+                if (this.hasOwnProperty('_html')) {
+                    return this._html;
+                }
+                return this.childNodes.map(function (n) {
+                    return n.toString();
+                }).join('');
+            },
+            set: function (value) {
+                this.removeChildren();
+                this._html = String(value);
+            }
+        },
+
+        outerHTML: {
+            get: function () {
+                return this.toString();
+            }
+        }
+    });
+
+    JXG.extend(VirtualNode.prototype, /** @lends JXG.Util.VirtualNode.prototype */ {
+
+        /**
+         * Appends a node to the children of this node. If the node is already part of the document, it is moved.
+         * @param {JXG.Util.VirtualNode} node
+         * @returns {JXG.Util.VirtualNode} The appended node.
+         */
+        appendChild: function (node) {
+            return this.insertBefore(node, null);
+        },
+
+        /**
+         * Inserts a node before a given child of this node.
+         * @param {JXG.Util.VirtualNode} node
+         * @param {JXG.Util.VirtualNode} ref The child before which the node is inserted. If ref is null,
+         * the node is appended.
+         * @returns {JXG.Util.VirtualNode} The inserted node.
+         */
+        insertBefore: function (node, ref) {
+            var i;
+
+            // Used to move a node to the top of its layer, the position does not change.
+            if (node === ref) {
+                return node;
+            }
+
+            if (node.parentNode !== null) {
+                node.parentNode.removeChild(node);
+            }
+            delete this._html;
+
+            i = (ref === null || ref === undefined) ? -1 : this.childNodes.indexOf(ref);
+            if (i < 0) {
+                this.childNodes.push(node);
+            } else {
+                this.childNodes.splice(i, 0, node);
+            }
+            node.parentNode = this;
+
+            return node;
+        },
+
+        /**
+         * Removes a child node.
+         * @param {JXG.Util.VirtualNode} node
+         * @returns {JXG.Util.VirtualNode} The removed node.
+         */
+        removeChild: function (node) {
+            var i = this.childNodes.indexOf(node);
+
+            if (i < 0) {
+                throw new Error("JSXGraph: The node to be removed is not a child of this node.");
+            }
+            this.childNodes.splice(i, 1);
+            node.parentNode = null;
+
+            return node;
+        },
+
+        /**
+         * Replaces a child node.
+         * @param {JXG.Util.VirtualNode} node The new node.
+         * @param {JXG.Util.VirtualNode} old The child which is replaced.
+         * @returns {JXG.Util.VirtualNode} The replaced node.
+         */
+        replaceChild: function (node, old) {
+            this.insertBefore(node, old);
+            return this.removeChild(old);
+        },
+
+        /**
+         * Removes all children.
+         * @private
+         */
+        removeChildren: function () {
+            while (this.childNodes.length > 0) {
+                this.removeChild(this.childNodes[0]);
+            }
+            delete this._html;
+        },
+
+        /**
+         * @returns {Boolean} True, if the node has children.
+         */
+        hasChildNodes: function () {
+            return this.childNodes.length > 0 || !!this._html;
+        },
+
+        /**
+         * Sets an attribute. The style attribute is parsed into {@link JXG.Util.VirtualNode#style}.
+         * @param {String} name
+         * @param {String} value
+         */
+        setAttribute: function (name, value) {
+            if (name === 'style') {
+                this.style.cssText = value;
+            } else {
+                this.attributes[name] = String(value);
+            }
+        },
+
+        /**
+         * Sets an attribute. The namespace is ignored, qualified names like <tt>xlink:href</tt> are kept.
+         * @param {String} namespace
+         * @param {String} name
+         * @param {String} value
+         */
+        setAttributeNS: function (namespace, name, value) {
+            this.setAttribute(name, value);
+        },
+
+        /**
+         * @param {String} name
+         * @returns {String} The value of the attribute or null, if the attribute is not set.
+         */
+        getAttribute: function (name) {
+            if (name === 'style') {
+                return this.style.cssText || null;
+            }
+            return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+        },
+
+        /**
+         * @param {String} namespace
+         * @param {String} name
+         * @returns {String}
+         */
+        getAttributeNS: function (namespace, name) {
+            return this.getAttribute(name);
+        },
+
+        /**
+         * @param {String} name
+         * @returns {Boolean}
+         */
+        hasAttribute: function (name) {
+            return this.getAttribute(name) !== null;
+        },
+
+        /**
+         * @param {String} namespace
+         * @param {String} name
+         * @returns {Boolean}
+         */
+        hasAttributeNS: function (namespace, name) {
+            return this.hasAttribute(name);
+        },
+
+        /**
+         * @param {String} name
+         */
+        removeAttribute: function (name) {
+            if (name === 'style') {
+                this.style.cssText = '';
+            } else {
+                delete this.attributes[name];
+            }
+        },
+
+        /**
+         * @param {String} namespace
+         * @param {String} name
+         */
+        removeAttributeNS: function (namespace, name) {
+            this.removeAttribute(name);
+        },
+
+        /**
+         * Events are never fired in a virtual document.
+         */
+        addEventListener: function () {},
+
+        /**
+         * Events are never fired in a virtual document.
+         */
+        removeEventListener: function () {},
+
+        /**
+         * Searches the subtree of this node for an element with the given id.
+         * @param {String} id
+         * @returns {JXG.Util.VirtualNode} The element or null.
+         */
+        getElementById: function (id) {
+            var i, node;
+
+            if (this.nodeType !== 1) {
+                return null;
+            }
+            if (this.attributes.id === id) {
+                return this;
+            }
+            for (i = 0; i < this.childNodes.length; i++) {
+                node = this.childNodes[i].getElementById(id);
+                if (node !== null) {
+                    return node;
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Serializes the node and its subtree to XML. Elements in a namespace different from the
+         * namespace of their parent get an xmlns attribute.
+         * @returns {String}
+         */
+        toString: function () {
+            var key, content,
+                attr = this.attributes,
+                css = '',
+                s = '';
+
+            if (this.nodeType === 3) {
+                return escape(this.nodeValue);
+            }
+
+            s += '<' + this.tagName;
+            if (this.parentNode === null || this.parentNode.namespaceURI !== this.namespaceURI) {
+                s += ' xmlns="' + this.namespaceURI + '"';
+                if (this.namespaceURI === svgNamespace) {
+                    s += ' xmlns:xlink="' + xlinkNamespace + '"';
+                }
+            }
+            for (key in attr) {
+                if (attr.hasOwnProperty(key) && key !== 'xmlns' && key !== 'xmlns:xlink') {
+                    s += ' ' + key + '="' + escape(attr[key]) + '"';
+                }
+            }
+            css = this.style.cssText;
+            if (css !== '') {
+                s += ' style="' + escape(css) + '"';
+            }
+
+            content = this.innerHTML;
+            if (content === '') {
+                return s + '/>';
+            }
+
+            return s + '>' + content + '</' + this.tagName + '>';
+        }
+    });
+
+    /**
+     * A minimal document which can be used instead of the browser's document to create
+     * SVG and HTML nodes. The nodes can be serialized to XML with their <tt>toString</tt> method.
+     * @class
+     * @example
+     * var doc = new JXG.Util.VirtualDocument(),
+     *     div = doc.createElement('div');
+     *
+     * div.id = 'jxgbox';
+     * doc.body.appendChild(div);
+     */
+    JXG.Util.VirtualDocument = function () {
+        /**
+         * @type JXG.Util.VirtualNode
+         */
+        this.documentElement = this.createElement('html');
+
+        /**
+         * @type JXG.Util.VirtualNode
+         */
+        this.body = this.createElement('body');
+        this.documentElement.appendChild(this.body);
+
+        /**
+         * Every feature is reported to be supported.
+         * @type Object
+         */
+        this.implementation = {
+            hasFeature: function () {
+                return true;
+            }
+        };
+    };
+
+    JXG.extend(JXG.Util.VirtualDocument.prototype, /** @lends JXG.Util.VirtualDocument.prototype */ {
+
+        /**
+         * @param {String} name Tag name
+         * @returns {JXG.Util.VirtualNode} A new element in the XHTML namespace.
+         */
+        createElement: function (name) {
+            return new VirtualNode(this, 1, name.toLowerCase(), xhtmlNamespace);
+        },
+
+        /**
+         * @param {String} namespace
+         * @param {String} name Tag name
+         * @returns {JXG.Util.VirtualNode} A new element in the given namespace.
+         */
+        createElementNS: function (namespace, name) {
+            return new VirtualNode(this, 1, name, namespace);
+        },
+
+        /**
+         * @param {String} text
+         * @returns {JXG.Util.VirtualNode} A new text node.
+         */
+        createTextNode: function (text) {
+            return new VirtualNode(this, 3, text);
+        },
+
+        /**
+         * @param {String} id
+         * @returns {JXG.Util.VirtualNode} The element with the given id or null.
+         */
+        getElementById: function (id) {
+            return this.documentElement.getElementById(id);
+        },
+
+        /**
+         * @param {String} name
+         * @returns {Array} All elements with the given tag name.
+         */
+        getElementsByTagName: function (name) {
+            var result = [],
+                walk = function (node) {
+                    var i;
+                    if (node.nodeType === 1) {
+                        if (node.tagName === name || name === '*') {
+                            result.push(node);
+                        }
+                        for (i = 0; i < node.childNodes.length; i++) {
+                            walk(node.childNodes[i]);
+                        }
+                    }
+                };
+
+            walk(this.documentElement);
+            return result;
+        },
+
+        /**
+         * Events are never fired in a virtual document.
+         */
+        addEventListener: function () {},
+
+        /**
+         * Events are never fired in a virtual document.
+         */
+        removeEventListener: function () {}
+    });
+
+    return JXG.Util.VirtualDocument;
+});
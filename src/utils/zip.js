@@ -42,7 +42,7 @@
  */
 
 /**
- * @fileoverview Utilities for uncompressing and base64 decoding
+ * @fileoverview Utilities for creating zip archives, uncompressing and base64 decoding
  */
 
 define(['jxg'], function (JXG) {
@@ -111,7 +111,37 @@ define(['jxg'], function (JXG) {
 
         border = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15],
 
-        NAMEMAX = 256;
+        NAMEMAX = 256,
+
+        crcTable = null;
+
+    /**
+     * CRC-32 checksum of an array of bytes as used in zip archives.
+     * @param {Array} bytes
+     * @returns {Number}
+     * @private
+     */
+    function crc32(bytes) {
+        var i, k, c,
+            crc = 0xffffffff;
+
+        if (crcTable === null) {
+            crcTable = [];
+            for (i = 0; i < 256; i++) {
+                c = i;
+                for (k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                crcTable[i] = c;
+            }
+        }
+
+        for (i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+
+        return (crc ^ 0xffffffff) >>> 0;
+    }
 
 
     // Util namespace
@@ -855,5 +885,135 @@ define(['jxg'], function (JXG) {
         };
     };
 
+    /**
+     * @class Zip class
+     * Class for creating zip archives, e.g. GeoGebra files.
+     *
+     * The file data is wrapped into stored (i.e. uncompressed) deflate blocks.
+     * Such archives are valid for every zip implementation and can be read
+     * by {@link JXG.Util.Unzip}, which only handles deflated entries.
+     * @see https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+     */
+    JXG.Util.Zip = function () {
+        this.files = [];
+    };
+
+    /**
+     * Add a file to the archive.
+     * @param {String} name File name inside the archive.
+     * @param {String|Array} data Content of the file, either as an array of bytes or as
+     * a binary string. Text has to be UTF-8 encoded by the caller, see {@link JXG.Util.UTF8.encode}.
+     * @returns {JXG.Util.Zip} Reference to the archive.
+     */
+    JXG.Util.Zip.prototype.addFile = function (name, data) {
+        var i, bytes;
+
+        if (typeof data === 'string') {
+            bytes = [];
+            for (i = 0; i < data.length; i++) {
+                bytes[i] = data.charCodeAt(i) & 0xff;
+            }
+        } else {
+            bytes = data;
+        }
+
+        this.files.push({name: name, data: bytes});
+
+        return this;
+    };
+
+    /**
+     * Create the archive.
+     * @returns {Array} The zip archive as an array of bytes.
+     */
+    JXG.Util.Zip.prototype.zip = function () {
+        var i, j, f, name, data, crc, header,
+            out = [],
+            central = [],
+            offsets = [],
+            now = new Date(),
+            time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1),
+            date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        function push16(arr, v) {
+            arr.push(v & 0xff, (v >>> 8) & 0xff);
+        }
+
+        function push32(arr, v) {
+            arr.push(v & 0xff, (v >>> 8) & 0xff, (v >>> 16) & 0xff, (v >>> 24) & 0xff);
+        }
+
+        // Data as a sequence of stored deflate blocks, each with at most 65535 bytes.
+        function deflateStored(bytes) {
+            var k, len,
+                res = [],
+                pos = 0;
+
+            do {
+                len = Math.min(bytes.length - pos, 0xffff);
+                res.push(pos + len >= bytes.length ? 1 : 0);
+                push16(res, len);
+                push16(res, ~len);
+                for (k = 0; k < len; k++) {
+                    res.push(bytes[pos + k]);
+                }
+                pos += len;
+            } while (pos < bytes.length);
+
+            return res;
+        }
+
+        for (i = 0; i < this.files.length; i++) {
+            f = this.files[i];
+            name = [];
+            for (j = 0; j < f.name.length; j++) {
+                name[j] = f.name.charCodeAt(j) & 0xff;
+            }
+            data = deflateStored(f.data);
+            crc = crc32(f.data);
+
+            // Shared part of the local file header and the central directory entry
+            header = [];
+            push16(header, 20);     // version needed to extract
+            push16(header, 0);      // general purpose flags
+            push16(header, 8);      // compression method: deflate
+            push16(header, time);
+            push16(header, date);
+            push32(header, crc);
+            push32(header, data.length);
+            push32(header, f.data.length);
+            push16(header, name.length);
+            push16(header, 0);      // extra field length
+
+            offsets[i] = out.length;
+            push32(out, 0x04034b50);
+            out = out.concat(header, name, data);
+
+            push32(central, 0x02014b50);
+            push16(central, 20);    // version made by
+            central = central.concat(header);
+            push16(central, 0);     // file comment length
+            push16(central, 0);     // disk number
+            push16(central, 0);     // internal file attributes
+            push32(central, 0);     // external file attributes
+            push32(central, offsets[i]);
+            central = central.concat(name);
+        }
+
+        // End of central directory record
+        j = out.length;
+        out = out.concat(central);
+        push32(out, 0x06054b50);
+        push16(out, 0);
+        push16(out, 0);
+        push16(out, this.files.length);
+        push16(out, this.files.length);
+        push32(out, central.length);
+        push32(out, j);
+        push16(out, 0);
+
+        return out;
+    };
+
     return JXG.Util;
 });
@@ -54,6 +54,14 @@ define({
     // Non-functional test suite(s) to run in each browser
     suites: [
         'tests/unit/jxg',
+        'tests/unit/base/chart',
+        'tests/unit/base/curve',
+        'tests/unit/math/complex',
+        'tests/unit/math/linearalgebra',
+        'tests/unit/math/numerics',
+        'tests/unit/math/statistics',
+        'tests/unit/parser/datasource',
+        'tests/unit/renderer/svg',
         'tests/unit/utils/base64',
         'tests/unit/utils/color',
         //'tests/unit/utils/dump',
@@ -63,6 +71,7 @@ define({
         //'tests/unit/utils/expect',
         'tests/unit/utils/type',
         'tests/unit/utils/uuid',
+        'tests/unit/utils/virtualdom',
         //'tests/unit/utils/xml',
         //'tests/unit/utils/zip',
     ],
@@ -0,0 +1,49 @@
+define([
+    'intern!object',
+    'intern/chai!assert',
+    'jsxgraph',
+    'parser/datasource',
+    'base/chart'
+], function (registerSuite, assert, JSXGraph, DataSource, Chart) {
+    var board, ds,
+        findChart = function () {
+            var i;
+
+            for (i = board.objectsList.length - 1; i >= 0; i--) {
+                if (board.objectsList[i] instanceof Chart.Chart) {
+                    return board.objectsList[i];
+                }
+            }
+            return null;
+        };
+
+    registerSuite({
+        beforeEach: function () {
+            board = JSXGraph.initBoard(null, {renderer: 'no', boundingbox: [-5, 50, 50, -5]});
+            ds = new DataSource();
+            ds.loadFromArray([[1, 10, 5], [2, 20, 6], [3, 30, 7]], ['a', 'b', 'c']);
+        },
+
+        afterEach: function () {
+            JSXGraph.freeBoard(board);
+        },
+
+        columns_default_firstColumn: function () {
+            var h = board.create('chart', [ds], {chartstyle: 'histogram', bins: [0, 15, 40]});
+
+            assert.deepEqual(board.options.chart.columns, [0]);
+            assert.deepEqual(findChart().visProp.columns, [0]);
+            assert.deepEqual(h[0].counts, [3, 0]);
+        },
+
+        columns_setAttribute_chartUsesNewColumn: function () {
+            var h = board.create('chart', [ds], {chartstyle: 'histogram', bins: [0, 15, 40], columns: [0]});
+
+            assert.deepEqual(h[0].counts, [3, 0]);
+
+            findChart().setAttribute({columns: ['b']});
+            board.update();
+            assert.deepEqual(h[0].counts, [1, 2]);
+        }
+    });
+});
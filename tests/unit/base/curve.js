@@ -0,0 +1,55 @@
+define([
+    'intern!object',
+    'intern/chai!assert',
+    'jsxgraph',
+    'base/curve'
+], function (registerSuite, assert, JSXGraph) {
+    var board;
+
+    registerSuite({
+        setup: function () {
+            board = JSXGraph.initBoard(null, {renderer: 'no', boundingbox: [-5, 5, 5, -5]});
+        },
+
+        teardown: function () {
+            JSXGraph.freeBoard(board);
+        },
+
+        polynomialpoints_quadrupleRoot_zeroAndMinimum: function () {
+            var el = board.create('polynomialpoints', [[1, -4, 6, -4, 1]]);
+
+            assert.lengthOf(el.zeros, 1);
+            assert.closeTo(el.zeros[0], 1, 1e-12);
+            assert.lengthOf(el.extrema, 1);
+            assert.closeTo(el.extrema[0][0], 1, 1e-12);
+            assert.closeTo(el.extrema[0][1], 0, 1e-12);
+        },
+
+        polynomialpoints_functionWithQuadrupleRoot_zeroAndMinimum: function () {
+            var el = board.create('polynomialpoints', [function (x) {
+                return Math.pow(x - 1, 4);
+            }]);
+
+            assert.lengthOf(el.zeros, 1);
+            assert.closeTo(el.zeros[0], 1, 1e-9);
+            assert.lengthOf(el.extrema, 1);
+            assert.closeTo(el.extrema[0][0], 1, 1e-9);
+        },
+
+        polynomialpoints_tripleRoot_noExtremum: function () {
+            var el = board.create('polynomialpoints', [[-8, 12, -6, 1]]);
+
+            assert.lengthOf(el.zeros, 1);
+            assert.closeTo(el.zeros[0], 2, 1e-12);
+            assert.lengthOf(el.extrema, 0);
+        },
+
+        polynomialpoints_complexDoubleRoots_noZeros: function () {
+            // (x^2 + 1)^2
+            var el = board.create('polynomialpoints', [[1, 0, 2, 0, 1]]);
+
+            assert.lengthOf(el.zeros, 0);
+            assert.lengthOf(el.extrema, 1);
+        }
+    });
+});
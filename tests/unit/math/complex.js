@@ -0,0 +1,85 @@
+define([
+    'intern!object',
+    'intern/chai!assert',
+    'math/complex'
+], function (registerSuite, assert, Complex) {
+    var C = Complex.C;
+
+    function assertComplexClose(actual, re, im) {
+        assert.closeTo(actual.real, re, 1e-14);
+        assert.closeTo(actual.imaginary, im, 1e-14);
+    }
+
+    registerSuite({
+        exp_iPi_minusOne: function () {
+            assertComplexClose(C.exp(new Complex(0, Math.PI)), -1, 0);
+        },
+
+        log_minusOne_iPi: function () {
+            assertComplexClose(C.log(-1), 0, Math.PI);
+        },
+
+        pow_iSquared_minusOne: function () {
+            assertComplexClose(C.pow(new Complex(0, 1), 2), -1, 0);
+        },
+
+        sqrt_negativeReal_imaginary: function () {
+            assertComplexClose(C.sqrt(-4), 0, 2);
+        },
+
+        roots_fourthRootsOfOne_unitsOfGaussianIntegers: function () {
+            var r = C.roots(1, 4);
+
+            assert.lengthOf(r, 4);
+            assertComplexClose(r[0], 1, 0);
+            assertComplexClose(r[1], 0, 1);
+            assertComplexClose(r[2], -1, 0);
+            assertComplexClose(r[3], 0, -1);
+        },
+
+        tan_smallArgument_quotientOfSinAndCos: function () {
+            var z = new Complex(0.7, -0.4),
+                actual = C.tan(z),
+                expected = C.div(C.sin(z), C.cos(z));
+
+            assert.closeTo(actual.real, expected.real, 1e-14);
+            assert.closeTo(actual.imaginary, expected.imaginary, 1e-14);
+        },
+
+        tan_largeImaginaryPart_signOfImaginaryUnit: function () {
+            var actual = C.tan(new Complex(1, 1000));
+
+            assert.closeTo(actual.real, 0, 1e-14);
+            assert.strictEqual(actual.imaginary, 1);
+
+            actual = C.tan(new Complex(1, -1000));
+            assert.strictEqual(actual.imaginary, -1);
+        },
+
+        tan_realArgument_realTangent: function () {
+            var actual = C.tan(2);
+
+            assert.closeTo(actual.real, Math.tan(2), 1e-14);
+            assert.strictEqual(actual.imaginary, 0);
+        },
+
+        tanh_smallArgument_quotientOfSinhAndCosh: function () {
+            var z = new Complex(0.7, -0.4),
+                actual = C.tanh(z),
+                expected = C.div(C.sinh(z), C.cosh(z));
+
+            assert.closeTo(actual.real, expected.real, 1e-14);
+            assert.closeTo(actual.imaginary, expected.imaginary, 1e-14);
+        },
+
+        tanh_largeRealPart_signOfRealPart: function () {
+            var actual = C.tanh(new Complex(1000, 1));
+
+            assert.strictEqual(actual.real, 1);
+            assert.closeTo(actual.imaginary, 0, 1e-14);
+
+            actual = C.tanh(new Complex(-800, 0.3));
+            assert.strictEqual(actual.real, -1);
+        }
+    });
+});
@@ -0,0 +1,107 @@
+define([
+    'intern!object',
+    'intern/chai!assert',
+    'math/math',
+    'math/linearalgebra'
+], function (registerSuite, assert, Mat, LinearAlgebra) {
+
+    function assertMatrixClose(actual, expected, tol) {
+        var i, j;
+
+        assert.lengthOf(actual, expected.length);
+        for (i = 0; i < expected.length; i++) {
+            for (j = 0; j < expected[i].length; j++) {
+                assert.closeTo(actual[i][j], expected[i][j], tol);
+            }
+        }
+    }
+
+    registerSuite({
+        luSolve_regularMatrix_solution: function () {
+            var A = [[2, 1, 1], [4, -6, 0], [-2, 7, 2]],
+                lu = LinearAlgebra.lu(A),
+                x = LinearAlgebra.luSolve(lu, [5, -2, 9]);
+
+            assert.isFalse(lu.singular);
+            assert.closeTo(x[0], 1, 1e-12);
+            assert.closeTo(x[1], 1, 1e-12);
+            assert.closeTo(x[2], 2, 1e-12);
+        },
+
+        lu_singularMatrix_singularFlag: function () {
+            assert.isTrue(LinearAlgebra.lu([[1, 2], [2, 4]]).singular);
+        },
+
+        qr_rectangularMatrix_productIsMatrix: function () {
+            var A = [[1, 2], [3, 4], [5, 6]],
+                qr = LinearAlgebra.qr(A);
+
+            assertMatrixClose(Mat.matMatMult(qr.Q, qr.R), A, 1e-12);
+            assertMatrixClose(Mat.matMatMult(Mat.transpose(qr.Q), qr.Q), Mat.identity(3), 1e-12);
+            assert.closeTo(qr.R[1][0], 0, 1e-12);
+            assert.closeTo(qr.R[2][1], 0, 1e-12);
+        },
+
+        svd_matrix_productIsMatrix: function () {
+            var A = [[1, 2], [3, 4], [5, 6]],
+                res = LinearAlgebra.svd(A),
+                US = res.U.map(function (row) {
+                    return row.map(function (u, j) {
+                        return u * res.S[j];
+                    });
+                });
+
+            assert.isTrue(res.S[0] >= res.S[1]);
+            assertMatrixClose(Mat.matMatMult(US, Mat.transpose(res.V)), A, 1e-12);
+        },
+
+        rank_singularMatrix_rankOne: function () {
+            assert.strictEqual(LinearAlgebra.rank([[1, 2], [2, 4]]), 1);
+            assert.strictEqual(LinearAlgebra.rank([[1, 2], [3, 4]]), 2);
+        },
+
+        condition_diagonalMatrix_ratioOfDiagonal: function () {
+            assert.closeTo(LinearAlgebra.condition([[1, 0], [0, 2]]), 2, 1e-12);
+            assert.strictEqual(LinearAlgebra.condition([[1, 2], [2, 4]]), Infinity);
+        },
+
+        leastSquares_pointsOnLine_exactLine: function () {
+            var x = LinearAlgebra.leastSquares([[1, 0], [1, 1], [1, 2]], [1, 2, 3]);
+
+            assert.closeTo(x[0], 1, 1e-12);
+            assert.closeTo(x[1], 1, 1e-12);
+        },
+
+        eigenSymmetric_matrix_valuesAndVectors: function () {
+            var A = [[2, 1], [1, 2]],
+                res = LinearAlgebra.eigenSymmetric(A),
+                i, v, Av;
+
+            assert.closeTo(res.values[0], 3, 1e-12);
+            assert.closeTo(res.values[1], 1, 1e-12);
+            for (i = 0; i < 2; i++) {
+                v = [res.vectors[0][i], res.vectors[1][i]];
+                Av = Mat.matVecMult(A, v);
+                assert.closeTo(Av[0], res.values[i] * v[0], 1e-12);
+                assert.closeTo(Av[1], res.values[i] * v[1], 1e-12);
+            }
+        },
+
+        eigenvalues_rotation_complexPair: function () {
+            var ev = LinearAlgebra.eigenvalues([[0, -1], [1, 0]]);
+
+            assert.lengthOf(ev, 2);
+            assert.closeTo(ev[0].real, 0, 1e-12);
+            assert.closeTo(Math.abs(ev[0].imaginary), 1, 1e-12);
+            assert.closeTo(ev[0].imaginary, -ev[1].imaginary, 1e-12);
+        },
+
+        eigenvalues_realSpectrum_sortedDescending: function () {
+            var ev = LinearAlgebra.eigenvalues([[2, 0, 0], [0, 3, 4], [0, 4, 9]]);
+
+            assert.closeTo(ev[0].real, 11, 1e-10);
+            assert.closeTo(ev[1].real, 2, 1e-10);
+            assert.closeTo(ev[2].real, 1, 1e-10);
+        }
+    });
+});
@@ -0,0 +1,59 @@
+define([
+    'intern!object',
+    'intern/chai!assert',
+    'math/numerics'
+], function (registerSuite, assert, Numerics) {
+    registerSuite({
+        regression_linearData_exactFit: function () {
+            var f = Numerics.regression('linear', [0, 1, 2, 3], [1, 3, 5, 7]);
+
+            assert.closeTo(f.parameters[0], 1, 1e-9);
+            assert.closeTo(f.parameters[1], 2, 1e-9);
+            assert.closeTo(f.rSquared, 1, 1e-9);
+            assert.closeTo(f(10), 21, 1e-9);
+        },
+
+        regression_exponentialData_exactFit: function () {
+            var x = [0, 1, 2, 3, 4, 5],
+                y = x.map(function (t) {
+                    return 2 * Math.exp(0.5 * t);
+                }),
+                f = Numerics.regression('exponential', x, y);
+
+            assert.closeTo(f.parameters[0], 2, 1e-6);
+            assert.closeTo(f.parameters[1], 0.5, 1e-6);
+        },
+
+        regression_modelFunction_parametersFitted: function () {
+            var f = Numerics.regression(function (t, p) {
+                return p[0] * t * t;
+            }, [1, 2, 3], [2, 8, 18], {p0: [1]});
+
+            assert.closeTo(f.parameters[0], 2, 1e-6);
+            assert.closeTo(f(2), 8, 1e-6);
+        },
+
+        regression_equalXCoordinates_NaN: function () {
+            var models = ['linear', 'polynomial', 'exponential', 'logarithmic', 'power', 'logistic', 'sinusoidal'],
+                i, f;
+
+            for (i = 0; i < models.length; i++) {
+                f = Numerics.regression(models[i], [1, 1, 1, 1, 1], [1, 2, 3, 4, 5], {degree: 2});
+
+                assert.isAbove(f.parameters.length, 0, models[i]);
+                assert.isTrue(f.parameters.every(isNaN), models[i]);
+                assert.isTrue(isNaN(f(2)), models[i]);
+                assert.isTrue(isNaN(f.rSquared), models[i]);
+            }
+        },
+
+        regression_tooFewPoints_NaN: function () {
+            var f = Numerics.regression(function (t, p) {
+                return p[0] + p[1] * t;
+            }, [1, 2], [1, 2], {p0: [0, 1]});
+
+            assert.isTrue(f.parameters.every(isNaN));
+            assert.isTrue(isNaN(f(1)));
+        }
+    });
+});
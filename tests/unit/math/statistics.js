@@ -0,0 +1,99 @@
+define([
+    'intern!object',
+    'intern/chai!assert',
+    'math/statistics'
+], function (registerSuite, assert, Statistics) {
+    registerSuite({
+        histogram_threeBins_countsPerBin: function () {
+            var actual = Statistics.histogram([1, 2, 2, 4], 3);
+
+            assert.deepEqual(actual[0], [1, 2, 3, 4]);
+            assert.deepEqual(actual[1], [1, 2, 1]);
+        },
+
+        histogram_nonFiniteValues_valuesIgnored: function () {
+            var actual = Statistics.histogram([1, 2, NaN, 4, Infinity], 3);
+
+            assert.deepEqual(actual[0], [1, 2, 3, 4]);
+            assert.deepEqual(actual[1], [1, 1, 1]);
+        },
+
+        histogram_noFiniteValues_emptyBins: function () {
+            var actual = Statistics.histogram([NaN]);
+
+            assert.deepEqual(actual, [[], []]);
+        },
+
+        histogram_binBorders_valuesOutsideNotCounted: function () {
+            var actual = Statistics.histogram([-1, 0, 0.5, 1, 2], [0, 1]);
+
+            assert.deepEqual(actual[1], [3]);
+        },
+
+        logGamma_integer_logOfFactorial: function () {
+            assert.closeTo(Statistics.logGamma(5), Math.log(24), 1e-12);
+        },
+
+        erf_one_knownValue: function () {
+            assert.closeTo(Statistics.erf(1), 0.8427007929497149, 1e-12);
+            assert.closeTo(Statistics.erfc(1), 1 - 0.8427007929497149, 1e-12);
+        },
+
+        gammaP_shapeOne_exponentialDistribution: function () {
+            assert.closeTo(Statistics.gammaP(1, 1), 1 - Math.exp(-1), 1e-12);
+        },
+
+        betaI_integerParameters_polynomialValue: function () {
+            // I_x(2, 3) = 6x^2 - 8x^3 + 3x^4
+            assert.closeTo(Statistics.betaI(2, 3, 0.5), 0.6875, 1e-12);
+        },
+
+        normal_quantileOfCdf_identity: function () {
+            assert.closeTo(Statistics.normal.cdf(1.959963984540054, 0, 1), 0.975, 1e-9);
+            assert.closeTo(Statistics.normal.quantile(0.975, 0, 1), 1.959963984540054, 1e-7);
+            assert.closeTo(Statistics.normal.pdf(0, 0, 1), 1 / Math.sqrt(2 * Math.PI), 1e-12);
+        },
+
+        studentT_quantile_tableValue: function () {
+            assert.closeTo(Statistics.studentT.quantile(0.975, 10), 2.228138851986274, 1e-7);
+            assert.closeTo(Statistics.studentT.cdf(0, 3), 0.5, 1e-12);
+        },
+
+        chiSquared_quantile_tableValue: function () {
+            assert.closeTo(Statistics.chiSquared.cdf(3.841458820694124, 1), 0.95, 1e-9);
+            assert.closeTo(Statistics.chiSquared.quantile(0.95, 1), 3.841458820694124, 1e-7);
+        },
+
+        fisherF_equalDegrees_medianOne: function () {
+            assert.closeTo(Statistics.fisherF.cdf(1, 5, 5), 0.5, 1e-12);
+        },
+
+        exponential_cdf_knownValue: function () {
+            assert.closeTo(Statistics.exponential.cdf(1, 2), 1 - Math.exp(-2), 1e-12);
+        },
+
+        binomial_pdf_knownValue: function () {
+            assert.closeTo(Statistics.binomial.pdf(2, 5, 0.5), 10 / 32, 1e-12);
+        },
+
+        poisson_cdf_knownValue: function () {
+            assert.closeTo(Statistics.poisson.cdf(2, 1), 2.5 * Math.exp(-1), 1e-12);
+        },
+
+        createRandom_sameSeed_sameSequence: function () {
+            var r1 = Statistics.createRandom(42),
+                r2 = Statistics.createRandom(42),
+                i, x;
+
+            for (i = 0; i < 10; i++) {
+                x = r1();
+                assert.strictEqual(x, r2());
+                assert.isTrue(x >= 0 && x < 1);
+            }
+        },
+
+        random_normalSample_lengthN: function () {
+            assert.lengthOf(Statistics.normal.random(0, 1, 3), 3);
+        }
+    });
+});
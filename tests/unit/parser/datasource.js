@@ -0,0 +1,97 @@
+define([
+    'intern!object',
+    'intern/chai!assert',
+    'parser/datasource'
+], function (registerSuite, assert, DataSource) {
+    registerSuite({
+        loadFromCSV_quotedFields_quotesRemoved: function () {
+            var ds = new DataSource();
+
+            ds.loadFromCSV('name,"weight, kg"\nA,3.5\n"B ""2""",4.25');
+
+            assert.deepEqual(ds.columnHeaders, ['name', 'weight, kg']);
+            assert.deepEqual(ds.getRow(1), ['B "2"', 4.25]);
+            assert.deepEqual(ds.getColumn('weight, kg'), [3.5, 4.25]);
+        },
+
+        loadFromCSV_semicolons_delimiterDetected: function () {
+            var ds = new DataSource();
+
+            ds.loadFromCSV('a;b\n1;2\n3;4');
+
+            assert.deepEqual(ds.columnHeaders, ['a', 'b']);
+            assert.deepEqual(ds.getColumn(1), [2, 4]);
+        },
+
+        loadFromCSV_emptyCell_NaN: function () {
+            var ds = new DataSource(),
+                row;
+
+            ds.loadFromCSV('a\tb\r\n1\t\r\n');
+            row = ds.getRow(0);
+
+            assert.strictEqual(row[0], 1);
+            assert.isTrue(isNaN(row[1]));
+        },
+
+        loadFromCSV_noTypeInference_strings: function () {
+            var ds = new DataSource();
+
+            ds.loadFromCSV('a,b\n1,2', {typeInference: false});
+
+            assert.deepEqual(ds.getRow(0), ['1', '2']);
+        },
+
+        loadFromJSON_missingKeys_NaN: function () {
+            var ds = new DataSource();
+
+            ds.loadFromJSON('[{"t": 0, "x": 1.5}, {"t": 1, "y": 2}]');
+
+            assert.deepEqual(ds.columnHeaders, ['t', 'x', 'y']);
+            assert.deepEqual(ds.getColumn('t'), [0, 1]);
+            assert.isTrue(isNaN(ds.getRow(0)[2]));
+        },
+
+        append_maxRows_oldestRowsRemoved: function () {
+            var ds = new DataSource();
+
+            ds.loadFromArray([[1, 2], [3, 4]], ['x', 'y']);
+            ds.maxRows = 2;
+            ds.append([5, 6]);
+
+            assert.deepEqual(ds.getColumn('x'), [3, 5]);
+        },
+
+        append_recordWithNewKey_columnAdded: function () {
+            var ds = new DataSource();
+
+            ds.loadFromArray([[1, 2]], ['x', 'y']);
+            ds.append([[3, 4], {x: 5, z: 6}]);
+
+            assert.deepEqual(ds.columnHeaders, ['x', 'y', 'z']);
+            assert.lengthOf(ds.getRow(1), 3);
+            assert.isTrue(isNaN(ds.getRow(1)[2]));
+            assert.strictEqual(ds.getRow(2)[2], 6);
+        },
+
+        unregisterBoard_registeredBoard_boardNotUpdated: function () {
+            var ds = new DataSource(),
+                updates = 0,
+                board = {
+                    dataSources: [],
+                    update: function () {
+                        updates++;
+                    }
+                };
+
+            ds.registerBoard(board);
+            ds.append([1, 2]);
+            ds.unregisterBoard(board);
+            ds.append([3, 4]);
+
+            assert.strictEqual(updates, 1);
+            assert.lengthOf(ds.boards, 0);
+            assert.lengthOf(board.dataSources, 0);
+        }
+    });
+});
@@ -0,0 +1,36 @@
+define([
+    'intern!object',
+    'intern/chai!assert',
+    'jsxgraph'
+], function (registerSuite, assert, JSXGraph) {
+    var board;
+
+    registerSuite({
+        afterEach: function () {
+            JSXGraph.freeBoard(board);
+        },
+
+        createPrim_defaultBoard_textIsNotAriaHidden: function () {
+            var text;
+
+            board = JSXGraph.initBoard(null, {renderer: 'svg', boundingbox: [-5, 5, 5, -5]});
+            text = board.create('text', [0, 0, 'A'], {display: 'internal'});
+
+            assert.isFalse(text.rendNode.hasAttribute('aria-hidden'));
+        },
+
+        setAriaLabel_emptyAndNonEmptyText_togglesAriaHidden: function () {
+            var text;
+
+            board = JSXGraph.initBoard(null, {renderer: 'svg', boundingbox: [-5, 5, 5, -5], aria: {enabled: true}});
+            text = board.create('text', [0, 0, 'A'], {display: 'internal'});
+
+            board.renderer.setAriaLabel(text, '');
+            assert.strictEqual(text.rendNode.getAttribute('aria-hidden'), 'true');
+
+            board.renderer.setAriaLabel(text, 'Text A');
+            assert.isFalse(text.rendNode.hasAttribute('aria-hidden'));
+            assert.strictEqual(text.rendNode.getAttribute('aria-label'), 'Text A');
+        }
+    });
+});
@@ -0,0 +1,70 @@
+define([
+    'intern!object',
+    'intern/chai!assert',
+    'utils/virtualdom'
+], function (registerSuite, assert, VirtualDocument) {
+    var svgNamespace = 'http://www.w3.org/2000/svg';
+
+    registerSuite({
+        getElementById_appendedElement_returnsElement: function () {
+            var doc = new VirtualDocument(),
+                div = doc.createElement('div');
+
+            div.id = 'jxgbox';
+            doc.body.appendChild(div);
+
+            assert.strictEqual(doc.getElementById('jxgbox'), div);
+        },
+
+        insertBefore_nodeBeforeItself_orderUnchanged: function () {
+            var doc = new VirtualDocument(),
+                g = doc.createElementNS(svgNamespace, 'g'),
+                a = doc.createElementNS(svgNamespace, 'path'),
+                b = doc.createElementNS(svgNamespace, 'path');
+
+            g.appendChild(a);
+            g.appendChild(b);
+            g.insertBefore(a, a);
+
+            assert.strictEqual(g.firstChild, a);
+            assert.strictEqual(a.nextSibling, b);
+        },
+
+        appendChild_nodeOfOtherParent_nodeIsMoved: function () {
+            var doc = new VirtualDocument(),
+                g1 = doc.createElementNS(svgNamespace, 'g'),
+                g2 = doc.createElementNS(svgNamespace, 'g'),
+                a = doc.createElementNS(svgNamespace, 'path');
+
+            g1.appendChild(a);
+            g2.appendChild(a);
+
+            assert.isFalse(g1.hasChildNodes());
+            assert.strictEqual(a.parentNode, g2);
+        },
+
+        toString_svgWithStyleAndText_serializedMarkup: function () {
+            var doc = new VirtualDocument(),
+                svg = doc.createElementNS(svgNamespace, 'svg'),
+                text = doc.createElementNS(svgNamespace, 'text');
+
+            svg.setAttributeNS(null, 'width', 100);
+            text.style.fontSize = '12px';
+            text.appendChild(doc.createTextNode('a < b'));
+            svg.appendChild(text);
+
+            assert.strictEqual(svg.toString(),
+                '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="100">' +
+                '<text style="font-size: 12px;">a &lt; b</text></svg>');
+        },
+
+        setAttribute_style_parsedIntoStyle: function () {
+            var doc = new VirtualDocument(),
+                node = doc.createElementNS(svgNamespace, 'polygon');
+
+            node.setAttributeNS(null, 'style', 'fill:url(#grad)');
+
+            assert.strictEqual(node.style.fill, 'url(#grad)');
+        }
+    });
+});